@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+// Materialized chat list entry: one per personal pair and per group, kept up
+// to date by the send/edit/delete paths so chat-state doesn't aggregate messages
+const conversationSchema = new mongoose.Schema(
+  {
+    // "group:<groupId>" or "personal:<lowerUserId>:<higherUserId>"
+    chatKey: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    chatType: {
+      type: String,
+      enum: ["personal", "group"],
+      required: true,
+    },
+    // Both users of a personal chat
+    participants: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Group",
+      default: null,
+    },
+    // Newest message with its sender (hiddenFor kept to spot "deleted for me")
+    lastMessage: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    lastMessageAt: {
+      type: Date,
+      default: null,
+    },
+    // Unread messages per member, keyed by user id
+    unreadCounts: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+conversationSchema.index({ participants: 1, lastMessageAt: -1 });
+conversationSchema.index({ group: 1 });
+conversationSchema.index({ lastMessageAt: -1, _id: -1 });
+
+module.exports = mongoose.model("Conversation", conversationSchema);
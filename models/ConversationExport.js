@@ -0,0 +1,88 @@
+const mongoose = require("mongoose");
+
+const conversationExportSchema = new mongoose.Schema(
+  {
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    chatType: {
+      type: String,
+      enum: ["personal", "group"],
+      required: true,
+    },
+    // Personal exports are between these two users, group exports use chatId
+    participants: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    chatId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // pending -> processing -> completed | failed
+    status: {
+      type: String,
+      enum: ["pending", "processing", "completed", "failed"],
+      default: "pending",
+    },
+    progress: {
+      type: Number,
+      default: 0, // Percent
+    },
+    messageCount: {
+      type: Number,
+      default: 0,
+    },
+    attachmentCount: {
+      type: Number,
+      default: 0,
+    },
+    // Attachments that could not be downloaded (still linked in the transcript)
+    skippedAttachments: {
+      type: Number,
+      default: 0,
+    },
+    fileName: {
+      type: String,
+      default: null,
+    },
+    filePath: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    fileSize: {
+      type: Number,
+      default: null,
+    },
+    // Secret for the download link (lets browsers download without a header)
+    downloadToken: {
+      type: String,
+      select: false,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+conversationExportSchema.index({ requestedBy: 1, createdAt: -1 });
+conversationExportSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model("ConversationExport", conversationExportSchema);
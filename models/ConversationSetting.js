@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+
+// Per-user chat list settings for one conversation (pin, mute, archive, unread flag)
+const conversationSettingSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    chatType: {
+      type: String,
+      enum: ["personal", "group"],
+      required: true,
+    },
+    // Other user for personal chats, group id for group chats
+    chatId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    pinnedAt: {
+      type: Date,
+      default: null,
+    },
+    isMuted: {
+      type: Boolean,
+      default: false,
+    },
+    mutedUntil: {
+      type: Date,
+      default: null, // null while muted = muted until unmuted
+    },
+    archivedAt: {
+      type: Date,
+      default: null, // Cleared automatically when a new message arrives
+    },
+    markedUnread: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+conversationSettingSchema.index(
+  { user: 1, chatType: 1, chatId: 1 },
+  { unique: true }
+);
+conversationSettingSchema.index({ chatType: 1, chatId: 1 });
+
+// Muted right now (a mute with an expiry in the past no longer applies)
+conversationSettingSchema.methods.isMutedAt = function (now = new Date()) {
+  if (!this.isMuted) return false;
+  return !this.mutedUntil || this.mutedUntil > now;
+};
+
+module.exports = mongoose.model(
+  "ConversationSetting",
+  conversationSettingSchema
+);
@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// Named sequence (e.g. the sync change cursor), incremented atomically
+const counterSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String, // Sequence name
+      required: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+// Reserve the next value of a sequence (starts at 1)
+counterSchema.statics.next = async function (name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model("Counter", counterSchema);
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+// Disappearing-messages timer for one conversation (shared by all participants)
+const disappearingTimerSchema = new mongoose.Schema(
+  {
+    // "group:<groupId>" or "personal:<lowerUserId>:<higherUserId>"
+    chatKey: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Seconds a new message lives for, 0 = off
+    duration: {
+      type: Number,
+      default: 0,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model("DisappearingTimer", disappearingTimerSchema);
@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+// One unsent message per user per conversation, synced across devices
+const draftSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    chatType: {
+      type: String,
+      enum: ["personal", "group"],
+      required: true,
+    },
+    // Other user for personal chats, group id for group chats
+    chatId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    text: {
+      type: String,
+      required: true,
+      maxlength: 10000,
+    },
+    replyTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+draftSchema.index({ user: 1, chatType: 1, chatId: 1 }, { unique: true });
+
+module.exports = mongoose.model("Draft", draftSchema);
@@ -41,6 +41,23 @@ const groupSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    // Announcement channel: only group admins and the designated posters can
+    // post, everyone else can read and react
+    isAnnouncement: {
+      type: Boolean,
+      default: false,
+    },
+    announcementPosters: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // Every active user is a member, including users created later
+    autoJoinAllUsers: {
+      type: Boolean,
+      default: false,
+    },
     pinnedMessages: [
       {
         type: mongoose.Schema.Types.ObjectId,
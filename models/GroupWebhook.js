@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+// Incoming webhook for a group: anyone holding the secret token can post to
+// the group as the webhook's bot user. Only a hash of the token is stored.
+const groupWebhookSchema = new mongoose.Schema(
+  {
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Group",
+      required: true,
+    },
+    // Shown as the sender name of the webhook's messages
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50,
+    },
+    botUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+groupWebhookSchema.index({ group: 1, createdAt: -1 });
+
+module.exports = mongoose.model("GroupWebhook", groupWebhookSchema);
@@ -30,13 +30,39 @@ const messageSchema = new mongoose.Schema(
     },
     messageType: {
       type: String,
-      enum: ["text", "image", "file", "audio", "video"],
+      enum: ["text", "image", "file", "audio", "video", "poll", "system"],
       default: "text",
     },
+    // "markdown": message holds the source, renderedHtml its sanitized render
+    format: {
+      type: String,
+      enum: ["plain", "markdown"],
+      default: undefined,
+    },
+    renderedHtml: {
+      type: String,
+      default: undefined,
+    },
     isRead: {
       type: Boolean,
       default: false,
     },
+    // Receipt lifecycle for personal messages: sent -> delivered -> read
+    status: {
+      type: String,
+      enum: ["sent", "delivered", "read"],
+      default: function () {
+        return this.receiver ? "sent" : undefined;
+      },
+    },
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
     readBy: [
       {
         user: {
@@ -65,11 +91,209 @@ const messageSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    // Where the file is stored, needed to remove it later
+    isGoogleDrive: {
+      type: Boolean,
+      default: false,
+    },
+    googleDriveId: {
+      type: String,
+      default: null,
+    },
+    webViewLink: {
+      type: String,
+      default: null,
+    },
+    cloudinaryPublicId: {
+      type: String,
+      default: null,
+    },
+    cloudinaryResourceType: {
+      type: String,
+      default: null,
+    },
+    // Voice notes / audio files, read from the upload
+    audio: {
+      type: {
+        duration: { type: Number, default: null }, // Seconds
+        waveform: { type: [Number], default: undefined }, // Peaks, 0-100
+      },
+      default: undefined,
+    },
+    // Receivers who played the audio (first play only)
+    listenedBy: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        listenedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     replyTo: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Message",
       default: null,
     },
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Users who chose "delete for me" (hidden from their history only)
+    hiddenFor: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+      ],
+      select: false,
+    },
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    // Previous versions of the text, oldest first (hidden unless selected)
+    editHistory: {
+      type: [
+        {
+          message: {
+            type: String,
+          },
+          editedAt: {
+            type: Date, // When this version was replaced
+            default: Date.now,
+          },
+        },
+      ],
+      select: false,
+    },
+    // Poll details (messageType "poll", group chats only)
+    poll: {
+      type: {
+        question: {
+          type: String,
+          trim: true,
+        },
+        options: [
+          {
+            text: {
+              type: String,
+              trim: true,
+              required: true,
+            },
+            votes: [
+              {
+                user: {
+                  type: mongoose.Schema.Types.ObjectId,
+                  ref: "User",
+                },
+                votedAt: {
+                  type: Date,
+                  default: Date.now,
+                },
+              },
+            ],
+          },
+        ],
+        allowMultiple: {
+          type: Boolean,
+          default: false,
+        },
+        isAnonymous: {
+          type: Boolean,
+          default: false,
+        },
+        closesAt: {
+          type: Date,
+          default: null,
+        },
+        closedAt: {
+          type: Date,
+          default: null,
+        },
+        closedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          default: null,
+        },
+      },
+      default: undefined,
+    },
+    // Users mentioned with @name, @admins or @all (expanded to ids)
+    mentions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // OpenGraph/title metadata for the first URL in the text, filled in after send
+    linkPreview: {
+      type: {
+        url: { type: String, required: true },
+        title: { type: String, default: null },
+        description: { type: String, default: null },
+        image: { type: String, default: null },
+        siteName: { type: String, default: null },
+        fetchedAt: { type: Date, default: Date.now },
+      },
+      default: undefined,
+    },
+    // Conversation events shown inline (e.g. disappearing timer changes)
+    systemEvent: {
+      type: {
+        kind: { type: String, required: true }, // "disappearing-timer"
+        duration: { type: Number, default: null },
+      },
+      default: undefined,
+    },
+    // Set when sent while the disappearing-messages timer was on
+    expiresAt: {
+      type: Date,
+      default: undefined,
+    },
+    // Client-generated id of the send, retries with the same id are deduplicated
+    clientId: {
+      type: String,
+      default: undefined,
+      trim: true,
+    },
+    // Scheduled message this was delivered from (unique, prevents double sends)
+    scheduledFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ScheduledMessage",
+      default: undefined,
+    },
+    reactions: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        emoji: {
+          type: String, // Unicode emoji (👍) or shortcode (:party:)
+          required: true,
+          trim: true,
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
   },
   {
     timestamps: true,
@@ -80,5 +304,91 @@ const messageSchema = new mongoose.Schema(
 messageSchema.index({ sender: 1, receiver: 1, createdAt: -1 });
 messageSchema.index({ group: 1, createdAt: -1 });
 messageSchema.index({ "readBy.user": 1 });
+messageSchema.index({ replyTo: 1, createdAt: -1 });
+messageSchema.index({ mentions: 1, createdAt: -1 });
+messageSchema.index({ receiver: 1, status: 1 });
+messageSchema.index({ scheduledFrom: 1 }, { unique: true, sparse: true });
+messageSchema.index({ expiresAt: 1 }, { sparse: true });
+messageSchema.index(
+  { sender: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: "string" } } }
+);
+// Full-text search over message text and attachment names
+messageSchema.index(
+  { message: "text", fileName: "text" },
+  { weights: { message: 10, fileName: 5 }, name: "message_text_search" }
+);
+
+// Aggregate reactions into per-emoji counts (in first-reacted order)
+messageSchema.methods.getReactionSummary = function (currentUserId) {
+  const summary = new Map();
+
+  (this.reactions || []).forEach((reaction) => {
+    const userId = (reaction.user?._id || reaction.user).toString();
+    if (!summary.has(reaction.emoji)) {
+      summary.set(reaction.emoji, {
+        emoji: reaction.emoji,
+        count: 0,
+        users: [],
+        reactedByMe: false,
+      });
+    }
+    const entry = summary.get(reaction.emoji);
+    entry.count += 1;
+    entry.users.push(reaction.user);
+    if (currentUserId && userId === currentUserId.toString()) {
+      entry.reactedByMe = true;
+    }
+  });
+
+  return Array.from(summary.values());
+};
+
+// A poll is closed once closed manually or its close time has passed
+messageSchema.methods.isPollClosed = function () {
+  if (!this.poll) return true;
+  return (
+    !!this.poll.closedAt ||
+    (!!this.poll.closesAt && this.poll.closesAt.getTime() <= Date.now())
+  );
+};
+
+// Vote tallies for a poll; voter identities are left out for anonymous polls
+messageSchema.methods.getPollResults = function (currentUserId) {
+  if (!this.poll) return null;
+
+  const currentId = currentUserId ? currentUserId.toString() : null;
+  const voters = new Set();
+  const myVotes = [];
+
+  const options = this.poll.options.map((option) => {
+    option.votes.forEach((vote) => {
+      const voterId = (vote.user?._id || vote.user).toString();
+      voters.add(voterId);
+      if (voterId === currentId) myVotes.push(option._id);
+    });
+
+    return {
+      _id: option._id,
+      text: option.text,
+      voteCount: option.votes.length,
+      voters: this.poll.isAnonymous
+        ? undefined
+        : option.votes.map((vote) => vote.user),
+    };
+  });
+
+  return {
+    question: this.poll.question,
+    options,
+    allowMultiple: this.poll.allowMultiple,
+    isAnonymous: this.poll.isAnonymous,
+    closesAt: this.poll.closesAt,
+    closedAt: this.poll.closedAt,
+    isClosed: this.isPollClosed(),
+    totalVoters: voters.size,
+    myVotes,
+  };
+};
 
 module.exports = mongoose.model("Message", messageSchema);
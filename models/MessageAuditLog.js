@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+
+const messageAuditLogSchema = new mongoose.Schema(
+  {
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: ["delete-for-everyone"],
+      required: true,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    actorRole: {
+      type: String,
+      enum: ["sender", "group-admin"],
+      required: true,
+    },
+    // Conversation the message belonged to
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    receiver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Group",
+      default: null,
+    },
+    // What the message looked like before the action
+    snapshot: {
+      message: String,
+      messageType: String,
+      fileUrl: String,
+      fileName: String,
+      createdAt: Date,
+    },
+    fileRemoved: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+messageAuditLogSchema.index({ group: 1, createdAt: -1 });
+messageAuditLogSchema.index({ message: 1 });
+
+module.exports = mongoose.model("MessageAuditLog", messageAuditLogSchema);
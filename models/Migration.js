@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+// One-off data migrations that ran to completion. A migration is retried on
+// every start until it is recorded here, so it must be safe to run again.
+const migrationSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String, // Migration name
+      required: true,
+    },
+    completedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+migrationSchema.statics.isDone = async function (name) {
+  return !!(await this.exists({ _id: name }));
+};
+
+migrationSchema.statics.markDone = async function (name) {
+  await this.updateOne(
+    { _id: name },
+    { $setOnInsert: { completedAt: new Date() } },
+    { upsert: true }
+  );
+};
+
+module.exports = mongoose.model("Migration", migrationSchema);
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+// How far a user has read in one conversation. Messages from others created
+// after lastReadAt are unread; the position only ever moves forward.
+const readCursorSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    chatType: {
+      type: String,
+      enum: ["personal", "group"],
+      required: true,
+    },
+    // Other user for personal chats, group id for group chats
+    chatId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // createdAt of the newest message read
+    lastReadAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+readCursorSchema.index({ user: 1, chatType: 1, chatId: 1 }, { unique: true });
+
+module.exports = mongoose.model("ReadCursor", readCursorSchema);
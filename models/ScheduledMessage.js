@@ -0,0 +1,99 @@
+const mongoose = require("mongoose");
+
+const scheduledMessageSchema = new mongoose.Schema(
+  {
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    receiver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: function () {
+        return !this.group; // Required if not a group message
+      },
+    },
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Group",
+      required: function () {
+        return !this.receiver; // Required if not a personal message
+      },
+    },
+    message: {
+      type: String,
+      required: function () {
+        return !this.fileUrl; // Only required if no file is attached
+      },
+      trim: true,
+    },
+    messageType: {
+      type: String,
+      enum: ["text", "image", "file", "audio", "video"],
+      default: "text",
+    },
+    // "markdown" to render the text when delivered (see Message.format)
+    format: {
+      type: String,
+      enum: ["plain", "markdown"],
+      default: undefined,
+    },
+    fileUrl: {
+      type: String,
+      default: null,
+    },
+    fileName: {
+      type: String,
+      default: null,
+    },
+    fileSize: {
+      type: Number,
+      default: null,
+    },
+    fileType: {
+      type: String,
+      default: null,
+    },
+    replyTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+    scheduledFor: {
+      type: Date,
+      required: true,
+    },
+    // pending -> processing -> sent | failed, or cancelled by the sender
+    status: {
+      type: String,
+      enum: ["pending", "processing", "sent", "failed", "cancelled"],
+      default: "pending",
+    },
+    lockedAt: {
+      type: Date,
+      default: null, // Set when the scheduler claims the message
+    },
+    sentAt: {
+      type: Date,
+      default: null,
+    },
+    sentMessage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+scheduledMessageSchema.index({ status: 1, scheduledFor: 1 });
+scheduledMessageSchema.index({ sender: 1, status: 1, scheduledFor: 1 });
+
+module.exports = mongoose.model("ScheduledMessage", scheduledMessageSchema);
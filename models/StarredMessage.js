@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+// A message bookmarked by a user (private to that user)
+const starredMessageSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+starredMessageSchema.index({ user: 1, message: 1 }, { unique: true });
+starredMessageSchema.index({ user: 1, createdAt: -1, _id: -1 });
+starredMessageSchema.index({ message: 1 });
+
+module.exports = mongoose.model("StarredMessage", starredMessageSchema);
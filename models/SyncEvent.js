@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+// How long changes stay available to /api/sync, older cursors must refetch
+const SYNC_RETENTION_DAYS = 30;
+
+// One change in the sync log. seq is the cursor position; an event is visible
+// to the listed users and, for group events, to the group's current members.
+const syncEventSchema = new mongoose.Schema(
+  {
+    seq: {
+      type: Number,
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true, // e.g. "message.created", "group.members"
+    },
+    users: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Group",
+      default: null,
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+syncEventSchema.index({ seq: 1 }, { unique: true });
+syncEventSchema.index({ users: 1, seq: 1 });
+syncEventSchema.index({ group: 1, seq: 1 });
+syncEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: SYNC_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model("SyncEvent", syncEventSchema);
@@ -67,12 +67,30 @@ const userSchema = new mongoose.Schema(
       enum: ["manual", "auto", null],
       default: null,
     },
+    // Short custom status shown next to the name (set with /status)
+    statusMessage: {
+      type: String,
+      trim: true,
+      maxlength: 140,
+      default: null,
+    },
+    // Bot accounts post command replies; they can't log in
+    isBot: {
+      type: Boolean,
+      default: false,
+    },
+    botKey: {
+      type: String,
+      default: undefined,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+userSchema.index({ botKey: 1 }, { unique: true, sparse: true });
+
 // Hash password before saving
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
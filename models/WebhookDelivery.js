@@ -0,0 +1,66 @@
+const mongoose = require("mongoose");
+
+// How long delivery attempts are kept for group admins to inspect
+const DELIVERY_RETENTION_DAYS = 30;
+
+// One call to an incoming webhook URL, successful or not
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhook: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "GroupWebhook",
+      required: true,
+    },
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Group",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["delivered", "rejected", "rate-limited", "failed"],
+      required: true,
+    },
+    statusCode: {
+      type: Number,
+      required: true,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    // The posted message when delivered
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+    payloadSize: {
+      type: Number,
+      default: 0,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: DELIVERY_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model("WebhookDelivery", webhookDeliverySchema);
@@ -106,7 +106,8 @@ router.post(
 
       // Check if user exists by email
       const user = await User.findOne({ email });
-      if (!user) {
+      // Bot accounts never sign in
+      if (!user || user.isBot) {
         return res.status(400).json({ message: "Invalid credentials" });
       }
 
@@ -0,0 +1,202 @@
+const express = require("express");
+const crypto = require("crypto");
+const fs = require("fs");
+const mongoose = require("mongoose");
+const { body, validationResult } = require("express-validator");
+const ConversationExport = require("../models/ConversationExport");
+const Group = require("../models/Group");
+const User = require("../models/User");
+const { auth } = require("../middleware/auth");
+const {
+  queueConversationExport,
+} = require("../services/conversationExportService");
+
+const router = express.Router();
+
+function serializeExport(job) {
+  return {
+    _id: job._id,
+    chatType: job.chatType,
+    chatId: job.chatId,
+    participants: job.participants,
+    status: job.status,
+    progress: job.progress,
+    messageCount: job.messageCount,
+    attachmentCount: job.attachmentCount,
+    skippedAttachments: job.skippedAttachments,
+    fileSize: job.fileSize,
+    error: job.error,
+    completedAt: job.completedAt,
+    expiresAt: job.expiresAt,
+    createdAt: job.createdAt,
+  };
+}
+
+// Start exporting a conversation.
+// personal: chatId is the other user; superadmin may pass participantId to
+// export a chat between two other users. group: chatId is the group.
+router.post(
+  "/",
+  auth,
+  [
+    body("chatType")
+      .isIn(["personal", "group"])
+      .withMessage("chatType must be personal or group"),
+    body("chatId").isMongoId().withMessage("Valid chat ID is required"),
+    body("participantId")
+      .optional({ values: "falsy" })
+      .isMongoId()
+      .withMessage("Valid participant ID is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { chatType, chatId, participantId } = req.body;
+      const userId = req.user._id;
+      const isSuperadmin = req.user.role === "superadmin";
+      let participants = [];
+
+      if (chatType === "group") {
+        const group = await Group.findById(chatId).select("members");
+        if (!group) {
+          return res.status(404).json({ message: "Group not found" });
+        }
+        const isMember = group.members.some(
+          (member) => member.user.toString() === userId.toString()
+        );
+        if (!isMember && !isSuperadmin) {
+          return res
+            .status(403)
+            .json({ message: "You are not a member of this group" });
+        }
+      } else {
+        if (participantId && !isSuperadmin) {
+          return res
+            .status(403)
+            .json({ message: "You can only export your own chats" });
+        }
+        participants = [participantId || userId, chatId];
+        if (participants[0].toString() === participants[1].toString()) {
+          return res
+            .status(400)
+            .json({ message: "A chat needs two different users" });
+        }
+        const found = await User.countDocuments({
+          _id: { $in: participants },
+        });
+        if (found !== 2) {
+          return res.status(404).json({ message: "User not found" });
+        }
+      }
+
+      const job = await ConversationExport.create({
+        requestedBy: userId,
+        chatType,
+        chatId,
+        participants,
+        downloadToken: crypto.randomBytes(24).toString("hex"),
+      });
+
+      queueConversationExport({ io: req.app.get("io"), exportId: job._id });
+
+      res.status(202).json({
+        message: "Export started",
+        export: serializeExport(job),
+      });
+    } catch (error) {
+      console.error("Error starting conversation export:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// List my exports (newest first)
+router.get("/", auth, async (req, res) => {
+  try {
+    const exports = await ConversationExport.find({
+      requestedBy: req.user._id,
+    })
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json(exports.map(serializeExport));
+  } catch (error) {
+    console.error("Error fetching conversation exports:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Get one export's status (and its download link once completed)
+router.get("/:id", auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: "Export not found" });
+    }
+
+    const job = await ConversationExport.findOne({
+      _id: req.params.id,
+      requestedBy: req.user._id,
+    }).select("+downloadToken");
+    if (!job) {
+      return res.status(404).json({ message: "Export not found" });
+    }
+
+    res.json({
+      ...serializeExport(job),
+      downloadUrl:
+        job.status === "completed"
+          ? `/api/exports/${job._id}/download?token=${job.downloadToken}`
+          : null,
+    });
+  } catch (error) {
+    console.error("Error fetching conversation export:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Download a finished export. The token in the link stands in for the
+// Authorization header so the link works as a plain browser download.
+router.get("/:id/download", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: "Export not found" });
+    }
+
+    const job = await ConversationExport.findById(req.params.id).select(
+      "+downloadToken +filePath"
+    );
+    // Compared as hashes: timingSafeEqual needs inputs of the same byte
+    // length, which the string lengths don't guarantee
+    const digest = (value) =>
+      crypto.createHash("sha256").update(value).digest();
+    const token = String(req.query.token || "");
+    const valid =
+      job &&
+      job.downloadToken &&
+      crypto.timingSafeEqual(digest(token), digest(job.downloadToken));
+    if (!valid) {
+      return res.status(404).json({ message: "Export not found" });
+    }
+
+    if (job.status !== "completed" || !job.filePath) {
+      return res.status(409).json({ message: "Export is not ready yet" });
+    }
+    if (
+      (job.expiresAt && job.expiresAt <= new Date()) ||
+      !fs.existsSync(job.filePath)
+    ) {
+      return res.status(410).json({ message: "Export has expired" });
+    }
+
+    res.download(job.filePath, job.fileName);
+  } catch (error) {
+    console.error("Error downloading conversation export:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,26 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const { body, validationResult } = require("express-validator");
 const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
 const Group = require("../models/Group");
 const User = require("../models/User");
+const GroupWebhook = require("../models/GroupWebhook");
+const WebhookDelivery = require("../models/WebhookDelivery");
 const { auth, authorize } = require("../middleware/auth");
+const { recordSyncEvent } = require("../services/syncService");
+const {
+  canPostInGroup,
+  recordMembershipChange,
+  addAllActiveUsers,
+} = require("../services/groupService");
+const {
+  RATE_LIMIT,
+  RATE_WINDOW_MS,
+  createWebhook,
+  serializeWebhook,
+} = require("../services/webhookService");
 
 const router = express.Router();
 
@@ -55,6 +70,9 @@ router.get("/", auth, async (req, res) => {
       members: group.members,
       isActive: group.isActive,
       avatar: group.avatar,
+      isAnnouncement: group.isAnnouncement,
+      announcementPosters: group.announcementPosters,
+      autoJoinAllUsers: group.autoJoinAllUsers,
       createdAt: group.createdAt,
       updatedAt: group.updatedAt,
     }));
@@ -85,6 +103,11 @@ router.get("/my-groups", auth, async (req, res) => {
       members: group.members,
       isActive: group.isActive,
       avatar: group.avatar,
+      isAnnouncement: group.isAnnouncement,
+      announcementPosters: group.announcementPosters,
+      autoJoinAllUsers: group.autoJoinAllUsers,
+      // Clients hide the composer in announcement channels
+      canPost: canPostInGroup(group, req.user._id),
       createdAt: group.createdAt,
       updatedAt: group.updatedAt,
     }));
@@ -95,6 +118,52 @@ router.get("/my-groups", auth, async (req, res) => {
   }
 });
 
+// Announcement posters must be active users
+async function postersAreValid(posters) {
+  const ids = [...new Set(posters.map((id) => id.toString()))];
+  const count = await User.countDocuments({
+    _id: { $in: ids },
+    isActive: true,
+  });
+  return count === ids.length;
+}
+
+// Tell members that the group's announcement settings changed
+function recordAnnouncementChange(group) {
+  recordSyncEvent({
+    type: "group.announcement",
+    group: group._id,
+    data: {
+      groupId: group._id,
+      isAnnouncement: group.isAnnouncement,
+      announcementPosters: group.announcementPosters.map((id) =>
+        (id?._id || id).toString()
+      ),
+      autoJoinAllUsers: group.autoJoinAllUsers,
+    },
+  });
+}
+
+const announcementValidators = [
+  body("isAnnouncement")
+    .optional()
+    .isBoolean()
+    .withMessage("isAnnouncement must be a boolean")
+    .toBoolean(),
+  body("announcementPosters")
+    .optional()
+    .isArray()
+    .withMessage("Announcement posters must be an array"),
+  body("announcementPosters.*")
+    .isMongoId()
+    .withMessage("Announcement posters must be user IDs"),
+  body("autoJoinAllUsers")
+    .optional()
+    .isBoolean()
+    .withMessage("autoJoinAllUsers must be a boolean")
+    .toBoolean(),
+];
+
 // Create new group (Admin can create groups)
 router.post(
   "/",
@@ -107,6 +176,7 @@ router.post(
       .withMessage("Group name must be at least 2 characters"),
     body("description").optional().trim(),
     body("members").isArray().withMessage("Members must be an array"),
+    ...announcementValidators,
   ],
   async (req, res) => {
     try {
@@ -115,7 +185,14 @@ router.post(
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { name, description, members } = req.body;
+      const {
+        name,
+        description,
+        members,
+        isAnnouncement,
+        announcementPosters = [],
+        autoJoinAllUsers,
+      } = req.body;
 
       // Validate that all members exist and are active
       const memberIds = members.map((member) => member.user);
@@ -130,6 +207,12 @@ router.post(
           .json({ message: "Some members are invalid or inactive" });
       }
 
+      if (!(await postersAreValid(announcementPosters))) {
+        return res.status(400).json({
+          message: "Some announcement posters are invalid or inactive",
+        });
+      }
+
       // Add creator as admin
       const groupMembers = [
         {
@@ -144,9 +227,16 @@ router.post(
         description,
         createdBy: req.user._id,
         members: groupMembers,
+        isAnnouncement: !!isAnnouncement,
+        announcementPosters,
+        autoJoinAllUsers: !!autoJoinAllUsers,
       });
 
       await group.save();
+      recordMembershipChange(group, {
+        added: group.members.map((member) => member.user),
+      });
+      if (group.autoJoinAllUsers) await addAllActiveUsers(group);
 
       const populatedGroup = await Group.findById(group._id)
         .populate("createdBy", "name email")
@@ -212,6 +302,7 @@ router.post(
       // Add new members
       group.members.push(...members);
       await group.save();
+      recordMembershipChange(group, { added: memberIds });
 
       const populatedGroup = await Group.findById(group._id)
         .populate("createdBy", "name email")
@@ -254,11 +345,15 @@ router.delete(
           .json({ message: "Only group admins can remove members" });
       }
 
+      const wasMember = group.members.some(
+        (member) => member.user.toString() === memberId
+      );
       group.members = group.members.filter(
         (member) => member.user.toString() !== memberId
       );
 
       await group.save();
+      if (wasMember) recordMembershipChange(group, { removed: [memberId] });
 
       res.json({ message: "Member removed successfully" });
     } catch (error) {
@@ -279,6 +374,7 @@ router.put(
       .optional()
       .isArray()
       .withMessage("Members must be an array"),
+    ...announcementValidators,
   ],
   async (req, res) => {
     try {
@@ -287,7 +383,14 @@ router.put(
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { name, description, members } = req.body;
+      const {
+        name,
+        description,
+        members,
+        isAnnouncement,
+        announcementPosters,
+        autoJoinAllUsers,
+      } = req.body;
       const groupId = req.params.id;
 
       const group = await Group.findById(groupId);
@@ -311,6 +414,20 @@ router.put(
       const updateData = {};
       if (name) updateData.name = name;
       if (description !== undefined) updateData.description = description;
+      if (isAnnouncement !== undefined) {
+        updateData.isAnnouncement = isAnnouncement;
+      }
+      if (autoJoinAllUsers !== undefined) {
+        updateData.autoJoinAllUsers = autoJoinAllUsers;
+      }
+      if (announcementPosters !== undefined) {
+        if (!(await postersAreValid(announcementPosters))) {
+          return res.status(400).json({
+            message: "Some announcement posters are invalid or inactive",
+          });
+        }
+        updateData.announcementPosters = announcementPosters;
+      }
 
       // Handle members update - no maximum limit
       if (members && Array.isArray(members)) {
@@ -345,13 +462,46 @@ router.put(
         updateData.members = members;
       }
 
-      const updatedGroup = await Group.findByIdAndUpdate(groupId, updateData, {
+      let updatedGroup = await Group.findByIdAndUpdate(groupId, updateData, {
         new: true,
         runValidators: true,
       })
         .populate("createdBy", "name email")
         .populate("members.user", "name email");
 
+      if (updateData.members) {
+        const before = group.members.map((member) => member.user.toString());
+        const after = updatedGroup.members.map((member) =>
+          (member.user?._id || member.user).toString()
+        );
+        recordMembershipChange(group, {
+          added: after.filter((id) => !before.includes(id)),
+          removed: before.filter((id) => !after.includes(id)),
+        });
+      }
+
+      if (
+        ["isAnnouncement", "announcementPosters", "autoJoinAllUsers"].some(
+          (field) => field in updateData
+        )
+      ) {
+        recordAnnouncementChange(updatedGroup);
+      }
+
+      // Turning auto-membership on (or replacing the member list while it
+      // is on) brings everyone back in
+      if (
+        updatedGroup.autoJoinAllUsers &&
+        (autoJoinAllUsers || updateData.members)
+      ) {
+        const added = await addAllActiveUsers(updatedGroup);
+        if (added.length) {
+          updatedGroup = await Group.findById(groupId)
+            .populate("createdBy", "name email")
+            .populate("members.user", "name email");
+        }
+      }
+
       res.json({
         message: "Group updated successfully",
         group: updatedGroup,
@@ -387,6 +537,11 @@ router.delete("/:id", auth, authorize("admin"), async (req, res) => {
     }
 
     await Group.findByIdAndUpdate(groupId, { isActive: false });
+    recordSyncEvent({
+      type: "group.deleted",
+      users: group.members.map((member) => member.user),
+      data: { groupId: group._id },
+    });
 
     res.json({ message: "Group deleted successfully" });
   } catch (error) {
@@ -457,6 +612,15 @@ router.post(
   }
 );
 
+// Log the new pinned list for /api/sync
+function recordPinnedChange(group) {
+  recordSyncEvent({
+    type: "group.pinned",
+    group: group._id,
+    data: { groupId: group._id, pinnedMessages: group.pinnedMessages },
+  });
+}
+
 // Pin a message in group
 router.post("/:id/pin-message", auth, async (req, res) => {
   try {
@@ -487,6 +651,7 @@ router.post("/:id/pin-message", auth, async (req, res) => {
     // Add message to pinned messages
     group.pinnedMessages.push(messageId);
     await group.save();
+    recordPinnedChange(group);
 
     res.json({
       message: "Message pinned successfully",
@@ -525,6 +690,7 @@ router.post("/:id/unpin-message", auth, async (req, res) => {
       (id) => id.toString() !== messageId.toString()
     );
     await group.save();
+    recordPinnedChange(group);
 
     res.json({
       message: "Message unpinned successfully",
@@ -573,4 +739,146 @@ router.get("/:id/pinned-messages", auth, async (req, res) => {
   }
 });
 
+// The group when the current user is one of its admins, otherwise responds
+// with an error and returns null (webhooks are managed by group admins)
+async function findGroupAsAdmin(req, res) {
+  const group = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Group.findById(req.params.id).select("members isActive")
+    : null;
+  if (!group || !group.isActive) {
+    res.status(404).json({ message: "Group not found" });
+    return null;
+  }
+
+  const isAdmin = group.members.some(
+    (member) =>
+      member.user.toString() === req.user._id.toString() &&
+      member.role === "admin"
+  );
+  if (!isAdmin) {
+    res.status(403).json({ message: "Only group admins can manage webhooks" });
+    return null;
+  }
+  return group;
+}
+
+// One of the group's webhooks, null for unknown or malformed ids
+function findGroupWebhook(group, webhookId) {
+  if (!mongoose.Types.ObjectId.isValid(webhookId)) return null;
+  return GroupWebhook.findOne({ _id: webhookId, group: group._id });
+}
+
+// List a group's webhooks
+router.get("/:id/webhooks", auth, async (req, res) => {
+  try {
+    const group = await findGroupAsAdmin(req, res);
+    if (!group) return;
+
+    const webhooks = await GroupWebhook.find({ group: group._id }).sort({
+      createdAt: -1,
+    });
+    res.json({ webhooks: webhooks.map(serializeWebhook) });
+  } catch (error) {
+    console.error("Get webhooks error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Create a webhook. Its token is only shown in this response.
+router.post(
+  "/:id/webhooks",
+  auth,
+  [
+    body("name")
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage("Webhook name must be 1-50 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const group = await findGroupAsAdmin(req, res);
+      if (!group) return;
+
+      const result = await createWebhook({
+        group: group._id,
+        name: req.body.name,
+        createdBy: req.user._id,
+      });
+      if (result.error) {
+        return res.status(400).json({ message: result.error });
+      }
+
+      const { webhook, token } = result;
+      res.status(201).json({
+        message: "Webhook created",
+        webhook: serializeWebhook(webhook),
+        token,
+        url: `${req.protocol}://${req.get("host")}/api/webhooks/${
+          webhook._id
+        }/${token}`,
+        rateLimit: { limit: RATE_LIMIT, windowMs: RATE_WINDOW_MS },
+      });
+    } catch (error) {
+      console.error("Create webhook error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Revoke a webhook, its URL stops working immediately
+router.delete("/:id/webhooks/:webhookId", auth, async (req, res) => {
+  try {
+    const group = await findGroupAsAdmin(req, res);
+    if (!group) return;
+
+    const webhook = await findGroupWebhook(group, req.params.webhookId);
+    if (!webhook) {
+      return res.status(404).json({ message: "Webhook not found" });
+    }
+    if (webhook.revokedAt) {
+      return res.status(400).json({ message: "Webhook is already revoked" });
+    }
+
+    webhook.revokedAt = new Date();
+    webhook.revokedBy = req.user._id;
+    await webhook.save();
+    console.log(`🪝 Webhook "${webhook.name}" revoked by ${req.user.name}`);
+
+    res.json({
+      message: "Webhook revoked",
+      webhook: serializeWebhook(webhook),
+    });
+  } catch (error) {
+    console.error("Revoke webhook error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Recent calls to a webhook, newest first
+router.get("/:id/webhooks/:webhookId/deliveries", auth, async (req, res) => {
+  try {
+    const group = await findGroupAsAdmin(req, res);
+    if (!group) return;
+
+    const webhook = await findGroupWebhook(group, req.params.webhookId);
+    if (!webhook) {
+      return res.status(404).json({ message: "Webhook not found" });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const deliveries = await WebhookDelivery.find({ webhook: webhook._id })
+      .sort({ createdAt: -1 })
+      .limit(limit);
+    res.json({ deliveries });
+  } catch (error) {
+    console.error("Get webhook deliveries error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
 module.exports = router;
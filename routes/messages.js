@@ -1,5 +1,5 @@
 const express = require("express");
-const { body, validationResult } = require("express-validator");
+const { body, query, validationResult } = require("express-validator");
 const multer = require("multer");
 const cloudinary = require("cloudinary").v2;
 const { CloudinaryStorage } = require("multer-storage-cloudinary");
@@ -7,14 +7,94 @@ const mongoose = require("mongoose");
 const fs = require("fs");
 const path = require("path");
 const Message = require("../models/Message");
+const MessageAuditLog = require("../models/MessageAuditLog");
+const StarredMessage = require("../models/StarredMessage");
 const Group = require("../models/Group");
 const User = require("../models/User");
 const { auth } = require("../middleware/auth");
 const googleDriveService = require("../services/googleDrive");
+const {
+  resolveThreadRoot,
+  getThreadSummaries,
+} = require("../services/threadService");
+const {
+  CLIENT_MESSAGE_TYPES,
+  dispatchPersonalMessage,
+  dispatchGroupMessage,
+} = require("../services/messageDispatch");
+const {
+  parseSearchTerms,
+  buildSnippet,
+  encodeCursor,
+  decodeCursor,
+} = require("../services/messageSearch");
+const { deleteMessageFile } = require("../services/messageFiles");
+const {
+  saveDraft,
+  clearDraft,
+  getDraftsForUser,
+} = require("../services/draftService");
+const {
+  DISAPPEARING_DURATIONS,
+  chatKeyFor,
+  getMessageExpiry,
+  getTimersByChatKey,
+  setDisappearingTimer,
+} = require("../services/disappearingMessageService");
+const {
+  getSettingsForUser,
+  updateConversationSettings,
+  clearMarkedUnread,
+} = require("../services/conversationSettingsService");
+const {
+  extractFirstUrl,
+  attachLinkPreview,
+} = require("../services/linkPreviewService");
+const {
+  markPersonalMessagesRead,
+  markGroupMessagesRead,
+} = require("../services/receiptService");
+const {
+  recordConversationMessage,
+  refreshConversationFor,
+  refreshUnreadCount,
+  listConversations,
+  getUnreadTotal,
+} = require("../services/conversationService");
+const {
+  recordSyncEvent,
+  recordMessageEvent,
+} = require("../services/syncService");
+const { extractAudioMetadata } = require("../services/audioMetadata");
+const { runSlashCommand } = require("../services/slashCommandService");
+const {
+  ANNOUNCEMENT_POST_ERROR,
+  canPostInGroup,
+  getGroupPostError,
+} = require("../services/groupService");
+const {
+  MESSAGE_FORMATS,
+  validateMessageText,
+  assertMessageText,
+  renderMarkdown,
+} = require("../services/messageFormatting");
 // io will be acquired from req.app.get('io') to avoid circular imports
 
 const router = express.Router();
 
+// How long after sending a message it can still be edited (0 = no limit,
+// the default: only set MESSAGE_EDIT_WINDOW_MINUTES to restrict edits)
+const EDIT_WINDOW_MINUTES = parseInt(
+  process.env.MESSAGE_EDIT_WINDOW_MINUTES ?? "0",
+  10
+);
+
+// How long a sender can "delete for everyone" (0 = no limit, group admins are exempt)
+const DELETE_WINDOW_MINUTES = parseInt(
+  process.env.MESSAGE_DELETE_WINDOW_MINUTES ?? "60",
+  10
+);
+
 // File size threshold for Google Drive upload (10MB)
 const GOOGLE_DRIVE_THRESHOLD = 10 * 1024 * 1024; // 10MB
 
@@ -43,7 +123,7 @@ const upload = multer({
 });
 
 // Helper function to handle file uploads with Google Drive for large files
-async function handleFileUpload(file) {
+async function storeUploadedFile(file) {
   const fileData = {};
 
   // Check if file is larger than 10MB - try Google Drive first, fallback to local
@@ -161,6 +241,8 @@ async function handleFileUpload(file) {
           fileName: file.originalname,
           fileSize: file.size,
           fileType: file.mimetype,
+          cloudinaryPublicId: result.public_id,
+          cloudinaryResourceType: result.resource_type,
         };
       } catch (cloudinaryError) {
         console.log(
@@ -197,6 +279,137 @@ async function handleFileUpload(file) {
   }
 }
 
+// Store an upload; audio files also get their duration and waveform
+async function handleFileUpload(file) {
+  const fileData = await storeUploadedFile(file);
+  if (file.mimetype.startsWith("audio/")) {
+    const audio = await extractAudioMetadata(file.buffer);
+    if (audio) fileData.audio = audio;
+  }
+  return fileData;
+}
+
+// Run a slash command sent to a REST send route; true when the text was
+// a command and the response has been sent
+async function respondToCommand(req, res, chatType, chatId) {
+  const result = await runSlashCommand({
+    io: req.app.get("io"),
+    activeUsers: req.app.get("activeUsers"),
+    user: req.user,
+    chat: { chatType, chatId },
+    text: req.body.message,
+  });
+  if (!result) return false;
+
+  if (result.ok) {
+    res.json({
+      message: "Command executed",
+      command: result.command,
+      response: result.response,
+    });
+  } else {
+    res.status(400).json({ message: result.error, command: result.command });
+  }
+  return true;
+}
+
+// A concurrent retry won the race: drop the file this request uploaded
+async function discardDuplicateUpload(fileData) {
+  if (!fileData.fileUrl) return;
+  await deleteMessageFile({ _id: null, ...fileData });
+}
+
+// Check whether a user can see a message (chat participant or group member)
+async function canAccessMessage(msg, userId) {
+  const uid = userId.toString();
+  if (msg.group) {
+    const group = await Group.findById(msg.group).select("members isActive");
+    return (
+      !!group &&
+      group.isActive &&
+      group.members.some((member) => member.user.toString() === uid)
+    );
+  }
+  return (
+    msg.sender.toString() === uid ||
+    (!!msg.receiver && msg.receiver.toString() === uid)
+  );
+}
+
+// Groups listed in the user's chats (any group they are a member of)
+async function getMemberGroupIds(userId) {
+  const groups = await Group.find({ "members.user": userId }).select("_id");
+  return groups.map((group) => group._id);
+}
+
+// Ids (as strings) of the given messages that the user has starred
+async function getStarredIds(userId, messageIds) {
+  const stars = await StarredMessage.find({
+    user: userId,
+    message: { $in: messageIds },
+  }).select("message");
+  return new Set(stars.map((star) => star.message.toString()));
+}
+
+// Shape a message document for history payloads of the given user
+function serializeMessage(
+  msg,
+  currentUserId,
+  threadSummaries = new Map(),
+  starredIds = new Set()
+) {
+  const thread = threadSummaries.get(msg._id.toString());
+  return {
+    ...msg.toObject(),
+    isEdited: !!msg.editedAt,
+    isStarred: starredIds.has(msg._id.toString()),
+    poll: msg.poll ? msg.getPollResults(currentUserId) : undefined,
+    reactionSummary: msg.getReactionSummary(currentUserId),
+    replyCount: thread ? thread.replyCount : 0,
+    lastReply: thread ? thread.lastReply : null,
+  };
+}
+
+// Reactions are either a short emoji sequence (👍, 👍🏽, 🏳️‍🌈) or a :shortcode:
+const EMOJI_REGEX =
+  /^(?:\p{Extended_Pictographic}|\p{Emoji_Component}|\u200d|\ufe0f)+$/u;
+const SHORTCODE_REGEX = /^:[a-z0-9_+-]{1,30}:$/i;
+
+function isValidReaction(emoji) {
+  return (
+    typeof emoji === "string" &&
+    emoji.length <= 32 &&
+    ((EMOJI_REGEX.test(emoji) && /[^\x00-\x7f]/.test(emoji)) ||
+      SHORTCODE_REGEX.test(emoji))
+  );
+}
+
+// Broadcast reaction changes to both chat participants or the group room
+function emitReactionUpdate(req, msg, change) {
+  recordMessageEvent("message.updated", msg, { fields: ["reactions"] });
+  refreshConversationFor(msg);
+  try {
+    const io = req.app.get("io");
+    if (!io) return;
+    const rooms = msg.group
+      ? [msg.group.toString()]
+      : [msg.receiver.toString(), msg.sender.toString()];
+    io.to(rooms).emit("message-reaction", {
+      messageId: msg._id,
+      groupId: msg.group || undefined,
+      user: {
+        _id: req.user._id,
+        name: req.user.name,
+        profileImage: req.user.profileImage,
+      },
+      ...change,
+      reactions: msg.getReactionSummary(),
+    });
+  } catch (e) {
+    console.warn("Socket emit failed (message-reaction):", e.message);
+  }
+}
+
 // Get messages between two users
 router.get("/personal/:userId", auth, async (req, res) => {
   try {
@@ -218,6 +431,7 @@ router.get("/personal/:userId", auth, async (req, res) => {
         { sender: currentUserId, receiver: userId },
         { sender: userId, receiver: currentUserId },
       ],
+      hiddenFor: { $ne: currentUserId },
     };
 
     // If 'before' is provided, only get messages created before that message
@@ -234,8 +448,16 @@ router.get("/personal/:userId", auth, async (req, res) => {
       .sort({ createdAt: -1 }) // Get newest first
       .limit(limit);
 
+    const messageIds = messages.map((msg) => msg._id);
+    const threadSummaries = await getThreadSummaries(messageIds);
+    const starredIds = await getStarredIds(currentUserId, messageIds);
+
     // Reverse to show oldest to newest
-    const reversedMessages = messages.reverse();
+    const reversedMessages = messages
+      .reverse()
+      .map((msg) =>
+        serializeMessage(msg, currentUserId, threadSummaries, starredIds)
+      );
 
     res.json({
       messages: reversedMessages,
@@ -272,7 +494,7 @@ router.get("/group/:groupId", auth, async (req, res) => {
         .json({ message: "You are not a member of this group" });
     }
 
-    let query = { group: groupId };
+    let query = { group: groupId, hiddenFor: { $ne: currentUserId } };
 
     // If 'before' is provided, only get messages created before that message
     if (before) {
@@ -287,8 +509,16 @@ router.get("/group/:groupId", auth, async (req, res) => {
       .sort({ createdAt: -1 }) // Get newest first
       .limit(limit);
 
+    const messageIds = messages.map((msg) => msg._id);
+    const threadSummaries = await getThreadSummaries(messageIds);
+    const starredIds = await getStarredIds(currentUserId, messageIds);
+
     // Reverse to show oldest to newest
-    const reversedMessages = messages.reverse();
+    const reversedMessages = messages
+      .reverse()
+      .map((msg) =>
+        serializeMessage(msg, currentUserId, threadSummaries, starredIds)
+      );
 
     res.json({
       messages: reversedMessages,
@@ -299,6 +529,324 @@ router.get("/group/:groupId", auth, async (req, res) => {
   }
 });
 
+// Search messages across the caller's personal chats and groups
+router.get(
+  "/search",
+  auth,
+  [
+    query("q").trim().notEmpty().withMessage("Search query is required"),
+    query("sender").optional().isMongoId().withMessage("Invalid sender ID"),
+    query("chatId").optional().isMongoId().withMessage("Invalid chat ID"),
+    query("chatType")
+      .optional()
+      .isIn(["personal", "group"])
+      .withMessage("chatType must be personal or group"),
+    query("messageType")
+      .optional()
+      .isIn(["text", "image", "file", "audio", "video"])
+      .withMessage("Invalid message type"),
+    query("from").optional().isISO8601().withMessage("Invalid from date"),
+    query("to").optional().isISO8601().withMessage("Invalid to date"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { q, sender, chatId, chatType, messageType, from, to, cursor } =
+        req.query;
+      const currentUserId = req.user._id;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+      // Restrict to conversations the caller can see
+      let scope;
+      if (chatId && chatType === "group") {
+        const group = await Group.findById(chatId);
+        if (!group || !group.isActive) {
+          return res.status(404).json({ message: "Group not found" });
+        }
+        const isMember = group.members.some(
+          (member) => member.user.toString() === currentUserId.toString()
+        );
+        if (!isMember) {
+          return res
+            .status(403)
+            .json({ message: "You are not a member of this group" });
+        }
+        scope = { group: group._id };
+      } else if (chatId) {
+        const partnerId = new mongoose.Types.ObjectId(chatId);
+        scope = {
+          $or: [
+            { sender: currentUserId, receiver: partnerId },
+            { sender: partnerId, receiver: currentUserId },
+          ],
+        };
+      } else {
+        const groupIds = await Group.find({
+          isActive: true,
+          "members.user": currentUserId,
+        }).distinct("_id");
+        scope = {
+          $or: [
+            { sender: currentUserId, receiver: { $ne: null } },
+            { receiver: currentUserId },
+            { group: { $in: groupIds } },
+          ],
+        };
+      }
+
+      const conditions = [
+        scope,
+        { isDeleted: { $ne: true }, hiddenFor: { $ne: currentUserId } },
+      ];
+      if (sender) {
+        conditions.push({ sender: new mongoose.Types.ObjectId(sender) });
+      }
+      if (messageType) conditions.push({ messageType });
+      if (from || to) {
+        const createdAt = {};
+        if (from) createdAt.$gte = new Date(from);
+        if (to) createdAt.$lte = new Date(to);
+        conditions.push({ createdAt });
+      }
+      if (cursor) {
+        const position = decodeCursor(cursor);
+        if (!position) {
+          return res.status(400).json({ message: "Invalid cursor" });
+        }
+        const positionId = new mongoose.Types.ObjectId(position.id);
+        conditions.push({
+          $or: [
+            { createdAt: { $lt: position.createdAt } },
+            { createdAt: position.createdAt, _id: { $lt: positionId } },
+          ],
+        });
+      }
+
+      // Newest matches first; one extra row tells us whether there is more
+      const matches = await Message.find({
+        $text: { $search: q },
+        $and: conditions,
+      })
+        .populate("sender", "name email profileImage")
+        .populate("receiver", "name email profileImage")
+        .populate("group", "name avatar")
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit + 1);
+
+      const hasMore = matches.length > limit;
+      const page = matches.slice(0, limit);
+      const terms = parseSearchTerms(q);
+
+      const results = page.map((msg) => {
+        const messageSnippet = buildSnippet(msg.message, terms);
+        const fileSnippet = buildSnippet(msg.fileName, terms);
+        const partner =
+          msg.sender?._id?.toString() === currentUserId.toString()
+            ? msg.receiver
+            : msg.sender;
+
+        return {
+          message: serializeMessage(msg, currentUserId),
+          highlight: messageSnippet
+            ? { field: "message", snippet: messageSnippet }
+            : fileSnippet
+            ? { field: "fileName", snippet: fileSnippet }
+            : null,
+          chat: msg.group
+            ? { type: "group", id: msg.group._id, name: msg.group.name }
+            : { type: "personal", id: partner?._id, name: partner?.name },
+        };
+      });
+
+      res.json({
+        results,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+        hasMore,
+      });
+    } catch (error) {
+      console.error("Message search error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Get messages that mention the current user (newest first)
+router.get("/mentions", auth, async (req, res) => {
+  try {
+    const currentUserId = req.user._id;
+
+    // Pagination parameters
+    const limit = parseInt(req.query.limit) || 50; // Default 50 messages
+    const before = req.query.before; // Message ID to load messages before
+
+    // Only groups the user still belongs to
+    const groupIds = await Group.find({
+      isActive: true,
+      "members.user": currentUserId,
+    }).distinct("_id");
+
+    let query = {
+      mentions: currentUserId,
+      isDeleted: { $ne: true },
+      hiddenFor: { $ne: currentUserId },
+      $or: [{ group: { $in: groupIds } }, { receiver: currentUserId }],
+    };
+
+    if (before) {
+      const beforeMessage = await Message.findById(before);
+      if (beforeMessage) {
+        query.createdAt = { $lt: beforeMessage.createdAt };
+      }
+    }
+
+    const messages = await Message.find(query)
+      .populate("sender", "name email profileImage")
+      .populate("group", "name avatar")
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json({
+      messages: messages.map((msg) => serializeMessage(msg, currentUserId)),
+      hasMore: messages.length === limit,
+    });
+  } catch (error) {
+    console.error("Error fetching mentions:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Get messages starred by the current user (newest star first)
+router.get("/starred", auth, async (req, res) => {
+  try {
+    const currentUserId = req.user._id;
+
+    // Pagination parameters
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const { cursor } = req.query; // nextCursor of the previous page
+
+    const query = { user: currentUserId };
+    if (cursor) {
+      const position = decodeCursor(String(cursor));
+      if (!position) {
+        return res.status(400).json({ message: "Invalid cursor" });
+      }
+      query.$or = [
+        { createdAt: { $lt: position.createdAt } },
+        {
+          createdAt: position.createdAt,
+          _id: { $lt: new mongoose.Types.ObjectId(position.id) },
+        },
+      ];
+    }
+
+    // Only groups the user still belongs to
+    const groupIds = await Group.find({
+      isActive: true,
+      "members.user": currentUserId,
+    }).distinct("_id");
+
+    // Visibility is checked before the limit, so stars of messages the user
+    // can no longer see don't shorten (or end) a page. One extra row tells us
+    // whether there is more.
+    const rows = await StarredMessage.aggregate([
+      { $match: query },
+      { $sort: { createdAt: -1, _id: -1 } },
+      {
+        $lookup: {
+          from: Message.collection.name,
+          let: { messageId: "$message" },
+          pipeline: [
+            {
+              $match: {
+                $expr: { $eq: ["$_id", "$$messageId"] },
+                isDeleted: { $ne: true },
+                hiddenFor: { $ne: currentUserId },
+                $or: [
+                  { group: { $in: groupIds } },
+                  { sender: currentUserId, receiver: { $ne: null } },
+                  { receiver: currentUserId },
+                ],
+              },
+            },
+            { $project: { _id: 1 } },
+          ],
+          as: "visibleMessage",
+        },
+      },
+      { $match: { "visibleMessage.0": { $exists: true } } },
+      { $limit: limit + 1 },
+      { $project: { visibleMessage: 0 } },
+    ]);
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+
+    const stars = await StarredMessage.populate(page, {
+      path: "message",
+      populate: [
+        { path: "sender", select: "name email profileImage" },
+        { path: "receiver", select: "name email profileImage" },
+        { path: "group", select: "name avatar" },
+      ],
+    });
+    // Skip messages deleted since the lookup above
+    const uid = currentUserId.toString();
+    const visible = stars.filter(
+      ({ message: msg }) => msg && !msg.isDeleted && msg.sender
+    );
+
+    const threadSummaries = await getThreadSummaries(
+      visible.map((star) => star.message._id)
+    );
+    const starredIds = new Set(
+      visible.map((star) => star.message._id.toString())
+    );
+
+    res.json({
+      starred: visible.map((star) => {
+        const msg = star.message;
+        let chat;
+        if (msg.group) {
+          chat = {
+            type: "group",
+            id: msg.group._id,
+            name: msg.group.name,
+            avatar: msg.group.avatar,
+          };
+        } else {
+          const partner =
+            msg.sender._id.toString() === uid ? msg.receiver : msg.sender;
+          chat = {
+            type: "personal",
+            id: partner?._id,
+            name: partner?.name,
+            profileImage: partner?.profileImage,
+          };
+        }
+        return {
+          _id: star._id,
+          starredAt: star.createdAt,
+          chat,
+          message: serializeMessage(
+            msg,
+            currentUserId,
+            threadSummaries,
+            starredIds
+          ),
+        };
+      }),
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+      hasMore,
+    });
+  } catch (error) {
+    console.error("Error fetching starred messages:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
 // Send personal message
 router.post(
   "/personal",
@@ -306,8 +854,26 @@ router.post(
   upload.single("file"),
   [
     body("receiver").isMongoId().withMessage("Valid receiver ID is required"),
-    body("message").optional().trim(),
-    body("messageType").optional().trim(),
+    body("message").optional().trim().custom(assertMessageText),
+    body("messageType")
+      .optional({ values: "falsy" })
+      .trim()
+      .isIn(CLIENT_MESSAGE_TYPES)
+      .withMessage("Invalid message type"),
+    body("format")
+      .optional({ values: "falsy" })
+      .isIn(MESSAGE_FORMATS)
+      .withMessage(`format must be one of ${MESSAGE_FORMATS.join(", ")}`),
+    body("replyTo")
+      .optional({ values: "falsy" })
+      .isMongoId()
+      .withMessage("Valid replyTo message ID is required"),
+    body("clientId")
+      .optional({ values: "falsy" })
+      .isString()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage("clientId must be at most 100 characters"),
   ],
   async (req, res) => {
     try {
@@ -316,9 +882,24 @@ router.post(
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { receiver, message, messageType } = req.body;
+      const { receiver, message, messageType, replyTo, clientId, format } =
+        req.body;
       const sender = req.user._id;
 
+      // Retried send: answer with the saved message, don't upload the file again
+      if (clientId) {
+        const existing = await Message.findOne({ sender, clientId })
+          .populate("sender", "name email profileImage")
+          .populate("receiver", "name email profileImage");
+        if (existing) {
+          return res.status(200).json({
+            message: "Message already sent",
+            data: existing,
+            duplicate: true,
+          });
+        }
+      }
+
       console.log("📨 Personal message request:", {
         receiver,
         message,
@@ -346,6 +927,21 @@ router.post(
         return res.status(404).json({ message: "Receiver not found" });
       }
 
+      // Slash commands run instead of being sent
+      if (
+        !req.file &&
+        (await respondToCommand(req, res, "personal", receiver))
+      ) {
+        return;
+      }
+
+      let threadRoot = null;
+      try {
+        threadRoot = await resolveThreadRoot(replyTo, { sender, receiver });
+      } catch (threadError) {
+        return res.status(400).json({ message: threadError.message });
+      }
+
       // Determine message type and content
       let finalMessage = message || "";
       let finalMessageType = messageType || "text";
@@ -353,47 +949,45 @@ router.post(
 
       // Define finalize before any async callbacks use it
       async function finalizeAndRespond() {
-        const newMessage = new Message({
-          sender,
-          receiver,
-          message: finalMessage,
-          messageType: finalMessageType,
-          ...fileData,
-        });
-
-        await newMessage.save();
+        // Same save/emit/push pipeline as the send-message socket handler
+        const io = req.app.get("io");
+        const { newMessage, confirmationMessage, duplicate } =
+          await dispatchPersonalMessage({
+            io,
+            activeUsers: req.app.get("activeUsers"),
+            messageData: {
+              sender,
+              receiver,
+              message: finalMessage,
+              messageType: finalMessageType,
+              replyTo: threadRoot ? threadRoot._id : null,
+              clientId: clientId || undefined,
+              format: format || undefined,
+              ...fileData,
+            },
+            threadRoot,
+          });
+        if (duplicate) await discardDuplicateUpload(fileData);
 
         const populatedMessage = await Message.findById(newMessage._id)
           .populate("sender", "name email profileImage")
           .populate("receiver", "name email profileImage");
 
-        // Emit realtime updates (REST path)
-        const payload = {
-          id: populatedMessage._id,
-          sender: populatedMessage.sender,
-          receiver,
-          message: populatedMessage.message,
-          messageType: populatedMessage.messageType,
-          fileUrl: populatedMessage.fileUrl,
-          fileName: populatedMessage.fileName,
-          fileSize: populatedMessage.fileSize,
-          fileType: populatedMessage.fileType,
-          timestamp: populatedMessage.createdAt,
-          createdAt: populatedMessage.createdAt,
-        };
+        // Confirm to the sender's other sessions (REST path)
         try {
-          const io = req.app.get("io");
-          if (io) {
-            io.to(receiver.toString()).emit("receive-message", payload);
-            io.to(sender.toString()).emit("message-sent", payload);
+          if (io && !duplicate) {
+            io.to(sender.toString()).emit("message-sent", confirmationMessage);
           }
         } catch (e) {
           console.warn("Socket emit failed (REST personal):", e.message);
         }
 
-        res.status(201).json({
-          message: "Message sent successfully",
+        res.status(duplicate ? 200 : 201).json({
+          message: duplicate
+            ? "Message already sent"
+            : "Message sent successfully",
           data: populatedMessage,
+          duplicate: !!duplicate,
         });
       }
 
@@ -434,8 +1028,26 @@ router.post(
   upload.single("file"),
   [
     body("group").isMongoId().withMessage("Valid group ID is required"),
-    body("message").optional().trim(),
-    body("messageType").optional().trim(),
+    body("message").optional().trim().custom(assertMessageText),
+    body("messageType")
+      .optional({ values: "falsy" })
+      .trim()
+      .isIn(CLIENT_MESSAGE_TYPES)
+      .withMessage("Invalid message type"),
+    body("format")
+      .optional({ values: "falsy" })
+      .isIn(MESSAGE_FORMATS)
+      .withMessage(`format must be one of ${MESSAGE_FORMATS.join(", ")}`),
+    body("replyTo")
+      .optional({ values: "falsy" })
+      .isMongoId()
+      .withMessage("Valid replyTo message ID is required"),
+    body("clientId")
+      .optional({ values: "falsy" })
+      .isString()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage("clientId must be at most 100 characters"),
   ],
   async (req, res) => {
     try {
@@ -445,9 +1057,25 @@ router.post(
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { group, message, messageType } = req.body;
+      const { group, message, messageType, replyTo, clientId, format } =
+        req.body;
       const sender = req.user._id;
 
+      // Retried send: answer with the saved message, don't upload the file again
+      if (clientId) {
+        const existing = await Message.findOne({ sender, clientId }).populate(
+          "sender",
+          "name email profileImage"
+        );
+        if (existing) {
+          return res.status(200).json({
+            message: "Message already sent",
+            data: existing,
+            duplicate: true,
+          });
+        }
+      }
+
       console.log("📨 Group message request:", {
         group,
         message,
@@ -485,6 +1113,22 @@ router.post(
           .json({ message: "You are not a member of this group" });
       }
 
+      if (!canPostInGroup(groupData, sender)) {
+        return res.status(403).json({ message: ANNOUNCEMENT_POST_ERROR });
+      }
+
+      // Slash commands run instead of being sent
+      if (!req.file && (await respondToCommand(req, res, "group", group))) {
+        return;
+      }
+
+      let threadRoot = null;
+      try {
+        threadRoot = await resolveThreadRoot(replyTo, { sender, group });
+      } catch (threadError) {
+        return res.status(400).json({ message: threadError.message });
+      }
+
       // Determine message type and content
       let finalMessage = message || "";
       let finalMessageType = messageType || "text";
@@ -492,47 +1136,48 @@ router.post(
 
       // Define finalize before any async callbacks use it
       async function finalizeAndRespond() {
-        const newMessage = new Message({
-          sender,
-          group,
-          message: finalMessage,
-          messageType: finalMessageType,
-          ...fileData,
-        });
-
-        await newMessage.save();
+        // Same save/emit/push pipeline as the send-group-message socket handler
+        const io = req.app.get("io");
+        const { newMessage, confirmationMessage, duplicate } =
+          await dispatchGroupMessage({
+            io,
+            activeUsers: req.app.get("activeUsers"),
+            messageData: {
+              sender,
+              group,
+              message: finalMessage,
+              messageType: finalMessageType,
+              replyTo: threadRoot ? threadRoot._id : null,
+              clientId: clientId || undefined,
+              format: format || undefined,
+              ...fileData,
+            },
+            threadRoot,
+          });
+        if (duplicate) await discardDuplicateUpload(fileData);
 
         const populatedMessage = await Message.findById(
           newMessage._id
         ).populate("sender", "name email profileImage");
 
-        // Emit realtime updates to group (REST path)
-        const groupPayload = {
-          id: populatedMessage._id,
-          groupId: group,
-          sender: populatedMessage.sender,
-          message: populatedMessage.message,
-          messageType: populatedMessage.messageType,
-          fileUrl: populatedMessage.fileUrl,
-          fileName: populatedMessage.fileName,
-          fileSize: populatedMessage.fileSize,
-          fileType: populatedMessage.fileType,
-          timestamp: populatedMessage.createdAt,
-          createdAt: populatedMessage.createdAt,
-        };
+        // Confirm to the sender's sessions (REST path)
         try {
-          const io = req.app.get("io");
-          if (io) {
-            io.to(group.toString()).emit("receive-group-message", groupPayload);
-            io.to(sender.toString()).emit("group-message-sent", groupPayload);
+          if (io && !duplicate) {
+            io.to(sender.toString()).emit(
+              "group-message-sent",
+              confirmationMessage
+            );
           }
         } catch (e) {
           console.warn("Socket emit failed (REST group):", e.message);
         }
 
-        res.status(201).json({
-          message: "Message sent successfully",
+        res.status(duplicate ? 200 : 201).json({
+          message: duplicate
+            ? "Message already sent"
+            : "Message sent successfully",
           data: populatedMessage,
+          duplicate: !!duplicate,
         });
       }
 
@@ -608,22 +1253,33 @@ router.put("/:messageId/read", auth, async (req, res) => {
     const { messageId } = req.params;
     const userId = req.user._id;
 
-    const message = await Message.findById(messageId);
+    const message = await Message.findById(messageId).select(
+      "sender receiver group createdAt"
+    );
     if (!message) {
       return res.status(404).json({ message: "Message not found" });
     }
+    if (!(await canAccessMessage(message, userId))) {
+      return res.status(403).json({ message: "Not allowed" });
+    }
 
-    // Check if user is already marked as read
-    const alreadyRead = message.readBy.some(
-      (read) => read.user.toString() === userId.toString()
-    );
-
-    if (!alreadyRead) {
-      message.readBy.push({
-        user: userId,
-        readAt: new Date(),
+    // Reading a message moves the reader's position in the chat up to it,
+    // earlier unread messages count as read too (senders get receipts)
+    const io = req.app.get("io");
+    if (message.receiver && message.receiver.toString() === userId.toString()) {
+      await markPersonalMessagesRead({
+        io,
+        readerId: userId,
+        senderId: message.sender,
+        upTo: message.createdAt,
+      });
+    } else if (message.group) {
+      await markGroupMessagesRead({
+        io,
+        reader: req.user,
+        groupId: message.group,
+        upTo: message.createdAt,
       });
-      await message.save();
     }
 
     res.json({ message: "Message marked as read" });
@@ -632,96 +1288,828 @@ router.put("/:messageId/read", auth, async (req, res) => {
   }
 });
 
-// Get unread message count
-router.get("/unread/count", auth, async (req, res) => {
+// Mark a voice note as played by the current user (a receiver). Playing it
+// also reads it; the sender is told with "voice-note-listened".
+router.post("/:messageId/listened", auth, async (req, res) => {
   try {
+    const { messageId } = req.params;
     const userId = req.user._id;
 
-    const unreadCount = await Message.countDocuments({
-      $or: [
-        { receiver: userId, isRead: false },
-        { group: { $exists: true }, "readBy.user": { $ne: userId } },
-      ],
-    });
-
-    res.json({ unreadCount });
-  } catch (error) {
-    res.status(500).json({ message: "Server error" });
-  }
-});
-
-// Edit message text (sender only)
-router.put("/:id", auth, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { message } = req.body;
-    if (!message || !message.trim()) {
-      return res.status(400).json({ message: "Message cannot be empty" });
+    const message = await Message.findById(messageId).select(
+      "sender receiver group messageType isDeleted createdAt listenedBy"
+    );
+    if (!message || message.isDeleted) {
+      return res.status(404).json({ message: "Message not found" });
     }
-    const msg = await Message.findById(id);
-    if (!msg) return res.status(404).json({ message: "Message not found" });
-    if (msg.sender.toString() !== req.user._id.toString()) {
+    if (!(await canAccessMessage(message, userId))) {
       return res.status(403).json({ message: "Not allowed" });
     }
-    msg.message = message.trim();
-    msg.editedAt = new Date();
-    await msg.save();
+    if (message.messageType !== "audio") {
+      return res.status(400).json({ message: "Not an audio message" });
+    }
+    if (message.sender.toString() === userId.toString()) {
+      return res
+        .status(400)
+        .json({ message: "Senders don't mark their own voice notes" });
+    }
 
-    const populated = await Message.findById(id).populate(
-      "sender",
-      "name email profileImage"
+    const existing = message.listenedBy.find(
+      (entry) => entry.user && entry.user.toString() === userId.toString()
+    );
+    if (existing) {
+      return res.json({
+        message: "Already marked as listened",
+        listenedAt: existing.listenedAt,
+      });
+    }
+
+    // Only the first play is recorded, even with concurrent requests
+    const listenedAt = new Date();
+    const updated = await Message.updateOne(
+      { _id: message._id, "listenedBy.user": { $ne: userId } },
+      { $push: { listenedBy: { user: userId, listenedAt } } }
     );
 
     const io = req.app.get("io");
-    if (io) {
-      const room = msg.group ? msg.group.toString() : msg.receiver.toString();
-      const event = msg.group ? "receive-group-message" : "receive-message";
-      const payload = {
-        id: populated._id,
-        groupId: msg.group || undefined,
-        sender: populated.sender,
-        message: populated.message,
-        messageType: populated.messageType,
-        fileUrl: populated.fileUrl,
-        fileName: populated.fileName,
-        fileSize: populated.fileSize,
-        fileType: populated.fileType,
-        timestamp: populated.createdAt,
-        createdAt: populated.createdAt,
-        editedAt: populated.editedAt,
-      };
-      io.to(room).emit(event, payload);
+    if (message.receiver) {
+      await markPersonalMessagesRead({
+        io,
+        readerId: userId,
+        senderId: message.sender,
+        upTo: message.createdAt,
+      });
+    } else {
+      await markGroupMessagesRead({
+        io,
+        reader: req.user,
+        groupId: message.group,
+        upTo: message.createdAt,
+      });
     }
 
-    res.json({ message: "Updated", data: populated });
-  } catch (e) {
+    if (updated.modifiedCount) {
+      recordMessageEvent("message.updated", message, {
+        fields: ["listenedBy"],
+      });
+      if (io) {
+        io.to(message.sender.toString()).emit("voice-note-listened", {
+          messageId: message._id,
+          groupId: message.group || undefined,
+          user: {
+            _id: req.user._id,
+            name: req.user.name,
+            profileImage: req.user.profileImage,
+          },
+          listenedAt,
+        });
+      }
+    }
+
+    res.json({ message: "Marked as listened", listenedAt });
+  } catch (error) {
+    console.error("Mark listened error:", error);
     res.status(500).json({ message: "Server error" });
   }
 });
 
-// Soft delete a message (sender only)
-router.delete("/:id", auth, async (req, res) => {
+// Get delivery/read receipt timestamps of a personal message (sender or receiver)
+router.get("/:id/status", auth, async (req, res) => {
   try {
-    const { id } = req.params;
-    const msg = await Message.findById(id);
+    const msg = await Message.findById(req.params.id).select(
+      "sender receiver group status createdAt deliveredAt readAt listenedBy"
+    );
     if (!msg) return res.status(404).json({ message: "Message not found" });
-    if (msg.sender.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: "Not allowed" });
-    }
-    msg.isDeleted = true;
-    if (msg.messageType === "text") {
-      msg.message = "This message was deleted";
+    if (msg.group) {
+      return res
+        .status(400)
+        .json({ message: "Receipts are only tracked for personal messages" });
     }
-    await msg.save();
+
+    const userId = req.user._id.toString();
+    if (
+      msg.sender.toString() !== userId &&
+      msg.receiver.toString() !== userId
+    ) {
+      return res.status(403).json({ message: "Not allowed" });
+    }
+
+    res.json({
+      messageId: msg._id,
+      status: msg.status || (msg.readAt ? "read" : "sent"),
+      sentAt: msg.createdAt,
+      deliveredAt: msg.deliveredAt,
+      readAt: msg.readAt,
+      // Voice notes: when the receiver first played it
+      listenedAt: msg.listenedBy.length ? msg.listenedBy[0].listenedAt : null,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Get "seen by" details of a group message (sender and group admins only)
+router.get("/:id/receipts", auth, async (req, res) => {
+  try {
+    const msg = await Message.findById(req.params.id)
+      .select("sender group messageType readBy listenedBy createdAt")
+      .populate("readBy.user", "name email profileImage")
+      .populate("listenedBy.user", "name email profileImage");
+    if (!msg) return res.status(404).json({ message: "Message not found" });
+    if (!msg.group) {
+      return res.status(400).json({
+        message: "Use /status for personal message receipts",
+      });
+    }
+
+    const group = await Group.findById(msg.group).populate(
+      "members.user",
+      "name email profileImage"
+    );
+    if (!group || !group.isActive) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+
+    const userId = req.user._id.toString();
+    const isSender = msg.sender.toString() === userId;
+    const isGroupAdmin = group.members.some(
+      (member) =>
+        member.user &&
+        member.user._id.toString() === userId &&
+        member.role === "admin"
+    );
+    if (!isSender && !isGroupAdmin) {
+      return res.status(403).json({ message: "Not allowed" });
+    }
+
+    const readBy = msg.readBy
+      .filter((read) => read.user)
+      .map((read) => ({ user: read.user, readAt: read.readAt }))
+      .sort((a, b) => a.readAt - b.readAt);
+    const readIds = new Set(readBy.map((read) => read.user._id.toString()));
+
+    // Current members (other than the sender) who haven't read it yet
+    const notReadBy = group.members
+      .filter(
+        (member) =>
+          member.user &&
+          member.user._id.toString() !== msg.sender.toString() &&
+          !readIds.has(member.user._id.toString())
+      )
+      .map((member) => ({ user: member.user }));
+
+    const listenedBy =
+      msg.messageType === "audio"
+        ? msg.listenedBy
+            .filter((entry) => entry.user)
+            .map((entry) => ({
+              user: entry.user,
+              listenedAt: entry.listenedAt,
+            }))
+            .sort((a, b) => a.listenedAt - b.listenedAt)
+        : undefined;
+
+    res.json({
+      messageId: msg._id,
+      groupId: group._id,
+      readBy,
+      notReadBy,
+      listenedBy,
+      readCount: readBy.length,
+      memberCount: group.members.filter(
+        (member) =>
+          member.user && member.user._id.toString() !== msg.sender.toString()
+      ).length,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Get unread message count
+router.get("/unread/count", auth, async (req, res) => {
+  try {
+    const userId = req.user._id;
+
+    // Only groups the user is in (same set as chat-state)
+    const unreadCount = await getUnreadTotal(
+      userId,
+      await getMemberGroupIds(userId)
+    );
+
+    res.json({ unreadCount });
+  } catch (error) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Set the disappearing-messages timer of a conversation.
+// Either participant of a personal chat can change it, group admins for groups.
+// Registered before PUT /:id, which would otherwise catch this path.
+router.put(
+  "/disappearing-timer",
+  auth,
+  [
+    body("chatType")
+      .isIn(["personal", "group"])
+      .withMessage("chatType must be personal or group"),
+    body("chatId").isMongoId().withMessage("Valid chat ID is required"),
+    body("duration")
+      .isIn(Object.keys(DISAPPEARING_DURATIONS))
+      .withMessage(
+        `duration must be one of ${Object.keys(DISAPPEARING_DURATIONS).join(
+          ", "
+        )}`
+      ),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { chatType, chatId, duration } = req.body;
+      const userId = req.user._id;
+
+      if (chatType === "group") {
+        const group = await Group.findById(chatId).select("members isActive");
+        if (!group || !group.isActive) {
+          return res.status(404).json({ message: "Group not found" });
+        }
+        const member = group.members.find(
+          (m) => m.user.toString() === userId.toString()
+        );
+        if (!member || member.role !== "admin") {
+          return res.status(403).json({
+            message: "Only group admins can change disappearing messages",
+          });
+        }
+      } else {
+        if (chatId === userId.toString()) {
+          return res.status(400).json({ message: "Invalid chat" });
+        }
+        const otherUser = await User.findById(chatId).select("_id");
+        if (!otherUser) {
+          return res.status(404).json({ message: "User not found" });
+        }
+      }
+
+      const result = await setDisappearingTimer({
+        io: req.app.get("io"),
+        actor: req.user,
+        receiver: chatType === "personal" ? chatId : undefined,
+        group: chatType === "group" ? chatId : undefined,
+        duration: DISAPPEARING_DURATIONS[duration],
+      });
+
+      res.json({
+        message: result.changed
+          ? "Disappearing messages updated"
+          : "Disappearing messages unchanged",
+        duration: result.duration,
+        systemMessage: result.systemMessage,
+      });
+    } catch (error) {
+      console.error("Error updating disappearing messages:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Edit message text (sender only)
+router.put("/:id", auth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { message } = req.body;
+    if (!message || !message.trim()) {
+      return res.status(400).json({ message: "Message cannot be empty" });
+    }
+    const textError = validateMessageText(message);
+    if (textError) return res.status(400).json({ message: textError });
+    const msg = await Message.findById(id).select("+editHistory");
+    if (!msg) return res.status(404).json({ message: "Message not found" });
+    if (msg.sender.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: "Not allowed" });
+    }
+    if (msg.isDeleted) {
+      return res.status(400).json({ message: "Cannot edit a deleted message" });
+    }
+    if (msg.messageType === "poll") {
+      return res.status(400).json({ message: "Polls cannot be edited" });
+    }
+    if (msg.messageType === "system") {
+      return res
+        .status(400)
+        .json({ message: "System messages cannot be edited" });
+    }
+    if (
+      EDIT_WINDOW_MINUTES > 0 &&
+      Date.now() - msg.createdAt.getTime() > EDIT_WINDOW_MINUTES * 60 * 1000
+    ) {
+      return res.status(403).json({
+        message: `Messages can only be edited within ${EDIT_WINDOW_MINUTES} minutes of sending`,
+      });
+    }
+
+    if (msg.message !== message.trim()) {
+      const editedAt = new Date();
+      // Keep the text being replaced as a revision
+      msg.editHistory.push({ message: msg.message, editedAt });
+      msg.message = message.trim();
+      msg.editedAt = editedAt;
+      if (msg.format === "markdown") {
+        msg.renderedHtml = renderMarkdown(msg.message);
+      }
+      // Preview no longer matches once the link changes, fetch a new one
+      const linkChanged =
+        extractFirstUrl(msg.message) !== (msg.linkPreview?.url || null);
+      if (linkChanged) msg.linkPreview = undefined;
+      await msg.save();
+      recordMessageEvent("message.updated", msg, { fields: ["message"] });
+      refreshConversationFor(msg);
+      if (linkChanged) {
+        attachLinkPreview({ io: req.app.get("io"), message: msg }).catch(
+          (err) => console.error("Link preview failed:", err.message)
+        );
+      }
+    }
+
+    const populated = await Message.findById(id).populate(
+      "sender",
+      "name email profileImage"
+    );
 
     const io = req.app.get("io");
     if (io) {
       const room = msg.group ? msg.group.toString() : msg.receiver.toString();
       const event = msg.group ? "receive-group-message" : "receive-message";
-      io.to(room).emit(event, { id: msg._id, isDeleted: true });
+      const payload = {
+        id: populated._id,
+        groupId: msg.group || undefined,
+        sender: populated.sender,
+        message: populated.message,
+        messageType: populated.messageType,
+        format: populated.format,
+        renderedHtml: populated.renderedHtml,
+        fileUrl: populated.fileUrl,
+        fileName: populated.fileName,
+        fileSize: populated.fileSize,
+        fileType: populated.fileType,
+        timestamp: populated.createdAt,
+        createdAt: populated.createdAt,
+        editedAt: populated.editedAt,
+        isEdited: !!populated.editedAt,
+        linkPreview: populated.linkPreview,
+      };
+      io.to(room).emit(event, payload);
+    }
+
+    res.json({ message: "Updated", data: populated });
+  } catch (e) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Get the edit history of a message (sender, group admins, superadmin)
+router.get("/:id/revisions", auth, async (req, res) => {
+  try {
+    const msg = await Message.findById(req.params.id)
+      .select("+editHistory")
+      .populate("sender", "name email profileImage");
+    if (!msg) return res.status(404).json({ message: "Message not found" });
+
+    const userId = req.user._id.toString();
+    let allowed =
+      req.user.role === "superadmin" || msg.sender._id.toString() === userId;
+
+    if (!allowed && msg.group) {
+      const group = await Group.findById(msg.group).select("members");
+      allowed =
+        !!group &&
+        group.members.some(
+          (member) =>
+            member.user.toString() === userId && member.role === "admin"
+        );
+    }
+
+    if (!allowed) {
+      return res.status(403).json({ message: "Not allowed" });
+    }
+
+    // Each revision is shown with the period it was the visible text
+    const revisions = msg.editHistory.map((revision, index) => ({
+      message: revision.message,
+      from: index === 0 ? msg.createdAt : msg.editHistory[index - 1].editedAt,
+      to: revision.editedAt,
+    }));
+
+    res.json({
+      messageId: msg._id,
+      sender: msg.sender,
+      isEdited: !!msg.editedAt,
+      current: {
+        message: msg.message,
+        from: msg.editedAt || msg.createdAt,
+      },
+      revisions,
+    });
+  } catch (e) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Delete a message.
+// ?mode=me hides it from the caller's own history only.
+// ?mode=everyone (default) soft-deletes it for all participants and removes the
+// stored file; allowed for the sender within the delete window and for group admins.
+router.delete("/:id", auth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const mode = req.query.mode || "everyone";
+    const userId = req.user._id;
+
+    if (!["me", "everyone"].includes(mode)) {
+      return res
+        .status(400)
+        .json({ message: "mode must be either 'me' or 'everyone'" });
+    }
+
+    const msg = await Message.findById(id).select("+editHistory");
+    if (!msg) return res.status(404).json({ message: "Message not found" });
+
+    const io = req.app.get("io");
+
+    if (mode === "me") {
+      if (!(await canAccessMessage(msg, userId))) {
+        return res.status(403).json({ message: "Not allowed" });
+      }
+      await Message.updateOne(
+        { _id: msg._id },
+        { $addToSet: { hiddenFor: userId } }
+      );
+      await StarredMessage.deleteOne({ user: userId, message: msg._id });
+      recordSyncEvent({
+        type: "message.hidden",
+        users: [userId],
+        data: { messageId: msg._id, groupId: msg.group || undefined },
+      });
+      // The hidden message may have been unread
+      await refreshUnreadCount({
+        userId,
+        chatType: msg.group ? "group" : "personal",
+        chatId:
+          msg.group ||
+          (msg.sender.toString() === userId.toString()
+            ? msg.receiver
+            : msg.sender),
+      });
+
+      // Keep the caller's other sessions in sync
+      if (io) {
+        io.to(userId.toString()).emit("message-hidden", {
+          id: msg._id,
+          groupId: msg.group || undefined,
+        });
+      }
+
+      return res.json({ message: "Deleted for you" });
+    }
+
+    if (msg.isDeleted) {
+      return res.status(400).json({ message: "Message is already deleted" });
+    }
+
+    let actorRole = null;
+    if (msg.sender.toString() === userId.toString()) {
+      actorRole = "sender";
+    }
+    if (msg.group) {
+      const group = await Group.findById(msg.group).select("members");
+      const isGroupAdmin =
+        !!group &&
+        group.members.some(
+          (member) =>
+            member.user.toString() === userId.toString() &&
+            member.role === "admin"
+        );
+      if (isGroupAdmin) actorRole = "group-admin";
+    }
+
+    if (!actorRole) {
+      return res.status(403).json({ message: "Not allowed" });
+    }
+    if (
+      actorRole === "sender" &&
+      DELETE_WINDOW_MINUTES > 0 &&
+      Date.now() - msg.createdAt.getTime() > DELETE_WINDOW_MINUTES * 60 * 1000
+    ) {
+      return res.status(403).json({
+        message: `Messages can only be deleted for everyone within ${DELETE_WINDOW_MINUTES} minutes of sending`,
+      });
+    }
+
+    // Keep a copy of the file fields so the stored file can be removed afterwards
+    const fileInfo = {
+      _id: msg._id,
+      fileUrl: msg.fileUrl,
+      isGoogleDrive: msg.isGoogleDrive,
+      googleDriveId: msg.googleDriveId,
+      cloudinaryPublicId: msg.cloudinaryPublicId,
+      cloudinaryResourceType: msg.cloudinaryResourceType,
+    };
+    const snapshot = {
+      message: msg.message,
+      messageType: msg.messageType,
+      fileUrl: msg.fileUrl,
+      fileName: msg.fileName,
+      createdAt: msg.createdAt,
+    };
+
+    msg.isDeleted = true;
+    msg.deletedAt = new Date();
+    msg.deletedBy = userId;
+    msg.message = "This message was deleted";
+    msg.format = undefined;
+    msg.renderedHtml = undefined;
+    msg.editHistory = [];
+    msg.linkPreview = undefined;
+    msg.audio = undefined;
+    msg.fileUrl = null;
+    msg.fileName = null;
+    msg.fileSize = null;
+    msg.fileType = null;
+    msg.isGoogleDrive = false;
+    msg.googleDriveId = null;
+    msg.webViewLink = null;
+    msg.cloudinaryPublicId = null;
+    msg.cloudinaryResourceType = null;
+    await msg.save();
+
+    // Stars point at content that no longer exists
+    await StarredMessage.deleteMany({ message: msg._id });
+    recordMessageEvent("message.deleted", msg, { deletedBy: userId });
+    refreshConversationFor(msg);
+
+    const fileRemoved = fileInfo.fileUrl
+      ? await deleteMessageFile(fileInfo)
+      : false;
+
+    await MessageAuditLog.create({
+      message: msg._id,
+      action: "delete-for-everyone",
+      actor: userId,
+      actorRole,
+      sender: msg.sender,
+      receiver: msg.receiver || null,
+      group: msg.group || null,
+      snapshot,
+      fileRemoved,
+    });
+
+    if (io) {
+      const room = msg.group ? msg.group.toString() : msg.receiver.toString();
+      const event = msg.group ? "receive-group-message" : "receive-message";
+      io.to(room).emit(event, {
+        id: msg._id,
+        isDeleted: true,
+        deletedBy: userId,
+      });
     }
 
     res.json({ message: "Deleted" });
+  } catch (e) {
+    console.error("Delete message error:", e);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Star a message for the current user
+router.post("/:id/star", auth, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: "Message not found" });
+    }
+
+    const msg = await Message.findById(req.params.id).select("+hiddenFor");
+    if (!msg || msg.isDeleted) {
+      return res.status(404).json({ message: "Message not found" });
+    }
+    if (
+      !(await canAccessMessage(msg, userId)) ||
+      (msg.hiddenFor || []).some((id) => id.toString() === userId.toString())
+    ) {
+      return res.status(403).json({ message: "Not allowed" });
+    }
+
+    const star = await StarredMessage.findOneAndUpdate(
+      { user: userId, message: msg._id },
+      { $setOnInsert: { user: userId, message: msg._id } },
+      { upsert: true, new: true }
+    );
+
+    // Keep the caller's other sessions in sync
+    const io = req.app.get("io");
+    if (io) {
+      io.to(userId.toString()).emit("message-starred", {
+        messageId: msg._id,
+        starred: true,
+        starredAt: star.createdAt,
+      });
+    }
+
+    res.json({ message: "Starred", starredAt: star.createdAt });
+  } catch (error) {
+    console.error("Error starring message:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Remove the current user's star from a message
+router.delete("/:id/star", auth, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: "Message not found" });
+    }
+
+    await StarredMessage.deleteOne({ user: userId, message: req.params.id });
+
+    const io = req.app.get("io");
+    if (io) {
+      io.to(userId.toString()).emit("message-starred", {
+        messageId: req.params.id,
+        starred: false,
+      });
+    }
+
+    res.json({ message: "Unstarred" });
+  } catch (error) {
+    console.error("Error unstarring message:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Get a thread (root message + paginated replies)
+router.get("/:id/thread", auth, async (req, res) => {
+  try {
+    const currentUserId = req.user._id;
+
+    // Pagination parameters
+    const limit = parseInt(req.query.limit) || 50; // Default 50 replies
+    const before = req.query.before; // Reply ID to load replies before
+
+    let root = await Message.findById(req.params.id).populate(
+      "sender",
+      "name email profileImage"
+    );
+    // Opening a reply shows the thread it belongs to
+    if (root && root.replyTo) {
+      root = await Message.findById(root.replyTo).populate(
+        "sender",
+        "name email profileImage"
+      );
+    }
+    if (!root) return res.status(404).json({ message: "Message not found" });
+    if (!(await canAccessMessage(root, currentUserId))) {
+      return res.status(403).json({ message: "Not allowed" });
+    }
+
+    let query = { replyTo: root._id, hiddenFor: { $ne: currentUserId } };
+
+    if (before) {
+      const beforeMessage = await Message.findById(before);
+      if (beforeMessage) {
+        query.createdAt = { $lt: beforeMessage.createdAt };
+      }
+    }
+
+    const replies = await Message.find(query)
+      .populate("sender", "name email profileImage")
+      .sort({ createdAt: -1 }) // Get newest first
+      .limit(limit);
+
+    const threadSummaries = await getThreadSummaries([root._id]);
+
+    res.json({
+      root: serializeMessage(root, currentUserId, threadSummaries),
+      messages: replies
+        .reverse()
+        .map((msg) => serializeMessage(msg, currentUserId)),
+      replyCount: threadSummaries.get(root._id.toString())?.replyCount || 0,
+      hasMore: replies.length === limit,
+    });
+  } catch (e) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// List reactions on a message
+router.get("/:id/reactions", auth, async (req, res) => {
+  try {
+    const msg = await Message.findById(req.params.id).populate(
+      "reactions.user",
+      "name email profileImage"
+    );
+    if (!msg) return res.status(404).json({ message: "Message not found" });
+    if (!(await canAccessMessage(msg, req.user._id))) {
+      return res.status(403).json({ message: "Not allowed" });
+    }
+
+    res.json({
+      messageId: msg._id,
+      reactions: msg.getReactionSummary(req.user._id),
+    });
+  } catch (e) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Add a reaction to a message
+router.post(
+  "/:id/reactions",
+  auth,
+  [
+    body("emoji")
+      .trim()
+      .custom(isValidReaction)
+      .withMessage("A valid emoji or :shortcode: is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { emoji } = req.body;
+      const userId = req.user._id;
+
+      const msg = await Message.findById(req.params.id);
+      if (!msg) return res.status(404).json({ message: "Message not found" });
+      if (msg.isDeleted) {
+        return res
+          .status(400)
+          .json({ message: "Cannot react to a deleted message" });
+      }
+      if (!(await canAccessMessage(msg, userId))) {
+        return res.status(403).json({ message: "Not allowed" });
+      }
+
+      // Conditional $push, so concurrent reactions are all kept and a
+      // repeated one is only stored once
+      const updated = await Message.findOneAndUpdate(
+        {
+          _id: msg._id,
+          isDeleted: { $ne: true },
+          reactions: { $not: { $elemMatch: { user: userId, emoji } } },
+        },
+        {
+          $push: { reactions: { user: userId, emoji, createdAt: new Date() } },
+        },
+        { new: true }
+      );
+      if (updated) {
+        emitReactionUpdate(req, updated, { action: "added", emoji });
+      }
+      const current = updated || (await Message.findById(msg._id));
+
+      res.json({
+        message: "Reaction added",
+        reactions: current.getReactionSummary(userId),
+      });
+    } catch (e) {
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Remove the current user's reaction from a message
+router.delete("/:id/reactions/:emoji", auth, async (req, res) => {
+  try {
+    const { emoji } = req.params;
+    const userId = req.user._id;
+
+    const msg = await Message.findById(req.params.id);
+    if (!msg) return res.status(404).json({ message: "Message not found" });
+    if (!(await canAccessMessage(msg, userId))) {
+      return res.status(403).json({ message: "Not allowed" });
+    }
+
+    const updated = await Message.findOneAndUpdate(
+      { _id: msg._id, reactions: { $elemMatch: { user: userId, emoji } } },
+      { $pull: { reactions: { user: userId, emoji } } },
+      { new: true }
+    );
+    if (updated) {
+      emitReactionUpdate(req, updated, { action: "removed", emoji });
+    }
+    const current = updated || (await Message.findById(msg._id));
+
+    res.json({
+      message: "Reaction removed",
+      reactions: current.getReactionSummary(userId),
+    });
   } catch (e) {
     res.status(500).json({ message: "Server error" });
   }
@@ -740,8 +2128,22 @@ router.post("/forward", auth, async (req, res) => {
         .json({ message: "messageId and targets are required" });
     }
     const original = await Message.findById(messageId);
-    if (!original)
+    if (!original || original.isDeleted)
       return res.status(404).json({ message: "Original message not found" });
+    if (original.messageType === "poll") {
+      return res.status(400).json({ message: "Polls cannot be forwarded" });
+    }
+    if (original.messageType === "system") {
+      return res
+        .status(400)
+        .json({ message: "System messages cannot be forwarded" });
+    }
+
+    // Announcement channels only take posts from their posters
+    for (const gid of targets.groups || []) {
+      const postError = await getGroupPostError(gid, req.user._id);
+      if (postError) return res.status(403).json({ message: postError });
+    }
 
     const created = [];
     const io = req.app.get("io");
@@ -751,14 +2153,28 @@ router.post("/forward", auth, async (req, res) => {
       const m = new Message({
         sender: req.user._id,
         receiver: uid,
+        expiresAt: await getMessageExpiry({
+          sender: req.user._id,
+          receiver: uid,
+        }),
         message: original.message,
         messageType: original.messageType,
+        format: original.format,
+        renderedHtml: original.renderedHtml,
         fileUrl: original.fileUrl,
         fileName: original.fileName,
         fileSize: original.fileSize,
         fileType: original.fileType,
+        isGoogleDrive: original.isGoogleDrive,
+        googleDriveId: original.googleDriveId,
+        webViewLink: original.webViewLink,
+        cloudinaryPublicId: original.cloudinaryPublicId,
+        cloudinaryResourceType: original.cloudinaryResourceType,
+        audio: original.audio,
       });
       await m.save();
+      recordMessageEvent("message.created", m);
+      recordConversationMessage(m);
       await m.populate("sender", "name email profileImage");
       created.push(m);
       if (io) {
@@ -768,10 +2184,14 @@ router.post("/forward", auth, async (req, res) => {
           receiver: uid,
           message: m.message,
           messageType: m.messageType,
+          format: m.format,
+          renderedHtml: m.renderedHtml,
           fileUrl: m.fileUrl,
           fileName: m.fileName,
           fileSize: m.fileSize,
           fileType: m.fileType,
+          audio: m.audio,
+          expiresAt: m.expiresAt,
           timestamp: m.createdAt,
           createdAt: m.createdAt,
         };
@@ -785,14 +2205,25 @@ router.post("/forward", auth, async (req, res) => {
       const m = new Message({
         sender: req.user._id,
         group: gid,
+        expiresAt: await getMessageExpiry({ group: gid }),
         message: original.message,
         messageType: original.messageType,
+        format: original.format,
+        renderedHtml: original.renderedHtml,
         fileUrl: original.fileUrl,
         fileName: original.fileName,
         fileSize: original.fileSize,
         fileType: original.fileType,
+        isGoogleDrive: original.isGoogleDrive,
+        googleDriveId: original.googleDriveId,
+        webViewLink: original.webViewLink,
+        cloudinaryPublicId: original.cloudinaryPublicId,
+        cloudinaryResourceType: original.cloudinaryResourceType,
+        audio: original.audio,
       });
       await m.save();
+      recordMessageEvent("message.created", m);
+      recordConversationMessage(m);
       await m.populate("sender", "name email profileImage");
       created.push(m);
       if (io) {
@@ -802,10 +2233,14 @@ router.post("/forward", auth, async (req, res) => {
           sender: m.sender,
           message: m.message,
           messageType: m.messageType,
+          format: m.format,
+          renderedHtml: m.renderedHtml,
           fileUrl: m.fileUrl,
           fileName: m.fileName,
           fileSize: m.fileSize,
           fileType: m.fileType,
+          audio: m.audio,
+          expiresAt: m.expiresAt,
           timestamp: m.createdAt,
           createdAt: m.createdAt,
         };
@@ -821,220 +2256,291 @@ router.post("/forward", auth, async (req, res) => {
   }
 });
 
-// Get user chat state (last messages and counts)
-router.get("/chat-state", auth, async (req, res) => {
-  try {
-    const userId = req.user._id;
+// Get user chat state (last messages and counts), read from the
+// materialized conversation list. Optional paging: ?limit=N returns the pinned
+// chats plus the N most recently active others, pass nextCursor as ?cursor=.
+router.get(
+  "/chat-state",
+  auth,
+  [
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 200 })
+      .withMessage("limit must be between 1 and 200"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    // Get unread counts for personal chats
-    const personalChats = await Message.aggregate([
-      {
-        $match: {
-          $or: [{ sender: userId }, { receiver: userId }],
-          group: { $exists: false },
-        },
-      },
-      {
-        $addFields: {
-          chatPartner: {
-            $cond: [{ $eq: ["$sender", userId] }, "$receiver", "$sender"],
-          },
-          isUnreadForCurrentUser: {
-            $and: [
-              { $ne: ["$sender", userId] },
-              {
-                $or: [
-                  { $eq: [{ $type: "$readBy" }, "missing"] },
-                  { $eq: [{ $size: "$readBy" }, 0] },
-                  {
-                    $not: [{ $in: [userId, "$readBy.user"] }],
-                  },
-                ],
-              },
-            ],
-          },
-        },
-      },
-      {
-        $sort: {
-          createdAt: 1, // Sort by oldest first for $last to get newest
-        },
-      },
-      {
-        $lookup: {
-          from: "users",
-          localField: "sender",
-          foreignField: "_id",
-          as: "senderInfo",
-        },
-      },
-      {
-        $addFields: {
-          sender: { $arrayElemAt: ["$senderInfo", 0] },
-        },
-      },
-      {
-        $group: {
-          _id: "$chatPartner",
-          lastMessage: {
-            $last: "$$ROOT", // This will get the most recent message now
-          },
-          unreadCount: {
-            $sum: {
-              $cond: ["$isUnreadForCurrentUser", 1, 0],
-            },
-          },
-        },
-      },
-      {
-        $match: {
-          "lastMessage.message": { $exists: true, $ne: null },
-        },
-      },
-    ]);
+      const userId = req.user._id;
+      const limit = req.query.limit ? parseInt(req.query.limit, 10) : 0;
+      let before = null;
+      if (req.query.cursor) {
+        before = decodeCursor(String(req.query.cursor));
+        if (!before) {
+          return res.status(400).json({ message: "Invalid cursor" });
+        }
+      }
 
-    // Get last messages and unread counts for groups
-    const groupChats = await Message.aggregate([
-      {
-        $match: {
-          group: { $exists: true, $ne: null },
-        },
-      },
-      {
-        $lookup: {
-          from: "groups",
-          localField: "group",
-          foreignField: "_id",
-          as: "groupData",
-        },
-      },
-      {
-        $match: {
-          "groupData.members.user": userId,
-        },
-      },
-      {
-        $addFields: {
-          isUnreadForCurrentUser: {
-            $and: [
-              { $ne: ["$sender", userId] },
-              {
-                $or: [
-                  { $eq: [{ $type: "$readBy" }, "missing"] },
-                  { $eq: [{ $size: "$readBy" }, 0] },
-                  {
-                    $not: [{ $in: [userId, "$readBy.user"] }],
-                  },
-                ],
-              },
-            ],
-          },
-        },
-      },
-      {
-        $sort: {
-          createdAt: 1, // Sort by oldest first for $last to get newest
-        },
-      },
-      {
-        $lookup: {
-          from: "users",
-          localField: "sender",
-          foreignField: "_id",
-          as: "senderInfo",
-        },
-      },
-      {
-        $addFields: {
-          sender: { $arrayElemAt: ["$senderInfo", 0] },
-        },
-      },
-      {
-        $group: {
-          _id: "$group",
+      const groupIds = await getMemberGroupIds(userId);
+      // Pin / mute / archive / mark unread
+      const settings = await getSettingsForUser(userId);
+      const pinnedKeys = settings
+        .pinned()
+        .map(({ chatType, chatId }) =>
+          chatType === "group"
+            ? chatKeyFor({ group: chatId })
+            : chatKeyFor({ sender: userId, receiver: chatId })
+        );
+
+      // Last message and unread count of each conversation
+      const page = await listConversations(userId, {
+        groupIds,
+        pinnedKeys,
+        limit,
+        before,
+      });
+      const personalChats = page.conversations.filter(
+        (chat) => chat.chatType === "personal"
+      );
+      const groupChats = page.conversations.filter(
+        (chat) => chat.chatType === "group"
+      );
+
+      // Unsent drafts, shown next to their conversation
+      const drafts = await getDraftsForUser(userId);
+      // Disappearing-message timers (seconds, 0 = off)
+      const timers = await getTimersByChatKey([
+        ...personalChats.map((chat) =>
+          chatKeyFor({ sender: userId, receiver: chat.chatId })
+        ),
+        ...groupChats.map((chat) => chatKeyFor({ group: chat.chatId })),
+      ]);
+
+      const result = {
+        personalChats: personalChats.map((chat) => ({
+          chatId: chat.chatId,
           lastMessage: {
-            $last: "$$ROOT", // This will get the most recent message now
+            ...chat.lastMessage,
+            // Get sender info properly
+            sender: chat.lastMessage.sender,
+            senderName:
+              chat.lastMessage.sender?.name ||
+              chat.lastMessage.sender?.firstName ||
+              "Unknown",
+            senderId: chat.lastMessage.sender?._id || chat.lastMessage.sender,
           },
-          unreadCount: {
-            $sum: {
-              $cond: ["$isUnreadForCurrentUser", 1, 0],
-            },
+          unreadCount: chat.unreadCount,
+          draft: drafts.get(`personal:${chat.chatId}`) || null,
+          settings: settings.get("personal", chat.chatId),
+          disappearingTimer:
+            timers.get(chatKeyFor({ sender: userId, receiver: chat.chatId })) ||
+            0,
+        })),
+        groupChats: groupChats.map((chat) => ({
+          chatId: chat.chatId,
+          lastMessage: {
+            ...chat.lastMessage,
+            // Get sender info properly
+            sender: chat.lastMessage.sender,
+            senderName:
+              chat.lastMessage.sender?.name ||
+              chat.lastMessage.sender?.firstName ||
+              "Unknown",
+            senderId: chat.lastMessage.sender?._id || chat.lastMessage.sender,
           },
-        },
-      },
-      {
-        $match: {
-          "lastMessage.message": { $exists: true, $ne: null },
-        },
-      },
-    ]);
+          unreadCount: chat.unreadCount,
+          draft: drafts.get(`group:${chat.chatId}`) || null,
+          settings: settings.get("group", chat.chatId),
+          disappearingTimer:
+            timers.get(chatKeyFor({ group: chat.chatId })) || 0,
+        })),
+        // Every draft, including conversations without messages yet
+        drafts: Array.from(drafts.values()),
+        // Paging (only with ?limit)
+        hasMore: page.hasMore,
+        nextCursor: page.nextCursor,
+      };
 
-    const result = {
-      personalChats: personalChats.map((chat) => ({
-        chatId: chat._id,
-        lastMessage: {
-          ...chat.lastMessage,
-          // Get sender info properly
-          sender: chat.lastMessage.sender,
-          senderName:
-            chat.lastMessage.sender?.name ||
-            chat.lastMessage.sender?.firstName ||
-            "Unknown",
-          senderId: chat.lastMessage.sender?._id || chat.lastMessage.sender,
-        },
-        unreadCount: chat.unreadCount,
-      })),
-      groupChats: groupChats.map((chat) => ({
-        chatId: chat._id,
-        lastMessage: {
-          ...chat.lastMessage,
-          // Get sender info properly
-          sender: chat.lastMessage.sender,
-          senderName:
-            chat.lastMessage.sender?.name ||
-            chat.lastMessage.sender?.firstName ||
-            "Unknown",
-          senderId: chat.lastMessage.sender?._id || chat.lastMessage.sender,
-        },
-        unreadCount: chat.unreadCount,
-      })),
-    };
+      // The newest message is unread if someone else sent it and the chat has unread ones
+      [...result.personalChats, ...result.groupChats].forEach((chat) => {
+        chat.lastMessage.isUnreadForCurrentUser =
+          chat.unreadCount > 0 &&
+          String(chat.lastMessage.senderId) !== userId.toString();
+      });
 
-    res.json(result);
-  } catch (error) {
-    console.error("Error fetching chat state:", error);
-    res.status(500).json({ message: "Server error" });
+      // Pinned conversations first (most recently pinned on top), then by activity
+      const byPinThenActivity = (a, b) =>
+        (b.settings.pinnedAt || 0) - (a.settings.pinnedAt || 0) ||
+        new Date(b.lastMessage.createdAt) - new Date(a.lastMessage.createdAt);
+      result.personalChats.sort(byPinThenActivity);
+      result.groupChats.sort(byPinThenActivity);
+
+      res.json(result);
+    } catch (error) {
+      console.error("Error fetching chat state:", error);
+      res.status(500).json({ message: "Server error" });
+    }
   }
-});
+);
+
+const CONVERSATION_SETTING_ACTIONS = [
+  "pin",
+  "unpin",
+  "mute",
+  "unmute",
+  "archive",
+  "unarchive",
+  "mark_unread",
+];
+
+// Check a chat-state target: a valid personal chat id or a group the user is in
+async function validateChatTarget(userId, chatType, chatId) {
+  if (
+    !["personal", "group"].includes(chatType) ||
+    !mongoose.Types.ObjectId.isValid(chatId)
+  ) {
+    return { status: 400, message: "Valid chatId and chatType are required" };
+  }
+
+  if (chatType === "group") {
+    const group = await Group.findById(chatId).select("members isActive");
+    const isMember =
+      group &&
+      group.isActive &&
+      group.members.some(
+        (member) => member.user.toString() === userId.toString()
+      );
+    if (!isMember) {
+      return { status: 403, message: "You are not a member of this group" };
+    }
+  }
+
+  return null;
+}
 
-// Update chat state (clear unread count, update last read)
+// Update chat state (clear unread, drafts, pin/mute/archive/mark unread)
 router.post("/chat-state", auth, async (req, res) => {
   try {
     const userId = req.user._id;
     const { chatId, chatType, action } = req.body;
 
+    if (action === "save_draft" || action === "clear_draft") {
+      const targetError = await validateChatTarget(userId, chatType, chatId);
+      if (targetError) {
+        return res
+          .status(targetError.status)
+          .json({ message: targetError.message });
+      }
+
+      // Socket id of the session making the change, it already has the draft
+      const originSocketId = req.body.socketId || null;
+      const io = req.app.get("io");
+      const text = typeof req.body.draft === "string" ? req.body.draft : "";
+
+      // Saving an empty draft is the same as clearing it
+      if (action === "clear_draft" || !text.trim()) {
+        await clearDraft({ io, userId, chatType, chatId, originSocketId });
+        return res.json({ success: true, draft: null });
+      }
+
+      if (text.length > 10000) {
+        return res.status(400).json({ message: "Draft is too long" });
+      }
+      if (
+        req.body.replyTo &&
+        !mongoose.Types.ObjectId.isValid(req.body.replyTo)
+      ) {
+        return res.status(400).json({ message: "Invalid replyTo" });
+      }
+
+      const draft = await saveDraft({
+        io,
+        userId,
+        chatType,
+        chatId,
+        text,
+        replyTo: req.body.replyTo,
+        originSocketId,
+      });
+      return res.json({ success: true, draft });
+    }
+
+    if (CONVERSATION_SETTING_ACTIONS.includes(action)) {
+      const targetError = await validateChatTarget(userId, chatType, chatId);
+      if (targetError) {
+        return res
+          .status(targetError.status)
+          .json({ message: targetError.message });
+      }
+
+      let changes;
+      switch (action) {
+        case "pin":
+          changes = { pinnedAt: new Date() };
+          break;
+        case "unpin":
+          changes = { pinnedAt: null };
+          break;
+        case "mute": {
+          // Optional expiry, omitted = muted until unmuted
+          let mutedUntil = null;
+          if (req.body.mutedUntil) {
+            mutedUntil = new Date(req.body.mutedUntil);
+            if (isNaN(mutedUntil.getTime()) || mutedUntil <= new Date()) {
+              return res
+                .status(400)
+                .json({ message: "mutedUntil must be a future date" });
+            }
+          }
+          changes = { isMuted: true, mutedUntil };
+          break;
+        }
+        case "unmute":
+          changes = { isMuted: false, mutedUntil: null };
+          break;
+        case "archive":
+          changes = { archivedAt: new Date() };
+          break;
+        case "unarchive":
+          changes = { archivedAt: null };
+          break;
+        case "mark_unread":
+          changes = { markedUnread: true };
+          break;
+      }
+
+      const settings = await updateConversationSettings({
+        io: req.app.get("io"),
+        userId,
+        chatType,
+        chatId,
+        changes,
+      });
+      return res.json({ success: true, settings });
+    }
+
     if (action === "clear_unread" && chatId) {
+      await clearMarkedUnread({
+        io: req.app.get("io"),
+        userId,
+        chatType,
+        chatId,
+      });
+
       if (chatType === "personal") {
-        // Mark all messages from this user as read
-        const updateResult = await Message.updateMany(
-          {
-            sender: chatId,
-            receiver: userId,
-            "readBy.user": { $ne: userId },
-          },
-          {
-            $addToSet: {
-              readBy: {
-                user: userId,
-                readAt: new Date(),
-              },
-            },
-            $set: { isRead: true },
-          }
-        );
+        // Mark all messages from this user as read (emits message-status)
+        const readMessages = await markPersonalMessagesRead({
+          io: req.app.get("io"),
+          readerId: userId,
+          senderId: chatId,
+        });
 
         // Emit socket event to notify sender that messages were seen
-        if (updateResult.modifiedCount > 0) {
+        if (readMessages.length > 0) {
           try {
             const io = req.app.get("io");
             if (io) {
@@ -1056,21 +2562,12 @@ router.post("/chat-state", auth, async (req, res) => {
         }
       } else if (chatType === "group") {
         // Mark all unread group messages as read by this user
-        await Message.updateMany(
-          {
-            group: chatId,
-            "readBy.user": { $ne: userId },
-            sender: { $ne: userId },
-          },
-          {
-            $addToSet: {
-              readBy: {
-                user: userId,
-                readAt: new Date(),
-              },
-            },
-          }
-        );
+        // (senders get a live group-message-read event)
+        await markGroupMessagesRead({
+          io: req.app.get("io"),
+          reader: req.user,
+          groupId: chatId,
+        });
       }
     }
 
@@ -0,0 +1,271 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const { body, validationResult } = require("express-validator");
+const Message = require("../models/Message");
+const Group = require("../models/Group");
+const { auth } = require("../middleware/auth");
+const {
+  validatePoll,
+  createGroupPoll,
+  validateVote,
+  castVote,
+} = require("../services/pollService");
+const { recordMessageEvent } = require("../services/syncService");
+const {
+  ANNOUNCEMENT_POST_ERROR,
+  canPostInGroup,
+} = require("../services/groupService");
+
+const router = express.Router();
+
+// Load a poll message and the caller's membership in its group
+async function loadPoll(messageId, userId) {
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    return { status: 404, error: "Poll not found" };
+  }
+
+  const msg = await Message.findById(messageId);
+  if (!msg || msg.messageType !== "poll" || !msg.poll || msg.isDeleted) {
+    return { status: 404, error: "Poll not found" };
+  }
+
+  const group = await Group.findById(msg.group);
+  if (!group || !group.isActive) {
+    return { status: 404, error: "Group not found" };
+  }
+
+  const member = group.members.find(
+    (m) => m.user.toString() === userId.toString()
+  );
+  if (!member) {
+    return { status: 403, error: "You are not a member of this group" };
+  }
+
+  return { msg, group, member };
+}
+
+// Broadcast the latest tallies to the group room
+function emitPollUpdate(req, msg) {
+  recordMessageEvent("message.updated", msg, { fields: ["poll"] });
+  try {
+    const io = req.app.get("io");
+    if (io) {
+      io.to(msg.group.toString()).emit("poll-updated", {
+        messageId: msg._id,
+        groupId: msg.group,
+        poll: msg.getPollResults(),
+      });
+    }
+  } catch (e) {
+    console.warn("Socket emit failed (poll-updated):", e.message);
+  }
+}
+
+// Create a poll in a group
+router.post(
+  "/",
+  auth,
+  [
+    body("group").isMongoId().withMessage("Valid group ID is required"),
+    body("question").isString().withMessage("Question is required").trim(),
+    body("options").isArray().withMessage("Options must be an array"),
+    body("options.*").isString().withMessage("Options must be text").trim(),
+    body("allowMultiple").optional().isBoolean().toBoolean(),
+    body("isAnonymous").optional().isBoolean().toBoolean(),
+    body("closesAt")
+      .optional({ values: "null" })
+      .isISO8601()
+      .withMessage("Invalid close time")
+      .custom((value) => new Date(value).getTime() > Date.now())
+      .withMessage("Close time must be in the future"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { group, question, options, allowMultiple, isAnonymous, closesAt } =
+        req.body;
+      const sender = req.user._id;
+
+      const pollError = validatePoll(question, options);
+      if (pollError) return res.status(400).json({ message: pollError });
+
+      const groupData = await Group.findById(group);
+      if (!groupData || !groupData.isActive) {
+        return res.status(404).json({ message: "Group not found" });
+      }
+
+      const isMember = groupData.members.some(
+        (member) => member.user.toString() === sender.toString()
+      );
+      if (!isMember) {
+        return res
+          .status(403)
+          .json({ message: "You are not a member of this group" });
+      }
+      if (!canPostInGroup(groupData, sender)) {
+        return res.status(403).json({ message: ANNOUNCEMENT_POST_ERROR });
+      }
+
+      const newMessage = await createGroupPoll({
+        io: req.app.get("io"),
+        activeUsers: req.app.get("activeUsers"),
+        sender,
+        group,
+        question,
+        options,
+        allowMultiple,
+        isAnonymous,
+        closesAt,
+      });
+
+      res.status(201).json({
+        message: "Poll created successfully",
+        data: {
+          ...newMessage.toObject(),
+          poll: newMessage.getPollResults(sender),
+        },
+      });
+    } catch (error) {
+      console.error("Error creating poll:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Get poll results
+router.get("/:id", auth, async (req, res) => {
+  try {
+    const { msg, status, error } = await loadPoll(req.params.id, req.user._id);
+    if (error) return res.status(status).json({ message: error });
+
+    if (!msg.poll.isAnonymous) {
+      await msg.populate("poll.options.votes.user", "name email profileImage");
+    }
+
+    res.json({
+      messageId: msg._id,
+      groupId: msg.group,
+      poll: msg.getPollResults(req.user._id),
+    });
+  } catch (error) {
+    console.error("Error fetching poll:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Vote on a poll (replaces the caller's previous votes)
+router.post(
+  "/:id/vote",
+  auth,
+  [
+    body("optionIds")
+      .isArray({ min: 1 })
+      .withMessage("At least one option is required"),
+    body("optionIds.*").isMongoId().withMessage("Invalid option ID"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const userId = req.user._id;
+      const optionIds = [...new Set(req.body.optionIds)];
+
+      const { msg, status, error } = await loadPoll(req.params.id, userId);
+      if (error) return res.status(status).json({ message: error });
+
+      const voteError = validateVote(msg, optionIds);
+      if (voteError) return res.status(400).json({ message: voteError });
+
+      // Replaces previous votes in one conditional write
+      if (!(await castVote(msg._id, userId, optionIds))) {
+        return res.status(400).json({ message: "This poll is closed" });
+      }
+
+      const updated = await Message.findById(msg._id);
+      emitPollUpdate(req, updated);
+
+      res.json({
+        message: "Vote recorded",
+        poll: updated.getPollResults(userId),
+      });
+    } catch (error) {
+      console.error("Error voting on poll:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Retract the caller's vote
+router.delete("/:id/vote", auth, async (req, res) => {
+  try {
+    const userId = req.user._id;
+
+    const { msg, status, error } = await loadPoll(req.params.id, userId);
+    if (error) return res.status(status).json({ message: error });
+
+    if (msg.isPollClosed()) {
+      return res.status(400).json({ message: "This poll is closed" });
+    }
+
+    if (!(await castVote(msg._id, userId, []))) {
+      return res.status(400).json({ message: "This poll is closed" });
+    }
+
+    const updated = await Message.findById(msg._id);
+    emitPollUpdate(req, updated);
+
+    res.json({
+      message: "Vote retracted",
+      poll: updated.getPollResults(userId),
+    });
+  } catch (error) {
+    console.error("Error retracting poll vote:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Close a poll (poll creator or group admin)
+router.post("/:id/close", auth, async (req, res) => {
+  try {
+    const userId = req.user._id;
+
+    const { msg, member, status, error } = await loadPoll(
+      req.params.id,
+      userId
+    );
+    if (error) return res.status(status).json({ message: error });
+
+    const isCreator = msg.sender.toString() === userId.toString();
+    if (!isCreator && member.role !== "admin") {
+      return res.status(403).json({
+        message: "Only the poll creator or group admins can close it",
+      });
+    }
+    if (msg.poll.closedAt) {
+      return res.status(400).json({ message: "This poll is already closed" });
+    }
+
+    msg.poll.closedAt = new Date();
+    msg.poll.closedBy = userId;
+    await msg.save();
+
+    emitPollUpdate(req, msg);
+
+    res.json({
+      message: "Poll closed",
+      poll: msg.getPollResults(userId),
+    });
+  } catch (error) {
+    console.error("Error closing poll:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,269 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const ScheduledMessage = require("../models/ScheduledMessage");
+const Group = require("../models/Group");
+const User = require("../models/User");
+const { auth } = require("../middleware/auth");
+const { resolveThreadRoot } = require("../services/threadService");
+const { findStoredFile } = require("../services/messageFiles");
+const { CLIENT_MESSAGE_TYPES } = require("../services/messageDispatch");
+const {
+  ANNOUNCEMENT_POST_ERROR,
+  canPostInGroup,
+} = require("../services/groupService");
+const {
+  MESSAGE_FORMATS,
+  assertMessageText,
+} = require("../services/messageFormatting");
+
+const router = express.Router();
+
+// Messages can be scheduled at most this far ahead
+const MAX_SCHEDULE_AHEAD_MS = 365 * 24 * 60 * 60 * 1000; // 1 year
+
+function validateScheduledFor(value) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error("scheduledFor must be a valid date");
+  }
+  if (date.getTime() <= Date.now()) {
+    throw new Error("scheduledFor must be in the future");
+  }
+  if (date.getTime() - Date.now() > MAX_SCHEDULE_AHEAD_MS) {
+    throw new Error("Messages can be scheduled at most one year ahead");
+  }
+  return true;
+}
+
+// Get my scheduled messages (pending by default, ?status=all for everything)
+router.get("/", auth, async (req, res) => {
+  try {
+    const { status } = req.query;
+    let query = { sender: req.user._id };
+
+    if (status && status !== "all") {
+      query.status = status;
+    } else if (!status) {
+      query.status = "pending";
+    }
+
+    const scheduledMessages = await ScheduledMessage.find(query)
+      .populate("receiver", "name email profileImage")
+      .populate("group", "name avatar")
+      .sort({ scheduledFor: 1 });
+
+    res.json(scheduledMessages);
+  } catch (error) {
+    console.error("Error fetching scheduled messages:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Schedule a personal or group message
+router.post(
+  "/",
+  auth,
+  [
+    body("receiver").optional().isMongoId().withMessage("Invalid receiver ID"),
+    body("group").optional().isMongoId().withMessage("Invalid group ID"),
+    body("message").optional().trim().custom(assertMessageText),
+    body("format")
+      .optional({ values: "falsy" })
+      .isIn(MESSAGE_FORMATS)
+      .withMessage(`format must be one of ${MESSAGE_FORMATS.join(", ")}`),
+    body("messageType")
+      .optional()
+      .isIn(CLIENT_MESSAGE_TYPES)
+      .withMessage("Invalid message type"),
+    body("replyTo")
+      .optional({ values: "falsy" })
+      .isMongoId()
+      .withMessage("Valid replyTo message ID is required"),
+    body("scheduledFor").custom(validateScheduledFor),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const {
+        receiver,
+        group,
+        message,
+        messageType,
+        fileUrl,
+        replyTo,
+        scheduledFor,
+        format,
+      } = req.body;
+      const sender = req.user._id;
+
+      if (!!receiver === !!group) {
+        return res
+          .status(400)
+          .json({ message: "Provide either a receiver or a group" });
+      }
+      if (!message && !fileUrl) {
+        return res
+          .status(400)
+          .json({ message: "Either message text or file is required" });
+      }
+
+      if (group) {
+        const groupData = await Group.findById(group);
+        if (!groupData || !groupData.isActive) {
+          return res.status(404).json({ message: "Group not found" });
+        }
+        const isMember = groupData.members.some(
+          (member) => member.user.toString() === sender.toString()
+        );
+        if (!isMember) {
+          return res
+            .status(403)
+            .json({ message: "You are not a member of this group" });
+        }
+        if (!canPostInGroup(groupData, sender)) {
+          return res.status(403).json({ message: ANNOUNCEMENT_POST_ERROR });
+        }
+      } else {
+        const receiverUser = await User.findById(receiver);
+        if (!receiverUser || !receiverUser.isActive) {
+          return res.status(404).json({ message: "Receiver not found" });
+        }
+      }
+
+      // Only files already sent in one of the user's chats can be attached;
+      // their details come from that message, not the request
+      let file = null;
+      if (fileUrl) {
+        file = await findStoredFile(fileUrl, sender);
+        if (!file) {
+          return res.status(400).json({ message: "Invalid file URL" });
+        }
+      }
+
+      let threadRoot = null;
+      try {
+        threadRoot = await resolveThreadRoot(replyTo, {
+          sender,
+          receiver,
+          group,
+        });
+      } catch (threadError) {
+        return res.status(400).json({ message: threadError.message });
+      }
+
+      const scheduled = new ScheduledMessage({
+        sender,
+        receiver: receiver || undefined,
+        group: group || undefined,
+        message: message || "",
+        messageType: messageType || "text",
+        format: format || undefined,
+        fileUrl: file ? file.fileUrl : null,
+        fileName: file ? file.fileName : null,
+        fileSize: file ? file.fileSize : null,
+        fileType: file ? file.fileType : null,
+        replyTo: threadRoot ? threadRoot._id : null,
+        scheduledFor: new Date(scheduledFor),
+      });
+
+      await scheduled.save();
+
+      res.status(201).json({
+        message: "Message scheduled successfully",
+        data: scheduled,
+      });
+    } catch (error) {
+      console.error("Error scheduling message:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Edit a pending scheduled message (text and/or time)
+router.put(
+  "/:id",
+  auth,
+  [
+    body("message").optional().trim().custom(assertMessageText),
+    body("scheduledFor").optional().custom(validateScheduledFor),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { message, scheduledFor } = req.body;
+
+      const updateData = {};
+      if (message !== undefined) updateData.message = message;
+      if (scheduledFor !== undefined) {
+        updateData.scheduledFor = new Date(scheduledFor);
+      }
+
+      const existing = await ScheduledMessage.findOne({
+        _id: req.params.id,
+        sender: req.user._id,
+      });
+      if (!existing) {
+        return res.status(404).json({ message: "Scheduled message not found" });
+      }
+      if (updateData.message === "" && !existing.fileUrl) {
+        return res.status(400).json({ message: "Message cannot be empty" });
+      }
+
+      // Only pending messages can change; the scheduler may claim it any moment
+      const scheduled = await ScheduledMessage.findOneAndUpdate(
+        { _id: existing._id, status: "pending" },
+        { $set: updateData },
+        { new: true, runValidators: true }
+      );
+      if (!scheduled) {
+        return res.status(409).json({
+          message: `Scheduled message is already ${existing.status}`,
+        });
+      }
+
+      res.json({ message: "Scheduled message updated", data: scheduled });
+    } catch (error) {
+      console.error("Error updating scheduled message:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Cancel a pending scheduled message
+router.delete("/:id", auth, async (req, res) => {
+  try {
+    const existing = await ScheduledMessage.findOne({
+      _id: req.params.id,
+      sender: req.user._id,
+    });
+    if (!existing) {
+      return res.status(404).json({ message: "Scheduled message not found" });
+    }
+
+    const scheduled = await ScheduledMessage.findOneAndUpdate(
+      { _id: existing._id, status: "pending" },
+      { $set: { status: "cancelled" } },
+      { new: true }
+    );
+    if (!scheduled) {
+      return res.status(409).json({
+        message: `Scheduled message is already ${existing.status}`,
+      });
+    }
+
+    res.json({ message: "Scheduled message cancelled", data: scheduled });
+  } catch (error) {
+    console.error("Error cancelling scheduled message:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+module.exports = router;
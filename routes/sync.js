@@ -0,0 +1,70 @@
+const express = require("express");
+const { query, validationResult } = require("express-validator");
+const StarredMessage = require("../models/StarredMessage");
+const { auth } = require("../middleware/auth");
+const { getChangesSince } = require("../services/syncService");
+
+const router = express.Router();
+
+// Messages in the same shape as the chat history endpoints
+function serializeSyncMessage(msg, currentUserId, starredIds) {
+  return {
+    ...msg.toObject(),
+    isEdited: !!msg.editedAt,
+    isStarred: starredIds.has(msg._id.toString()),
+    poll: msg.poll ? msg.getPollResults(currentUserId) : undefined,
+    reactionSummary: msg.getReactionSummary(currentUserId),
+  };
+}
+
+// Everything that changed for the current user since a cursor.
+// Without `since` (or with an expired cursor) resetRequired is true: the
+// client refetches its chats and resumes from the returned cursor.
+// While hasMore is true, call again with the returned cursor.
+router.get(
+  "/",
+  auth,
+  [
+    query("since")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("since must be a cursor returned by this endpoint"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const userId = req.user._id;
+      const since =
+        req.query.since !== undefined ? parseInt(req.query.since, 10) : null;
+
+      const result = await getChangesSince(userId, since);
+
+      const starred = result.messages.length
+        ? await StarredMessage.find({
+            user: userId,
+            message: { $in: result.messages.map((msg) => msg._id) },
+          }).select("message")
+        : [];
+      const starredIds = new Set(starred.map((s) => s.message.toString()));
+
+      res.json({
+        cursor: String(result.cursor),
+        hasMore: result.hasMore,
+        resetRequired: result.resetRequired,
+        changes: result.changes,
+        messages: result.messages.map((msg) =>
+          serializeSyncMessage(msg, userId, starredIds)
+        ),
+      });
+    } catch (error) {
+      console.error("Error fetching sync changes:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+module.exports = router;
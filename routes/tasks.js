@@ -7,6 +7,7 @@ const User = require("../models/User");
 const { auth } = require("../middleware/auth");
 const { sendFCMToUser } = require("../services/fcmService");
 const { sendPushToUser } = require("./pushNotifications");
+const { recordSyncEvent } = require("../services/syncService");
 
 // Configure Cloudinary
 cloudinary.config({
@@ -140,6 +141,11 @@ router.post("/:id/comment", auth, async (req, res) => {
           "task_notification",
           notificationData
         );
+        recordSyncEvent({
+          type: "task.notification",
+          users: [taskWithUser.user._id],
+          data: notificationData,
+        });
 
         // Push/FCM notification
         const notificationTitle = "💬 Task Comment";
@@ -343,6 +349,11 @@ router.post("/assign", auth, async (req, res) => {
 
         // Socket notification for online users
         io.to(userId).emit("task_notification", notificationData);
+        recordSyncEvent({
+          type: "task.notification",
+          users: [userId],
+          data: notificationData,
+        });
 
         // Push/FCM notification (will send if user is offline)
         const notificationTitle = "📋 New Task Assigned";
@@ -3,6 +3,7 @@ const mongoose = require("mongoose");
 const { body, validationResult } = require("express-validator");
 const User = require("../models/User");
 const { auth, authorize } = require("../middleware/auth");
+const { joinAutoJoinGroups } = require("../services/groupService");
 const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
@@ -56,6 +57,8 @@ router.get("/", auth, authorize("superadmin", "admin"), async (req, res) => {
       disableReason: user.disableReason,
       createdBy: user.createdBy,
       lastSeen: user.lastSeen,
+      statusMessage: user.statusMessage,
+      isBot: user.isBot,
       createdAt: user.createdAt,
       updatedAt: user.updatedAt,
     }));
@@ -70,7 +73,9 @@ router.get("/", auth, authorize("superadmin", "admin"), async (req, res) => {
 router.get("/active", auth, async (req, res) => {
   try {
     const users = await User.find({})
-      .select("_id name email role lastSeen profileImage isActive")
+      .select(
+        "_id name email role lastSeen profileImage isActive statusMessage isBot"
+      )
       .sort({ name: 1 });
 
     // Transform _id to id for frontend compatibility
@@ -82,6 +87,8 @@ router.get("/active", auth, async (req, res) => {
       lastSeen: user.lastSeen,
       profileImage: user.profileImage,
       isActive: user.isActive,
+      statusMessage: user.statusMessage,
+      isBot: user.isBot,
     }));
 
     res.json(transformedUsers);
@@ -137,6 +144,14 @@ router.post(
 
       await user.save();
 
+      // Company-wide groups (auto-membership) include new users right away.
+      // The account exists either way, so a failure here is only logged.
+      try {
+        await joinAutoJoinGroups(user._id);
+      } catch (joinError) {
+        console.error("Auto-join groups error:", joinError);
+      }
+
       res.status(201).json({
         message: "User created successfully",
         user: {
@@ -0,0 +1,37 @@
+const express = require("express");
+const { deliverWebhook } = require("../services/webhookService");
+
+const router = express.Router();
+
+// Incoming webhook calls. No user auth: the webhook's secret token is the
+// credential, either in the URL or in an X-Webhook-Token header.
+router.post("/:id/:token?", async (req, res) => {
+  try {
+    const result = await deliverWebhook({
+      io: req.app.get("io"),
+      activeUsers: req.app.get("activeUsers"),
+      webhookId: req.params.id,
+      token: req.params.token || req.get("X-Webhook-Token"),
+      payload: req.body,
+      request: {
+        ip: req.ip,
+        userAgent: req.get("User-Agent"),
+        payloadSize: Number(req.get("Content-Length")) || 0,
+      },
+    });
+
+    if (result.retryAfter) res.set("Retry-After", String(result.retryAfter));
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+    res.status(result.statusCode).json({
+      message: result.duplicate ? "Message already posted" : "Message posted",
+      messageId: result.messageId,
+    });
+  } catch (error) {
+    console.error("Webhook delivery error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+module.exports = router;
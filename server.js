@@ -14,6 +14,16 @@ const Call = require("./models/Call");
 const GroupCall = require("./models/GroupCall");
 const TimeSettings = require("./models/TimeSettings");
 const ScheduledDisable = require("./models/ScheduledDisable");
+const {
+  deliverDueScheduledMessages,
+} = require("./services/scheduledMessageService");
+const {
+  purgeExpiredMessages,
+} = require("./services/disappearingMessageService");
+const {
+  resumeConversationExports,
+  purgeExpiredExports,
+} = require("./services/conversationExportService");
 
 const app = express();
 const server = http.createServer(app);
@@ -68,13 +78,35 @@ app.use("/api/push-notifications", require("./routes/pushNotifications"));
 app.use("/api/fcm-notifications", require("./routes/fcmNotifications"));
 app.use("/api/daily-updates", require("./routes/dailyUpdates"));
 app.use("/api/tasks", require("./routes/tasks"));
+app.use("/api/scheduled-messages", require("./routes/scheduledMessages"));
+app.use("/api/polls", require("./routes/polls"));
+app.use("/api/exports", require("./routes/exports"));
+app.use("/api/sync", require("./routes/sync"));
+app.use("/api/webhooks", require("./routes/webhooks"));
 
 // Import push notification helpers
 const { sendPushToUser } = require("./routes/pushNotifications");
 const { sendFCMToUser } = require("./services/fcmService");
+const { resolveThreadRoot } = require("./services/threadService");
+const { validateMessageText } = require("./services/messageFormatting");
+const { isStoredFileUrl } = require("./services/messageFiles");
+const { runSlashCommand } = require("./services/slashCommandService");
+const { getGroupPostError } = require("./services/groupService");
+const { registerBuiltinCommands } = require("./services/builtinCommands");
+const { markPersonalMessagesDelivered } = require("./services/receiptService");
+const { migrateReadCursors } = require("./services/readCursorService");
+const { migrateConversations } = require("./services/conversationService");
+const {
+  CLIENT_MESSAGE_TYPES,
+  dispatchPersonalMessage,
+  dispatchGroupMessage,
+} = require("./services/messageDispatch");
+
+registerBuiltinCommands();
 
 // Authenticate socket connections with JWT and track active users
 const activeUsers = new Map();
+app.set("activeUsers", activeUsers);
 
 io.use(async (socket, next) => {
   try {
@@ -95,6 +127,38 @@ io.use(async (socket, next) => {
   }
 });
 
+// Answer a send-message/send-group-message: over the ack callback when the
+// client passed one, otherwise with the older "*-sent" / "error" events.
+// A retried clientId gets the saved message again with duplicate: true.
+function replySendResult(socket, ack, event, result) {
+  if (typeof ack === "function") {
+    ack({
+      ok: true,
+      message: result.confirmationMessage,
+      duplicate: !!result.duplicate,
+    });
+    return;
+  }
+  socket.emit(event, result.confirmationMessage);
+}
+
+function replySendError(socket, ack, message) {
+  if (typeof ack === "function") {
+    ack({ ok: false, error: message });
+    return;
+  }
+  socket.emit("error", { message });
+}
+
+// Answer a slash command with its result, only the user who ran it sees it
+function replyCommandResult(socket, ack, result) {
+  if (typeof ack === "function") {
+    ack(result);
+    return;
+  }
+  socket.emit("command-response", result);
+}
+
 io.on("connection", (socket) => {
   console.log(
     `✅ User connected: ${socket.user?.name || socket.userId} - ${socket.id}`
@@ -113,6 +177,11 @@ io.on("connection", (socket) => {
     lastSeen: new Date(),
   }).catch((err) => console.error("Error updating lastSeen:", err));
 
+  // Messages sent while this user was offline are delivered now
+  markPersonalMessagesDelivered({ io, receiverId: socket.userId }).catch(
+    (err) => console.error("Error marking messages delivered:", err)
+  );
+
   // Broadcast to all connected users that this user is now online
   socket.broadcast.emit("user-online", {
     userId: socket.userId,
@@ -141,7 +210,7 @@ io.on("connection", (socket) => {
   socket.emit("online-users", onlineUsersList);
 
   // Handle personal messages
-  socket.on("send-message", async (data) => {
+  socket.on("send-message", async (data, ack) => {
     try {
       console.log("🔄 Backend received send-message:", data);
       const {
@@ -153,16 +222,63 @@ io.on("connection", (socket) => {
         fileName,
         fileSize,
         fileType,
+        replyTo,
+        clientId,
+        format,
       } = data;
 
+      // Polls and system notices can't be sent by clients
+      if (messageType && !CLIENT_MESSAGE_TYPES.includes(messageType)) {
+        replySendError(socket, ack, "Invalid message type");
+        return;
+      }
+
+      const textError = validateMessageText(message, format);
+      if (textError) {
+        replySendError(socket, ack, textError);
+        return;
+      }
+
+      // Only files the upload routes stored can be attached here
+      if (fileUrl && !(await isStoredFileUrl(fileUrl, socket.userId))) {
+        replySendError(socket, ack, "Invalid file URL");
+        return;
+      }
+
+      // Slash commands run instead of being sent
+      if (!fileUrl) {
+        const commandResult = await runSlashCommand({
+          io,
+          activeUsers,
+          user: socket.user,
+          chat: { chatType: "personal", chatId: receiver },
+          text: message,
+        });
+        if (commandResult) {
+          replyCommandResult(socket, ack, commandResult);
+          return;
+        }
+      }
+
+      // Resolve the thread this message replies to (if any)
+      let threadRoot = null;
+      try {
+        threadRoot = await resolveThreadRoot(replyTo, { sender, receiver });
+      } catch (threadError) {
+        replySendError(socket, ack, threadError.message);
+        return;
+      }
+
       // IMPORTANT: Save message to database first
-      const Message = require("./models/Message");
       const messageData = {
         sender: sender,
         receiver: receiver,
         message: message || "",
         messageType: messageType || "text",
+        replyTo: threadRoot ? threadRoot._id : null,
+        format,
       };
+      if (clientId) messageData.clientId = String(clientId);
 
       // Add file data if present
       if (fileUrl) {
@@ -172,113 +288,29 @@ io.on("connection", (socket) => {
         messageData.fileType = fileType;
       }
 
-      const newMessage = new Message(messageData);
-      await newMessage.save();
-      console.log("💾 Message saved to database:", newMessage._id);
-
-      // Populate message data for response
-      await newMessage.populate("sender", "name email profileImage");
-      await newMessage.populate("receiver", "name email profileImage");
-
-      // Emit to receiver if they're online
-      const receiverMessage = {
-        id: newMessage._id, // Use actual message ID from database
-        sender: newMessage.sender,
-        receiver: receiver,
-        message: newMessage.message,
-        messageType: newMessage.messageType,
-        fileUrl: newMessage.fileUrl,
-        fileName: newMessage.fileName,
-        fileSize: newMessage.fileSize,
-        fileType: newMessage.fileType,
-        timestamp: newMessage.createdAt,
-        createdAt: newMessage.createdAt,
-        isFromOtherUser: true,
-        _id: newMessage._id,
-      };
-      console.log(
-        "📤 Emitting to receiver:",
-        receiver,
-        "message:",
-        receiverMessage
-      );
-      socket.to(receiver).emit("receive-message", receiverMessage);
-
-      // Send push notification if receiver is not online
-      const receiverOnline = activeUsers.has(receiver);
-      if (!receiverOnline) {
-        const senderName = newMessage.sender?.name || "Someone";
-        const messagePreview =
-          newMessage.messageType === "text"
-            ? newMessage.message.substring(0, 100)
-            : `Sent a ${newMessage.messageType}`;
-
-        // Try FCM first, fallback to Web Push
-        sendFCMToUser(
-          receiver,
-          `New message from ${senderName}`,
-          messagePreview,
-          {
-            type: "personal-message",
-            senderId: sender,
-            senderName: senderName,
-            receiverId: receiver,
-            messageId: newMessage._id.toString(),
-            icon: newMessage.sender?.profileImage || "/icon.png",
-          }
-        )
-          .then((result) => {
-            if (!result.success) {
-              return sendPushToUser(
-                receiver,
-                `New message from ${senderName}`,
-                messagePreview,
-                newMessage.sender?.profileImage || "/icon.png",
-                {
-                  type: "personal-message",
-                  senderId: sender,
-                  senderName: senderName,
-                  receiverId: receiver,
-                  messageId: newMessage._id.toString(),
-                }
-              );
-            }
-          })
-          .catch((err) => {
-            console.log("Push notification failed:", err.message);
-          });
-      }
+      const result = await dispatchPersonalMessage({
+        io,
+        activeUsers,
+        socket,
+        messageData,
+        threadRoot,
+      });
 
-      // Emit back to sender for confirmation
-      const confirmationMessage = {
-        id: newMessage._id,
-        sender: newMessage.sender,
-        receiver: receiver,
-        message: newMessage.message,
-        messageType: newMessage.messageType,
-        fileUrl: newMessage.fileUrl,
-        fileName: newMessage.fileName,
-        fileSize: newMessage.fileSize,
-        fileType: newMessage.fileType,
-        timestamp: newMessage.createdAt,
-        createdAt: newMessage.createdAt,
-        isConfirmMessage: true,
-        _id: newMessage._id,
-      };
+      // Confirm back to the sender
       console.log(
         "📤 Emitting confirmation back to sender:",
-        confirmationMessage
+        result.confirmationMessage
       );
-      socket.emit("message-sent", confirmationMessage);
+      replySendResult(socket, ack, "message-sent", result);
       console.log("✅ Message saved and handling completed successfully");
     } catch (error) {
       console.error("❌ Error in backend message handling:", error);
-      socket.emit("error", { message: "Failed to send message" });
+      replySendError(socket, ack, "Failed to send message");
     }
   });
 
   // Handle group messages
-  socket.on("send-group-message", async (data) => {
+  socket.on("send-group-message", async (data, ack) => {
     try {
       const {
         groupId,
@@ -289,18 +321,73 @@ io.on("connection", (socket) => {
         fileName,
         fileSize,
         fileType,
+        replyTo,
+        clientId,
+        format,
       } = data;
 
-      // Save group message to database
-      const Message = require("./models/Message");
-      const Group = require("./models/Group");
+      // Polls and system notices can't be sent by clients
+      if (messageType && !CLIENT_MESSAGE_TYPES.includes(messageType)) {
+        replySendError(socket, ack, "Invalid message type");
+        return;
+      }
 
+      const textError = validateMessageText(message, format);
+      if (textError) {
+        replySendError(socket, ack, textError);
+        return;
+      }
+
+      // Only files the upload routes stored can be attached here
+      if (fileUrl && !(await isStoredFileUrl(fileUrl, socket.userId))) {
+        replySendError(socket, ack, "Invalid file URL");
+        return;
+      }
+
+      // Announcement channels only take posts from their posters
+      const postError = await getGroupPostError(groupId, socket.userId);
+      if (postError) {
+        replySendError(socket, ack, postError);
+        return;
+      }
+
+      // Slash commands run instead of being sent
+      if (!fileUrl) {
+        const commandResult = await runSlashCommand({
+          io,
+          activeUsers,
+          user: socket.user,
+          chat: { chatType: "group", chatId: groupId },
+          text: message,
+        });
+        if (commandResult) {
+          replyCommandResult(socket, ack, commandResult);
+          return;
+        }
+      }
+
+      // Resolve the thread this message replies to (if any)
+      let threadRoot = null;
+      try {
+        threadRoot = await resolveThreadRoot(replyTo, {
+          sender,
+          group: groupId,
+        });
+      } catch (threadError) {
+        replySendError(socket, ack, threadError.message);
+        return;
+      }
+
+      // Save group message to database
       const messageData = {
         sender: sender,
         group: groupId,
         message: message || "",
         messageType: messageType || "text",
+        replyTo: threadRoot ? threadRoot._id : null,
+        format,
       };
+      if (clientId) messageData.clientId = String(clientId);
 
       // Add file data if present
       if (fileUrl) {
@@ -310,105 +397,20 @@ io.on("connection", (socket) => {
         messageData.fileType = fileType;
       }
 
-      const newMessage = new Message(messageData);
-      await newMessage.save();
-      console.log("💾 Group message saved to database:", newMessage._id);
-
-      // Populate message data
-      await newMessage.populate("sender", "name email profileImage");
-      await newMessage.populate("group", "name");
-
-      // Emit to all members of the group
-      socket.to(groupId).emit("receive-group-message", {
-        id: newMessage._id,
-        groupId,
-        sender: newMessage.sender,
-        message: newMessage.message,
-        messageType: newMessage.messageType,
-        fileUrl: newMessage.fileUrl,
-        fileName: newMessage.fileName,
-        fileSize: newMessage.fileSize,
-        fileType: newMessage.fileType,
-        timestamp: newMessage.createdAt,
-        createdAt: newMessage.createdAt,
-        _id: newMessage._id,
+      const result = await dispatchGroupMessage({
+        io,
+        activeUsers,
+        socket,
+        messageData,
+        threadRoot,
       });
 
-      // Send push notifications to offline group members
-      const group = await Group.findById(groupId);
-      if (group && group.members) {
-        const senderName = newMessage.sender?.name || "Someone";
-        const groupName = group.name || "Group";
-        const messagePreview =
-          newMessage.messageType === "text"
-            ? newMessage.message.substring(0, 100)
-            : `Sent a ${newMessage.messageType}`;
-
-        group.members.forEach((member) => {
-          const memberId = member.user.toString();
-          // Skip sender and online members
-          if (memberId !== sender && !activeUsers.has(memberId)) {
-            // Try FCM first, fallback to Web Push
-            sendFCMToUser(
-              memberId,
-              `${senderName} in ${groupName}`,
-              messagePreview,
-              {
-                type: "group-message",
-                groupId: groupId,
-                groupName: groupName,
-                senderId: sender,
-                senderName: senderName,
-                receiverId: memberId,
-                messageId: newMessage._id.toString(),
-                icon: newMessage.sender?.profileImage || "/icon.png",
-              }
-            )
-              .then((result) => {
-                if (!result.success) {
-                  return sendPushToUser(
-                    memberId,
-                    `${senderName} in ${groupName}`,
-                    messagePreview,
-                    newMessage.sender?.profileImage || "/icon.png",
-                    {
-                      type: "group-message",
-                      groupId: groupId,
-                      groupName: groupName,
-                      senderId: sender,
-                      senderName: senderName,
-                      receiverId: memberId,
-                      messageId: newMessage._id.toString(),
-                    }
-                  );
-                }
-              })
-              .catch((err) => {
-                console.log("Push notification failed:", err.message);
-              });
-          }
-        });
-      }
-
-      // Emit back to sender for confirmation
-      socket.emit("group-message-sent", {
-        id: newMessage._id,
-        groupId,
-        sender: newMessage.sender,
-        message: newMessage.message,
-        messageType: newMessage.messageType,
-        fileUrl: newMessage.fileUrl,
-        fileName: newMessage.fileName,
-        fileSize: newMessage.fileSize,
-        fileType: newMessage.fileType,
-        timestamp: newMessage.createdAt,
-        createdAt: newMessage.createdAt,
-        _id: newMessage._id,
-      });
+      // Confirm back to the sender
+      replySendResult(socket, ack, "group-message-sent", result);
       console.log("✅ Group message saved and handling completed successfully");
     } catch (error) {
       console.error("❌ Error in group message handling:", error);
-      socket.emit("error", { message: "Failed to send group message" });
+      replySendError(socket, ack, "Failed to send group message");
     }
   });
 
@@ -1416,6 +1418,25 @@ mongoose
     // Initialize auto-disable scheduler after DB connection and NTP sync
     initializeAutoDisableScheduler();
 
+    // Deliver "send later" messages (also picks up any that came due while down)
+    initializeScheduledMessageScheduler();
+
+    // Finish exports cut off by a restart, clean up expired ones hourly
+    initializeConversationExportJobs();
+
+    // Remove disappearing messages (and their files) once they expire
+    initializeDisappearingMessagePurge();
+
+    // First start with read cursors / the conversation list: build them from
+    // existing messages (conversation unread counters come from the cursors)
+    const cursorMigration = migrateReadCursors();
+    Promise.all([
+      cursorMigration,
+      migrateConversations({ after: cursorMigration }),
+    ]).catch((error) =>
+      console.error("❌ Error migrating read cursors / conversations:", error)
+    );
+
     // Re-sync with NTP server every 1 hour to maintain accuracy
     setInterval(async () => {
       console.log("🔄 Re-syncing with NTP server...");
@@ -1581,9 +1602,9 @@ async function initializeAutoDisableScheduler() {
 
             // DISABLE users
             if (schedule.applyToAllUsers) {
-              // Disable all regular users
+              // Disable all regular users (bot accounts keep working)
               const result = await User.updateMany(
-                { role: "user", isActive: true },
+                { role: "user", isActive: true, isBot: { $ne: true } },
                 {
                   $set: {
                     isActive: false,
@@ -1661,6 +1682,58 @@ async function initializeAutoDisableScheduler() {
   }
 }
 
+// Initialize the scheduled ("send later") message scheduler
+function initializeScheduledMessageScheduler() {
+  const runDelivery = async () => {
+    try {
+      // Compare against global (NTP) time, same as the auto-disable scheduler
+      await deliverDueScheduledMessages({
+        io,
+        activeUsers,
+        now: new Date(Date.now() + globalTimeOffset),
+      });
+    } catch (error) {
+      console.error("❌ Error delivering scheduled messages:", error);
+    }
+  };
+
+  // Run once at startup, then every minute
+  runDelivery();
+  cron.schedule("* * * * *", runDelivery);
+}
+
+// Purge expired disappearing messages every minute
+function initializeDisappearingMessagePurge() {
+  const runPurge = async () => {
+    try {
+      await purgeExpiredMessages({
+        io,
+        now: new Date(Date.now() + globalTimeOffset),
+      });
+    } catch (error) {
+      console.error("❌ Error purging disappearing messages:", error);
+    }
+  };
+
+  runPurge();
+  cron.schedule("* * * * *", runPurge);
+}
+
+// Resume interrupted conversation exports and purge expired export files
+function initializeConversationExportJobs() {
+  resumeConversationExports({ io }).catch((error) =>
+    console.error("❌ Error resuming conversation exports:", error)
+  );
+
+  cron.schedule("0 * * * *", async () => {
+    try {
+      await purgeExpiredExports();
+    } catch (error) {
+      console.error("❌ Error purging conversation exports:", error);
+    }
+  });
+}
+
 // Catch-all handler: send back React's index.html file for any non-API routes
 app.get("*", (req, res) => {
   res.sendFile(path.join(__dirname, "dist", "index.html"));
@@ -0,0 +1,324 @@
+const { spawn } = require("child_process");
+
+// Voice notes: duration and a compact waveform (peak loudness per bar) read
+// from the uploaded audio. ffmpeg decodes any format when it is installed
+// (FFMPEG_PATH or on PATH); without it WAV is decoded here and Ogg, WebM and
+// MP4/M4A files still get their duration from the container headers.
+
+const WAVEFORM_BARS = 64;
+const WAVEFORM_MAX = 100; // Bars are scaled so the loudest one is 100
+const FFMPEG_PATH = process.env.FFMPEG_PATH || "ffmpeg";
+const DECODE_SAMPLE_RATE = 8000; // Plenty for a loudness outline
+const DECODE_TIMEOUT_MS = 20 * 1000;
+const MAX_DECODED_SECONDS = 60 * 60;
+
+let ffmpegMissing = false;
+
+function roundDuration(seconds) {
+  return Math.round(seconds * 100) / 100;
+}
+
+// Peak amplitude of each bar, relative to the loudest bar
+function buildWaveform(samples, bars = WAVEFORM_BARS) {
+  const count = Math.min(bars, samples.length);
+  const peaks = new Array(count).fill(0);
+  for (let bar = 0; bar < count; bar++) {
+    const start = Math.floor((bar * samples.length) / count);
+    const end = Math.floor(((bar + 1) * samples.length) / count);
+    for (let i = start; i < end; i++) {
+      const amplitude = Math.abs(samples[i]);
+      if (amplitude > peaks[bar]) peaks[bar] = amplitude;
+    }
+  }
+  const loudest = Math.max(...peaks, 0);
+  if (!loudest) return peaks;
+  return peaks.map((peak) => Math.round((peak / loudest) * WAVEFORM_MAX));
+}
+
+// Decode to 8kHz mono 16-bit PCM; null when ffmpeg is missing or fails
+function decodeWithFfmpeg(buffer) {
+  if (ffmpegMissing) return Promise.resolve(null);
+
+  return new Promise((resolve) => {
+    const child = spawn(FFMPEG_PATH, [
+      "-hide_banner",
+      "-loglevel",
+      "error",
+      "-i",
+      "pipe:0",
+      "-ac",
+      "1",
+      "-ar",
+      String(DECODE_SAMPLE_RATE),
+      "-f",
+      "s16le",
+      "pipe:1",
+    ]);
+    const maxBytes = MAX_DECODED_SECONDS * DECODE_SAMPLE_RATE * 2;
+    const chunks = [];
+    let size = 0;
+    let finished = false;
+
+    const finish = (result) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      resolve(result);
+    };
+    const timer = setTimeout(() => {
+      child.kill("SIGKILL");
+      finish(null);
+    }, DECODE_TIMEOUT_MS);
+
+    child.on("error", (error) => {
+      if (error.code === "ENOENT") ffmpegMissing = true;
+      finish(null);
+    });
+    child.stdout.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        child.kill("SIGKILL");
+        return finish(null);
+      }
+      chunks.push(chunk);
+    });
+    child.on("close", (code) => {
+      if (code !== 0 || !size) return finish(null);
+      const pcm = Buffer.concat(chunks);
+      const samples = new Float32Array(Math.floor(pcm.length / 2));
+      for (let i = 0; i < samples.length; i++) {
+        samples[i] = pcm.readInt16LE(i * 2) / 32768;
+      }
+      finish({ samples, sampleRate: DECODE_SAMPLE_RATE });
+    });
+
+    // ffmpeg may stop reading early (unsupported input)
+    child.stdin.on("error", () => {});
+    child.stdin.end(buffer);
+  });
+}
+
+// Uncompressed WAV (integer or float PCM), first channel only
+function decodeWav(buffer) {
+  if (
+    buffer.length < 12 ||
+    buffer.toString("latin1", 0, 4) !== "RIFF" ||
+    buffer.toString("latin1", 8, 12) !== "WAVE"
+  ) {
+    return null;
+  }
+
+  let fmt = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString("latin1", offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === "fmt " && body + 16 <= buffer.length) {
+      fmt = {
+        format: buffer.readUInt16LE(body),
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14),
+      };
+    } else if (id === "data" && fmt) {
+      const { format, channels, sampleRate, bitsPerSample } = fmt;
+      const bytes = bitsPerSample / 8;
+      const isFloat = format === 3;
+      // 1 = PCM, 3 = IEEE float, 0xfffe = extensible (assumed PCM)
+      if (![1, 3, 0xfffe].includes(format) || !channels || !sampleRate) {
+        return null;
+      }
+      if (isFloat ? bytes !== 4 : ![1, 2, 3, 4].includes(bytes)) return null;
+
+      const end = Math.min(body + size, buffer.length);
+      const frameSize = bytes * channels;
+      const samples = new Float32Array(Math.floor((end - body) / frameSize));
+      for (let i = 0; i < samples.length; i++) {
+        const at = body + i * frameSize;
+        if (isFloat) samples[i] = buffer.readFloatLE(at);
+        else if (bytes === 1) samples[i] = (buffer[at] - 128) / 128;
+        else
+          samples[i] = buffer.readIntLE(at, bytes) / 2 ** (bitsPerSample - 1);
+      }
+      return { samples, sampleRate };
+    }
+    offset = body + size + (size % 2);
+  }
+  return null;
+}
+
+// Ogg Opus/Vorbis: granule position of the last page over the sample rate
+function oggDuration(buffer) {
+  if (buffer.toString("latin1", 0, 4) !== "OggS") return null;
+
+  const last = buffer.lastIndexOf("OggS");
+  if (last < 0 || last + 14 > buffer.length) return null;
+  const granule = Number(buffer.readBigInt64LE(last + 6));
+  if (granule <= 0) return null;
+
+  const opus = buffer.indexOf("OpusHead");
+  if (opus >= 0 && opus + 12 <= buffer.length) {
+    const preSkip = buffer.readUInt16LE(opus + 10);
+    return (granule - preSkip) / 48000; // Opus granules are always 48kHz
+  }
+  const vorbis = buffer.indexOf("\x01vorbis", 0, "latin1");
+  if (vorbis >= 0 && vorbis + 16 <= buffer.length) {
+    const sampleRate = buffer.readUInt32LE(vorbis + 12);
+    return sampleRate ? granule / sampleRate : null;
+  }
+  return null;
+}
+
+// EBML variable-length integer; ids keep their length marker
+function readVint(buffer, pos, keepMarker) {
+  const first = buffer[pos];
+  if (first === undefined) return null;
+  let length = 1;
+  let mask = 0x80;
+  while (length <= 8 && !(first & mask)) {
+    mask >>= 1;
+    length++;
+  }
+  if (length > 8 || pos + length > buffer.length) return null;
+
+  let value = keepMarker ? first : first & (mask - 1);
+  for (let i = 1; i < length; i++) value = value * 256 + buffer[pos + i];
+  const unknown = !keepMarker && value === 2 ** (7 * length) - 1;
+  return { value, length, unknown };
+}
+
+function readUInt(buffer, pos, length) {
+  let value = 0;
+  for (let i = 0; i < length; i++) value = value * 256 + buffer[pos + i];
+  return value;
+}
+
+const EBML_HEADER = 0x1a45dfa3;
+const EBML_CONTAINERS = new Set([
+  0x18538067, // Segment
+  0x1549a966, // Info
+  0x1f43b675, // Cluster
+  0xa0, // BlockGroup
+]);
+
+// WebM/Matroska: the Info duration, or the newest block timecode when the
+// recorder (e.g. browser MediaRecorder) didn't write one
+function webmDuration(buffer) {
+  if (buffer.length < 4 || buffer.readUInt32BE(0) !== EBML_HEADER) return null;
+
+  let timecodeScale = 1000000; // Nanoseconds per tick
+  let duration = 0;
+  let clusterTime = 0;
+  let lastBlockTime = 0;
+  let pos = 0;
+
+  while (pos < buffer.length) {
+    const id = readVint(buffer, pos, true);
+    if (!id) break;
+    const size = readVint(buffer, pos + id.length, false);
+    if (!size) break;
+    const body = pos + id.length + size.length;
+
+    if (EBML_CONTAINERS.has(id.value)) {
+      pos = body; // Step into the element
+      continue;
+    }
+    if (size.unknown || body + size.value > buffer.length) break;
+
+    switch (id.value) {
+      case 0x2ad7b1: // TimecodeScale
+        timecodeScale = readUInt(buffer, body, size.value);
+        break;
+      case 0x4489: // Duration
+        if (size.value === 4) duration = buffer.readFloatBE(body);
+        else if (size.value === 8) duration = buffer.readDoubleBE(body);
+        break;
+      case 0xe7: // Cluster Timecode
+        clusterTime = readUInt(buffer, body, size.value);
+        break;
+      case 0xa3: // SimpleBlock
+      case 0xa1: {
+        // Block: track number, then a timecode relative to the cluster
+        const track = readVint(buffer, body, false);
+        if (track && body + track.length + 2 <= buffer.length) {
+          const time = clusterTime + buffer.readInt16BE(body + track.length);
+          lastBlockTime = Math.max(lastBlockTime, time);
+        }
+        break;
+      }
+    }
+    pos = body + size.value;
+  }
+
+  const ticks = duration || lastBlockTime;
+  return ticks ? (ticks * timecodeScale) / 1e9 : null;
+}
+
+// MP4/M4A: moov > mvhd duration over its timescale
+function mp4Duration(buffer) {
+  const findBox = (start, end, type) => {
+    let pos = start;
+    while (pos + 8 <= end) {
+      let size = buffer.readUInt32BE(pos);
+      let header = 8;
+      if (size === 1 && pos + 16 <= end) {
+        size = Number(buffer.readBigUInt64BE(pos + 8));
+        header = 16;
+      } else if (size === 0) {
+        size = end - pos; // Box runs to the end of the file
+      }
+      if (size < header) return null;
+      if (buffer.toString("latin1", pos + 4, pos + 8) === type) {
+        return { start: pos + header, end: Math.min(pos + size, end) };
+      }
+      pos += size;
+    }
+    return null;
+  };
+
+  if (buffer.length < 8 || buffer.toString("latin1", 4, 8) !== "ftyp") {
+    return null;
+  }
+  const moov = findBox(0, buffer.length, "moov");
+  const mvhd = moov && findBox(moov.start, moov.end, "mvhd");
+  if (!mvhd || mvhd.start + 32 > mvhd.end) return null;
+
+  const version = buffer[mvhd.start];
+  const timescale = buffer.readUInt32BE(mvhd.start + (version === 1 ? 20 : 12));
+  const duration =
+    version === 1
+      ? Number(buffer.readBigUInt64BE(mvhd.start + 24))
+      : buffer.readUInt32BE(mvhd.start + 16);
+  return timescale ? duration / timescale : null;
+}
+
+// { duration (seconds), waveform } for an uploaded audio file, or null when
+// the format isn't recognised. waveform is empty if it couldn't be decoded.
+// Never throws: a file we can't read is still sent, just without metadata.
+async function extractAudioMetadata(buffer) {
+  try {
+    const decoded = decodeWav(buffer) || (await decodeWithFfmpeg(buffer));
+    if (decoded && decoded.samples.length) {
+      return {
+        duration: roundDuration(decoded.samples.length / decoded.sampleRate),
+        waveform: buildWaveform(decoded.samples),
+      };
+    }
+
+    const duration =
+      oggDuration(buffer) || webmDuration(buffer) || mp4Duration(buffer);
+    return duration > 0
+      ? { duration: roundDuration(duration), waveform: [] }
+      : null;
+  } catch (error) {
+    console.warn("⚠️ Could not read audio metadata:", error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  WAVEFORM_BARS,
+  extractAudioMetadata,
+};
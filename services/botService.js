@@ -0,0 +1,107 @@
+const crypto = require("crypto");
+const User = require("../models/User");
+const {
+  dispatchPersonalMessage,
+  dispatchGroupMessage,
+} = require("./messageDispatch");
+
+// Bot users: accounts (isBot) that post replies to slash commands and other
+// automated messages through the normal send pipeline, so their messages are
+// stored, synced, pushed and shown like any other. The account is created the
+// first time a bot posts. In a group the bot posts to the group; a personal
+// chat only has two participants, so there the bot messages the user directly.
+
+const bots = new Map(); // key -> { key, name, description }
+const botUserIds = new Map(); // key -> User id once loaded/created
+
+// Register a bot (key is a short stable id like "reminders")
+function registerBot({ key, name, description = "" }) {
+  if (!/^[a-z][a-z0-9-]{1,30}$/.test(key)) {
+    throw new Error(`Invalid bot key: ${key}`);
+  }
+  const bot = { key, name, description };
+  bots.set(key, bot);
+  return bot;
+}
+
+function getBot(key) {
+  return bots.get(key) || null;
+}
+
+// The User account for a bot key, created if it doesn't exist yet. Also used
+// directly for bots that aren't registered, like each group webhook.
+async function ensureBotUser({ key, name, description }) {
+  let user = await User.findOne({ botKey: key }).select("_id");
+  if (user) return user._id;
+
+  try {
+    user = await User.create({
+      name,
+      email: `${key}@bots.local`,
+      // Nobody signs in as a bot, the password is never used
+      password: crypto.randomBytes(32).toString("hex"),
+      bio: description || undefined,
+      isBot: true,
+      botKey: key,
+    });
+    // The save hook keeps a plain copy for admins, not wanted for bots
+    await User.updateOne({ _id: user._id }, { $set: { plainPassword: null } });
+  } catch (error) {
+    // Created concurrently by another request
+    if (error.code !== 11000) throw error;
+    user = await User.findOne({ botKey: key }).select("_id");
+    if (!user) throw error;
+  }
+  console.log(`🤖 Created bot user: ${name}`);
+  return user._id;
+}
+
+// The registered bot's User id, creating the account on first use
+async function getBotUserId(key) {
+  if (botUserIds.has(key)) return botUserIds.get(key);
+
+  const bot = getBot(key);
+  if (!bot) throw new Error(`Unknown bot: ${key}`);
+
+  const userId = await ensureBotUser(bot);
+  botUserIds.set(key, userId);
+  return userId;
+}
+
+// Post a message as the bot. chat is { group } or { user } (direct message).
+async function sendBotMessage({
+  io,
+  activeUsers,
+  bot,
+  chat,
+  message,
+  format,
+  messageType = "text",
+}) {
+  const sender = await getBotUserId(bot);
+  const messageData = { sender, message, messageType, format };
+
+  if (chat.group) {
+    const { newMessage } = await dispatchGroupMessage({
+      io,
+      activeUsers,
+      messageData: { ...messageData, group: chat.group },
+    });
+    return newMessage;
+  }
+
+  const { newMessage } = await dispatchPersonalMessage({
+    io,
+    activeUsers,
+    messageData: { ...messageData, receiver: chat.user },
+  });
+  return newMessage;
+}
+
+module.exports = {
+  registerBot,
+  getBot,
+  ensureBotUser,
+  getBotUserId,
+  sendBotMessage,
+};
@@ -0,0 +1,343 @@
+const moment = require("moment-timezone");
+const Task = require("../models/Task");
+const User = require("../models/User");
+const ScheduledMessage = require("../models/ScheduledMessage");
+const TimeSettings = require("../models/TimeSettings");
+const { registerBot, getBotUserId } = require("./botService");
+const { registerCommand, listCommands } = require("./slashCommandService");
+const { resolveMentions } = require("./mentionService");
+const { recordSyncEvent } = require("./syncService");
+const { notifyUser } = require("./notificationService");
+const { validatePoll, createGroupPoll } = require("./pollService");
+
+// Commands available out of the box: /task, /remind, /poll, /status, /help
+
+const TASK_PRIORITIES = ["low", "medium", "high"];
+const MAX_REMIND_AHEAD_MS = 365 * 24 * 60 * 60 * 1000; // Same as scheduling
+const DEFAULT_REMIND_HOUR = 9; // "/remind tomorrow ..." without a time
+const MAX_STATUS_LENGTH = 140;
+
+const DURATION_UNITS = [
+  [/^(m|mins?|minutes?)$/, 60 * 1000],
+  [/^(h|hrs?|hours?)$/, 60 * 60 * 1000],
+  [/^(d|days?)$/, 24 * 60 * 60 * 1000],
+];
+
+// "5pm", "5:30pm", "5 pm", "17:30" -> { hour, minute, consumed words }.
+// A bare number is not a time ("/remind 5 ..." is ambiguous).
+function parseClock(word, nextWord) {
+  const match = (word || "").match(/^(\d{1,2})(?::(\d{2}))?(am|pm)?$/i);
+  if (!match) return null;
+
+  let meridiem = match[3] ? match[3].toLowerCase() : null;
+  let consumed = 1;
+  if (!meridiem && /^(am|pm)$/i.test(nextWord || "")) {
+    meridiem = nextWord.toLowerCase();
+    consumed = 2;
+  }
+  if (!meridiem && match[2] === undefined) return null;
+
+  let hour = Number(match[1]);
+  const minute = match[2] === undefined ? 0 : Number(match[2]);
+  if (minute > 59) return null;
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (meridiem === "pm" ? 12 : 0);
+  } else if (hour > 23) {
+    return null;
+  }
+  return { hour, minute, consumed };
+}
+
+// "/remind" arguments -> { at, text } or { error }. Understands
+// "in 10 minutes ...", "in 2h ...", "[today|tomorrow] [at] 5pm ..." and
+// "tomorrow ..." (9am); clock times are in the organisation's timezone.
+function parseReminder(args, timezone, now = moment()) {
+  const words = args.split(/\s+/).filter(Boolean);
+  let at;
+  let used = 0;
+
+  if ((words[0] || "").toLowerCase() === "in") {
+    const compact = (words[1] || "").match(/^(\d+)([a-z]+)$/i);
+    const [amount, unit] = compact
+      ? [compact[1], compact[2]]
+      : [words[1], words[2]];
+    used = compact ? 2 : 3;
+    const entry = DURATION_UNITS.find(([regex]) =>
+      regex.test((unit || "").toLowerCase())
+    );
+    if (!entry || !/^\d+$/.test(amount || "") || Number(amount) < 1) {
+      return { error: 'Couldn\'t understand the time, try "in 10 minutes"' };
+    }
+    at = now.clone().add(Number(amount) * entry[1], "ms");
+  } else {
+    let day = null;
+    if (/^(today|tomorrow)$/i.test(words[0] || "")) {
+      day = words[0].toLowerCase();
+      used = 1;
+    }
+    if ((words[used] || "").toLowerCase() === "at") used++;
+    const clock = parseClock(words[used], words[used + 1]);
+    if (clock) used += clock.consumed;
+    else if (day !== "tomorrow") {
+      return { error: "Couldn't understand the time, try 5pm or 17:30" };
+    }
+
+    at = now.clone().tz(timezone);
+    if (day === "tomorrow") at.add(1, "day");
+    at.set({
+      hour: clock ? clock.hour : DEFAULT_REMIND_HOUR,
+      minute: clock ? clock.minute : 0,
+      second: 0,
+      millisecond: 0,
+    });
+    if (!at.isAfter(now)) {
+      if (day === "today") return { error: "That time has already passed" };
+      at.add(1, "day"); // "5pm" after 5pm means tomorrow
+    }
+  }
+
+  const text = words.slice(used).join(" ").trim();
+  if (!text) return { error: "What should I remind you about?" };
+  if (at.valueOf() - now.valueOf() > MAX_REMIND_AHEAD_MS) {
+    return { error: "Reminders can be set at most one year ahead" };
+  }
+  return { at: at.toDate(), text };
+}
+
+// Tell the assignee about a task created for them by someone else
+function notifyTaskAssignee({ io, task, assignedBy }) {
+  const assigneeId = task.user.toString();
+  const notificationData = {
+    type: "task_assigned",
+    message: `New task assigned: ${task.title}`,
+    taskId: task._id,
+    taskTitle: task.title,
+    taskPriority: task.priority,
+    taskDueDate: task.dueDate || null,
+    assignedBy: assignedBy.name,
+    timestamp: new Date(),
+  };
+  if (io) io.to(assigneeId).emit("task_notification", notificationData);
+  recordSyncEvent({
+    type: "task.notification",
+    users: [assigneeId],
+    data: notificationData,
+  });
+
+  const priorityEmoji =
+    task.priority === "high" ? "🔴" : task.priority === "low" ? "🟢" : "🟡";
+  notifyUser(
+    assigneeId,
+    "📋 New Task Assigned",
+    `${priorityEmoji} ${assignedBy.name} assigned you: "${task.title}"`,
+    {
+      type: "task_assigned",
+      taskId: task._id,
+      taskTitle: task.title,
+      taskPriority: task.priority,
+      assignedBy: assignedBy.name,
+      assignedById: assignedBy._id,
+      icon: assignedBy.profileImage || "/icon.png",
+    }
+  );
+}
+
+// /task Fix invoice export @ravi high
+async function taskCommand({ io, user, chat, args, reply }) {
+  const words = args.split(/\s+/).filter(Boolean);
+
+  let priority = "medium";
+  const last = (words[words.length - 1] || "").toLowerCase();
+  if (words.length > 1 && TASK_PRIORITIES.includes(last)) {
+    priority = last;
+    words.pop();
+  }
+
+  const mentionWords = words.filter((word) => word.startsWith("@"));
+  const title = words
+    .filter((word) => !word.startsWith("@"))
+    .join(" ")
+    .trim();
+  if (!title) {
+    return { error: "Usage: /task <title> [@person] [low|medium|high]" };
+  }
+  if (mentionWords.length > 1) {
+    return { error: "A task can be assigned to one person" };
+  }
+
+  let assignee = user;
+  if (mentionWords.length && mentionWords[0].toLowerCase() !== "@me") {
+    const ids = await resolveMentions(mentionWords[0], {
+      sender: user._id,
+      receiver: chat.receiver,
+      group: chat.group,
+    });
+    if (ids.length !== 1) {
+      return { error: `Couldn't find ${mentionWords[0]} in this chat` };
+    }
+    assignee = await User.findById(ids[0]).select("name isActive");
+    if (!assignee || !assignee.isActive) {
+      return { error: `Couldn't find ${mentionWords[0]} in this chat` };
+    }
+  }
+
+  const forSomeoneElse = assignee._id.toString() !== user._id.toString();
+  // Same rule as POST /api/tasks/assign
+  if (forSomeoneElse && !["admin", "superadmin"].includes(user.role)) {
+    return { error: "Only admins can assign tasks to other people" };
+  }
+
+  const task = await Task.create({
+    user: assignee._id,
+    title,
+    priority,
+    status: "pending",
+    startDate: new Date(),
+    progress: 0,
+  });
+  if (forSomeoneElse) notifyTaskAssignee({ io, task, assignedBy: user });
+
+  const summary = `📋 Task "${title}" (${priority} priority) ${
+    forSomeoneElse ? `assigned to ${assignee.name}` : "added to your tasks"
+  }`;
+  if (chat.chatType === "group") {
+    await reply(
+      forSomeoneElse
+        ? `📋 ${user.name} assigned "${title}" to ${assignee.name} (${priority} priority)`
+        : `📋 ${user.name} added a task: "${title}" (${priority} priority)`
+    );
+  }
+  return { response: summary };
+}
+
+// /remind 5pm call vendor  (delivered by the Reminders bot as a direct message)
+async function remindCommand({ user, args }) {
+  const settings = await TimeSettings.getSettings();
+  const timezone = settings.timezone || "Asia/Kolkata";
+  const parsed = parseReminder(args, timezone);
+  if (parsed.error) {
+    return { error: `${parsed.error}. Usage: /remind <when> <what>` };
+  }
+
+  await ScheduledMessage.create({
+    sender: await getBotUserId("reminders"),
+    receiver: user._id,
+    message: `⏰ Reminder: ${parsed.text}`,
+    messageType: "text",
+    scheduledFor: parsed.at,
+  });
+
+  const when = moment(parsed.at).tz(timezone).calendar();
+  return { response: `⏰ I'll remind you ${when}: ${parsed.text}` };
+}
+
+// /poll Where should we go for lunch? | Pizza | Sushi | Tacos
+async function pollCommand({ io, activeUsers, user, chat, args }) {
+  const parts = args.includes("|")
+    ? args.split("|")
+    : (args.match(/"[^"]*"/g) || []).map((part) => part.slice(1, -1));
+  const [question, ...options] = parts.map((part) => part.trim());
+
+  const error = validatePoll(question, options);
+  if (error) {
+    return {
+      error: `${error}. Usage: /poll <question> | <option> | <option>`,
+    };
+  }
+
+  await createGroupPoll({
+    io,
+    activeUsers,
+    sender: user._id,
+    group: chat.group,
+    question,
+    options,
+  });
+  return { response: "📊 Poll posted" };
+}
+
+// /status In a meeting  |  /status clear  |  /status
+async function statusCommand({ io, user, args }) {
+  if (!args) {
+    const current = await User.findById(user._id).select("statusMessage");
+    return {
+      response: current?.statusMessage
+        ? `Your status: ${current.statusMessage}`
+        : "You have no status set. Use /status <text> to set one",
+    };
+  }
+
+  const statusMessage = args.toLowerCase() === "clear" ? null : args;
+  if (statusMessage && statusMessage.length > MAX_STATUS_LENGTH) {
+    return {
+      error: `Status can be at most ${MAX_STATUS_LENGTH} characters`,
+    };
+  }
+
+  await User.updateOne({ _id: user._id }, { $set: { statusMessage } });
+  if (io) {
+    io.emit("user-status-updated", { userId: user._id, statusMessage });
+  }
+  return {
+    response: statusMessage ? `Status set: ${statusMessage}` : "Status cleared",
+  };
+}
+
+async function helpCommand() {
+  const lines = listCommands().map(
+    (command) => `${command.usage} — ${command.description}`
+  );
+  return { response: lines.join("\n") };
+}
+
+function registerBuiltinCommands() {
+  registerBot({
+    key: "assistant",
+    name: "Assistant",
+    description: "Replies to slash commands",
+  });
+  registerBot({
+    key: "reminders",
+    name: "Reminders",
+    description: "Delivers reminders set with /remind",
+  });
+
+  registerCommand({
+    name: "task",
+    description: "Create a task for yourself or assign one",
+    usage: "/task <title> [@person] [low|medium|high]",
+    handler: taskCommand,
+  });
+  registerCommand({
+    name: "remind",
+    description: "Get a reminder message later",
+    usage: "/remind <in 10 minutes|5pm|tomorrow 9am> <what>",
+    bot: "reminders",
+    handler: remindCommand,
+  });
+  registerCommand({
+    name: "poll",
+    description: "Start a poll in this group",
+    usage: "/poll <question> | <option> | <option>",
+    chatTypes: ["group"],
+    handler: pollCommand,
+  });
+  registerCommand({
+    name: "status",
+    description: "Set, show or clear your status",
+    usage: "/status [text|clear]",
+    handler: statusCommand,
+  });
+  registerCommand({
+    name: "help",
+    description: "List the available commands",
+    usage: "/help",
+    handler: helpCommand,
+  });
+}
+
+module.exports = {
+  parseReminder,
+  registerBuiltinCommands,
+};
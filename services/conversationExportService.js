@@ -0,0 +1,356 @@
+const fs = require("fs");
+const path = require("path");
+const ConversationExport = require("../models/ConversationExport");
+const Message = require("../models/Message");
+const Group = require("../models/Group");
+const User = require("../models/User");
+const { readMessageFile } = require("./messageFiles");
+const { ZipWriter } = require("./zipWriter");
+
+// Conversation exports: a zip with messages.json, an offline transcript.html
+// and the attachments. Jobs run in-process; progress goes to the requester's
+// room as "export-progress", then "export-ready" or "export-failed".
+
+const EXPORT_DIR = path.join(__dirname, "../exports");
+const EXPORT_TTL_MS = 7 * 24 * 60 * 60 * 1000; // Download link lifetime
+const MAX_ATTACHMENT_BYTES = 100 * 1024 * 1024; // Per file
+const MAX_TOTAL_ATTACHMENT_BYTES = 1024 * 1024 * 1024; // Per export
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function safeFileName(name) {
+  return (
+    String(name || "file")
+      .replace(/[\\/:*?"<>|\x00-\x1f]+/g, "_")
+      .slice(-100) || "file"
+  );
+}
+
+function emitExport(io, job, event, extra = {}) {
+  if (!io) return;
+  io.to(job.requestedBy.toString()).emit(event, {
+    exportId: job._id,
+    chatType: job.chatType,
+    chatId: job.chatId,
+    status: job.status,
+    progress: job.progress,
+    ...extra,
+  });
+}
+
+// Only emit when the percentage actually moved (keeps socket traffic low)
+async function reportProgress(io, job, progress, stage) {
+  const rounded = Math.min(99, Math.floor(progress));
+  if (rounded <= job.progress) return;
+  job.progress = rounded;
+  await ConversationExport.updateOne(
+    { _id: job._id },
+    { $set: { progress: rounded } }
+  );
+  emitExport(io, job, "export-progress", { stage });
+}
+
+async function describeChat(job) {
+  if (job.chatType === "group") {
+    const group = await Group.findById(job.chatId).select("name description");
+    return {
+      type: "group",
+      id: job.chatId,
+      name: group ? group.name : "Deleted group",
+      description: group?.description || null,
+    };
+  }
+  const users = await User.find({ _id: { $in: job.participants } }).select(
+    "name email"
+  );
+  return {
+    type: "personal",
+    id: job.chatId,
+    name: users.map((user) => user.name).join(" & "),
+    participants: users.map((user) => ({
+      id: user._id,
+      name: user.name,
+      email: user.email,
+    })),
+  };
+}
+
+function messageQuery(job, includeHidden) {
+  const [a, b] = job.participants;
+  const query =
+    job.chatType === "group"
+      ? { group: job.chatId }
+      : {
+          $or: [
+            { sender: a, receiver: b },
+            { sender: b, receiver: a },
+          ],
+        };
+  if (!includeHidden) query.hiddenFor = { $ne: job.requestedBy };
+  return query;
+}
+
+function toExportRecord(msg, attachmentPath) {
+  return {
+    id: msg._id,
+    sender: msg.sender
+      ? { id: msg.sender._id, name: msg.sender.name, email: msg.sender.email }
+      : null,
+    message: msg.message,
+    messageType: msg.messageType,
+    createdAt: msg.createdAt,
+    editedAt: msg.editedAt || null,
+    isDeleted: !!msg.isDeleted,
+    replyTo: msg.replyTo || null,
+    file: msg.fileUrl
+      ? {
+          name: msg.fileName,
+          size: msg.fileSize,
+          type: msg.fileType,
+          url: msg.fileUrl,
+          path: attachmentPath,
+        }
+      : null,
+    reactions: msg.getReactionSummary().map(({ emoji, count }) => ({
+      emoji,
+      count,
+    })),
+    poll: msg.poll ? msg.getPollResults() : undefined,
+  };
+}
+
+function renderTranscript({ chat, exportedBy, exportedAt, records }) {
+  const rows = records
+    .map((record) => {
+      let attachment = "";
+      if (record.file) {
+        const href = escapeHtml(record.file.path || record.file.url);
+        const label = escapeHtml(record.file.name || "Attachment");
+        attachment =
+          record.messageType === "image" && record.file.path
+            ? `<a href="${href}"><img src="${href}" alt="${label}"></a>`
+            : `<a class="file" href="${href}">📎 ${label}</a>`;
+      }
+      let poll = "";
+      if (record.poll) {
+        poll = `<ul class="poll">${record.poll.options
+          .map(
+            (option) =>
+              `<li>${escapeHtml(option.text)} — ${option.voteCount}</li>`
+          )
+          .join("")}</ul>`;
+      }
+      const meta = [
+        record.editedAt ? "edited" : "",
+        record.reactions.map((r) => `${r.emoji} ${r.count}`).join(" "),
+      ]
+        .filter(Boolean)
+        .join(" · ");
+      return `<div class="msg${record.isDeleted ? " deleted" : ""}">
+  <div class="head"><strong>${escapeHtml(
+    record.sender?.name || "Unknown"
+  )}</strong> <time>${escapeHtml(
+        new Date(record.createdAt).toLocaleString("en-GB")
+      )}</time></div>
+  <div class="body">${escapeHtml(record.message)}</div>${attachment}${poll}${
+        meta ? `\n  <div class="meta">${escapeHtml(meta)}</div>` : ""
+      }
+</div>`;
+    })
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(chat.name)} — chat export</title>
+<style>
+body { font-family: -apple-system, Segoe UI, Roboto, sans-serif; max-width: 820px; margin: 2rem auto; padding: 0 1rem; color: #222; }
+header { border-bottom: 1px solid #ddd; margin-bottom: 1rem; }
+.msg { padding: .5rem 0; border-bottom: 1px solid #f0f0f0; }
+.head time { color: #888; font-size: .85em; margin-left: .5em; }
+.body { white-space: pre-wrap; word-wrap: break-word; }
+.deleted .body { color: #999; font-style: italic; }
+.meta { color: #888; font-size: .8em; }
+img { max-width: 320px; max-height: 320px; display: block; margin-top: .25rem; }
+.file { display: inline-block; margin-top: .25rem; }
+</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(chat.name)}</h1>
+<p>${escapeHtml(chat.type === "group" ? "Group chat" : "Personal chat")} · ${
+    records.length
+  } messages · exported by ${escapeHtml(exportedBy.name)} on ${escapeHtml(
+    exportedAt.toLocaleString("en-GB")
+  )}</p>
+</header>
+${rows}
+</body>
+</html>
+`;
+}
+
+// Build the zip for one export job
+async function runConversationExport({ io, exportId }) {
+  const job = await ConversationExport.findById(exportId);
+  if (!job || !["pending", "processing"].includes(job.status)) return;
+
+  job.status = "processing";
+  job.progress = 0;
+  await job.save();
+  emitExport(io, job, "export-progress", { stage: "messages" });
+
+  fs.mkdirSync(EXPORT_DIR, { recursive: true });
+  const fileName = `chat-export-${job._id}.zip`;
+  const filePath = path.join(EXPORT_DIR, fileName);
+  const zip = new ZipWriter(filePath);
+
+  try {
+    await zip.open();
+    const requester = await User.findById(job.requestedBy).select("name role");
+    // Superadmin exports are full records, others see what their own chat shows
+    const includeHidden = requester?.role === "superadmin";
+    const chat = await describeChat(job);
+
+    const query = messageQuery(job, includeHidden);
+    const total = await Message.countDocuments(query);
+    const records = [];
+    let attachmentCount = 0;
+    let skippedAttachments = 0;
+    let attachmentBytes = 0;
+    let processed = 0;
+
+    const cursor = Message.find(query)
+      .sort({ createdAt: 1 })
+      .populate("sender", "name email")
+      .cursor();
+
+    for await (const msg of cursor) {
+      let attachmentPath = null;
+      if (msg.fileUrl && !msg.isDeleted) {
+        const data =
+          attachmentBytes < MAX_TOTAL_ATTACHMENT_BYTES
+            ? await readMessageFile(msg, { maxBytes: MAX_ATTACHMENT_BYTES })
+            : null;
+        if (data) {
+          attachmentPath = `attachments/${msg._id}-${safeFileName(
+            msg.fileName
+          )}`;
+          await zip.addFile(attachmentPath, data, msg.createdAt);
+          attachmentBytes += data.length;
+          attachmentCount++;
+        } else {
+          skippedAttachments++; // Transcript links to the original URL instead
+        }
+      }
+
+      records.push(toExportRecord(msg, attachmentPath));
+      processed++;
+      await reportProgress(
+        io,
+        job,
+        (processed / (total || 1)) * 95,
+        "messages"
+      );
+    }
+
+    const exportedAt = new Date();
+    const exportedBy = { id: job.requestedBy, name: requester?.name || "" };
+
+    await zip.addFile(
+      "messages.json",
+      JSON.stringify(
+        { exportedAt, exportedBy, chat, messages: records },
+        null,
+        2
+      )
+    );
+    await zip.addFile(
+      "transcript.html",
+      renderTranscript({ chat, exportedBy, exportedAt, records })
+    );
+    const fileSize = await zip.finalize();
+
+    job.status = "completed";
+    job.progress = 100;
+    job.messageCount = records.length;
+    job.attachmentCount = attachmentCount;
+    job.skippedAttachments = skippedAttachments;
+    job.fileName = fileName;
+    job.filePath = filePath;
+    job.fileSize = fileSize;
+    job.completedAt = exportedAt;
+    job.expiresAt = new Date(exportedAt.getTime() + EXPORT_TTL_MS);
+    await job.save();
+
+    const { downloadToken } = await ConversationExport.findById(job._id).select(
+      "+downloadToken"
+    );
+    emitExport(io, job, "export-ready", {
+      downloadUrl: `/api/exports/${job._id}/download?token=${downloadToken}`,
+      fileSize,
+      messageCount: job.messageCount,
+      expiresAt: job.expiresAt,
+    });
+    console.log(`📦 Conversation export ready: ${job._id}`);
+  } catch (error) {
+    await zip.abort().catch(() => {});
+    fs.rm(filePath, { force: true }, () => {});
+
+    job.status = "failed";
+    job.error = error.message;
+    await job.save();
+    emitExport(io, job, "export-failed", { error: error.message });
+    console.error(`❌ Conversation export ${job._id} failed:`, error.message);
+  }
+}
+
+// Start an export without blocking the request
+function queueConversationExport({ io, exportId }) {
+  setImmediate(() => {
+    runConversationExport({ io, exportId }).catch((error) =>
+      console.error("❌ Conversation export crashed:", error.message)
+    );
+  });
+}
+
+// Restart exports that were interrupted by a restart (one at a time)
+async function resumeConversationExports({ io }) {
+  const unfinished = await ConversationExport.find({
+    status: { $in: ["pending", "processing"] },
+  }).select("_id");
+  for (const job of unfinished) {
+    await runConversationExport({ io, exportId: job._id });
+  }
+}
+
+// Remove export files whose download link has expired
+async function purgeExpiredExports() {
+  const expired = await ConversationExport.find({
+    status: "completed",
+    expiresAt: { $lte: new Date() },
+  }).select("+filePath");
+
+  for (const job of expired) {
+    if (job.filePath) fs.rmSync(job.filePath, { force: true });
+    await ConversationExport.deleteOne({ _id: job._id });
+  }
+  if (expired.length) {
+    console.log(`🧹 Removed ${expired.length} expired conversation exports`);
+  }
+}
+
+module.exports = {
+  runConversationExport,
+  queueConversationExport,
+  resumeConversationExports,
+  purgeExpiredExports,
+};
@@ -0,0 +1,388 @@
+const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
+const Group = require("../models/Group");
+const User = require("../models/User");
+const Migration = require("../models/Migration");
+const { getUnreadCounts, countUnreadInChat } = require("./readCursorService");
+const { encodeCursor } = require("./messageSearch");
+
+// Materialized conversation list behind chat-state. Each entry holds the
+// newest message and per-member unread counters: sends increment them, and a
+// member's counter is recomputed from their read cursor whenever they read or
+// hide messages. Updates never throw, a stale entry must not fail a send.
+
+// Message fields stored as the last message summary. readBy changes on every
+// read, so it isn't stored but loaded fresh when the list is served.
+const SUMMARY_FIELDS = "-editHistory -poll -readBy -listenedBy +hiddenFor";
+
+function toId(value) {
+  return (value?._id || value).toString();
+}
+
+const MIGRATION_NAME = "conversations";
+
+// Key shared by everything stored per conversation (timers, list entries)
+function chatKeyFor({ sender, receiver, group }) {
+  if (group) return `group:${toId(group)}`;
+  const ids = [toId(sender), toId(receiver)].sort();
+  return `personal:${ids[0]}:${ids[1]}`;
+}
+
+function chatFor({ sender, receiver, group }) {
+  if (group) {
+    return {
+      chatKey: chatKeyFor({ group }),
+      chatType: "group",
+      group: toId(group),
+    };
+  }
+  return {
+    chatKey: chatKeyFor({ sender, receiver }),
+    chatType: "personal",
+    participants: [toId(sender), toId(receiver)].sort(),
+  };
+}
+
+// The conversation of a chat-state target, seen from userId
+function chatForTarget(userId, chatType, chatId) {
+  return chatType === "group"
+    ? chatFor({ group: chatId })
+    : chatFor({ sender: userId, receiver: chatId });
+}
+
+function messageQueryFor(chat) {
+  if (chat.group) return { group: chat.group };
+  const [a, b] = chat.participants;
+  return {
+    $or: [
+      { sender: a, receiver: b },
+      { sender: b, receiver: a },
+    ],
+  };
+}
+
+async function upsertConversation(chat, update = {}) {
+  const doc = {
+    ...update,
+    $setOnInsert: {
+      chatType: chat.chatType,
+      participants: chat.participants || [],
+      group: chat.group || null,
+    },
+  };
+  try {
+    await Conversation.updateOne({ chatKey: chat.chatKey }, doc, {
+      upsert: true,
+    });
+  } catch (error) {
+    // A concurrent upsert created the entry first, update that one
+    if (error.code !== 11000) throw error;
+    const { $setOnInsert, ...rest } = doc;
+    if (Object.keys(rest).length) {
+      await Conversation.updateOne({ chatKey: chat.chatKey }, rest);
+    }
+  }
+}
+
+// Store the chat's current newest message. onlyIfNewer keeps a slow refresh
+// from overwriting a newer one; removals pass false so it can move back.
+async function refreshLastMessage(chat, { onlyIfNewer = true } = {}) {
+  const newest = await Message.findOne(messageQueryFor(chat))
+    .sort({ createdAt: -1, _id: -1 })
+    .select(SUMMARY_FIELDS)
+    .populate("sender", "name email profileImage");
+
+  const filter = { chatKey: chat.chatKey };
+  if (newest && onlyIfNewer) {
+    filter.$or = [
+      { lastMessageAt: null },
+      { lastMessageAt: { $lte: newest.createdAt } },
+    ];
+  }
+  await Conversation.updateOne(filter, {
+    $set: {
+      lastMessage: newest ? newest.toObject() : null,
+      lastMessageAt: newest ? newest.createdAt : null,
+    },
+  });
+}
+
+async function setUnreadCount(chat, userId) {
+  const chatType = chat.chatType;
+  const chatId =
+    chatType === "group"
+      ? chat.group
+      : chat.participants.find((id) => id !== toId(userId)) || toId(userId);
+  const count = await countUnreadInChat(userId, chatType, chatId);
+  await Conversation.updateOne(
+    { chatKey: chat.chatKey },
+    { $set: { [`unreadCounts.${toId(userId)}`]: count } }
+  );
+}
+
+// New message: becomes the last message, unread for everyone but the sender
+async function recordConversationMessage(message) {
+  try {
+    const chat = chatFor(message);
+    const senderId = toId(message.sender);
+
+    let recipients;
+    if (chat.group) {
+      const group = await Group.findById(chat.group).select("members");
+      recipients = group ? group.members.map((m) => m.user.toString()) : [];
+    } else {
+      recipients = [toId(message.receiver)];
+    }
+
+    const $inc = {};
+    recipients
+      .filter((id) => id !== senderId)
+      .forEach((id) => ($inc[`unreadCounts.${id}`] = 1));
+
+    await upsertConversation(chat, Object.keys($inc).length ? { $inc } : {});
+    await refreshLastMessage(chat);
+  } catch (error) {
+    console.error("❌ Conversation update failed:", error.message);
+  }
+}
+
+// A message changed (edit, delete for everyone, reaction, link preview)
+async function refreshConversationFor(message) {
+  try {
+    await refreshLastMessage(chatFor(message));
+  } catch (error) {
+    console.error("❌ Conversation update failed:", error.message);
+  }
+}
+
+// Messages were removed for good (disappearing messages): move the last
+// message back and recount everyone who had unread messages
+async function refreshConversationAfterRemoval(message) {
+  try {
+    const chat = chatFor(message);
+    await refreshLastMessage(chat, { onlyIfNewer: false });
+    const conversation = await Conversation.findOne({ chatKey: chat.chatKey });
+    if (!conversation) return;
+    for (const [userId, count] of conversation.unreadCounts) {
+      if (count > 0) await setUnreadCount(chat, userId);
+    }
+  } catch (error) {
+    console.error("❌ Conversation update failed:", error.message);
+  }
+}
+
+// Recount one member's unread messages (after reading or hiding messages)
+async function refreshUnreadCount({ userId, chatType, chatId }) {
+  try {
+    await setUnreadCount(chatForTarget(userId, chatType, chatId), userId);
+  } catch (error) {
+    console.error("❌ Unread count update failed:", error.message);
+  }
+}
+
+// Last message as the user sees it: if they deleted it for themselves, fall
+// back to their newest visible message (null when there is none)
+async function resolveLastMessage(conversation, userId) {
+  const lastMessage = conversation.lastMessage;
+  if (!lastMessage) return null;
+
+  const hiddenFor = (lastMessage.hiddenFor || []).map(String);
+  if (!hiddenFor.includes(userId.toString())) {
+    const visible = { ...lastMessage };
+    delete visible.hiddenFor;
+    return visible;
+  }
+
+  const chat = conversation.group
+    ? { group: conversation.group }
+    : { participants: conversation.participants.map(String) };
+  const newest = await Message.findOne({
+    ...messageQueryFor(chat),
+    hiddenFor: { $ne: userId },
+  })
+    .sort({ createdAt: -1, _id: -1 })
+    .select("-editHistory -poll -readBy -listenedBy")
+    .populate("sender", "name email profileImage");
+  return newest ? newest.toObject() : null;
+}
+
+// The user's conversations, newest activity first. With a limit, pinned
+// chats (pinnedKeys) all come on the first page and `before` is the cursor
+// returned with the previous page.
+async function listConversations(
+  userId,
+  { groupIds = [], pinnedKeys = [], limit = 0, before = null } = {}
+) {
+  const visible = {
+    $or: [
+      { chatType: "personal", participants: userId },
+      { chatType: "group", group: { $in: groupIds } },
+    ],
+  };
+
+  const pinned =
+    limit && !before
+      ? await Conversation.find({ ...visible, chatKey: { $in: pinnedKeys } })
+      : [];
+
+  const query = { ...visible, lastMessageAt: { $ne: null } };
+  if (limit) query.chatKey = { $nin: pinnedKeys };
+  if (before) {
+    query.$and = [
+      {
+        $or: [
+          { lastMessageAt: { $lt: before.createdAt } },
+          { lastMessageAt: before.createdAt, _id: { $lt: before.id } },
+        ],
+      },
+    ];
+  }
+
+  let rest = Conversation.find(query).sort({ lastMessageAt: -1, _id: -1 });
+  if (limit) rest = rest.limit(limit + 1);
+  const conversations = await rest;
+
+  const hasMore = !!limit && conversations.length > limit;
+  const page = hasMore ? conversations.slice(0, limit) : conversations;
+  const last = page[page.length - 1];
+
+  const uid = userId.toString();
+  const entries = [];
+  for (const conversation of [...pinned, ...page]) {
+    const lastMessage = await resolveLastMessage(conversation, userId);
+    if (!lastMessage) continue;
+    const chatId =
+      conversation.chatType === "group"
+        ? conversation.group
+        : conversation.participants.find((id) => id.toString() !== uid) ||
+          conversation.participants[0];
+    // Same shape as the per-chat aggregation chat-state used to return
+    if (conversation.chatType === "personal") lastMessage.chatPartner = chatId;
+    entries.push({
+      chatType: conversation.chatType,
+      chatId,
+      lastMessage,
+      unreadCount: conversation.unreadCounts.get(uid) || 0,
+    });
+  }
+
+  const readBy = await Message.find({
+    _id: { $in: entries.map((entry) => entry.lastMessage._id) },
+  })
+    .select("readBy")
+    .lean();
+  const readByMessage = new Map(
+    readBy.map((message) => [message._id.toString(), message.readBy || []])
+  );
+  entries.forEach((entry) => {
+    entry.lastMessage.readBy =
+      readByMessage.get(entry.lastMessage._id.toString()) || [];
+  });
+
+  return {
+    conversations: entries,
+    hasMore,
+    nextCursor: hasMore
+      ? encodeCursor({ createdAt: last.lastMessageAt, _id: last._id })
+      : null,
+  };
+}
+
+// Total unread messages across the user's conversations
+async function getUnreadTotal(userId, groupIds = []) {
+  const uid = userId.toString();
+  const conversations = await Conversation.find({
+    $or: [
+      { chatType: "personal", participants: userId },
+      { chatType: "group", group: { $in: groupIds } },
+    ],
+    [`unreadCounts.${uid}`]: { $gt: 0 },
+  }).select("unreadCounts");
+  return conversations.reduce(
+    (total, conversation) => total + conversation.unreadCounts.get(uid),
+    0
+  );
+}
+
+// One-off: build the conversation list from existing messages and read
+// cursors, after `after` (the read cursor migration the unread counters are
+// computed from). Runs on every start until it has finished once. Entries
+// are upserted and counters set, not incremented, so entries created by live
+// sends meanwhile or by an interrupted run are simply brought up to date.
+async function migrateConversations({ after } = {}) {
+  if (await Migration.isDone(MIGRATION_NAME)) return 0;
+  await after;
+
+  const pairs = await Message.aggregate([
+    { $match: { receiver: { $ne: null } } },
+    {
+      $group: {
+        _id: {
+          a: {
+            $cond: [{ $lt: ["$sender", "$receiver"] }, "$sender", "$receiver"],
+          },
+          b: {
+            $cond: [{ $lt: ["$sender", "$receiver"] }, "$receiver", "$sender"],
+          },
+        },
+      },
+    },
+  ]).allowDiskUse(true);
+  const groupIds = await Message.distinct("group", { group: { $ne: null } });
+
+  const chats = [
+    ...pairs.map((pair) =>
+      chatFor({ sender: pair._id.a, receiver: pair._id.b })
+    ),
+    ...groupIds.map((group) => chatFor({ group })),
+  ];
+  for (const chat of chats) {
+    await upsertConversation(chat);
+    await refreshLastMessage(chat);
+  }
+
+  // Unread counters from each user's read cursors
+  const users = await User.find().select("_id");
+  for (const user of users) {
+    const memberOf = await Group.find({ "members.user": user._id }).select(
+      "_id"
+    );
+    const counts = await getUnreadCounts(
+      user._id,
+      memberOf.map((group) => group._id)
+    );
+    const field = `unreadCounts.${user._id}`;
+    const operations = [
+      ...[...counts.personal].map(([partnerId, count]) => ({
+        chatKey: chatKeyFor({ sender: user._id, receiver: partnerId }),
+        count,
+      })),
+      ...[...counts.group].map(([groupId, count]) => ({
+        chatKey: chatKeyFor({ group: groupId }),
+        count,
+      })),
+    ].map(({ chatKey, count }) => ({
+      updateOne: { filter: { chatKey }, update: { $set: { [field]: count } } },
+    }));
+    if (operations.length) {
+      await Conversation.bulkWrite(operations, { ordered: false });
+    }
+  }
+
+  await Migration.markDone(MIGRATION_NAME);
+  if (chats.length) {
+    console.log(`💬 Built ${chats.length} conversations from message history`);
+  }
+  return chats.length;
+}
+
+module.exports = {
+  chatKeyFor,
+  recordConversationMessage,
+  refreshConversationFor,
+  refreshConversationAfterRemoval,
+  refreshUnreadCount,
+  listConversations,
+  getUnreadTotal,
+  migrateConversations,
+};
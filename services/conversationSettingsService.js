@@ -0,0 +1,142 @@
+const ConversationSetting = require("../models/ConversationSetting");
+
+// Per-user conversation settings (pin / mute / archive / mark unread).
+// Changes are pushed to all of the user's sessions as "conversation-settings-updated".
+
+function serializeSettings(setting, now = new Date()) {
+  if (!setting) {
+    return {
+      isPinned: false,
+      pinnedAt: null,
+      isMuted: false,
+      mutedUntil: null,
+      isArchived: false,
+      archivedAt: null,
+      markedUnread: false,
+    };
+  }
+  const isMuted = setting.isMutedAt(now);
+  return {
+    isPinned: !!setting.pinnedAt,
+    pinnedAt: setting.pinnedAt,
+    isMuted,
+    mutedUntil: isMuted ? setting.mutedUntil : null,
+    isArchived: !!setting.archivedAt,
+    archivedAt: setting.archivedAt,
+    markedUnread: setting.markedUnread,
+  };
+}
+
+function emitSettingsUpdate(io, setting) {
+  if (!io) return;
+  io.to(setting.user.toString()).emit("conversation-settings-updated", {
+    chatId: setting.chatId,
+    chatType: setting.chatType,
+    settings: serializeSettings(setting),
+  });
+}
+
+// All settings of a user, keyed by "<chatType>:<chatId>"
+async function getSettingsForUser(userId) {
+  const settings = await ConversationSetting.find({ user: userId });
+  const byChat = new Map();
+  const now = new Date();
+  settings.forEach((setting) => {
+    byChat.set(
+      `${setting.chatType}:${setting.chatId}`,
+      serializeSettings(setting, now)
+    );
+  });
+  return {
+    get: (chatType, chatId) =>
+      byChat.get(`${chatType}:${chatId}`) || serializeSettings(null),
+    // Pinned conversations as { chatType, chatId }
+    pinned: () =>
+      settings
+        .filter((setting) => setting.pinnedAt)
+        .map(({ chatType, chatId }) => ({ chatType, chatId })),
+  };
+}
+
+// Apply a partial update ($set fields) to the user's settings for a conversation
+async function updateConversationSettings({
+  io,
+  userId,
+  chatType,
+  chatId,
+  changes,
+}) {
+  const setting = await ConversationSetting.findOneAndUpdate(
+    { user: userId, chatType, chatId },
+    { $set: changes },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  emitSettingsUpdate(io, setting);
+  return serializeSettings(setting);
+}
+
+// Ids of the given users that currently have the conversation muted
+async function getMutedUserIds({ chatType, chatId, userIds }) {
+  if (!userIds.length) return new Set();
+  const settings = await ConversationSetting.find({
+    chatType,
+    chatId,
+    user: { $in: userIds },
+    isMuted: true,
+  });
+  const now = new Date();
+  return new Set(
+    settings
+      .filter((setting) => setting.isMutedAt(now))
+      .map((setting) => setting.user.toString())
+  );
+}
+
+// A new message brings archived conversations back into the chat list
+async function unarchiveForMessage({ io, message }) {
+  const senderId = (message.sender?._id || message.sender).toString();
+  let filters;
+  if (message.group) {
+    const groupId = (message.group._id || message.group).toString();
+    filters = [{ chatType: "group", chatId: groupId }];
+  } else {
+    const receiverId = (message.receiver?._id || message.receiver).toString();
+    filters = [
+      { user: receiverId, chatType: "personal", chatId: senderId },
+      { user: senderId, chatType: "personal", chatId: receiverId },
+    ];
+  }
+
+  const archived = await ConversationSetting.find({
+    $or: filters,
+    archivedAt: { $ne: null },
+  });
+  if (!archived.length) return;
+
+  await ConversationSetting.updateMany(
+    { _id: { $in: archived.map((setting) => setting._id) } },
+    { $set: { archivedAt: null } }
+  );
+  archived.forEach((setting) => {
+    setting.archivedAt = null;
+    emitSettingsUpdate(io, setting);
+  });
+}
+
+// Reading a conversation clears a manual "mark as unread"
+async function clearMarkedUnread({ io, userId, chatType, chatId }) {
+  const setting = await ConversationSetting.findOneAndUpdate(
+    { user: userId, chatType, chatId, markedUnread: true },
+    { $set: { markedUnread: false } },
+    { new: true }
+  );
+  if (setting) emitSettingsUpdate(io, setting);
+}
+
+module.exports = {
+  getSettingsForUser,
+  updateConversationSettings,
+  getMutedUserIds,
+  unarchiveForMessage,
+  clearMarkedUnread,
+};
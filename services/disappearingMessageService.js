@@ -0,0 +1,204 @@
+const DisappearingTimer = require("../models/DisappearingTimer");
+const Message = require("../models/Message");
+const StarredMessage = require("../models/StarredMessage");
+const { deleteMessageFile } = require("./messageFiles");
+const { recordMessageEvent } = require("./syncService");
+const {
+  chatKeyFor,
+  recordConversationMessage,
+  refreshConversationAfterRemoval,
+} = require("./conversationService");
+
+// Disappearing messages: a per-conversation timer. Messages sent while it is
+// on get an expiresAt and are removed (with their files) by purgeExpiredMessages.
+
+// Allowed timer lengths in seconds (0 = off)
+const DISAPPEARING_DURATIONS = {
+  off: 0,
+  "1h": 60 * 60,
+  "24h": 24 * 60 * 60,
+  "7d": 7 * 24 * 60 * 60,
+  "90d": 90 * 24 * 60 * 60,
+};
+
+const PURGE_BATCH_SIZE = 200;
+
+function describeDuration(seconds) {
+  if (seconds % (24 * 60 * 60) === 0) {
+    const days = seconds / (24 * 60 * 60);
+    return days === 1 ? "24 hours" : `${days} days`;
+  }
+  const hours = Math.round(seconds / 3600);
+  return hours === 1 ? "1 hour" : `${hours} hours`;
+}
+
+// Current timer length (seconds) for the conversation a message goes to
+async function getTimerSeconds(conversation) {
+  const timer = await DisappearingTimer.findOne({
+    chatKey: chatKeyFor(conversation),
+  });
+  return timer ? timer.duration : 0;
+}
+
+// expiresAt for a message about to be sent, or undefined when the timer is off
+async function getMessageExpiry(messageData, now = new Date()) {
+  const seconds = await getTimerSeconds(messageData);
+  return seconds > 0 ? new Date(now.getTime() + seconds * 1000) : undefined;
+}
+
+// Timers for many conversations at once (chat-state), keyed by chatKey
+async function getTimersByChatKey(chatKeys) {
+  const timers = await DisappearingTimer.find({
+    chatKey: { $in: chatKeys },
+    duration: { $gt: 0 },
+  });
+  return new Map(timers.map((timer) => [timer.chatKey, timer.duration]));
+}
+
+// Change the timer and post a system message announcing it to the chat
+async function setDisappearingTimer({ io, actor, receiver, group, duration }) {
+  const conversation = { sender: actor._id, receiver, group };
+  const chatKey = chatKeyFor(conversation);
+
+  const previous = await DisappearingTimer.findOne({ chatKey });
+  if ((previous ? previous.duration : 0) === duration) {
+    return { duration, changed: false };
+  }
+
+  await DisappearingTimer.findOneAndUpdate(
+    { chatKey },
+    { $set: { duration, updatedBy: actor._id } },
+    { upsert: true, new: true }
+  );
+
+  const text = duration
+    ? `${actor.name} turned on disappearing messages. ` +
+      `New messages will disappear ${describeDuration(
+        duration
+      )} after they're sent.`
+    : `${actor.name} turned off disappearing messages.`;
+
+  const systemMessage = new Message({
+    sender: actor._id,
+    receiver: group ? undefined : receiver,
+    group: group || undefined,
+    message: text,
+    messageType: "system",
+    systemEvent: { kind: "disappearing-timer", duration },
+  });
+  await systemMessage.save();
+  recordMessageEvent("message.created", systemMessage);
+  await recordConversationMessage(systemMessage);
+  await systemMessage.populate("sender", "name email profileImage");
+
+  if (io) {
+    const payload = {
+      id: systemMessage._id,
+      _id: systemMessage._id,
+      sender: systemMessage.sender,
+      message: systemMessage.message,
+      messageType: "system",
+      systemEvent: systemMessage.systemEvent,
+      timestamp: systemMessage.createdAt,
+      createdAt: systemMessage.createdAt,
+    };
+    const timerUpdate = {
+      chatType: group ? "group" : "personal",
+      duration,
+      updatedBy: actor._id,
+    };
+
+    if (group) {
+      const groupId = group.toString();
+      io.to(groupId).emit("receive-group-message", { ...payload, groupId });
+      io.to(groupId).emit("disappearing-timer-updated", {
+        ...timerUpdate,
+        chatId: groupId,
+      });
+    } else {
+      const actorId = actor._id.toString();
+      const receiverId = receiver.toString();
+      // Both sides see the announcement, chatId is the other participant
+      io.to(receiverId).emit("receive-message", {
+        ...payload,
+        receiver: receiverId,
+        isFromOtherUser: true,
+      });
+      io.to(actorId).emit("message-sent", { ...payload, receiver: receiverId });
+      io.to(receiverId).emit("disappearing-timer-updated", {
+        ...timerUpdate,
+        chatId: actorId,
+      });
+      io.to(actorId).emit("disappearing-timer-updated", {
+        ...timerUpdate,
+        chatId: receiverId,
+      });
+    }
+  }
+
+  return { duration, changed: true, systemMessage };
+}
+
+// Remove expired messages and their stored files, then tell the chats
+async function purgeExpiredMessages({ io, now = new Date() }) {
+  let purged = 0;
+
+  for (;;) {
+    const expired = await Message.find({ expiresAt: { $lte: now } })
+      .sort({ expiresAt: 1 })
+      .limit(PURGE_BATCH_SIZE);
+    if (!expired.length) break;
+
+    const byRoom = new Map(); // room|chat -> { room, chat, messageIds }
+    const changedChats = new Map(); // chatKey -> a removed message of that chat
+    for (const msg of expired) {
+      // Delete the document first so deleteMessageFile sees no other users of
+      // the file once the last forwarded copy is gone
+      await Message.deleteOne({ _id: msg._id });
+      if (msg.fileUrl) await deleteMessageFile(msg);
+      recordMessageEvent("message.expired", msg);
+      changedChats.set(chatKeyFor(msg), msg);
+
+      const rooms = msg.group
+        ? [[msg.group.toString(), { groupId: msg.group.toString() }]]
+        : [
+            [msg.receiver.toString(), { chatId: msg.sender.toString() }],
+            [msg.sender.toString(), { chatId: msg.receiver.toString() }],
+          ];
+      rooms.forEach(([room, chat]) => {
+        const key = `${room}|${chat.groupId || chat.chatId}`;
+        if (!byRoom.has(key)) byRoom.set(key, { room, chat, messageIds: [] });
+        byRoom.get(key).messageIds.push(msg._id);
+      });
+    }
+
+    for (const msg of changedChats.values()) {
+      await refreshConversationAfterRemoval(msg);
+    }
+
+    await StarredMessage.deleteMany({
+      message: { $in: expired.map((msg) => msg._id) },
+    });
+
+    if (io) {
+      byRoom.forEach(({ room, chat, messageIds }) => {
+        io.to(room).emit("messages-expired", { ...chat, messageIds });
+      });
+    }
+
+    purged += expired.length;
+    if (expired.length < PURGE_BATCH_SIZE) break;
+  }
+
+  if (purged) console.log(`⏳ Purged ${purged} disappearing messages`);
+  return purged;
+}
+
+module.exports = {
+  DISAPPEARING_DURATIONS,
+  chatKeyFor,
+  getMessageExpiry,
+  getTimersByChatKey,
+  setDisappearingTimer,
+  purgeExpiredMessages,
+};
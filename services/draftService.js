@@ -0,0 +1,77 @@
+const Draft = require("../models/Draft");
+
+// Drafts are stored per user per conversation and mirrored to the user's
+// other sessions with a "draft-updated" event.
+
+function serializeDraft(draft) {
+  return {
+    chatId: draft.chatId,
+    chatType: draft.chatType,
+    text: draft.text,
+    replyTo: draft.replyTo || null,
+    updatedAt: draft.updatedAt,
+  };
+}
+
+// Tell the user's other sessions (all except originSocketId) about the change
+function emitDraftUpdate(io, userId, payload, originSocketId) {
+  if (!io) return;
+  let target = io.to(userId.toString());
+  if (originSocketId) target = target.except(originSocketId);
+  target.emit("draft-updated", payload);
+}
+
+// Create or replace the user's draft for a conversation
+async function saveDraft({
+  io,
+  userId,
+  chatType,
+  chatId,
+  text,
+  replyTo,
+  originSocketId,
+}) {
+  const draft = await Draft.findOneAndUpdate(
+    { user: userId, chatType, chatId },
+    { $set: { text, replyTo: replyTo || null } },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  const payload = serializeDraft(draft);
+  emitDraftUpdate(io, userId, payload, originSocketId);
+  return payload;
+}
+
+// Remove the user's draft for a conversation (no event if there was none)
+async function clearDraft({ io, userId, chatType, chatId, originSocketId }) {
+  const removed = await Draft.findOneAndDelete({
+    user: userId,
+    chatType,
+    chatId,
+  });
+  if (!removed) return false;
+
+  emitDraftUpdate(
+    io,
+    userId,
+    { chatId, chatType, text: null, replyTo: null, updatedAt: new Date() },
+    originSocketId
+  );
+  return true;
+}
+
+// All drafts of a user, keyed by "<chatType>:<chatId>"
+async function getDraftsForUser(userId) {
+  const drafts = await Draft.find({ user: userId }).sort({ updatedAt: -1 });
+  const byChat = new Map();
+  drafts.forEach((draft) => {
+    byChat.set(`${draft.chatType}:${draft.chatId}`, serializeDraft(draft));
+  });
+  return byChat;
+}
+
+module.exports = {
+  saveDraft,
+  clearDraft,
+  getDraftsForUser,
+};
@@ -151,6 +151,25 @@ class GoogleDriveService {
     }
   }
 
+  // Download file contents as a Buffer
+  async downloadFile(fileId) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const response = await this.drive.files.get(
+        { fileId: fileId, alt: "media" },
+        { responseType: "arraybuffer" }
+      );
+
+      return Buffer.from(response.data);
+    } catch (error) {
+      console.error("❌ Google Drive download error:", error.message);
+      return null;
+    }
+  }
+
   // Get file metadata
   async getFileMetadata(fileId) {
     try {
@@ -0,0 +1,105 @@
+const Group = require("../models/Group");
+const User = require("../models/User");
+const { recordSyncEvent } = require("./syncService");
+
+// Group rules shared by the group, user and send routes: who may post in an
+// announcement channel, membership sync events and auto-joined groups.
+
+const ANNOUNCEMENT_POST_ERROR =
+  "Only designated posters can post in this announcement channel";
+
+function toId(value) {
+  return (value?._id || value).toString();
+}
+
+// Whether the user may post in the group (membership is checked separately).
+// Works with populated and unpopulated members.
+function canPostInGroup(group, userId) {
+  if (!group.isAnnouncement) return true;
+  const id = toId(userId);
+  const isAdmin = (group.members || []).some(
+    (member) => toId(member.user) === id && member.role === "admin"
+  );
+  return (
+    isAdmin ||
+    (group.announcementPosters || []).some((poster) => toId(poster) === id)
+  );
+}
+
+// Error for a post the group doesn't allow, or null. For send paths that
+// don't load the group themselves.
+async function getGroupPostError(groupId, userId) {
+  const group = await Group.findById(groupId).select(
+    "members isAnnouncement announcementPosters"
+  );
+  return group && !canPostInGroup(group, userId)
+    ? ANNOUNCEMENT_POST_ERROR
+    : null;
+}
+
+// Log a membership change for /api/sync. Removed users get it directly,
+// they no longer see the group's events.
+function recordMembershipChange(group, { added = [], removed = [] }) {
+  if (!added.length && !removed.length) return;
+  recordSyncEvent({
+    type: "group.members",
+    group: group._id,
+    users: removed,
+    data: {
+      groupId: group._id,
+      added: added.map((id) => id.toString()),
+      removed: removed.map((id) => id.toString()),
+    },
+  });
+}
+
+// Add every active (non-bot) user who isn't a member yet. Returns their ids.
+async function addAllActiveUsers(group) {
+  const memberIds = group.members.map((member) => toId(member.user));
+  const users = await User.find({
+    _id: { $nin: memberIds },
+    isActive: true,
+    isBot: { $ne: true },
+  }).select("_id");
+  if (!users.length) return [];
+
+  const added = users.map((user) => user._id);
+  await Group.updateOne(
+    { _id: group._id },
+    {
+      $push: {
+        members: { $each: added.map((user) => ({ user, role: "member" })) },
+      },
+    }
+  );
+  recordMembershipChange(group, { added });
+  console.log(`👥 Added ${added.length} users to group ${group.name}`);
+  return added;
+}
+
+// Join a newly created user to every group with auto-membership
+async function joinAutoJoinGroups(userId) {
+  const groups = await Group.find({
+    isActive: true,
+    autoJoinAllUsers: true,
+    "members.user": { $ne: userId },
+  }).select("_id name");
+
+  for (const group of groups) {
+    await Group.updateOne(
+      { _id: group._id, "members.user": { $ne: userId } },
+      { $push: { members: { user: userId, role: "member" } } }
+    );
+    recordMembershipChange(group, { added: [userId] });
+  }
+  return groups;
+}
+
+module.exports = {
+  ANNOUNCEMENT_POST_ERROR,
+  canPostInGroup,
+  getGroupPostError,
+  recordMembershipChange,
+  addAllActiveUsers,
+  joinAutoJoinGroups,
+};
@@ -0,0 +1,367 @@
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const Message = require("../models/Message");
+const { recordMessageEvent } = require("./syncService");
+const { refreshConversationFor } = require("./conversationService");
+
+// Link previews: detect the first URL in a text message, fetch its
+// OpenGraph/title metadata and attach it to the message after it was sent.
+// The HTTP fetcher is pluggable (setLinkPreviewFetcher) so tests can point it
+// at a local stub; the default one refuses private/internal addresses.
+
+const FETCH_TIMEOUT_MS = 5 * 1000;
+const MAX_BODY_BYTES = 512 * 1024;
+const MAX_REDIRECTS = 3;
+const CACHE_TTL_MS = 6 * 60 * 60 * 1000;
+const FAILURE_TTL_MS = 10 * 60 * 1000; // Don't retry broken links on every message
+const MAX_CACHE_ENTRIES = 500;
+
+const URL_REGEX = /\bhttps?:\/\/[^\s<>"']+/i;
+
+// Blocked IPv4 ranges as [network, prefix length]
+const PRIVATE_IPV4_RANGES = [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+];
+
+// Blocked IPv6 ranges. Whole ranges that can carry an IPv4 address
+// (IPv4-compatible, IPv4-mapped, NAT64, 6to4, Teredo) are refused too.
+const PRIVATE_IPV6_RANGES = [
+  ["::", 96], // Unspecified, loopback, IPv4-compatible
+  ["::ffff:0:0", 96], // IPv4-mapped
+  ["64:ff9b::", 96], // NAT64
+  ["64:ff9b:1::", 48], // Local-use NAT64
+  ["100::", 64], // Discard-only
+  ["2001::", 32], // Teredo
+  ["2001:db8::", 32], // Documentation
+  ["2002::", 16], // 6to4
+  ["fc00::", 7], // Unique local
+  ["fe80::", 10], // Link-local
+  ["fec0::", 10], // Site-local
+  ["ff00::", 8], // Multicast
+];
+
+// BlockList parses every spelling of an address (::ffff:7f00:1 is
+// ::ffff:127.0.0.1), so no textual form slips past the ranges. One list per
+// family: an IPv4 address would match the IPv4-mapped range.
+const blockedIpv4 = new net.BlockList();
+for (const [network, bits] of PRIVATE_IPV4_RANGES) {
+  blockedIpv4.addSubnet(network, bits, "ipv4");
+}
+const blockedIpv6 = new net.BlockList();
+for (const [network, bits] of PRIVATE_IPV6_RANGES) {
+  blockedIpv6.addSubnet(network, bits, "ipv6");
+}
+
+// True for loopback, private, link-local, CGNAT, multicast and reserved addresses
+function isPrivateAddress(ip) {
+  const family = net.isIP(ip);
+  if (family === 4) return blockedIpv4.check(ip, "ipv4");
+  if (family === 6) return blockedIpv6.check(ip, "ipv6");
+  return true; // Not an IP at all, refuse
+}
+
+// dns.lookup wrapper used by the default fetcher, so the address checked is
+// the address connected to (no DNS rebinding between check and connect)
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find((entry) => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(
+        new Error(`Refusing to fetch internal address ${blocked.address}`)
+      );
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function requestOnce(url) {
+  return new Promise((resolve, reject) => {
+    const parsed = new URL(url);
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, "");
+    // IP literals never hit the lookup function
+    if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+      return reject(
+        new Error(`Refusing to fetch internal address ${hostname}`)
+      );
+    }
+
+    const client = parsed.protocol === "https:" ? https : http;
+    const req = client.get(
+      parsed,
+      {
+        lookup: guardedLookup,
+        timeout: FETCH_TIMEOUT_MS,
+        headers: {
+          "User-Agent": "ChatAppLinkPreview/1.0",
+          Accept: "text/html,application/xhtml+xml",
+        },
+      },
+      (res) => {
+        if (res.statusCode >= 300 && res.statusCode < 400) {
+          res.resume();
+          return resolve({ redirect: res.headers.location });
+        }
+        if (res.statusCode !== 200) {
+          res.resume();
+          return reject(new Error(`HTTP ${res.statusCode}`));
+        }
+
+        const contentType = res.headers["content-type"] || "";
+        if (!/text\/html|application\/xhtml\+xml/i.test(contentType)) {
+          res.resume();
+          return resolve({ contentType, body: "" });
+        }
+
+        const chunks = [];
+        let size = 0;
+        res.on("data", (chunk) => {
+          size += chunk.length;
+          chunks.push(chunk);
+          // The <head> is all we need, stop reading large pages
+          if (size >= MAX_BODY_BYTES) res.destroy();
+        });
+        const finish = () =>
+          resolve({
+            contentType,
+            body: Buffer.concat(chunks).toString("utf8"),
+          });
+        res.on("end", finish);
+        res.on("close", finish);
+        res.on("error", reject);
+      }
+    );
+    req.on("timeout", () => req.destroy(new Error("Request timed out")));
+    req.on("error", reject);
+  });
+}
+
+// Default fetcher: GET over http(s), following a few redirects, each hop
+// re-checked against the internal address ranges
+async function defaultFetcher(url) {
+  let currentUrl = url;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const result = await requestOnce(currentUrl);
+    if (!result.redirect) {
+      return { url: currentUrl, ...result };
+    }
+    const next = new URL(result.redirect, currentUrl);
+    if (!["http:", "https:"].includes(next.protocol)) {
+      throw new Error("Unsupported redirect protocol");
+    }
+    currentUrl = next.toString();
+  }
+  throw new Error("Too many redirects");
+}
+
+let fetcher = defaultFetcher;
+
+// Replace the HTTP fetcher: async (url) => ({ url, contentType, body })
+function setLinkPreviewFetcher(customFetcher) {
+  fetcher = customFetcher || defaultFetcher;
+  clearLinkPreviewCache();
+}
+
+const cache = new Map(); // url -> { preview, expiresAt }
+const inFlight = new Map(); // url -> Promise, so one URL is fetched once at a time
+
+function clearLinkPreviewCache() {
+  cache.clear();
+  inFlight.clear();
+}
+
+function cacheSet(url, preview) {
+  if (cache.size >= MAX_CACHE_ENTRIES) {
+    cache.delete(cache.keys().next().value); // Oldest entry
+  }
+  cache.set(url, {
+    preview,
+    expiresAt: Date.now() + (preview ? CACHE_TTL_MS : FAILURE_TTL_MS),
+  });
+}
+
+// First http(s) URL in a message, without trailing punctuation
+function extractFirstUrl(text) {
+  if (!text) return null;
+  const match = text.match(URL_REGEX);
+  if (!match) return null;
+  const url = match[0].replace(/[.,!?;:)\]}]+$/, "");
+  try {
+    const parsed = new URL(url);
+    return ["http:", "https:"].includes(parsed.protocol)
+      ? parsed.toString()
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+function decodeEntities(value) {
+  return value
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) =>
+      String.fromCodePoint(parseInt(hex, 16))
+    )
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&");
+}
+
+function cleanText(value, maxLength) {
+  if (!value) return null;
+  const text = decodeEntities(value).replace(/\s+/g, " ").trim();
+  if (!text) return null;
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+// Pull OpenGraph / twitter / <title> metadata out of an HTML document
+function parseMetadata(html, pageUrl) {
+  const meta = {};
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    const attrs = {};
+    for (const attr of tag.matchAll(
+      /([a-zA-Z:_-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g
+    )) {
+      attrs[attr[1].toLowerCase()] = attr[2] ?? attr[3] ?? attr[4];
+    }
+    const key = (attrs.property || attrs.name || "").toLowerCase();
+    if (key && attrs.content !== undefined && !(key in meta)) {
+      meta[key] = attrs.content;
+    }
+  }
+
+  const titleTag = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+
+  let image = meta["og:image"] || meta["twitter:image"] || null;
+  if (image) {
+    try {
+      const resolved = new URL(decodeEntities(image), pageUrl);
+      image = ["http:", "https:"].includes(resolved.protocol)
+        ? resolved.toString()
+        : null;
+    } catch {
+      image = null;
+    }
+  }
+
+  return {
+    title: cleanText(
+      meta["og:title"] || meta["twitter:title"] || (titleTag && titleTag[1]),
+      300
+    ),
+    description: cleanText(
+      meta["og:description"] ||
+        meta["twitter:description"] ||
+        meta["description"],
+      500
+    ),
+    image,
+    siteName: cleanText(meta["og:site_name"], 100),
+  };
+}
+
+async function fetchPreview(url) {
+  const response = await fetcher(url);
+  if (!response || !response.body) return null;
+
+  const metadata = parseMetadata(response.body, response.url || url);
+  // Nothing worth showing
+  if (!metadata.title && !metadata.description && !metadata.image) return null;
+
+  return { url, ...metadata, fetchedAt: new Date() };
+}
+
+// Cached preview for a URL, or null when it can't be fetched
+async function getLinkPreview(url) {
+  const cached = cache.get(url);
+  if (cached && cached.expiresAt > Date.now()) return cached.preview;
+
+  if (inFlight.has(url)) return inFlight.get(url);
+
+  const pending = fetchPreview(url)
+    .catch((error) => {
+      console.log(`🔗 Link preview failed for ${url}:`, error.message);
+      return null;
+    })
+    .then((preview) => {
+      cacheSet(url, preview);
+      inFlight.delete(url);
+      return preview;
+    });
+  inFlight.set(url, pending);
+  return pending;
+}
+
+// Fetch and store the preview for a sent message, then tell the chat about it
+async function attachLinkPreview({ io, message }) {
+  if (!message || message.messageType !== "text" || message.isDeleted) {
+    return null;
+  }
+  const url = extractFirstUrl(message.message);
+  if (!url) return null;
+
+  const preview = await getLinkPreview(url);
+  if (!preview) return null;
+
+  // Skip if the message was deleted or edited to another link meanwhile
+  const updated = await Message.findOneAndUpdate(
+    {
+      _id: message._id,
+      isDeleted: { $ne: true },
+      message: message.message,
+    },
+    { $set: { linkPreview: preview } },
+    { new: true }
+  );
+  if (!updated) return null;
+  recordMessageEvent("message.updated", updated, { fields: ["linkPreview"] });
+  refreshConversationFor(updated);
+
+  if (io) {
+    const payload = {
+      messageId: updated._id,
+      groupId: updated.group || undefined,
+      sender: updated.sender,
+      receiver: updated.receiver || undefined,
+      linkPreview: updated.linkPreview,
+    };
+    if (updated.group) {
+      io.to(updated.group.toString()).emit("message-link-preview", payload);
+    } else {
+      io.to(updated.receiver.toString())
+        .to(updated.sender.toString())
+        .emit("message-link-preview", payload);
+    }
+  }
+
+  return updated.linkPreview;
+}
+
+module.exports = {
+  extractFirstUrl,
+  isPrivateAddress,
+  parseMetadata,
+  getLinkPreview,
+  attachLinkPreview,
+  setLinkPreviewFetcher,
+  clearLinkPreviewCache,
+};
@@ -0,0 +1,133 @@
+const Group = require("../models/Group");
+const User = require("../models/User");
+const { notifyUser } = require("./notificationService");
+const { notificationPreview } = require("./messageFormatting");
+
+// @token preceded by start of text or a non-word character (so emails don't match)
+const MENTION_REGEX = /(^|[^\p{L}\p{N}_@.])@([\p{L}\p{N}._-]+)/gu;
+
+const ALL_TOKENS = ["all", "everyone"];
+const ADMIN_TOKENS = ["admins", "admin"];
+
+function extractMentionTokens(text) {
+  const tokens = new Set();
+  if (!text) return tokens;
+  for (const match of text.matchAll(MENTION_REGEX)) {
+    // Trailing punctuation is not part of the name ("thanks @ravi.")
+    tokens.add(match[2].replace(/[._-]+$/, "").toLowerCase());
+  }
+  tokens.delete("");
+  return tokens;
+}
+
+// Match one @token against the people in the conversation.
+// Accepts a user id, the full name without spaces, the email local part,
+// or a first name when it is unique in the conversation.
+function matchCandidates(token, candidates) {
+  const byId = candidates.filter((c) => c._id.toString() === token);
+  if (byId.length) return byId;
+
+  const byFullName = candidates.filter(
+    (c) => (c.name || "").replace(/\s+/g, "").toLowerCase() === token
+  );
+  if (byFullName.length) return byFullName;
+
+  const byEmail = candidates.filter(
+    (c) => (c.email || "").split("@")[0].toLowerCase() === token
+  );
+  if (byEmail.length) return byEmail;
+
+  const byFirstName = candidates.filter(
+    (c) => (c.name || "").split(/\s+/)[0].toLowerCase() === token
+  );
+  return byFirstName.length === 1 ? byFirstName : [];
+}
+
+// Resolve @user, @admins and @all in a message to the mentioned user ids
+async function resolveMentions(text, { sender, receiver, group }) {
+  const tokens = extractMentionTokens(text);
+  if (!tokens.size) return [];
+
+  const senderId = sender.toString();
+  let candidates = [];
+  let adminIds = [];
+
+  if (group) {
+    const groupData = await Group.findById(group)
+      .select("members")
+      .populate("members.user", "name email");
+    (groupData?.members || []).forEach((member) => {
+      if (!member.user) return;
+      candidates.push(member.user);
+      if (member.role === "admin") adminIds.push(member.user._id.toString());
+    });
+  } else if (receiver) {
+    const receiverUser = await User.findById(receiver).select("name email");
+    if (receiverUser) candidates.push(receiverUser);
+  }
+
+  const mentioned = new Set();
+  tokens.forEach((token) => {
+    if (ALL_TOKENS.includes(token)) {
+      candidates.forEach((c) => mentioned.add(c._id.toString()));
+    } else if (ADMIN_TOKENS.includes(token) && group) {
+      adminIds.forEach((id) => mentioned.add(id));
+    } else {
+      matchCandidates(token, candidates).forEach((c) =>
+        mentioned.add(c._id.toString())
+      );
+    }
+  });
+
+  mentioned.delete(senderId);
+  return Array.from(mentioned);
+}
+
+// Mentions always notify: socket event for online users, push for the rest
+function notifyMentionedUsers({ io, activeUsers, message, groupName }) {
+  const senderId = (message.sender?._id || message.sender).toString();
+  const senderName = message.sender?.name || "Someone";
+  const groupId = message.group?._id || message.group;
+  const preview = notificationPreview(message);
+
+  (message.mentions || []).forEach((mentionedId) => {
+    const userId = mentionedId.toString();
+
+    if (io) {
+      io.to(userId).emit("mention", {
+        messageId: message._id,
+        groupId: groupId || undefined,
+        groupName: groupName || undefined,
+        sender: message.sender,
+        message: preview,
+        createdAt: message.createdAt,
+      });
+    }
+
+    if (!activeUsers || !activeUsers.has(userId)) {
+      notifyUser(
+        userId,
+        groupName
+          ? `${senderName} mentioned you in ${groupName}`
+          : `${senderName} mentioned you`,
+        preview,
+        {
+          type: "mention",
+          groupId,
+          groupName,
+          senderId,
+          senderName,
+          receiverId: userId,
+          messageId: message._id,
+          icon: message.sender?.profileImage || "/icon.png",
+        }
+      );
+    }
+  });
+}
+
+module.exports = {
+  extractMentionTokens,
+  resolveMentions,
+  notifyMentionedUsers,
+};
@@ -0,0 +1,453 @@
+const Message = require("../models/Message");
+const Group = require("../models/Group");
+const { sendFCMToUser } = require("./fcmService");
+const { sendPushToUser } = require("../routes/pushNotifications");
+const { notifyThreadParticipants } = require("./threadService");
+const { resolveMentions, notifyMentionedUsers } = require("./mentionService");
+const { emitWithDeliveryAck } = require("./receiptService");
+const { attachLinkPreview } = require("./linkPreviewService");
+const { clearDraft } = require("./draftService");
+const { recordMessageEvent } = require("./syncService");
+const { recordConversationMessage } = require("./conversationService");
+const { getMessageExpiry } = require("./disappearingMessageService");
+const {
+  renderMessageFields,
+  notificationPreview,
+} = require("./messageFormatting");
+const {
+  getMutedUserIds,
+  unarchiveForMessage,
+} = require("./conversationSettingsService");
+
+// Shared save → emit → push pipeline for chat messages.
+// Used by the send-message/send-group-message socket handlers and the
+// scheduled message job, so every delivery path behaves the same way.
+// When a socket is given, room broadcasts skip the sending socket (as before).
+// Sends carrying a clientId are idempotent: a retry returns the saved message
+// with duplicate: true and nothing is emitted or pushed again.
+
+// Message types a client may send. Polls and system notices are only
+// created by the server (polls route, disappearing-message notices).
+const CLIENT_MESSAGE_TYPES = ["text", "image", "file", "audio", "video"];
+
+// Poll messages only come from createGroupPoll, which attaches the poll
+function assertPollData(messageData, chatType) {
+  if (
+    messageData.messageType === "poll" &&
+    (chatType !== "group" || !messageData.poll)
+  ) {
+    throw new Error("Polls can only be created in groups with createGroupPoll");
+  }
+}
+
+// Confirmation payload for the sender of a personal message
+function buildPersonalConfirmation(message, receiver) {
+  return {
+    id: message._id,
+    clientId: message.clientId,
+    sender: message.sender,
+    receiver: receiver,
+    message: message.message,
+    messageType: message.messageType,
+    format: message.format,
+    renderedHtml: message.renderedHtml,
+    fileUrl: message.fileUrl,
+    fileName: message.fileName,
+    fileSize: message.fileSize,
+    fileType: message.fileType,
+    audio: message.audio,
+    replyTo: message.replyTo,
+    mentions: message.mentions,
+    expiresAt: message.expiresAt,
+    status: message.status,
+    timestamp: message.createdAt,
+    createdAt: message.createdAt,
+    isConfirmMessage: true,
+    _id: message._id,
+  };
+}
+
+// Payload broadcast to a group (also the sender's confirmation)
+function buildGroupPayload(message, groupId) {
+  return {
+    id: message._id,
+    clientId: message.clientId,
+    groupId,
+    sender: message.sender,
+    message: message.message,
+    messageType: message.messageType,
+    format: message.format,
+    renderedHtml: message.renderedHtml,
+    fileUrl: message.fileUrl,
+    fileName: message.fileName,
+    fileSize: message.fileSize,
+    fileType: message.fileType,
+    audio: message.audio,
+    replyTo: message.replyTo,
+    mentions: message.mentions,
+    expiresAt: message.expiresAt,
+    poll: message.poll ? message.getPollResults() : undefined,
+    timestamp: message.createdAt,
+    createdAt: message.createdAt,
+    _id: message._id,
+  };
+}
+
+// A retried send (same sender + clientId) resolves to the message already saved
+async function findExistingSend(messageData) {
+  if (!messageData.clientId) return null;
+  return Message.findOne({
+    sender: messageData.sender,
+    clientId: messageData.clientId,
+  })
+    .populate("sender", "name email profileImage")
+    .populate("receiver", "name email profileImage");
+}
+
+// Save a new message; if a concurrent retry saved the same clientId first,
+// return that one instead (unique sender+clientId index)
+async function saveOrFindExisting(newMessage, messageData) {
+  try {
+    await newMessage.save();
+    return null;
+  } catch (error) {
+    if (error.code === 11000 && error.keyPattern?.clientId) {
+      return findExistingSend(messageData);
+    }
+    throw error;
+  }
+}
+
+function duplicateSendResult(existing, messageData) {
+  console.log("♻️ Duplicate send ignored, clientId:", existing.clientId);
+  const confirmationMessage = messageData.group
+    ? buildGroupPayload(existing, messageData.group.toString())
+    : buildPersonalConfirmation(existing, messageData.receiver.toString());
+  return { newMessage: existing, confirmationMessage, duplicate: true };
+}
+
+// Link previews are fetched in the background and pushed as a later update
+function queueLinkPreview(io, message) {
+  attachLinkPreview({ io, message }).catch((err) =>
+    console.error("Link preview failed:", err.message)
+  );
+}
+
+// Sending from a conversation uses up its draft (scheduled sends don't,
+// the user may have started a new one since)
+function clearSentDraft({ io, socket, messageData, chatType, chatId }) {
+  if (messageData.scheduledFrom) return;
+  clearDraft({
+    io,
+    userId: messageData.sender,
+    chatType,
+    chatId,
+    originSocketId: socket ? socket.id : null,
+  }).catch((err) => console.error("Draft cleanup failed:", err.message));
+}
+
+// Save and deliver a personal message, returns the saved message + confirmation payload
+async function dispatchPersonalMessage({
+  io,
+  activeUsers,
+  socket,
+  messageData,
+  threadRoot,
+}) {
+  assertPollData(messageData, "personal");
+  const sender = messageData.sender.toString();
+  const receiver = messageData.receiver.toString();
+  const emitter = socket || io;
+
+  const existing = await findExistingSend(messageData);
+  if (existing) return duplicateSendResult(existing, messageData);
+
+  const mentions = await resolveMentions(messageData.message, {
+    sender,
+    receiver,
+  });
+
+  // Disappearing-messages timer of the conversation, if on
+  const expiresAt = await getMessageExpiry(messageData);
+
+  const newMessage = new Message({
+    ...messageData,
+    ...renderMessageFields(messageData.message, messageData.format),
+    mentions,
+    expiresAt,
+  });
+  const raced = await saveOrFindExisting(newMessage, messageData);
+  if (raced) return duplicateSendResult(raced, messageData);
+  console.log("💾 Message saved to database:", newMessage._id);
+  recordMessageEvent("message.created", newMessage);
+  recordConversationMessage(newMessage);
+  clearSentDraft({
+    io,
+    socket,
+    messageData,
+    chatType: "personal",
+    chatId: receiver,
+  });
+
+  // Populate message data for response
+  await newMessage.populate("sender", "name email profileImage");
+  await newMessage.populate("receiver", "name email profileImage");
+
+  // Emit to receiver if they're online
+  const receiverMessage = {
+    id: newMessage._id, // Use actual message ID from database
+    sender: newMessage.sender,
+    receiver: receiver,
+    message: newMessage.message,
+    messageType: newMessage.messageType,
+    format: newMessage.format,
+    renderedHtml: newMessage.renderedHtml,
+    fileUrl: newMessage.fileUrl,
+    fileName: newMessage.fileName,
+    fileSize: newMessage.fileSize,
+    fileType: newMessage.fileType,
+    audio: newMessage.audio,
+    replyTo: newMessage.replyTo,
+    mentions: newMessage.mentions,
+    expiresAt: newMessage.expiresAt,
+    timestamp: newMessage.createdAt,
+    createdAt: newMessage.createdAt,
+    isFromOtherUser: true,
+    _id: newMessage._id,
+  };
+  console.log(
+    "📤 Emitting to receiver:",
+    receiver,
+    "message:",
+    receiverMessage
+  );
+  if (emitter) {
+    // The receiver's client acks receive-message, which marks it delivered
+    emitWithDeliveryAck({ io, emitter, receiver, payload: receiverMessage });
+  }
+
+  // Send push notification if receiver is not online and hasn't muted the chat.
+  // A mention is pushed by notifyMentionedUsers instead, even when muted.
+  const receiverMentioned = mentions.some((id) => id.toString() === receiver);
+  const receiverOnline = activeUsers.has(receiver);
+  const receiverMuted =
+    !receiverOnline &&
+    (
+      await getMutedUserIds({
+        chatType: "personal",
+        chatId: sender,
+        userIds: [receiver],
+      })
+    ).has(receiver);
+  if (!receiverOnline && !receiverMuted && !receiverMentioned) {
+    const senderName = newMessage.sender?.name || "Someone";
+    const messagePreview = notificationPreview(newMessage);
+
+    // Try FCM first, fallback to Web Push
+    sendFCMToUser(receiver, `New message from ${senderName}`, messagePreview, {
+      type: "personal-message",
+      senderId: sender,
+      senderName: senderName,
+      receiverId: receiver,
+      messageId: newMessage._id.toString(),
+      icon: newMessage.sender?.profileImage || "/icon.png",
+    })
+      .then((result) => {
+        if (!result.success) {
+          return sendPushToUser(
+            receiver,
+            `New message from ${senderName}`,
+            messagePreview,
+            newMessage.sender?.profileImage || "/icon.png",
+            {
+              type: "personal-message",
+              senderId: sender,
+              senderName: senderName,
+              receiverId: receiver,
+              messageId: newMessage._id.toString(),
+            }
+          );
+        }
+      })
+      .catch((err) => {
+        console.log("Push notification failed:", err.message);
+      });
+  }
+
+  notifyMentionedUsers({ io, activeUsers, message: newMessage });
+
+  queueLinkPreview(io, newMessage);
+  unarchiveForMessage({ io, message: newMessage }).catch((err) =>
+    console.error("Unarchive failed:", err.message)
+  );
+
+  // Payload confirming the send back to the sender
+  const confirmationMessage = buildPersonalConfirmation(newMessage, receiver);
+
+  if (threadRoot) {
+    notifyThreadParticipants({
+      io,
+      activeUsers,
+      root: threadRoot,
+      reply: newMessage,
+    }).catch((err) =>
+      console.error("Thread notification failed:", err.message)
+    );
+  }
+
+  return { newMessage, confirmationMessage };
+}
+
+// Save and deliver a group message, returns the saved message + confirmation payload
+async function dispatchGroupMessage({
+  io,
+  activeUsers,
+  socket,
+  messageData,
+  threadRoot,
+}) {
+  assertPollData(messageData, "group");
+  const sender = messageData.sender.toString();
+  const groupId = messageData.group.toString();
+  const emitter = socket || io;
+
+  const existing = await findExistingSend(messageData);
+  if (existing) return duplicateSendResult(existing, messageData);
+
+  const mentions = await resolveMentions(messageData.message, {
+    sender,
+    group: groupId,
+  });
+
+  // Disappearing-messages timer of the conversation, if on
+  const expiresAt = await getMessageExpiry(messageData);
+
+  const newMessage = new Message({
+    ...messageData,
+    ...renderMessageFields(messageData.message, messageData.format),
+    mentions,
+    expiresAt,
+  });
+  const raced = await saveOrFindExisting(newMessage, messageData);
+  if (raced) return duplicateSendResult(raced, messageData);
+  console.log("💾 Group message saved to database:", newMessage._id);
+  recordMessageEvent("message.created", newMessage);
+  recordConversationMessage(newMessage);
+  clearSentDraft({
+    io,
+    socket,
+    messageData,
+    chatType: "group",
+    chatId: groupId,
+  });
+
+  // Populate message data
+  await newMessage.populate("sender", "name email profileImage");
+  await newMessage.populate("group", "name");
+
+  // Emit to all members of the group
+  const groupMessage = buildGroupPayload(newMessage, groupId);
+  if (emitter) {
+    emitter.to(groupId).emit("receive-group-message", groupMessage);
+  }
+
+  // Send push notifications to offline group members
+  const group = await Group.findById(groupId);
+  if (group && group.members) {
+    const senderName = newMessage.sender?.name || "Someone";
+    const groupName = group.name || "Group";
+    const messagePreview = notificationPreview(newMessage);
+
+    const mentionedIds = mentions.map((id) => id.toString());
+    // Mentions still notify members who muted the group
+    const mutedIds = await getMutedUserIds({
+      chatType: "group",
+      chatId: groupId,
+      userIds: group.members
+        .map((member) => member.user.toString())
+        .filter((memberId) => !activeUsers.has(memberId)),
+    });
+
+    group.members.forEach((member) => {
+      const memberId = member.user.toString();
+      // Skip sender, online, muted and mentioned members (notified below)
+      if (
+        memberId !== sender &&
+        !activeUsers.has(memberId) &&
+        !mutedIds.has(memberId) &&
+        !mentionedIds.includes(memberId)
+      ) {
+        // Try FCM first, fallback to Web Push
+        sendFCMToUser(
+          memberId,
+          `${senderName} in ${groupName}`,
+          messagePreview,
+          {
+            type: "group-message",
+            groupId: groupId,
+            groupName: groupName,
+            senderId: sender,
+            senderName: senderName,
+            receiverId: memberId,
+            messageId: newMessage._id.toString(),
+            icon: newMessage.sender?.profileImage || "/icon.png",
+          }
+        )
+          .then((result) => {
+            if (!result.success) {
+              return sendPushToUser(
+                memberId,
+                `${senderName} in ${groupName}`,
+                messagePreview,
+                newMessage.sender?.profileImage || "/icon.png",
+                {
+                  type: "group-message",
+                  groupId: groupId,
+                  groupName: groupName,
+                  senderId: sender,
+                  senderName: senderName,
+                  receiverId: memberId,
+                  messageId: newMessage._id.toString(),
+                }
+              );
+            }
+          })
+          .catch((err) => {
+            console.log("Push notification failed:", err.message);
+          });
+      }
+    });
+
+    notifyMentionedUsers({
+      io,
+      activeUsers,
+      message: newMessage,
+      groupName,
+    });
+  }
+
+  if (threadRoot) {
+    notifyThreadParticipants({
+      io,
+      activeUsers,
+      root: threadRoot,
+      reply: newMessage,
+    }).catch((err) =>
+      console.error("Thread notification failed:", err.message)
+    );
+  }
+
+  queueLinkPreview(io, newMessage);
+  unarchiveForMessage({ io, message: newMessage }).catch((err) =>
+    console.error("Unarchive failed:", err.message)
+  );
+
+  // Payload confirming the send back to the sender
+  return { newMessage, confirmationMessage: groupMessage };
+}
+
+module.exports = {
+  CLIENT_MESSAGE_TYPES,
+  dispatchPersonalMessage,
+  dispatchGroupMessage,
+};
@@ -0,0 +1,270 @@
+const mongoose = require("mongoose");
+const cloudinary = require("cloudinary").v2;
+const fs = require("fs");
+const https = require("https");
+const path = require("path");
+const googleDriveService = require("./googleDrive");
+
+// Attachments live in one of four places depending on size/type at upload time:
+// GridFS (small images), Cloudinary, local uploads/messages, or Google Drive.
+
+function getGridfsBucket() {
+  if (!mongoose.connection.db) return null;
+  return new mongoose.mongo.GridFSBucket(mongoose.connection.db, {
+    bucketName: "messageImages",
+  });
+}
+
+// Only https URLs on Cloudinary's delivery host are fetched by the server
+function isCloudinaryUrl(fileUrl) {
+  try {
+    const url = new URL(fileUrl);
+    return url.protocol === "https:" && url.hostname === "res.cloudinary.com";
+  } catch (error) {
+    return false;
+  }
+}
+
+// GridFS and local files are only recognised in the exact form the upload
+// routes write, so other spellings of the same file (upper-case ids, "./")
+// never resolve to it
+const GRIDFS_URL_REGEX = /^\/api\/messages\/file\/([a-f\d]{24})$/i;
+const LOCAL_URL_REGEX = /^\/uploads\/messages\/([\w-][\w.-]*)$/;
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Where a message's file is stored, as { provider, id } from its saved
+// fields. Cloudinary and Drive ids are only taken from the ids stored at
+// upload (id is null without one), never parsed out of the URL.
+function getFileLocation(msg) {
+  const fileUrl = msg.fileUrl || "";
+  if (!fileUrl) return null;
+
+  if (msg.isGoogleDrive && msg.googleDriveId) {
+    return { provider: "googleDrive", id: msg.googleDriveId };
+  }
+
+  const gridfsMatch = fileUrl.match(GRIDFS_URL_REGEX);
+  if (gridfsMatch) {
+    return { provider: "gridfs", id: gridfsMatch[1].toLowerCase() };
+  }
+
+  const localMatch = fileUrl.match(LOCAL_URL_REGEX);
+  if (localMatch) {
+    return {
+      provider: "local",
+      id: localMatch[1],
+      path: path.join(__dirname, "../uploads/messages", localMatch[1]),
+    };
+  }
+
+  if (isCloudinaryUrl(fileUrl)) {
+    return {
+      provider: "cloudinary",
+      id: msg.cloudinaryPublicId || null,
+      resourceType: msg.cloudinaryResourceType || "image",
+    };
+  }
+
+  return null;
+}
+
+// Filter for messages that use the same stored file, whatever the spelling
+// of their fileUrl
+function sameFileFilter(msg, location) {
+  const sameFile = [{ fileUrl: msg.fileUrl }];
+  switch (location.provider) {
+    case "gridfs":
+      sameFile.push({
+        fileUrl: {
+          $regex: `^/api/messages/file/${location.id}$`,
+          $options: "i",
+        },
+      });
+      break;
+    case "local":
+      sameFile.push({
+        fileUrl: { $regex: `^/uploads/messages/${escapeRegex(location.id)}$` },
+      });
+      break;
+    case "cloudinary":
+      if (location.id) sameFile.push({ cloudinaryPublicId: location.id });
+      break;
+    case "googleDrive":
+      sameFile.push({ isGoogleDrive: true, googleDriveId: location.id });
+      break;
+  }
+  return { $or: sameFile };
+}
+
+// The live message whose file a client-supplied fileUrl refers to (e.g. when
+// re-sending or forwarding it), or null. Only files the upload routes stored
+// count, anything else could make the server fetch arbitrary URLs later; and
+// only in a chat the user is part of, so nobody can re-send (and later
+// delete) someone else's file.
+async function findStoredFile(fileUrl, userId) {
+  if (typeof fileUrl !== "string" || !getFileLocation({ fileUrl })) {
+    return null;
+  }
+  const Group = require("../models/Group");
+  const Message = require("../models/Message");
+  const groups = await Group.find({ "members.user": userId }).select("_id");
+  return Message.findOne({
+    fileUrl,
+    isDeleted: { $ne: true },
+    $or: [
+      { sender: userId },
+      { receiver: userId },
+      { group: { $in: groups.map((group) => group._id) } },
+    ],
+  }).select("fileUrl fileName fileSize fileType");
+}
+
+async function isStoredFileUrl(fileUrl, userId) {
+  return !!(await findStoredFile(fileUrl, userId));
+}
+
+// Permanently remove the stored file behind a message.
+// Forwarded copies share the same file, so it is kept while any other live
+// message still points at it.
+async function deleteMessageFile(msg) {
+  const location = getFileLocation(msg);
+  if (!location || !location.id) return false;
+
+  const Message = require("../models/Message");
+  const stillReferenced = await Message.exists({
+    _id: { $ne: msg._id },
+    isDeleted: { $ne: true },
+    ...sameFileFilter(msg, location),
+  });
+  if (stillReferenced) {
+    console.log(`ℹ️ File still used by other messages: ${msg.fileUrl}`);
+    return false;
+  }
+
+  try {
+    switch (location.provider) {
+      case "gridfs": {
+        const bucket = getGridfsBucket();
+        if (!bucket) return false;
+        await bucket.delete(new mongoose.Types.ObjectId(location.id));
+        break;
+      }
+      case "local":
+        if (fs.existsSync(location.path)) {
+          fs.unlinkSync(location.path);
+        }
+        break;
+      case "cloudinary":
+        cloudinary.config({
+          cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+          api_key: process.env.CLOUDINARY_API_KEY,
+          api_secret: process.env.CLOUDINARY_API_SECRET,
+        });
+        await cloudinary.uploader.destroy(location.id, {
+          resource_type: location.resourceType,
+        });
+        break;
+      case "googleDrive":
+        await googleDriveService.deleteFile(location.id);
+        break;
+      default:
+        return false;
+    }
+
+    console.log(`🗑️ Deleted ${location.provider} file for message ${msg._id}`);
+    return true;
+  } catch (error) {
+    console.error(
+      `❌ Failed to delete ${location.provider} file for message ${msg._id}:`,
+      error.message
+    );
+    return false;
+  }
+}
+
+// A stalled or trickling response would otherwise hold the export job forever
+const DOWNLOAD_TIMEOUT_MS = 2 * 60 * 1000;
+
+function downloadUrl(url, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const req = https.get(url, (res) => {
+      if (res.statusCode !== 200) {
+        res.resume();
+        return reject(new Error(`HTTP ${res.statusCode}`));
+      }
+      const chunks = [];
+      let size = 0;
+      res.on("data", (chunk) => {
+        size += chunk.length;
+        if (size > maxBytes) {
+          res.destroy(new Error("File too large"));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      res.on("end", () => resolve(Buffer.concat(chunks)));
+      res.on("error", reject);
+    });
+    const timer = setTimeout(() => {
+      const error = new Error("Download timed out");
+      error.code = "ETIMEDOUT";
+      reject(error);
+      req.destroy(error);
+    }, DOWNLOAD_TIMEOUT_MS);
+    req.on("close", () => clearTimeout(timer));
+    req.on("error", reject);
+  });
+}
+
+// Read the stored file behind a message into memory (null if unavailable).
+// Throws when a download times out.
+async function readMessageFile(msg, { maxBytes = 100 * 1024 * 1024 } = {}) {
+  const location = getFileLocation(msg);
+  if (!location) return null;
+  if (msg.fileSize && msg.fileSize > maxBytes) return null;
+
+  try {
+    switch (location.provider) {
+      case "gridfs": {
+        const bucket = getGridfsBucket();
+        if (!bucket) return null;
+        const chunks = [];
+        const stream = bucket.openDownloadStream(
+          new mongoose.Types.ObjectId(location.id)
+        );
+        for await (const chunk of stream) chunks.push(chunk);
+        return Buffer.concat(chunks);
+      }
+      case "local":
+        if (!fs.existsSync(location.path)) return null;
+        if (fs.statSync(location.path).size > maxBytes) return null;
+        return await fs.promises.readFile(location.path);
+      case "cloudinary":
+        return await downloadUrl(msg.fileUrl, maxBytes);
+      case "googleDrive":
+        return await googleDriveService.downloadFile(location.id);
+      default:
+        return null;
+    }
+  } catch (error) {
+    // A timeout fails the caller (the export job) instead of looking like a
+    // missing file
+    if (error.code === "ETIMEDOUT") throw error;
+    console.error(
+      `❌ Failed to read ${location.provider} file for message ${msg._id}:`,
+      error.message
+    );
+    return null;
+  }
+}
+
+module.exports = {
+  getFileLocation,
+  findStoredFile,
+  isStoredFileUrl,
+  deleteMessageFile,
+  readMessageFile,
+};
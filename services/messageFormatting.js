@@ -0,0 +1,248 @@
+// Rich text: messages sent with format "markdown" keep their source in
+// `message` and get a sanitized HTML render in `renderedHtml`. Supported:
+// **bold**, *italic*, ~~strikethrough~~, `inline code`, ``` fenced code
+// blocks, - / 1. lists and > quotes. The render escapes all text and only
+// emits p, br, strong, em, del, code, pre, ul, ol, li and blockquote tags,
+// so clients can insert it as HTML.
+
+const MESSAGE_FORMATS = ["plain", "markdown"];
+const MAX_MESSAGE_LENGTH = 10000;
+const MAX_QUOTE_DEPTH = 3;
+const PREVIEW_LENGTH = 100;
+
+const FENCE_REGEX = /^\s*```\s*([\w+-]*)\s*$/;
+const QUOTE_REGEX = /^\s*>/;
+const BULLET_REGEX = /^\s*[-*+]\s+/;
+const ORDERED_REGEX = /^\s*(\d{1,9})[.)]\s+/;
+const CODE_SPAN_REGEX = /`[^`\n]+`/g;
+// Single-marker italics, not inside words (snake_case stays as is)
+const ITALIC_STAR_REGEX =
+  /(^|[^*\w])\*([^\s*<>](?:[^*<>\n]*[^\s*<>])?)\*(?![*\w])/g;
+const ITALIC_UNDERSCORE_REGEX =
+  /(^|[^_\w])_([^\s_<>](?:[^_<>\n]*[^\s_<>])?)_(?![_\w])/g;
+
+// Markup (outside code) that would be HTML if a client rendered it as such.
+// Tags with spaces need an attribute (=) so "x<y and y>z" stays allowed.
+// No two parts of a pattern can match the same characters, so a failed match
+// never backtracks over the rest of the text (these run on every send).
+const HTML_TAG_REGEX =
+  /<\/?[a-z][a-z0-9-]*(?:\s[^<>=]*=[^<>]*|\s*\/?)>|<!--|<!\[CDATA\[/i;
+const UNSAFE_TAG_REGEX =
+  /<\s*(?:\/\s*)?(?:script|iframe|frame|object|embed|style|svg|math|img|link|meta|base|form|input|button|textarea|video|audio|source)\b/i;
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Text outside fenced blocks and code spans (code may show HTML literally)
+function stripCode(source) {
+  let inFence = false;
+  return source
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .filter((line) => {
+      if (FENCE_REGEX.test(line)) {
+        inFence = !inFence;
+        return false;
+      }
+      return !inFence;
+    })
+    .join("\n")
+    .replace(CODE_SPAN_REGEX, "");
+}
+
+// True when the text carries HTML tags or script markup outside of code
+function containsHtml(text) {
+  if (typeof text !== "string" || !text) return false;
+  const outsideCode = stripCode(text);
+  return HTML_TAG_REGEX.test(outsideCode) || UNSAFE_TAG_REGEX.test(outsideCode);
+}
+
+// Emphasis on already escaped text. A span never contains markup, so the
+// generated tags are always properly nested.
+function formatEmphasis(html) {
+  return html
+    .replace(/\*\*(?=\S)([^<>]*?\S)\*\*/g, "<strong>$1</strong>")
+    .replace(/__(?=\S)([^<>]*?\S)__/g, "<strong>$1</strong>")
+    .replace(/~~(?=\S)([^<>]*?\S)~~/g, "<del>$1</del>")
+    .replace(ITALIC_STAR_REGEX, "$1<em>$2</em>")
+    .replace(ITALIC_UNDERSCORE_REGEX, "$1<em>$2</em>");
+}
+
+function renderInline(text) {
+  // Split out code spans first, their content is shown as is
+  return text
+    .split(/(`[^`\n]+`)/)
+    .map((part, index) =>
+      index % 2
+        ? `<code>${escapeHtml(part.slice(1, -1))}</code>`
+        : formatEmphasis(escapeHtml(part))
+    )
+    .join("");
+}
+
+function listTypeOf(line) {
+  if (ORDERED_REGEX.test(line)) return "ordered";
+  if (BULLET_REGEX.test(line)) return "bullet";
+  return null;
+}
+
+function startsBlock(line, depth) {
+  return (
+    FENCE_REGEX.test(line) ||
+    (QUOTE_REGEX.test(line) && depth < MAX_QUOTE_DEPTH) ||
+    !!listTypeOf(line)
+  );
+}
+
+function renderBlocks(lines, depth) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    const fence = line.match(FENCE_REGEX);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !/^\s*```\s*$/.test(lines[i])) {
+        code.push(lines[i++]);
+      }
+      i++; // Closing fence (an unclosed block runs to the end)
+      const language = fence[1]
+        ? ` class="language-${escapeHtml(fence[1].toLowerCase())}"`
+        : "";
+      blocks.push(
+        `<pre><code${language}>${escapeHtml(code.join("\n"))}</code></pre>`
+      );
+      continue;
+    }
+
+    if (QUOTE_REGEX.test(line) && depth < MAX_QUOTE_DEPTH) {
+      const quoted = [];
+      while (i < lines.length && QUOTE_REGEX.test(lines[i])) {
+        quoted.push(lines[i++].replace(/^\s*> ?/, ""));
+      }
+      blocks.push(
+        `<blockquote>${renderBlocks(quoted, depth + 1)}</blockquote>`
+      );
+      continue;
+    }
+
+    const listType = listTypeOf(line);
+    if (listType) {
+      const marker = listType === "ordered" ? ORDERED_REGEX : BULLET_REGEX;
+      const items = [];
+      const start = listType === "ordered" ? Number(line.match(marker)[1]) : 1;
+      while (i < lines.length && listTypeOf(lines[i]) === listType) {
+        items.push(`<li>${renderInline(lines[i++].replace(marker, ""))}</li>`);
+      }
+      const tag = listType === "ordered" ? "ol" : "ul";
+      const startAttribute = start !== 1 ? ` start="${start}"` : "";
+      blocks.push(`<${tag}${startAttribute}>${items.join("")}</${tag}>`);
+      continue;
+    }
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const paragraph = [];
+    while (
+      i < lines.length &&
+      lines[i].trim() &&
+      !startsBlock(lines[i], depth)
+    ) {
+      paragraph.push(renderInline(lines[i++]));
+    }
+    blocks.push(`<p>${paragraph.join("<br>")}</p>`);
+  }
+
+  return blocks.join("");
+}
+
+// Sanitized HTML for a markdown message
+function renderMarkdown(source) {
+  return renderBlocks(source.replace(/\r\n?/g, "\n").split("\n"), 0);
+}
+
+// Markdown source without its syntax, for push notifications and previews
+function toPlainText(source) {
+  return source
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .filter((line) => !FENCE_REGEX.test(line))
+    .map((line) =>
+      line.replace(/^\s*(?:>\s?)+/, "").replace(BULLET_REGEX, "• ")
+    )
+    .join("\n")
+    .replace(/`([^`\n]+)`/g, "$1")
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, "$1")
+    .replace(/__(?=\S)([\s\S]*?\S)__/g, "$1")
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, "$1")
+    .replace(ITALIC_STAR_REGEX, "$1$2")
+    .replace(ITALIC_UNDERSCORE_REGEX, "$1$2")
+    .trim();
+}
+
+// Problem with the text/format of a message being sent, or null when fine
+function validateMessageText(text, format) {
+  // Checked first, everything below scans the whole text
+  if (typeof text === "string" && text.length > MAX_MESSAGE_LENGTH) {
+    return `Messages can be at most ${MAX_MESSAGE_LENGTH} characters`;
+  }
+  if (
+    format !== undefined &&
+    format !== null &&
+    !MESSAGE_FORMATS.includes(format)
+  ) {
+    return `format must be one of ${MESSAGE_FORMATS.join(", ")}`;
+  }
+  if (containsHtml(text)) {
+    return "HTML is not allowed in messages, use markdown formatting instead";
+  }
+  return null;
+}
+
+// Same check as a validator (express-validator custom(), throws on failure)
+function assertMessageText(text) {
+  const error = validateMessageText(text);
+  if (error) throw new Error(error);
+  return true;
+}
+
+// Fields to store with a message of the given format (render for markdown)
+function renderMessageFields(text, format) {
+  return format === "markdown"
+    ? { format: "markdown", renderedHtml: renderMarkdown(text || "") }
+    : { format: undefined, renderedHtml: undefined };
+}
+
+// Text of a message for push notifications: always plain
+function notificationPreview(message) {
+  if (message.messageType !== "text") return `Sent a ${message.messageType}`;
+  const text =
+    message.format === "markdown"
+      ? toPlainText(message.message)
+      : message.message;
+  return text.substring(0, PREVIEW_LENGTH);
+}
+
+module.exports = {
+  MESSAGE_FORMATS,
+  MAX_MESSAGE_LENGTH,
+  containsHtml,
+  validateMessageText,
+  assertMessageText,
+  renderMarkdown,
+  toPlainText,
+  renderMessageFields,
+  notificationPreview,
+};
@@ -0,0 +1,83 @@
+// Helpers for GET /api/messages/search (query parsing, cursors, snippets)
+
+const SNIPPET_RADIUS = 60; // Characters of context on each side of the first match
+
+// Split a search query into plain terms (drops quotes, negations and short noise)
+function parseSearchTerms(q) {
+  return (q || "")
+    .replace(/["']/g, " ")
+    .split(/\s+/)
+    .filter((term) => term && !term.startsWith("-"))
+    .map((term) => term.replace(/[^\p{L}\p{N}_.@-]/gu, ""))
+    .filter((term) => term.length >= 2);
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function escapeHtml(value) {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Build an HTML-escaped snippet around the first match with <mark> highlights.
+// Terms match as word prefixes so stemmed hits ("invoices" for "invoice") highlight too.
+function buildSnippet(text, terms) {
+  if (!text || !terms.length) return null;
+
+  const pattern = new RegExp(
+    `(${terms.map(escapeRegex).join("|")})[\\p{L}\\p{N}_]*`,
+    "giu"
+  );
+  const first = pattern.exec(text);
+  if (!first) return null;
+
+  const start = Math.max(0, first.index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, first.index + SNIPPET_RADIUS * 2);
+  const excerpt = text.slice(start, end);
+
+  let snippet = "";
+  let lastIndex = 0;
+  pattern.lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(excerpt)) !== null) {
+    snippet += escapeHtml(excerpt.slice(lastIndex, match.index));
+    snippet += `<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+  snippet += escapeHtml(excerpt.slice(lastIndex));
+
+  return `${start > 0 ? "…" : ""}${snippet}${end < text.length ? "…" : ""}`;
+}
+
+// Opaque cursor over (createdAt, _id) so pagination is stable for equal timestamps
+function encodeCursor(msg) {
+  return Buffer.from(
+    JSON.stringify({ t: msg.createdAt.toISOString(), id: msg._id.toString() })
+  ).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    );
+    const createdAt = new Date(t);
+    if (isNaN(createdAt.getTime()) || !/^[a-f\d]{24}$/i.test(id)) return null;
+    return { createdAt, id };
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = {
+  parseSearchTerms,
+  buildSnippet,
+  encodeCursor,
+  decodeCursor,
+};
@@ -0,0 +1,33 @@
+const { sendFCMToUser } = require("./fcmService");
+const { sendPushToUser } = require("../routes/pushNotifications");
+
+// Send a notification to a user: try FCM first, fallback to Web Push
+async function notifyUser(userId, title, body, data = {}) {
+  const recipientId = userId.toString();
+  const icon = data.icon || "/icon.png";
+
+  // FCM data payload values must all be strings
+  const payload = {};
+  Object.entries(data).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      payload[key] = value.toString();
+    }
+  });
+
+  try {
+    const result = await sendFCMToUser(recipientId, title, body, payload);
+    if (result.success) {
+      return result;
+    }
+
+    const { icon: _icon, ...pushData } = payload;
+    return await sendPushToUser(recipientId, title, body, icon, pushData);
+  } catch (err) {
+    console.log("Push notification failed:", err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+module.exports = {
+  notifyUser,
+};
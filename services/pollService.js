@@ -0,0 +1,164 @@
+const mongoose = require("mongoose");
+const Message = require("../models/Message");
+const { dispatchGroupMessage } = require("./messageDispatch");
+
+// Creating polls (shared by POST /api/polls and the /poll command) and
+// recording votes
+
+const MAX_POLL_OPTIONS = 12;
+const MAX_QUESTION_LENGTH = 300;
+const MAX_OPTION_LENGTH = 100;
+
+// Problem with a poll's question/options, or null when they are fine
+function validatePoll(question, options) {
+  if (!question || question.length > MAX_QUESTION_LENGTH) {
+    return `Question is required (max ${MAX_QUESTION_LENGTH} characters)`;
+  }
+  if (options.length < 2 || options.length > MAX_POLL_OPTIONS) {
+    return `Polls need between 2 and ${MAX_POLL_OPTIONS} options`;
+  }
+  if (options.some((o) => !o || o.length > MAX_OPTION_LENGTH)) {
+    return `Options must be 1-${MAX_OPTION_LENGTH} characters`;
+  }
+  const uniqueOptions = new Set(options.map((o) => o.toLowerCase()));
+  if (uniqueOptions.size !== options.length) {
+    return "Poll options must be unique";
+  }
+  return null;
+}
+
+// Post a poll message to a group (membership is checked by the caller)
+async function createGroupPoll({
+  io,
+  activeUsers,
+  sender,
+  group,
+  question,
+  options,
+  allowMultiple,
+  isAnonymous,
+  closesAt,
+}) {
+  const { newMessage, confirmationMessage } = await dispatchGroupMessage({
+    io,
+    activeUsers,
+    messageData: {
+      sender,
+      group,
+      message: question,
+      messageType: "poll",
+      poll: {
+        question,
+        options: options.map((text) => ({ text, votes: [] })),
+        allowMultiple: !!allowMultiple,
+        isAnonymous: !!isAnonymous,
+        closesAt: closesAt ? new Date(closesAt) : null,
+      },
+    },
+  });
+
+  if (io) {
+    io.to(sender.toString()).emit("group-message-sent", {
+      ...confirmationMessage,
+      poll: newMessage.getPollResults(sender),
+    });
+  }
+
+  return newMessage;
+}
+
+// Problem with a vote on a poll message, or null when it can be recorded
+function validateVote(msg, optionIds) {
+  if (msg.isPollClosed()) return "This poll is closed";
+  if (!msg.poll.allowMultiple && optionIds.length > 1) {
+    return "This poll allows only one choice";
+  }
+  const validIds = msg.poll.options.map((option) => option._id.toString());
+  if (!optionIds.every((id) => validIds.includes(id.toString()))) {
+    return "Invalid poll option";
+  }
+  return null;
+}
+
+// Matches the poll message only while it still takes votes
+function openPollFilter(messageId, now = new Date()) {
+  return {
+    _id: messageId,
+    isDeleted: { $ne: true },
+    "poll.closedAt": null,
+    $or: [{ "poll.closesAt": null }, { "poll.closesAt": { $gt: now } }],
+  };
+}
+
+// Update pipeline replacing all of the user's votes with votes for optionIds.
+// One document write, so concurrent votes can't leave extra votes behind.
+function replaceVotesUpdate(userId, optionIds, now = new Date()) {
+  const user = new mongoose.Types.ObjectId(userId.toString());
+  const chosen = optionIds.map(
+    (id) => new mongoose.Types.ObjectId(id.toString())
+  );
+  return [
+    {
+      $set: {
+        "poll.options": {
+          $map: {
+            input: "$poll.options",
+            as: "option",
+            in: {
+              $mergeObjects: [
+                "$$option",
+                {
+                  votes: {
+                    $concatArrays: [
+                      {
+                        $filter: {
+                          input: "$$option.votes",
+                          as: "vote",
+                          cond: { $ne: ["$$vote.user", user] },
+                        },
+                      },
+                      {
+                        $cond: [
+                          { $in: ["$$option._id", chosen] },
+                          [
+                            {
+                              _id: new mongoose.Types.ObjectId(),
+                              user,
+                              votedAt: now,
+                            },
+                          ],
+                          [],
+                        ],
+                      },
+                    ],
+                  },
+                },
+              ],
+            },
+          },
+        },
+      },
+    },
+  ];
+}
+
+// Replace the user's votes (an empty optionIds retracts them). Returns false
+// when the poll closed in the meantime.
+async function castVote(messageId, userId, optionIds) {
+  const now = new Date();
+  const result = await Message.updateOne(
+    openPollFilter(messageId, now),
+    replaceVotesUpdate(userId, optionIds, now)
+  );
+  return result.matchedCount > 0;
+}
+
+module.exports = {
+  MAX_POLL_OPTIONS,
+  validatePoll,
+  createGroupPoll,
+  validateVote,
+  openPollFilter,
+  replaceVotesUpdate,
+  castVote,
+};
@@ -0,0 +1,169 @@
+const ReadCursor = require("../models/ReadCursor");
+const Message = require("../models/Message");
+const Migration = require("../models/Migration");
+
+// Read positions: one cursor per user and conversation holding the createdAt
+// of the newest message read. Unread counts are "messages from others after
+// the cursor", so they never scan readBy. readBy on the messages themselves is
+// only kept for per-message receipts ("seen by", personal read status).
+
+const MIGRATION_BATCH_SIZE = 1000;
+const MIGRATION_NAME = "read-cursors";
+
+// Move a user's read position forward (no-op when it is already further)
+async function advanceReadCursor({ userId, chatType, chatId, lastReadAt }) {
+  if (!lastReadAt) return;
+  const filter = { user: userId, chatType, chatId };
+  try {
+    await ReadCursor.updateOne(
+      filter,
+      { $max: { lastReadAt } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // A concurrent upsert created the cursor first, update that one
+    if (error.code !== 11000) throw error;
+    await ReadCursor.updateOne(filter, { $max: { lastReadAt } });
+  }
+}
+
+async function getReadPosition(userId, chatType, chatId) {
+  const cursor = await ReadCursor.findOne({
+    user: userId,
+    chatType,
+    chatId,
+  }).select("lastReadAt");
+  return cursor ? cursor.lastReadAt : null;
+}
+
+// Unread counts per conversation: personal keyed by the other user, group by
+// group id. groupIds are the groups to count (the ones the user is in).
+async function getUnreadCounts(userId, groupIds = []) {
+  const cursors = await ReadCursor.find({ user: userId });
+  const personalCursors = cursors.filter((c) => c.chatType === "personal");
+  const groupPositions = new Map(
+    cursors
+      .filter((c) => c.chatType === "group")
+      .map((c) => [c.chatId.toString(), c.lastReadAt])
+  );
+
+  const clauses = [
+    ...personalCursors.map((cursor) => ({
+      receiver: userId,
+      sender: cursor.chatId,
+      createdAt: { $gt: cursor.lastReadAt },
+    })),
+    // Chats never opened: everything received is unread
+    {
+      receiver: userId,
+      sender: { $nin: personalCursors.map((cursor) => cursor.chatId) },
+    },
+    ...groupIds.map((groupId) => {
+      const lastReadAt = groupPositions.get(groupId.toString());
+      return {
+        group: groupId,
+        sender: { $ne: userId },
+        ...(lastReadAt && { createdAt: { $gt: lastReadAt } }),
+      };
+    }),
+  ];
+
+  const counts = await Message.aggregate([
+    { $match: { $or: clauses, hiddenFor: { $ne: userId } } },
+    {
+      $group: {
+        _id: { $ifNull: ["$group", "$sender"] },
+        isGroup: { $first: { $gt: ["$group", null] } },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const personal = new Map();
+  const group = new Map();
+  counts.forEach((entry) => {
+    (entry.isGroup ? group : personal).set(entry._id.toString(), entry.count);
+  });
+  return { personal, group };
+}
+
+// Unread messages of one conversation for a user
+async function countUnreadInChat(userId, chatType, chatId) {
+  const lastReadAt = await getReadPosition(userId, chatType, chatId);
+  const query =
+    chatType === "group"
+      ? { group: chatId, sender: { $ne: userId } }
+      : { sender: chatId, receiver: userId };
+  if (lastReadAt) query.createdAt = { $gt: lastReadAt };
+  query.hiddenFor = { $ne: userId };
+  return Message.countDocuments(query);
+}
+
+// One-off: derive cursors from existing readBy / isRead data. Runs on every
+// start until it has finished once. Live reads may create cursors meanwhile;
+// upserting with $max keeps whichever position is further, so an
+// interrupted run can simply start over.
+async function migrateReadCursors() {
+  if (await Migration.isDone(MIGRATION_NAME)) return 0;
+
+  const personal = await Message.aggregate([
+    {
+      $match: {
+        receiver: { $ne: null },
+        $or: [
+          { isRead: true },
+          { $expr: { $in: ["$receiver", { $ifNull: ["$readBy.user", []] }] } },
+        ],
+      },
+    },
+    {
+      $group: {
+        _id: { user: "$receiver", chatId: "$sender" },
+        lastReadAt: { $max: "$createdAt" },
+      },
+    },
+  ]).allowDiskUse(true);
+
+  const group = await Message.aggregate([
+    { $match: { group: { $ne: null }, "readBy.0": { $exists: true } } },
+    { $unwind: "$readBy" },
+    {
+      $group: {
+        _id: { user: "$readBy.user", chatId: "$group" },
+        lastReadAt: { $max: "$createdAt" },
+      },
+    },
+  ]).allowDiskUse(true);
+
+  const toUpsert = (chatType) => (entry) => ({
+    updateOne: {
+      filter: { user: entry._id.user, chatType, chatId: entry._id.chatId },
+      update: { $max: { lastReadAt: entry.lastReadAt } },
+      upsert: true,
+    },
+  });
+  const operations = [
+    ...personal.filter((e) => e._id.user).map(toUpsert("personal")),
+    ...group.filter((e) => e._id.user).map(toUpsert("group")),
+  ];
+
+  for (let i = 0; i < operations.length; i += MIGRATION_BATCH_SIZE) {
+    await ReadCursor.bulkWrite(operations.slice(i, i + MIGRATION_BATCH_SIZE), {
+      ordered: false,
+    });
+  }
+
+  await Migration.markDone(MIGRATION_NAME);
+  if (operations.length) {
+    console.log(`📖 Migrated ${operations.length} read cursors from readBy`);
+  }
+  return operations.length;
+}
+
+module.exports = {
+  advanceReadCursor,
+  getReadPosition,
+  getUnreadCounts,
+  countUnreadInChat,
+  migrateReadCursors,
+};
@@ -0,0 +1,254 @@
+const Message = require("../models/Message");
+const { recordSyncEvent } = require("./syncService");
+const { advanceReadCursor, getReadPosition } = require("./readCursorService");
+const { refreshUnreadCount } = require("./conversationService");
+
+// Personal message receipts: sent → delivered → read.
+// Every transition is reported to the sender with a "message-status" event.
+
+// How long to wait for the receiver's socket to acknowledge receive-message
+const DELIVERY_ACK_TIMEOUT_MS = 10 * 1000;
+
+function emitStatusToSenders(io, messages, { status, chatId, at }) {
+  const bySender = new Map();
+  messages.forEach((msg) => {
+    const senderId = msg.sender.toString();
+    if (!bySender.has(senderId)) bySender.set(senderId, []);
+    bySender.get(senderId).push(msg._id);
+  });
+
+  // Reconnecting clients of both sides pick the change up from /api/sync
+  bySender.forEach((messageIds, senderId) => {
+    recordSyncEvent({
+      type: "message.status",
+      users: [senderId, chatId],
+      data: {
+        messageIds,
+        status,
+        senderId,
+        receiverId: chatId.toString(),
+        at,
+      },
+    });
+  });
+
+  if (!io) return;
+  bySender.forEach((messageIds, senderId) => {
+    io.to(senderId).emit("message-status", {
+      messageIds,
+      status,
+      chatId: chatId.toString(),
+      at,
+    });
+  });
+}
+
+// Mark personal messages to a receiver as delivered (all still "sent" ones, or the given ids)
+async function markPersonalMessagesDelivered({ io, receiverId, messageIds }) {
+  const query = { receiver: receiverId, status: "sent" };
+  if (messageIds) query._id = { $in: messageIds };
+
+  const pending = await Message.find(query).select("_id sender");
+  if (!pending.length) return [];
+
+  const deliveredAt = new Date();
+  await Message.updateMany(
+    { _id: { $in: pending.map((msg) => msg._id) }, status: "sent" },
+    { $set: { status: "delivered", deliveredAt } }
+  );
+
+  emitStatusToSenders(io, pending, {
+    status: "delivered",
+    chatId: receiverId,
+    at: deliveredAt,
+  });
+  return pending;
+}
+
+// Newest message matching a chat query, the default read position
+async function newestMessageAt(chat) {
+  const newest = await Message.findOne(chat)
+    .sort({ createdAt: -1 })
+    .select("createdAt");
+  return newest ? newest.createdAt : null;
+}
+
+// Messages between the reader's cursor and a new read position that don't
+// have the reader's receipt yet
+async function findNewlyReadMessages({
+  readerId,
+  chatType,
+  chatId,
+  chat,
+  upTo,
+}) {
+  const lastReadAt = await getReadPosition(readerId, chatType, chatId);
+  return Message.find({
+    ...chat,
+    createdAt: lastReadAt ? { $gt: lastReadAt, $lte: upTo } : { $lte: upTo },
+    "readBy.user": { $ne: readerId },
+  }).select("_id sender");
+}
+
+// Mark messages from sender → reader as read up to a position (createdAt of
+// the message read), or the whole chat (clear_unread flow), and move the cursor
+async function markPersonalMessagesRead({ io, readerId, senderId, upTo }) {
+  const chat = { sender: senderId, receiver: readerId };
+  const position = upTo || (await newestMessageAt(chat));
+  if (!position) return [];
+
+  const unread = await findNewlyReadMessages({
+    readerId,
+    chatType: "personal",
+    chatId: senderId,
+    chat,
+    upTo: position,
+  });
+  await advanceReadCursor({
+    userId: readerId,
+    chatType: "personal",
+    chatId: senderId,
+    lastReadAt: position,
+  });
+  await refreshUnreadCount({
+    userId: readerId,
+    chatType: "personal",
+    chatId: senderId,
+  });
+  if (!unread.length) return [];
+
+  const ids = unread.map((msg) => msg._id);
+  const readAt = new Date();
+
+  await Message.updateMany(
+    { _id: { $in: ids } },
+    {
+      $addToSet: {
+        readBy: {
+          user: readerId,
+          readAt,
+        },
+      },
+      $set: { isRead: true, status: "read", readAt },
+    }
+  );
+  // Read implies delivered, even if the delivery ack never arrived
+  await Message.updateMany(
+    { _id: { $in: ids }, deliveredAt: null },
+    { $set: { deliveredAt: readAt } }
+  );
+
+  emitStatusToSenders(io, unread, {
+    status: "read",
+    chatId: readerId,
+    at: readAt,
+  });
+  return unread;
+}
+
+// Tell group message senders who just read their messages ("seen by")
+function emitGroupReadToSenders(io, messages, { groupId, reader, readAt }) {
+  const bySender = new Map();
+  messages.forEach((msg) => {
+    const senderId = msg.sender.toString();
+    if (!bySender.has(senderId)) bySender.set(senderId, []);
+    bySender.get(senderId).push(msg._id);
+  });
+
+  recordSyncEvent({
+    type: "message.group-read",
+    users: [...bySender.keys(), reader._id],
+    data: {
+      groupId: groupId.toString(),
+      messageIds: messages.map((msg) => msg._id),
+      readBy: reader._id,
+      readAt,
+    },
+  });
+
+  if (!io) return;
+  bySender.forEach((messageIds, senderId) => {
+    io.to(senderId).emit("group-message-read", {
+      groupId: groupId.toString(),
+      messageIds,
+      readBy: {
+        _id: reader._id,
+        name: reader.name,
+        profileImage: reader.profileImage,
+      },
+      readAt,
+    });
+  });
+}
+
+// Mark group messages as read by the reader up to a position, or the whole
+// group (clear_unread flow), and move the reader's cursor
+async function markGroupMessagesRead({ io, reader, groupId, upTo }) {
+  const position = upTo || (await newestMessageAt({ group: groupId }));
+  if (!position) return [];
+
+  const unread = await findNewlyReadMessages({
+    readerId: reader._id,
+    chatType: "group",
+    chatId: groupId,
+    chat: { group: groupId, sender: { $ne: reader._id } },
+    upTo: position,
+  });
+  await advanceReadCursor({
+    userId: reader._id,
+    chatType: "group",
+    chatId: groupId,
+    lastReadAt: position,
+  });
+  await refreshUnreadCount({
+    userId: reader._id,
+    chatType: "group",
+    chatId: groupId,
+  });
+  if (!unread.length) return [];
+
+  const readAt = new Date();
+  await Message.updateMany(
+    {
+      _id: { $in: unread.map((msg) => msg._id) },
+      "readBy.user": { $ne: reader._id },
+    },
+    {
+      $addToSet: {
+        readBy: {
+          user: reader._id,
+          readAt,
+        },
+      },
+    }
+  );
+
+  emitGroupReadToSenders(io, unread, { groupId, reader, readAt });
+  return unread;
+}
+
+// Emit receive-message and mark the message delivered once a receiver socket acks it
+function emitWithDeliveryAck({ io, emitter, receiver, payload }) {
+  emitter
+    .to(receiver)
+    .timeout(DELIVERY_ACK_TIMEOUT_MS)
+    .emit("receive-message", payload, (err, responses) => {
+      // On timeout, responses still holds the acks that did arrive
+      if (!responses || !responses.length) return;
+      markPersonalMessagesDelivered({
+        io,
+        receiverId: receiver,
+        messageIds: [payload._id],
+      }).catch((error) =>
+        console.error("Error marking message delivered:", error.message)
+      );
+    });
+}
+
+module.exports = {
+  markPersonalMessagesDelivered,
+  markPersonalMessagesRead,
+  markGroupMessagesRead,
+  emitGroupReadToSenders,
+  emitWithDeliveryAck,
+};
@@ -0,0 +1,187 @@
+const ScheduledMessage = require("../models/ScheduledMessage");
+const Message = require("../models/Message");
+const Group = require("../models/Group");
+const User = require("../models/User");
+const { resolveThreadRoot } = require("./threadService");
+const { ANNOUNCEMENT_POST_ERROR, canPostInGroup } = require("./groupService");
+const {
+  dispatchPersonalMessage,
+  dispatchGroupMessage,
+} = require("./messageDispatch");
+
+// A claimed message not finished within this time is assumed to be orphaned
+// by a crash/restart and is re-checked.
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+// Check a scheduled message can still be delivered, returns an error string or null
+async function validateScheduledMessage(scheduled) {
+  const sender = await User.findById(scheduled.sender).select("isActive");
+  if (!sender || !sender.isActive) {
+    return "Sender account is no longer active";
+  }
+
+  if (scheduled.group) {
+    const group = await Group.findById(scheduled.group).select(
+      "members isActive isAnnouncement announcementPosters"
+    );
+    if (!group || !group.isActive) return "Group not found";
+    const isMember = group.members.some(
+      (member) => member.user.toString() === scheduled.sender.toString()
+    );
+    if (!isMember) return "You are no longer a member of this group";
+    // The group may have become an announcement channel since
+    if (!canPostInGroup(group, scheduled.sender)) {
+      return ANNOUNCEMENT_POST_ERROR;
+    }
+  } else {
+    const receiver = await User.findById(scheduled.receiver).select("isActive");
+    if (!receiver || !receiver.isActive) return "Receiver not found";
+  }
+
+  return null;
+}
+
+// Release claims left behind by a process that stopped mid-delivery.
+// If the message made it into the chat it is marked sent, otherwise retried.
+async function recoverStaleScheduledMessages() {
+  const stale = await ScheduledMessage.find({
+    status: "processing",
+    lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) },
+  });
+
+  for (const scheduled of stale) {
+    const delivered = await Message.findOne({ scheduledFrom: scheduled._id });
+    if (delivered) {
+      scheduled.status = "sent";
+      scheduled.sentMessage = delivered._id;
+      scheduled.sentAt = delivered.createdAt;
+    } else {
+      scheduled.status = "pending";
+      scheduled.lockedAt = null;
+    }
+    await scheduled.save();
+  }
+}
+
+async function deliverScheduledMessage(scheduled, { io, activeUsers }) {
+  const senderRoom = scheduled.sender.toString();
+
+  const validationError = await validateScheduledMessage(scheduled);
+  let threadRoot = null;
+  let error = validationError;
+  if (!error) {
+    try {
+      threadRoot = await resolveThreadRoot(scheduled.replyTo, scheduled);
+    } catch (threadError) {
+      error = threadError.message;
+    }
+  }
+
+  if (error) {
+    scheduled.status = "failed";
+    scheduled.error = error;
+    await scheduled.save();
+    if (io) {
+      io.to(senderRoom).emit("scheduled-message-failed", {
+        id: scheduled._id,
+        error,
+      });
+    }
+    console.log(`⚠️ Scheduled message ${scheduled._id} failed: ${error}`);
+    return;
+  }
+
+  const messageData = {
+    sender: scheduled.sender,
+    message: scheduled.message || "",
+    messageType: scheduled.messageType || "text",
+    format: scheduled.format,
+    replyTo: threadRoot ? threadRoot._id : null,
+    scheduledFrom: scheduled._id,
+  };
+  if (scheduled.group) {
+    messageData.group = scheduled.group;
+  } else {
+    messageData.receiver = scheduled.receiver;
+  }
+  if (scheduled.fileUrl) {
+    messageData.fileUrl = scheduled.fileUrl;
+    messageData.fileName = scheduled.fileName;
+    messageData.fileSize = scheduled.fileSize;
+    messageData.fileType = scheduled.fileType;
+  }
+
+  try {
+    const dispatch = scheduled.group
+      ? dispatchGroupMessage
+      : dispatchPersonalMessage;
+    const { newMessage, confirmationMessage } = await dispatch({
+      io,
+      activeUsers,
+      messageData,
+      threadRoot,
+    });
+
+    scheduled.status = "sent";
+    scheduled.sentAt = newMessage.createdAt;
+    scheduled.sentMessage = newMessage._id;
+    scheduled.lockedAt = null;
+    await scheduled.save();
+
+    if (io) {
+      io.to(senderRoom).emit(
+        scheduled.group ? "group-message-sent" : "message-sent",
+        confirmationMessage
+      );
+      io.to(senderRoom).emit("scheduled-message-sent", {
+        id: scheduled._id,
+        message: confirmationMessage,
+      });
+    }
+    console.log(`📨 Scheduled message delivered: ${scheduled._id}`);
+  } catch (dispatchError) {
+    // Unique scheduledFrom index: another run already delivered this one
+    if (dispatchError.code === 11000) {
+      const delivered = await Message.findOne({
+        scheduledFrom: scheduled._id,
+      });
+      scheduled.status = "sent";
+      scheduled.sentMessage = delivered ? delivered._id : null;
+      scheduled.sentAt = delivered ? delivered.createdAt : new Date();
+      scheduled.lockedAt = null;
+      await scheduled.save();
+      return;
+    }
+    throw dispatchError;
+  }
+}
+
+// Claim and deliver every scheduled message that is due at `now`
+async function deliverDueScheduledMessages({ io, activeUsers, now }) {
+  await recoverStaleScheduledMessages();
+
+  // Claim one at a time so concurrent runs never pick the same message
+  for (;;) {
+    const scheduled = await ScheduledMessage.findOneAndUpdate(
+      { status: "pending", scheduledFor: { $lte: now } },
+      { $set: { status: "processing", lockedAt: new Date() } },
+      { sort: { scheduledFor: 1 }, new: true }
+    );
+    if (!scheduled) break;
+
+    try {
+      await deliverScheduledMessage(scheduled, { io, activeUsers });
+    } catch (error) {
+      // Leave it claimed: stale-lock recovery retries it unless it was delivered
+      console.error(
+        `❌ Error delivering scheduled message ${scheduled._id}:`,
+        error.message
+      );
+    }
+  }
+}
+
+module.exports = {
+  deliverDueScheduledMessages,
+  recoverStaleScheduledMessages,
+};
@@ -0,0 +1,127 @@
+const Group = require("../models/Group");
+const User = require("../models/User");
+const { sendBotMessage } = require("./botService");
+
+// Slash commands: a message like "/task Fix invoice export @ravi high" sent
+// through any send path is handed to the registered command instead of being
+// posted. Handlers return { response } (shown only to the user who typed the
+// command) or { error }, and can post to the chat as their bot with reply().
+// Text starting with an unknown /word is sent as a normal message.
+
+const COMMAND_REGEX = /^\/([a-z][a-z0-9_-]*)(?:\s+([\s\S]*))?$/i;
+const DEFAULT_BOT = "assistant";
+
+const commands = new Map();
+
+// Register a command. handler(context) gets { io, activeUsers, user, chat,
+// args, reply } where chat is { chatType, chatId, group?, receiver? }.
+function registerCommand({
+  name,
+  description,
+  usage,
+  bot = DEFAULT_BOT,
+  chatTypes = ["personal", "group"],
+  handler,
+}) {
+  const key = name.toLowerCase();
+  if (commands.has(key)) throw new Error(`Command /${key} already registered`);
+  commands.set(key, { name: key, description, usage, bot, chatTypes, handler });
+}
+
+function listCommands() {
+  return Array.from(commands.values()).map(({ name, description, usage }) => ({
+    name,
+    description,
+    usage,
+  }));
+}
+
+// { command, args } when the text invokes a registered command, else null
+function parseCommand(text) {
+  if (typeof text !== "string") return null;
+  const match = text.trim().match(COMMAND_REGEX);
+  if (!match) return null;
+  const command = commands.get(match[1].toLowerCase());
+  return command ? { command, args: (match[2] || "").trim() } : null;
+}
+
+// The user may only run commands in chats they can send to
+async function checkChatAccess(user, chat) {
+  if (chat.chatType === "group") {
+    const group = await Group.findById(chat.chatId).select("members isActive");
+    if (!group || !group.isActive) return "Group not found";
+    const isMember = group.members.some(
+      (member) => member.user.toString() === user._id.toString()
+    );
+    return isMember ? null : "You are not a member of this group";
+  }
+  const receiver = await User.findById(chat.chatId).select("isActive");
+  return receiver && receiver.isActive ? null : "Receiver not found";
+}
+
+// Run the command in `text`, if any. Returns null when the text is not a
+// command (send it as usual), otherwise { command, ok, response | error }.
+async function runSlashCommand({ io, activeUsers, user, chat, text }) {
+  const parsed = parseCommand(text);
+  if (!parsed) return null;
+  const { command, args } = parsed;
+
+  if (!command.chatTypes.includes(chat.chatType)) {
+    return {
+      command: command.name,
+      ok: false,
+      error: `/${command.name} can only be used in ${command.chatTypes.join(
+        " or "
+      )} chats`,
+    };
+  }
+
+  const context = {
+    io,
+    activeUsers,
+    user,
+    chat: {
+      ...chat,
+      group: chat.chatType === "group" ? chat.chatId : undefined,
+      receiver: chat.chatType === "personal" ? chat.chatId : undefined,
+    },
+    args,
+    // Post as the command's bot: to the group, or to the user directly
+    reply: (message, options = {}) =>
+      sendBotMessage({
+        io,
+        activeUsers,
+        bot: command.bot,
+        chat:
+          chat.chatType === "group"
+            ? { group: chat.chatId }
+            : { user: user._id },
+        message,
+        ...options,
+      }),
+  };
+
+  try {
+    const accessError = await checkChatAccess(user, chat);
+    if (accessError) {
+      return { command: command.name, ok: false, error: accessError };
+    }
+
+    const result = (await command.handler(context)) || {};
+    if (result.error) {
+      return { command: command.name, ok: false, error: result.error };
+    }
+    console.log(`⚡ /${command.name} run by ${user.name}`);
+    return { command: command.name, ok: true, response: result.response };
+  } catch (error) {
+    console.error(`❌ /${command.name} failed:`, error);
+    return { command: command.name, ok: false, error: "Command failed" };
+  }
+}
+
+module.exports = {
+  registerCommand,
+  listCommands,
+  parseCommand,
+  runSlashCommand,
+};
@@ -0,0 +1,174 @@
+const Counter = require("../models/Counter");
+const SyncEvent = require("../models/SyncEvent");
+const Group = require("../models/Group");
+const Message = require("../models/Message");
+
+// Delta sync: every change a reconnecting client may have missed is appended
+// to the SyncEvent log under a monotonic seq. GET /api/sync returns the
+// user's events after a cursor (the last seq they saw) plus the current state
+// of the messages those events touch.
+
+const SYNC_SEQUENCE = "sync";
+const PAGE_SIZE = 500; // Events per sync response
+const SCAN_SIZE = 2000; // Log entries checked for gaps per request
+// A seq can be reserved slightly before its event is written. A hole younger
+// than this holds the cursor back; an older one is treated as a failed write.
+const GAP_GRACE_MS = 15 * 1000;
+
+const MESSAGE_CONTENT_EVENTS = ["message.created", "message.updated"];
+
+function toId(value) {
+  return (value?._id || value).toString();
+}
+
+// Append a change to the log. Never throws: a missing sync event must not
+// fail the request that caused it.
+async function recordSyncEvent({ type, users = [], group = null, data = {} }) {
+  try {
+    const seq = await Counter.next(SYNC_SEQUENCE);
+    await SyncEvent.create({
+      seq,
+      type,
+      users: [...new Set(users.filter(Boolean).map(toId))],
+      group: group ? toId(group) : null,
+      data,
+    });
+    return seq;
+  } catch (error) {
+    console.error(`❌ Sync event ${type} not recorded:`, error.message);
+    return null;
+  }
+}
+
+// Message changes are visible to both participants or to the group
+function recordMessageEvent(type, message, data = {}) {
+  const chat = message.group
+    ? { group: message.group, data: { groupId: toId(message.group) } }
+    : {
+        users: [message.sender, message.receiver],
+        data: {
+          senderId: toId(message.sender),
+          receiverId: toId(message.receiver),
+        },
+      };
+  return recordSyncEvent({
+    type,
+    users: chat.users,
+    group: chat.group,
+    data: {
+      messageId: message._id,
+      chatType: message.group ? "group" : "personal",
+      ...chat.data,
+      ...data,
+    },
+  });
+}
+
+async function getCurrentCursor() {
+  const counter = await Counter.findById(SYNC_SEQUENCE);
+  return counter ? counter.seq : 0;
+}
+
+// Events after `since` were dropped by retention (or the cursor is from
+// another database), so the client has to fall back to a full refetch
+async function isCursorStale(since, current) {
+  if (since > current) return true;
+  if (since === current) return false;
+  const oldest = await SyncEvent.findOne().sort({ seq: 1 }).select("seq");
+  return !oldest || oldest.seq > since + 1;
+}
+
+// Highest seq the cursor may move to without skipping an event still being written
+async function getSafeWatermark(since) {
+  const log = await SyncEvent.find({ seq: { $gt: since } })
+    .select("seq createdAt")
+    .sort({ seq: 1 })
+    .limit(SCAN_SIZE)
+    .lean();
+
+  const now = Date.now();
+  let watermark = since;
+  for (const entry of log) {
+    const isGap = entry.seq !== watermark + 1;
+    if (isGap && now - entry.createdAt.getTime() < GAP_GRACE_MS) break;
+    watermark = entry.seq;
+  }
+
+  const lastScanned = log.length ? log[log.length - 1].seq : since;
+  return {
+    watermark,
+    truncated: log.length === SCAN_SIZE && watermark === lastScanned,
+  };
+}
+
+// Changes visible to a user after the cursor, oldest first
+async function getChangesSince(userId, since) {
+  const current = await getCurrentCursor();
+
+  if (since === null || (await isCursorStale(since, current))) {
+    return {
+      cursor: current,
+      hasMore: false,
+      resetRequired: true,
+      changes: [],
+      messages: [],
+    };
+  }
+
+  const { watermark, truncated } = await getSafeWatermark(since);
+
+  const groups = await Group.find({
+    "members.user": userId,
+    isActive: true,
+  }).select("_id");
+
+  const events = await SyncEvent.find({
+    seq: { $gt: since, $lte: watermark },
+    $or: [{ users: userId }, { group: { $in: groups.map((g) => g._id) } }],
+  })
+    .sort({ seq: 1 })
+    .limit(PAGE_SIZE + 1)
+    .lean();
+
+  const pageFull = events.length > PAGE_SIZE;
+  const page = events.slice(0, PAGE_SIZE);
+
+  // Current state of created/edited messages (later edits are already applied)
+  const messageIds = [
+    ...new Set(
+      page
+        .filter((event) => MESSAGE_CONTENT_EVENTS.includes(event.type))
+        .map((event) => event.data.messageId.toString())
+    ),
+  ];
+  const messages = messageIds.length
+    ? await Message.find({
+        _id: { $in: messageIds },
+        hiddenFor: { $ne: userId },
+      })
+        .populate("sender", "name email profileImage")
+        .populate("receiver", "name email profileImage")
+        .populate("replyTo", "message sender messageType")
+        .sort({ createdAt: 1 })
+    : [];
+
+  return {
+    cursor: pageFull ? page[page.length - 1].seq : watermark,
+    hasMore: pageFull || truncated,
+    resetRequired: false,
+    changes: page.map((event) => ({
+      seq: event.seq,
+      type: event.type,
+      data: event.data,
+      at: event.createdAt,
+    })),
+    messages,
+  };
+}
+
+module.exports = {
+  recordSyncEvent,
+  recordMessageEvent,
+  getCurrentCursor,
+  getChangesSince,
+};
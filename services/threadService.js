@@ -0,0 +1,148 @@
+const Message = require("../models/Message");
+const Group = require("../models/Group");
+const { notifyUser } = require("./notificationService");
+const { notificationPreview } = require("./messageFormatting");
+
+// Resolve the thread root a new message replies to.
+// Replies to a reply are attached to the root so threads stay one level deep.
+// Returns null when there is no replyTo, throws when the parent is invalid.
+async function resolveThreadRoot(replyTo, { sender, receiver, group }) {
+  if (!replyTo) return null;
+
+  let parent = await Message.findById(replyTo);
+  if (parent && parent.replyTo) {
+    parent = await Message.findById(parent.replyTo);
+  }
+  if (!parent || parent.isDeleted) {
+    throw new Error("Message being replied to was not found");
+  }
+
+  // The reply must stay in the same conversation as its parent
+  const sameConversation = group
+    ? !!parent.group && parent.group.toString() === group.toString()
+    : !parent.group &&
+      [parent.sender.toString(), parent.receiver?.toString()].sort().join() ===
+        [sender.toString(), receiver.toString()].sort().join();
+
+  if (!sameConversation) {
+    throw new Error("Replies must be sent in the same conversation");
+  }
+
+  return parent;
+}
+
+// Reply counts and last reply preview for a batch of (root) message ids
+async function getThreadSummaries(messageIds) {
+  const summaries = new Map();
+  if (!messageIds.length) return summaries;
+
+  const results = await Message.aggregate([
+    { $match: { replyTo: { $in: messageIds } } },
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: "$replyTo",
+        replyCount: { $sum: 1 },
+        lastReply: { $last: "$$ROOT" },
+      },
+    },
+    {
+      $lookup: {
+        from: "users",
+        localField: "lastReply.sender",
+        foreignField: "_id",
+        as: "lastReplySender",
+      },
+    },
+  ]);
+
+  results.forEach((thread) => {
+    const sender = thread.lastReplySender[0];
+    summaries.set(thread._id.toString(), {
+      replyCount: thread.replyCount,
+      lastReply: {
+        _id: thread.lastReply._id,
+        message: thread.lastReply.isDeleted
+          ? "This message was deleted"
+          : thread.lastReply.message,
+        messageType: thread.lastReply.messageType,
+        sender: sender
+          ? {
+              _id: sender._id,
+              name: sender.name,
+              profileImage: sender.profileImage,
+            }
+          : thread.lastReply.sender,
+        createdAt: thread.lastReply.createdAt,
+      },
+    });
+  });
+
+  return summaries;
+}
+
+// Tell everyone who took part in a thread (root author + repliers) about a new reply
+async function notifyThreadParticipants({ io, activeUsers, root, reply }) {
+  const replySenderId = (reply.sender?._id || reply.sender).toString();
+
+  const repliers = await Message.distinct("sender", { replyTo: root._id });
+  const participants = new Set(
+    [root.sender, ...repliers].map((id) => id.toString())
+  );
+  participants.delete(replySenderId);
+
+  // People who have since left the group no longer follow its threads
+  if (root.group) {
+    const group = await Group.findById(root.group).select("members");
+    const memberIds = new Set(
+      (group?.members || []).map((member) => member.user.toString())
+    );
+    participants.forEach((participantId) => {
+      if (!memberIds.has(participantId)) participants.delete(participantId);
+    });
+  }
+
+  const replyCount = await Message.countDocuments({ replyTo: root._id });
+  const senderName = reply.sender?.name || "Someone";
+  const preview = notificationPreview(reply);
+
+  participants.forEach((participantId) => {
+    if (io) {
+      io.to(participantId).emit("thread-reply", {
+        threadId: root._id,
+        groupId: root.group || undefined,
+        replyCount,
+        message: {
+          _id: reply._id,
+          id: reply._id,
+          sender: reply.sender,
+          message: reply.message,
+          messageType: reply.messageType,
+          fileUrl: reply.fileUrl,
+          fileName: reply.fileName,
+          replyTo: root._id,
+          createdAt: reply.createdAt,
+        },
+      });
+    }
+
+    if (!activeUsers || !activeUsers.has(participantId)) {
+      notifyUser(participantId, `${senderName} replied in a thread`, preview, {
+        type: "thread-reply",
+        threadId: root._id,
+        groupId: root.group,
+        senderId: replySenderId,
+        senderName,
+        receiverId: participantId,
+        messageId: reply._id,
+        icon: reply.sender?.profileImage || "/icon.png",
+      });
+    }
+  });
+}
+
+module.exports = {
+  resolveThreadRoot,
+  getThreadSummaries,
+  notifyThreadParticipants,
+};
@@ -0,0 +1,252 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Group = require("../models/Group");
+const GroupWebhook = require("../models/GroupWebhook");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const { ensureBotUser } = require("./botService");
+const { dispatchGroupMessage } = require("./messageDispatch");
+const { validateMessageText } = require("./messageFormatting");
+
+// Incoming webhooks: POST /api/webhooks/:id with the webhook's secret token
+// posts { text, format?, id? } to its group as the webhook's own bot user,
+// through the same pipeline as send-group-message. Calls are logged in
+// WebhookDelivery so group admins can see what was (not) delivered; bad-token
+// calls only up to INVALID_TOKEN_LIMIT per window.
+
+const MAX_WEBHOOKS_PER_GROUP = 10;
+const MAX_TEXT_LENGTH = 4000;
+const MAX_ID_LENGTH = 100; // Same limit as clientId on the send routes
+const RATE_LIMIT = 30; // Deliveries per webhook per window
+const INVALID_TOKEN_LIMIT = 10; // Logged bad-token calls per webhook per window
+const RATE_WINDOW_MS = 60 * 1000;
+
+const rateWindows = new Map(); // webhook id (+ ":invalid") -> { start, count }
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function tokenMatches(webhook, token) {
+  if (typeof token !== "string" || !token) return false;
+  const expected = Buffer.from(webhook.tokenHash, "hex");
+  const actual = Buffer.from(hashToken(token), "hex");
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Fixed window per key. Calls with a valid token count against the webhook's
+// id, bad tokens against a separate key, so strangers can't use up an
+// integration's limit.
+function takeRateLimit(key, limit = RATE_LIMIT) {
+  const now = Date.now();
+  let window = rateWindows.get(key);
+  if (!window || now - window.start >= RATE_WINDOW_MS) {
+    window = { start: now, count: 0 };
+    rateWindows.set(key, window);
+  }
+  if (window.count >= limit) {
+    return {
+      allowed: false,
+      retryAfter: Math.ceil((window.start + RATE_WINDOW_MS - now) / 1000),
+    };
+  }
+  window.count++;
+  return { allowed: true };
+}
+
+// Drop finished windows so the map only holds recently used webhooks
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, window] of rateWindows) {
+    if (now - window.start >= RATE_WINDOW_MS) rateWindows.delete(key);
+  }
+}, RATE_WINDOW_MS).unref();
+
+// { text, format, clientId } from a request body, or { error }
+function parsePayload(payload) {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return { error: "Payload must be a JSON object" };
+  }
+  const { text, format, id } = payload;
+  if (typeof text !== "string" || !text.trim()) {
+    return { error: "text is required" };
+  }
+  if (text.length > MAX_TEXT_LENGTH) {
+    return { error: `text must be at most ${MAX_TEXT_LENGTH} characters` };
+  }
+  const textError = validateMessageText(text, format);
+  if (textError) return { error: textError };
+  if (
+    id !== undefined &&
+    (typeof id !== "string" || !id || id.length > MAX_ID_LENGTH)
+  ) {
+    return {
+      error: `id must be a string of at most ${MAX_ID_LENGTH} characters`,
+    };
+  }
+  return { text: text.trim(), format: format || undefined, clientId: id };
+}
+
+// Never throws: a missing log entry must not change the webhook's response
+async function logDelivery(webhook, request, result, message = null) {
+  try {
+    await WebhookDelivery.create({
+      webhook: webhook._id,
+      group: webhook.group,
+      status: result.status,
+      statusCode: result.statusCode,
+      error: result.error || null,
+      message,
+      payloadSize: request.payloadSize,
+      ip: request.ip || null,
+      userAgent: request.userAgent || null,
+    });
+  } catch (error) {
+    console.error("❌ Webhook delivery not logged:", error.message);
+  }
+}
+
+// Create a webhook for a group. The token is only returned here.
+async function createWebhook({ group, name, createdBy }) {
+  const activeCount = await GroupWebhook.countDocuments({
+    group,
+    revokedAt: null,
+  });
+  if (activeCount >= MAX_WEBHOOKS_PER_GROUP) {
+    return {
+      error: `A group can have at most ${MAX_WEBHOOKS_PER_GROUP} webhooks`,
+    };
+  }
+
+  const _id = new mongoose.Types.ObjectId();
+  const token = crypto.randomBytes(32).toString("hex");
+  const botUser = await ensureBotUser({
+    key: `webhook-${_id}`,
+    name,
+    description: "Posts messages sent to a group webhook",
+  });
+  const webhook = await GroupWebhook.create({
+    _id,
+    group,
+    name,
+    botUser,
+    tokenHash: hashToken(token),
+    createdBy,
+  });
+  console.log(`🪝 Webhook "${name}" created for group ${group}`);
+  return { webhook, token };
+}
+
+// Handle a call to a webhook URL. Returns { status, statusCode } plus error
+// (and retryAfter when rate limited) or messageId and duplicate.
+async function deliverWebhook({
+  io,
+  activeUsers,
+  webhookId,
+  token,
+  payload,
+  request,
+}) {
+  if (!mongoose.Types.ObjectId.isValid(webhookId)) {
+    return { status: "rejected", statusCode: 404, error: "Webhook not found" };
+  }
+  const webhook = await GroupWebhook.findById(webhookId);
+  if (!webhook) {
+    return { status: "rejected", statusCode: 404, error: "Webhook not found" };
+  }
+
+  const reject = async (status, statusCode, error, extra = {}) => {
+    const result = { status, statusCode, error, ...extra };
+    await logDelivery(webhook, request, result);
+    return result;
+  };
+
+  if (!tokenMatches(webhook, token)) {
+    // Anyone can call the URL: past the limit, answer without logging so a
+    // flood of guesses can't fill the delivery log
+    const limit = takeRateLimit(`${webhook._id}:invalid`, INVALID_TOKEN_LIMIT);
+    if (!limit.allowed) {
+      return {
+        status: "rate-limited",
+        statusCode: 429,
+        error: "Too many requests",
+        retryAfter: limit.retryAfter,
+      };
+    }
+    return reject("rejected", 401, "Invalid webhook token");
+  }
+
+  const limit = takeRateLimit(webhook._id.toString());
+  if (!limit.allowed) {
+    return reject("rate-limited", 429, "Too many requests", {
+      retryAfter: limit.retryAfter,
+    });
+  }
+
+  if (webhook.revokedAt) {
+    return reject("rejected", 410, "Webhook has been revoked");
+  }
+
+  const parsed = parsePayload(payload);
+  if (parsed.error) return reject("rejected", 400, parsed.error);
+
+  const group = await Group.findById(webhook.group).select("isActive");
+  if (!group || !group.isActive) {
+    return reject("rejected", 410, "Group no longer exists");
+  }
+
+  try {
+    const { newMessage, duplicate } = await dispatchGroupMessage({
+      io,
+      activeUsers,
+      messageData: {
+        sender: webhook.botUser,
+        group: webhook.group,
+        message: parsed.text,
+        messageType: "text",
+        format: parsed.format,
+        clientId: parsed.clientId,
+      },
+    });
+
+    await GroupWebhook.updateOne(
+      { _id: webhook._id },
+      { $set: { lastUsedAt: new Date() } }
+    );
+    const result = {
+      status: "delivered",
+      statusCode: duplicate ? 200 : 201,
+      messageId: newMessage._id,
+      duplicate: !!duplicate,
+    };
+    await logDelivery(webhook, request, result, newMessage._id);
+    console.log(`🪝 Webhook "${webhook.name}" posted ${newMessage._id}`);
+    return result;
+  } catch (error) {
+    console.error(`❌ Webhook "${webhook.name}" delivery failed:`, error);
+    return reject("failed", 500, "Message could not be posted");
+  }
+}
+
+// Webhook as shown to group admins (never includes the token)
+function serializeWebhook(webhook) {
+  return {
+    _id: webhook._id,
+    group: webhook.group,
+    name: webhook.name,
+    botUser: webhook.botUser,
+    createdBy: webhook.createdBy,
+    createdAt: webhook.createdAt,
+    lastUsedAt: webhook.lastUsedAt,
+    revokedAt: webhook.revokedAt,
+    revokedBy: webhook.revokedBy,
+  };
+}
+
+module.exports = {
+  RATE_LIMIT,
+  INVALID_TOKEN_LIMIT,
+  RATE_WINDOW_MS,
+  createWebhook,
+  deliverWebhook,
+  serializeWebhook,
+};
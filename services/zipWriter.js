@@ -0,0 +1,209 @@
+const fs = require("fs");
+const zlib = require("zlib");
+const { Readable, Transform, Writable } = require("stream");
+const { pipeline } = require("stream/promises");
+
+// Minimal streaming ZIP writer (deflate, UTF-8 names, no zip64 → < 4GB).
+// Entries are streamed to disk as they are added, only the central
+// directory is kept in memory. Compression runs on the zlib thread pool and
+// data moves in small chunks, so large attachments don't block the server.
+
+const CHUNK_SIZE = 64 * 1024;
+const LOCAL_HEADER_SIZE = 30;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+// CRC-32 of buffer, continuing from the CRC of the data before it
+function crc32(buffer, previous = 0) {
+  let crc = (previous ^ 0xffffffff) >>> 0;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date/time fields used by the zip headers
+function dosDateTime(date) {
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    date:
+      ((Math.max(date.getFullYear(), 1980) - 1980) << 9) |
+      ((date.getMonth() + 1) << 5) |
+      date.getDate(),
+  };
+}
+
+// A buffer as a stream of CHUNK_SIZE pieces
+function chunksOf(data) {
+  return Readable.from(
+    (function* () {
+      for (let i = 0; i < data.length; i += CHUNK_SIZE) {
+        yield data.subarray(i, i + CHUNK_SIZE);
+      }
+    })()
+  );
+}
+
+function localHeader(entry) {
+  const header = Buffer.alloc(LOCAL_HEADER_SIZE);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(20, 4); // Version needed
+  header.writeUInt16LE(0x0800, 6); // UTF-8 names
+  header.writeUInt16LE(entry.method, 8);
+  header.writeUInt16LE(entry.time, 10);
+  header.writeUInt16LE(entry.dosDate, 12);
+  header.writeUInt32LE(entry.crc, 14);
+  header.writeUInt32LE(entry.compressedSize, 18);
+  header.writeUInt32LE(entry.size, 22);
+  header.writeUInt16LE(entry.nameBuffer.length, 26);
+  header.writeUInt16LE(0, 28);
+  return header;
+}
+
+class ZipWriter {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.handle = null;
+    this.offset = 0;
+    this.entries = [];
+  }
+
+  async open() {
+    this.handle = await fs.promises.open(this.filePath, "w");
+  }
+
+  async writeAt(buffer, position) {
+    await this.handle.write(buffer, 0, buffer.length, position);
+  }
+
+  async append(buffer) {
+    await this.writeAt(buffer, this.offset);
+    this.offset += buffer.length;
+  }
+
+  // Pipe source into the archive at the current offset (deflated or stored)
+  async writeEntryData(source, deflate) {
+    const start = this.offset;
+    let crc = 0;
+    let size = 0;
+
+    const measure = new Transform({
+      transform(chunk, encoding, callback) {
+        crc = crc32(chunk, crc);
+        size += chunk.length;
+        callback(null, chunk);
+      },
+    });
+    const zip = this;
+    const sink = new Writable({
+      write(chunk, encoding, callback) {
+        zip.append(chunk).then(() => callback(), callback);
+      },
+    });
+
+    const stages = deflate
+      ? [source, measure, zlib.createDeflateRaw(), sink]
+      : [source, measure, sink];
+    await pipeline(...stages);
+    return { crc, size, compressedSize: this.offset - start };
+  }
+
+  // Add one file (name may contain "/" for folders). content is a Buffer,
+  // a string or a readable stream.
+  async addFile(name, content, date = new Date()) {
+    const isStream = typeof content?.pipe === "function";
+    const data =
+      isStream || Buffer.isBuffer(content) ? content : Buffer.from(content);
+    const nameBuffer = Buffer.from(name, "utf8");
+
+    // The header is written once the sizes and CRC are known
+    const headerOffset = this.offset;
+    await this.append(Buffer.alloc(LOCAL_HEADER_SIZE));
+    await this.append(nameBuffer);
+    const dataOffset = this.offset;
+
+    let method = 8;
+    let written = await this.writeEntryData(
+      isStream ? data : chunksOf(data),
+      true
+    );
+    // Already-compressed files (images, video, zip) are stored as-is. The
+    // stored copy is no larger, so it overwrites the deflated one in place.
+    if (!isStream && written.compressedSize >= data.length) {
+      this.offset = dataOffset;
+      method = 0;
+      written = await this.writeEntryData(chunksOf(data), false);
+    }
+
+    const { time, date: dosDate } = dosDateTime(date);
+    const entry = {
+      nameBuffer,
+      method,
+      time,
+      dosDate,
+      ...written,
+      offset: headerOffset,
+    };
+    await this.writeAt(localHeader(entry), headerOffset);
+    this.entries.push(entry);
+  }
+
+  // Write the central directory and close the file
+  async finalize() {
+    const start = this.offset;
+    for (const entry of this.entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(20, 4); // Version made by
+      header.writeUInt16LE(20, 6); // Version needed
+      header.writeUInt16LE(0x0800, 8);
+      header.writeUInt16LE(entry.method, 10);
+      header.writeUInt16LE(entry.time, 12);
+      header.writeUInt16LE(entry.dosDate, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.nameBuffer.length, 28);
+      header.writeUInt32LE(entry.offset, 42);
+      await this.append(header);
+      await this.append(entry.nameBuffer);
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(this.offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    await this.append(end);
+
+    // Drop deflated data left past the end by stored rewrites
+    await this.handle.truncate(this.offset);
+    await this.handle.close();
+    this.handle = null;
+    return this.offset;
+  }
+
+  // Close without finishing (used when the export fails)
+  async abort() {
+    if (this.handle) {
+      await this.handle.close();
+      this.handle = null;
+    }
+  }
+}
+
+module.exports = { ZipWriter, crc32 };
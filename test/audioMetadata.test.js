@@ -0,0 +1,139 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  WAVEFORM_BARS,
+  extractAudioMetadata,
+} = require("../services/audioMetadata");
+
+// 16-bit mono PCM WAV of a sine wave that gets louder
+function wavFile(seconds, sampleRate = 8000) {
+  const count = seconds * sampleRate;
+  const buffer = Buffer.alloc(44 + count * 2);
+  buffer.write("RIFF", 0, "latin1");
+  buffer.writeUInt32LE(36 + count * 2, 4);
+  buffer.write("WAVE", 8, "latin1");
+  buffer.write("fmt ", 12, "latin1");
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20); // PCM
+  buffer.writeUInt16LE(1, 22); // Mono
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write("data", 36, "latin1");
+  buffer.writeUInt32LE(count * 2, 40);
+  for (let i = 0; i < count; i++) {
+    const volume = (i + 1) / count;
+    const sample = Math.sin((i / sampleRate) * 440 * 2 * Math.PI) * volume;
+    buffer.writeInt16LE(Math.round(sample * 32767), 44 + i * 2);
+  }
+  return buffer;
+}
+
+// EBML element: id bytes, one-byte size, body
+const ebml = (id, body) =>
+  Buffer.concat([Buffer.from(id), Buffer.from([0x80 | body.length]), body]);
+const UNKNOWN_SIZE = [0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff];
+
+function webmFile(info, cluster = Buffer.alloc(0)) {
+  return Buffer.concat([
+    ebml([0x1a, 0x45, 0xdf, 0xa3], Buffer.alloc(0)),
+    Buffer.from([0x18, 0x53, 0x80, 0x67, ...UNKNOWN_SIZE]), // Segment
+    ebml([0x15, 0x49, 0xa9, 0x66], info),
+    cluster,
+  ]);
+}
+
+function box(type, body) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + body.length, 0);
+  header.write(type, 4, "latin1");
+  return Buffer.concat([header, body]);
+}
+
+function mp4File(timescale, duration) {
+  const mvhd = Buffer.alloc(100); // Version 0
+  mvhd.writeUInt32BE(timescale, 12);
+  mvhd.writeUInt32BE(duration, 16);
+  return Buffer.concat([
+    box("ftyp", Buffer.from("M4A \0\0\0\0", "latin1")),
+    box("free", Buffer.alloc(4)),
+    box("moov", box("mvhd", mvhd)),
+  ]);
+}
+
+function oggOpusFile(granule, preSkip) {
+  const head = Buffer.alloc(19);
+  head.write("OpusHead", 0, "latin1");
+  head[8] = 1;
+  head[9] = 1;
+  head.writeUInt16LE(preSkip, 10);
+  const page = (position) => {
+    const header = Buffer.alloc(27);
+    header.write("OggS", 0, "latin1");
+    header.writeBigInt64LE(BigInt(position), 6);
+    return header;
+  };
+  return Buffer.concat([page(0), head, page(granule), Buffer.alloc(10)]);
+}
+
+describe("extractAudioMetadata", () => {
+  it("decodes WAV duration and waveform", async () => {
+    const metadata = await extractAudioMetadata(wavFile(2));
+    assert.equal(metadata.duration, 2);
+    assert.equal(metadata.waveform.length, WAVEFORM_BARS);
+    assert.equal(Math.max(...metadata.waveform), 100);
+    assert.ok(metadata.waveform[0] < metadata.waveform[WAVEFORM_BARS - 1]);
+  });
+
+  it("reads the WebM Info duration", async () => {
+    const duration = Buffer.alloc(4);
+    duration.writeFloatBE(2500);
+    const info = Buffer.concat([
+      ebml([0x2a, 0xd7, 0xb1], Buffer.from([0x0f, 0x42, 0x40])), // 1ms ticks
+      ebml([0x44, 0x89], duration),
+    ]);
+    const metadata = await extractAudioMetadata(webmFile(info));
+    assert.deepEqual(metadata, { duration: 2.5, waveform: [] });
+  });
+
+  it("falls back to WebM block timecodes", async () => {
+    const block = (time) => {
+      const body = Buffer.from([0x81, 0, 0, 0x80]); // Track 1, keyframe
+      body.writeInt16BE(time, 1);
+      return ebml([0xa3], body);
+    };
+    const cluster = Buffer.concat([
+      Buffer.from([0x1f, 0x43, 0xb6, 0x75, ...UNKNOWN_SIZE]),
+      ebml([0xe7], Buffer.from([0x03, 0xe8])), // Cluster at 1000ms
+      block(0),
+      block(750),
+    ]);
+    const metadata = await extractAudioMetadata(
+      webmFile(Buffer.alloc(0), cluster)
+    );
+    assert.deepEqual(metadata, { duration: 1.75, waveform: [] });
+  });
+
+  it("reads the MP4 movie header", async () => {
+    const metadata = await extractAudioMetadata(mp4File(44100, 44100 * 3.25));
+    assert.deepEqual(metadata, { duration: 3.25, waveform: [] });
+  });
+
+  it("reads the Ogg Opus granule position", async () => {
+    const metadata = await extractAudioMetadata(
+      oggOpusFile(48000 * 4 + 312, 312)
+    );
+    assert.deepEqual(metadata, { duration: 4, waveform: [] });
+  });
+
+  it("returns null for unknown or broken files", async () => {
+    assert.equal(
+      await extractAudioMetadata(Buffer.from("not audio at all")),
+      null
+    );
+    assert.equal(await extractAudioMetadata(Buffer.alloc(0)), null);
+    assert.equal(await extractAudioMetadata(wavFile(1).subarray(0, 30)), null);
+    assert.equal(await extractAudioMetadata(mp4File(0, 100)), null);
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const moment = require("moment-timezone");
+const { parseReminder } = require("../services/builtinCommands");
+
+const TIMEZONE = "Asia/Kolkata";
+const at = (time) => moment.tz(time, TIMEZONE);
+
+describe("parseReminder", () => {
+  const now = at("2026-03-10 14:00");
+
+  it("understands relative times", () => {
+    const reminder = parseReminder("in 10 minutes call Ravi", TIMEZONE, now);
+    assert.equal(reminder.text, "call Ravi");
+    assert.equal(reminder.at.getTime(), now.valueOf() + 10 * 60 * 1000);
+
+    const compact = parseReminder("in 2h standup notes", TIMEZONE, now);
+    assert.equal(compact.text, "standup notes");
+    assert.equal(compact.at.getTime(), now.valueOf() + 2 * 60 * 60 * 1000);
+  });
+
+  it("uses clock times in the organisation's timezone", () => {
+    const reminder = parseReminder("5pm send the report", TIMEZONE, now);
+    assert.equal(reminder.text, "send the report");
+    assert.equal(reminder.at.getTime(), at("2026-03-10 17:00").valueOf());
+
+    const spaced = parseReminder("at 5:30 pm review", TIMEZONE, now);
+    assert.equal(spaced.at.getTime(), at("2026-03-10 17:30").valueOf());
+
+    const clock24 = parseReminder("17:45 leave", TIMEZONE, now);
+    assert.equal(clock24.at.getTime(), at("2026-03-10 17:45").valueOf());
+  });
+
+  it("moves a passed clock time to tomorrow", () => {
+    const reminder = parseReminder("9am stretch", TIMEZONE, now);
+    assert.equal(reminder.at.getTime(), at("2026-03-11 09:00").valueOf());
+  });
+
+  it("defaults tomorrow to 9am", () => {
+    const reminder = parseReminder("tomorrow pay invoices", TIMEZONE, now);
+    assert.equal(reminder.text, "pay invoices");
+    assert.equal(reminder.at.getTime(), at("2026-03-11 09:00").valueOf());
+
+    const timed = parseReminder("tomorrow at 8:15am gym", TIMEZONE, now);
+    assert.equal(timed.at.getTime(), at("2026-03-11 08:15").valueOf());
+  });
+
+  it("rejects times it can't use", () => {
+    assert.match(
+      parseReminder("today at 9am stretch", TIMEZONE, now).error,
+      /already passed/
+    );
+    assert.match(
+      parseReminder("in 10 parsecs x", TIMEZONE, now).error,
+      /in 10 minutes/
+    );
+    assert.match(parseReminder("in 0 minutes x", TIMEZONE, now).error, /time/);
+    // A bare number is not a time
+    assert.match(parseReminder("5 review", TIMEZONE, now).error, /5pm/);
+    assert.match(parseReminder("13pm x", TIMEZONE, now).error, /5pm/);
+    assert.match(
+      parseReminder("in 400 days x", TIMEZONE, now).error,
+      /one year/
+    );
+  });
+
+  it("requires something to remind about", () => {
+    assert.equal(
+      parseReminder("in 10 minutes", TIMEZONE, now).error,
+      "What should I remind you about?"
+    );
+  });
+});
@@ -0,0 +1,69 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const https = require("https");
+const { EventEmitter } = require("events");
+const { objectId, fakeQuery, fakeIo } = require("./helpers");
+const ConversationExport = require("../models/ConversationExport");
+const Group = require("../models/Group");
+const Message = require("../models/Message");
+const User = require("../models/User");
+const {
+  runConversationExport,
+} = require("../services/conversationExportService");
+
+describe("runConversationExport", () => {
+  it("fails the job when an attachment download stalls", async (t) => {
+    const job = new ConversationExport({
+      requestedBy: objectId(),
+      chatType: "group",
+      chatId: objectId(),
+    });
+    const msg = new Message({
+      sender: objectId(),
+      group: job.chatId,
+      messageType: "image",
+      fileUrl: "https://res.cloudinary.com/demo/image/upload/v1/chat/a.png",
+      fileName: "a.png",
+    });
+    t.mock.method(ConversationExport, "findById", () => fakeQuery(job));
+    t.mock.method(ConversationExport.prototype, "save", async () => {});
+    t.mock.method(User, "findById", () => fakeQuery({ name: "Alice" }));
+    t.mock.method(Group, "findById", () => fakeQuery({ name: "Ops" }));
+    t.mock.method(Message, "countDocuments", async () => 1);
+    t.mock.method(Message, "find", () =>
+      Object.assign(fakeQuery([msg]), { cursor: () => [msg] })
+    );
+    t.mock.method(console, "error", () => {});
+
+    // Cloudinary never answers
+    let request;
+    let requested;
+    const started = new Promise((resolve) => {
+      requested = resolve;
+    });
+    t.mock.method(https, "get", () => {
+      request = new EventEmitter();
+      request.destroy = (error) => {
+        request.destroyedWith = error;
+        request.emit("close");
+      };
+      requested();
+      return request;
+    });
+    t.mock.timers.enable({ apis: ["setTimeout"] });
+
+    const io = fakeIo();
+    const run = runConversationExport({ io, exportId: job._id });
+    await started;
+    t.mock.timers.tick(2 * 60 * 1000);
+    await run;
+
+    assert.equal(job.status, "failed");
+    assert.equal(job.error, "Download timed out");
+    assert.equal(request.destroyedWith.message, "Download timed out");
+    assert.deepEqual(
+      io.emitted.map((e) => e.event),
+      ["export-progress", "export-failed"]
+    );
+  });
+});
@@ -0,0 +1,161 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { objectId, fakeQuery } = require("./helpers");
+const Conversation = require("../models/Conversation");
+const Group = require("../models/Group");
+const Message = require("../models/Message");
+const { decodeCursor } = require("../services/messageSearch");
+const {
+  chatKeyFor,
+  recordConversationMessage,
+  listConversations,
+  getUnreadTotal,
+} = require("../services/conversationService");
+
+const alice = objectId();
+const bob = objectId();
+const carol = objectId();
+
+// Personal conversation of alice and partner whose last message is summary
+function personalConversation(partner, summary, fields = {}) {
+  return new Conversation({
+    chatKey: chatKeyFor({ sender: alice, receiver: partner }),
+    chatType: "personal",
+    participants: [alice, partner],
+    lastMessage: { _id: objectId(), sender: partner, ...summary },
+    lastMessageAt: summary.createdAt,
+    ...fields,
+  });
+}
+
+describe("chatKeyFor", () => {
+  it("gives both sides of a personal chat the same key", () => {
+    assert.equal(
+      chatKeyFor({ sender: alice, receiver: bob }),
+      chatKeyFor({ sender: bob, receiver: alice })
+    );
+    const group = objectId();
+    assert.equal(chatKeyFor({ sender: alice, group }), `group:${group}`);
+  });
+});
+
+describe("recordConversationMessage", () => {
+  it("counts a group message as unread for everyone but the sender", async (t) => {
+    const group = objectId();
+    const message = new Message({
+      sender: alice,
+      group,
+      message: "Standup moved",
+      createdAt: new Date(),
+    });
+    t.mock.method(Group, "findById", () =>
+      fakeQuery({ members: [alice, bob, carol].map((user) => ({ user })) })
+    );
+    t.mock.method(Message, "findOne", () => fakeQuery(message));
+    const update = t.mock.method(Conversation, "updateOne", async () => ({}));
+
+    await recordConversationMessage(message);
+
+    const [filter, change, options] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter, { chatKey: `group:${group}` });
+    assert.deepEqual(change.$inc, {
+      [`unreadCounts.${bob}`]: 1,
+      [`unreadCounts.${carol}`]: 1,
+    });
+    assert.equal(options.upsert, true);
+    // A slower refresh never replaces a newer last message
+    const [lastFilter, lastChange] = update.mock.calls[1].arguments;
+    assert.deepEqual(lastFilter.$or[1], {
+      lastMessageAt: { $lte: message.createdAt },
+    });
+    assert.equal(lastChange.$set.lastMessage.message, "Standup moved");
+  });
+
+  it("never throws", async (t) => {
+    t.mock.method(Conversation, "updateOne", async () => {
+      throw new Error("down");
+    });
+    const error = t.mock.method(console, "error", () => {});
+    await recordConversationMessage(
+      new Message({ sender: alice, receiver: bob })
+    );
+    assert.equal(error.mock.callCount(), 1);
+  });
+});
+
+describe("listConversations", () => {
+  it("puts pinned chats first and pages the rest", async (t) => {
+    const pinned = personalConversation(carol, {
+      message: "Old but pinned",
+      createdAt: new Date("2026-01-01"),
+    });
+    const recent = personalConversation(
+      bob,
+      { message: "Newest", createdAt: new Date("2026-03-02") },
+      { unreadCounts: { [alice]: 3 } }
+    );
+    const older = personalConversation(objectId(), {
+      message: "Older",
+      createdAt: new Date("2026-03-01"),
+    });
+    const find = t.mock.method(Conversation, "find", (filter) =>
+      fakeQuery(filter.chatKey.$in ? [pinned] : [recent, older])
+    );
+    t.mock.method(Message, "find", () => fakeQuery([]));
+
+    const result = await listConversations(alice, {
+      pinnedKeys: [pinned.chatKey],
+      limit: 1,
+    });
+
+    assert.deepEqual(
+      result.conversations.map((entry) => entry.lastMessage.message),
+      ["Old but pinned", "Newest"]
+    );
+    assert.equal(result.conversations[1].chatId.toString(), bob.toString());
+    assert.equal(result.conversations[1].unreadCount, 3);
+    assert.equal(result.hasMore, true);
+    assert.deepEqual(decodeCursor(result.nextCursor), {
+      createdAt: recent.lastMessageAt,
+      id: recent._id.toString(),
+    });
+    assert.deepEqual(find.mock.calls[1].arguments[0].chatKey, {
+      $nin: [pinned.chatKey],
+    });
+  });
+
+  it("falls back to the newest message the user hasn't hidden", async (t) => {
+    const conversation = personalConversation(bob, {
+      message: "Deleted for Alice",
+      createdAt: new Date("2026-03-02"),
+      hiddenFor: [alice],
+    });
+    const visible = new Message({
+      sender: bob,
+      receiver: alice,
+      message: "Still visible",
+    });
+    t.mock.method(Conversation, "find", () => fakeQuery([conversation]));
+    const findOne = t.mock.method(Message, "findOne", () => fakeQuery(visible));
+    t.mock.method(Message, "find", () => fakeQuery([]));
+
+    const result = await listConversations(alice);
+
+    assert.equal(result.conversations[0].lastMessage.message, "Still visible");
+    assert.deepEqual(findOne.mock.calls[0].arguments[0].hiddenFor, {
+      $ne: alice,
+    });
+  });
+});
+
+describe("getUnreadTotal", () => {
+  it("adds up the user's counters", async (t) => {
+    t.mock.method(Conversation, "find", () =>
+      fakeQuery([
+        new Conversation({ unreadCounts: { [alice]: 2, [bob]: 7 } }),
+        new Conversation({ unreadCounts: { [alice]: 3 } }),
+      ])
+    );
+    assert.equal(await getUnreadTotal(alice), 5);
+  });
+});
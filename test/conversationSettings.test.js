@@ -0,0 +1,188 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  objectId,
+  fakeQuery,
+  fakeUser,
+  fakeIo,
+  stubUsers,
+  startApp,
+} = require("./helpers");
+const ConversationSetting = require("../models/ConversationSetting");
+const {
+  getSettingsForUser,
+  getMutedUserIds,
+  unarchiveForMessage,
+} = require("../services/conversationSettingsService");
+const router = require("../routes/messages");
+
+const inAnHour = () => new Date(Date.now() + 60 * 60 * 1000);
+const anHourAgo = () => new Date(Date.now() - 60 * 60 * 1000);
+
+describe("conversation settings via POST /api/messages/chat-state", () => {
+  const alice = fakeUser({ name: "Alice" });
+  const bob = fakeUser({ name: "Bob" });
+  let app;
+  before(async () => {
+    app = await startApp("/api/messages", router);
+  });
+  after(() => app.close());
+
+  // ConversationSetting.findOneAndUpdate answers with the updated setting
+  function stubUpdate(t) {
+    stubUsers(t, alice, bob);
+    return t.mock.method(
+      ConversationSetting,
+      "findOneAndUpdate",
+      (filter, change) =>
+        fakeQuery(new ConversationSetting({ ...filter, ...change.$set }))
+    );
+  }
+
+  const chatState = (body) =>
+    app.request("POST", "/api/messages/chat-state", {
+      user: alice,
+      body: { chatType: "personal", chatId: bob._id.toString(), ...body },
+    });
+
+  it("pins a conversation and tells the user's sessions", async (t) => {
+    const update = stubUpdate(t);
+
+    const res = await chatState({ action: "pin" });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.settings.isPinned, true);
+    const [filter, change, options] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter, {
+      user: alice._id,
+      chatType: "personal",
+      chatId: bob._id.toString(),
+    });
+    assert.ok(change.$set.pinnedAt instanceof Date);
+    assert.equal(options.upsert, true);
+    const [event] = app.io.emitted.slice(-1);
+    assert.equal(event.rooms, alice._id.toString());
+    assert.equal(event.event, "conversation-settings-updated");
+    assert.equal(event.data.settings.isPinned, true);
+  });
+
+  it("mutes until a time or until unmuted", async (t) => {
+    const update = stubUpdate(t);
+    const mutedUntil = inAnHour();
+
+    const timed = await chatState({
+      action: "mute",
+      mutedUntil: mutedUntil.toISOString(),
+    });
+    const forever = await chatState({ action: "mute" });
+    const unmuted = await chatState({ action: "unmute" });
+
+    assert.equal(timed.body.settings.isMuted, true);
+    assert.equal(timed.body.settings.mutedUntil, mutedUntil.toISOString());
+    assert.equal(forever.body.settings.mutedUntil, null);
+    assert.equal(unmuted.body.settings.isMuted, false);
+    assert.deepEqual(update.mock.calls[2].arguments[1].$set, {
+      isMuted: false,
+      mutedUntil: null,
+    });
+  });
+
+  it("rejects mute times in the past", async (t) => {
+    const update = stubUpdate(t);
+    const res = await chatState({
+      action: "mute",
+      mutedUntil: anHourAgo().toISOString(),
+    });
+    assert.equal(res.status, 400);
+    assert.equal(update.mock.callCount(), 0);
+  });
+});
+
+describe("getSettingsForUser", () => {
+  it("fills in defaults and lists pinned chats", async (t) => {
+    const userId = objectId();
+    const pinnedChat = objectId();
+    t.mock.method(ConversationSetting, "find", async () => [
+      new ConversationSetting({
+        user: userId,
+        chatType: "group",
+        chatId: pinnedChat,
+        pinnedAt: new Date(),
+        isMuted: true,
+        mutedUntil: anHourAgo(),
+      }),
+    ]);
+
+    const settings = await getSettingsForUser(userId);
+
+    const pinned = settings.get("group", pinnedChat);
+    assert.equal(pinned.isPinned, true);
+    // The mute ran out
+    assert.equal(pinned.isMuted, false);
+    assert.equal(pinned.mutedUntil, null);
+    assert.equal(settings.get("personal", objectId()).isPinned, false);
+    assert.deepEqual(settings.pinned(), [
+      { chatType: "group", chatId: pinnedChat },
+    ]);
+  });
+});
+
+describe("getMutedUserIds", () => {
+  it("skips mutes that have run out", async (t) => {
+    const [muted, expired] = [objectId(), objectId()];
+    const chat = { chatType: "group", chatId: objectId() };
+    t.mock.method(ConversationSetting, "find", async () => [
+      new ConversationSetting({ ...chat, user: muted, isMuted: true }),
+      new ConversationSetting({
+        ...chat,
+        user: expired,
+        isMuted: true,
+        mutedUntil: anHourAgo(),
+      }),
+    ]);
+
+    const ids = await getMutedUserIds({ ...chat, userIds: [muted, expired] });
+    assert.deepEqual([...ids], [muted.toString()]);
+  });
+});
+
+describe("unarchiveForMessage", () => {
+  it("brings archived personal chats back for both sides", async (t) => {
+    const [sender, receiver] = [objectId(), objectId()];
+    const archived = new ConversationSetting({
+      user: receiver,
+      chatType: "personal",
+      chatId: sender,
+      archivedAt: new Date(),
+    });
+    const find = t.mock.method(ConversationSetting, "find", async () => [
+      archived,
+    ]);
+    const update = t.mock.method(
+      ConversationSetting,
+      "updateMany",
+      async () => ({})
+    );
+    const io = fakeIo();
+
+    await unarchiveForMessage({ io, message: { sender, receiver } });
+
+    assert.deepEqual(find.mock.calls[0].arguments[0].$or, [
+      {
+        user: receiver.toString(),
+        chatType: "personal",
+        chatId: sender.toString(),
+      },
+      {
+        user: sender.toString(),
+        chatType: "personal",
+        chatId: receiver.toString(),
+      },
+    ]);
+    assert.deepEqual(update.mock.calls[0].arguments[1], {
+      $set: { archivedAt: null },
+    });
+    assert.equal(io.emitted[0].rooms, receiver.toString());
+    assert.equal(io.emitted[0].data.settings.isArchived, false);
+  });
+});
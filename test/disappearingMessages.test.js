@@ -0,0 +1,97 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  objectId,
+  fakeQuery,
+  fakeUser,
+  stubUsers,
+  startApp,
+} = require("./helpers");
+const DisappearingTimer = require("../models/DisappearingTimer");
+const Group = require("../models/Group");
+const {
+  DISAPPEARING_DURATIONS,
+  getMessageExpiry,
+} = require("../services/disappearingMessageService");
+const router = require("../routes/messages");
+
+describe("getMessageExpiry", () => {
+  const now = new Date("2026-05-01T10:00:00Z");
+
+  it("sets expiresAt from the conversation's timer", async (t) => {
+    const findOne = t.mock.method(DisappearingTimer, "findOne", () =>
+      fakeQuery({ duration: DISAPPEARING_DURATIONS["24h"] })
+    );
+    const group = objectId();
+    const expiresAt = await getMessageExpiry(
+      { sender: objectId(), group },
+      now
+    );
+    assert.equal(expiresAt.toISOString(), "2026-05-02T10:00:00.000Z");
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], {
+      chatKey: `group:${group}`,
+    });
+  });
+
+  it("leaves messages alone when the timer is off", async (t) => {
+    t.mock.method(DisappearingTimer, "findOne", () => fakeQuery(null));
+    const conversation = { sender: objectId(), receiver: objectId() };
+    assert.equal(await getMessageExpiry(conversation, now), undefined);
+  });
+});
+
+describe("PUT /api/messages/disappearing-timer", () => {
+  const admin = fakeUser({ name: "Admin" });
+  const member = fakeUser({ name: "Member" });
+  const group = {
+    _id: objectId(),
+    isActive: true,
+    members: [
+      { user: admin._id, role: "admin" },
+      { user: member._id, role: "member" },
+    ],
+  };
+  let app;
+  before(async () => {
+    app = await startApp("/api/messages", router);
+  });
+  after(() => app.close());
+
+  function stubGroup(t, timer) {
+    stubUsers(t, admin, member);
+    t.mock.method(Group, "findById", () => fakeQuery(group));
+    t.mock.method(DisappearingTimer, "findOne", () => fakeQuery(timer));
+  }
+
+  it("reaches the timer route, not the message edit route", async (t) => {
+    stubGroup(t, { duration: DISAPPEARING_DURATIONS["1h"] });
+    const res = await app.request("PUT", "/api/messages/disappearing-timer", {
+      user: admin,
+      body: { chatType: "group", chatId: group._id.toString(), duration: "1h" },
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, {
+      message: "Disappearing messages unchanged",
+      duration: DISAPPEARING_DURATIONS["1h"],
+    });
+  });
+
+  it("only lets group admins change the timer", async (t) => {
+    stubGroup(t, null);
+    const res = await app.request("PUT", "/api/messages/disappearing-timer", {
+      user: member,
+      body: { chatType: "group", chatId: group._id.toString(), duration: "7d" },
+    });
+    assert.equal(res.status, 403);
+  });
+
+  it("validates the duration", async (t) => {
+    stubGroup(t, null);
+    const res = await app.request("PUT", "/api/messages/disappearing-timer", {
+      user: admin,
+      body: { chatType: "group", chatId: group._id.toString(), duration: "2m" },
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.errors[0].path, "duration");
+  });
+});
@@ -0,0 +1,147 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  objectId,
+  fakeQuery,
+  fakeUser,
+  stubUsers,
+  startApp,
+} = require("./helpers");
+const Draft = require("../models/Draft");
+const Group = require("../models/Group");
+const router = require("../routes/messages");
+
+describe("drafts via POST /api/messages/chat-state", () => {
+  const alice = fakeUser({ name: "Alice" });
+  const bob = fakeUser({ name: "Bob" });
+  let app;
+  before(async () => {
+    app = await startApp("/api/messages", router);
+  });
+  after(() => app.close());
+
+  const chatState = (body) =>
+    app.request("POST", "/api/messages/chat-state", { user: alice, body });
+
+  // Draft.findOneAndUpdate answers with the saved draft
+  function stubSave(t) {
+    return t.mock.method(Draft, "findOneAndUpdate", (filter, change) =>
+      fakeQuery(new Draft({ ...filter, ...change.$set, updatedAt: new Date() }))
+    );
+  }
+
+  it("saves a draft and syncs the user's other sessions", async (t) => {
+    stubUsers(t, alice, bob);
+    const save = stubSave(t);
+    const replyTo = objectId().toString();
+
+    const res = await chatState({
+      action: "save_draft",
+      chatType: "personal",
+      chatId: bob._id.toString(),
+      draft: "See you at",
+      replyTo,
+      socketId: "tab-1",
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.draft.text, "See you at");
+    assert.equal(res.body.draft.replyTo, replyTo);
+    const [filter, change, options] = save.mock.calls[0].arguments;
+    assert.deepEqual(filter, {
+      user: alice._id,
+      chatType: "personal",
+      chatId: bob._id.toString(),
+    });
+    assert.equal(change.$set.text, "See you at");
+    assert.equal(options.upsert, true);
+    const [event] = app.io.emitted.slice(-1);
+    assert.equal(event.rooms, alice._id.toString());
+    assert.equal(event.event, "draft-updated");
+    // The session that typed it already has it
+    assert.deepEqual(event.except, ["tab-1"]);
+  });
+
+  it("clears the draft when it is saved empty", async (t) => {
+    stubUsers(t, alice, bob);
+    const save = stubSave(t);
+    const remove = t.mock.method(Draft, "findOneAndDelete", async () => ({}));
+
+    const res = await chatState({
+      action: "save_draft",
+      chatType: "personal",
+      chatId: bob._id.toString(),
+      draft: "   ",
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.draft, null);
+    assert.equal(save.mock.callCount(), 0);
+    assert.equal(remove.mock.callCount(), 1);
+    const [event] = app.io.emitted.slice(-1);
+    assert.equal(event.event, "draft-updated");
+    assert.equal(event.data.text, null);
+  });
+
+  it("sends no event when there was no draft to clear", async (t) => {
+    stubUsers(t, alice, bob);
+    t.mock.method(Draft, "findOneAndDelete", async () => null);
+    const emittedBefore = app.io.emitted.length;
+
+    const res = await chatState({
+      action: "clear_draft",
+      chatType: "personal",
+      chatId: bob._id.toString(),
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(app.io.emitted.length, emittedBefore);
+  });
+
+  it("refuses drafts for groups the user isn't in", async (t) => {
+    stubUsers(t, alice, bob);
+    const save = stubSave(t);
+    t.mock.method(Group, "findById", () =>
+      fakeQuery({ isActive: true, members: [{ user: bob._id }] })
+    );
+
+    const res = await chatState({
+      action: "save_draft",
+      chatType: "group",
+      chatId: objectId().toString(),
+      draft: "Hi all",
+    });
+
+    assert.equal(res.status, 403);
+    assert.equal(save.mock.callCount(), 0);
+  });
+
+  it("validates the draft", async (t) => {
+    stubUsers(t, alice, bob);
+    const save = stubSave(t);
+    const target = { chatType: "personal", chatId: bob._id.toString() };
+
+    const tooLong = await chatState({
+      action: "save_draft",
+      ...target,
+      draft: "x".repeat(10001),
+    });
+    const badReply = await chatState({
+      action: "save_draft",
+      ...target,
+      draft: "Hi",
+      replyTo: "nope",
+    });
+    const badChat = await chatState({
+      action: "save_draft",
+      chatType: "channel",
+      chatId: bob._id.toString(),
+      draft: "Hi",
+    });
+
+    assert.equal(tooLong.status, 400);
+    assert.equal(badReply.status, 400);
+    assert.equal(badChat.status, 400);
+    assert.equal(save.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,56 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { objectId, fakeQuery, startApp } = require("./helpers");
+const ConversationExport = require("../models/ConversationExport");
+const router = require("../routes/exports");
+
+describe("GET /api/exports/:id/download", () => {
+  let app;
+  before(async () => {
+    app = await startApp("/api/exports", router);
+  });
+  after(() => app.close());
+
+  function stubJob(t, fields = {}) {
+    const job = new ConversationExport({
+      requestedBy: objectId(),
+      chatType: "group",
+      chatId: objectId(),
+      downloadToken: crypto.randomBytes(24).toString("hex"),
+      ...fields,
+    });
+    t.mock.method(ConversationExport, "findById", () => fakeQuery(job));
+    return job;
+  }
+
+  it("refuses a wrong token of the same length in other bytes", async (t) => {
+    const job = stubJob(t);
+    // Same string length as the real token, twice the byte length
+    const token = encodeURIComponent("é".repeat(job.downloadToken.length));
+
+    const res = await app.request(
+      "GET",
+      `/api/exports/${job._id}/download?token=${token}`
+    );
+
+    assert.equal(res.status, 404);
+    assert.equal(res.body.message, "Export not found");
+  });
+
+  it("refuses a missing token", async (t) => {
+    const job = stubJob(t);
+    const res = await app.request("GET", `/api/exports/${job._id}/download`);
+    assert.equal(res.status, 404);
+  });
+
+  it("accepts the right token", async (t) => {
+    const job = stubJob(t, { status: "processing" });
+    const res = await app.request(
+      "GET",
+      `/api/exports/${job._id}/download?token=${job.downloadToken}`
+    );
+    assert.equal(res.status, 409);
+    assert.equal(res.body.message, "Export is not ready yet");
+  });
+});
@@ -0,0 +1,57 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { canPostInGroup } = require("../services/groupService");
+
+const adminId = new mongoose.Types.ObjectId();
+const posterId = new mongoose.Types.ObjectId();
+const memberId = new mongoose.Types.ObjectId();
+
+function group(fields = {}) {
+  return {
+    isAnnouncement: true,
+    members: [
+      { user: adminId, role: "admin" },
+      { user: posterId, role: "member" },
+      { user: memberId, role: "member" },
+    ],
+    announcementPosters: [posterId],
+    ...fields,
+  };
+}
+
+describe("canPostInGroup", () => {
+  it("lets every member post in regular groups", () => {
+    assert.equal(
+      canPostInGroup(group({ isAnnouncement: false }), memberId),
+      true
+    );
+  });
+
+  it("lets admins and designated posters post in announcement channels", () => {
+    assert.equal(canPostInGroup(group(), adminId), true);
+    assert.equal(canPostInGroup(group(), posterId.toString()), true);
+  });
+
+  it("stops other members from posting in announcement channels", () => {
+    assert.equal(canPostInGroup(group(), memberId), false);
+    assert.equal(
+      canPostInGroup(group({ announcementPosters: [] }), posterId),
+      false
+    );
+  });
+
+  it("works with populated members and posters", () => {
+    const populated = group({
+      members: [{ user: { _id: adminId, name: "Admin" }, role: "admin" }],
+      announcementPosters: [{ _id: posterId, name: "Poster" }],
+    });
+    assert.equal(canPostInGroup(populated, adminId), true);
+    assert.equal(canPostInGroup(populated, { _id: posterId }), true);
+    assert.equal(canPostInGroup(populated, memberId), false);
+  });
+
+  it("handles groups without member or poster lists", () => {
+    assert.equal(canPostInGroup({ isAnnouncement: true }, adminId), false);
+  });
+});
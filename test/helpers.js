@@ -0,0 +1,126 @@
+const mongoose = require("mongoose");
+
+// No database in tests: a query a test didn't stub fails at once instead of
+// waiting for a connection. Set before any model is loaded.
+mongoose.set("bufferCommands", false);
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+
+// Shared helpers for route tests: a router mounted in its own Express app,
+// signed-in users and stand-ins for mongoose queries.
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+// A query that resolves to result. Chained calls (select, populate, sort...)
+// return the same query.
+function fakeQuery(result) {
+  const query = {
+    exec: () => Promise.resolve(result),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    catch: (reject) => Promise.resolve(result).catch(reject),
+  };
+  for (const name of [
+    "select",
+    "populate",
+    "lean",
+    "sort",
+    "limit",
+    "skip",
+    "session",
+  ]) {
+    query[name] = () => query;
+  }
+  return query;
+}
+
+// An active user the auth middleware accepts
+function fakeUser(fields = {}) {
+  return {
+    _id: objectId(),
+    name: "Test User",
+    email: "test@example.com",
+    role: "user",
+    isActive: true,
+    ...fields,
+  };
+}
+
+// User.findById (auth and the routes) finds only the given users
+function stubUsers(t, ...users) {
+  t.mock.method(User, "findById", (id) =>
+    fakeQuery(users.find((user) => user._id.toString() === String(id)) || null)
+  );
+}
+
+// Socket.io stand-in that records what was emitted to which rooms
+function fakeIo() {
+  const emitted = [];
+  const to = (rooms, except) => ({
+    to: (more) => to([].concat(rooms, more), except),
+    except: (ids) => to(rooms, [].concat(except || [], ids)),
+    emit: (event, data) =>
+      emitted.push({ rooms, event, data, ...(except && { except }) }),
+  });
+  return { emitted, to, emit: (event, data) => to(null).emit(event, data) };
+}
+
+// Serve router at mountPath on a random local port
+async function startApp(mountPath, router) {
+  const io = fakeIo();
+  const app = express();
+  app.use(express.json());
+  app.set("io", io);
+  app.set("activeUsers", new Map());
+  app.use(mountPath, router);
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    io,
+    // { status, body } of a JSON request, signed in as user when given
+    async request(method, url, { user, body, headers = {} } = {}) {
+      if (user) {
+        const token = jwt.sign(
+          { userId: user._id.toString() },
+          process.env.JWT_SECRET
+        );
+        headers = { ...headers, Authorization: `Bearer ${token}` };
+      }
+      if (body !== undefined) {
+        headers = { ...headers, "Content-Type": "application/json" };
+      }
+      const response = await fetch(base + url, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+      const text = await response.text();
+      let json = null;
+      try {
+        json = text ? JSON.parse(text) : null;
+      } catch (error) {
+        json = text;
+      }
+      return { status: response.status, headers: response.headers, body: json };
+    },
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+module.exports = {
+  objectId,
+  fakeQuery,
+  fakeUser,
+  stubUsers,
+  fakeIo,
+  startApp,
+};
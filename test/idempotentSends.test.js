@@ -0,0 +1,159 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  objectId,
+  fakeQuery,
+  fakeUser,
+  fakeIo,
+  stubUsers,
+  startApp,
+} = require("./helpers");
+const DisappearingTimer = require("../models/DisappearingTimer");
+const Message = require("../models/Message");
+const { dispatchPersonalMessage } = require("../services/messageDispatch");
+const router = require("../routes/messages");
+
+describe("dispatchPersonalMessage with a clientId", () => {
+  const sender = objectId();
+  const receiver = objectId();
+  const messageData = {
+    sender,
+    receiver,
+    message: "On my way",
+    messageType: "text",
+    clientId: "c-42",
+  };
+  const saved = () =>
+    new Message({ ...messageData, createdAt: new Date("2026-03-01") });
+  beforeEach((t) => {
+    t.mock.method(console, "log", () => {});
+  });
+
+  it("returns the saved message for a retry and sends nothing", async (t) => {
+    const existing = saved();
+    const findOne = t.mock.method(Message, "findOne", () =>
+      fakeQuery(existing)
+    );
+    const save = t.mock.method(Message.prototype, "save");
+    const io = fakeIo();
+
+    const result = await dispatchPersonalMessage({
+      io,
+      activeUsers: new Map(),
+      messageData,
+    });
+
+    assert.equal(result.duplicate, true);
+    assert.equal(result.newMessage, existing);
+    assert.equal(result.confirmationMessage.clientId, "c-42");
+    assert.equal(result.confirmationMessage.receiver, receiver.toString());
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], {
+      sender,
+      clientId: "c-42",
+    });
+    assert.equal(save.mock.callCount(), 0);
+    assert.equal(io.emitted.length, 0);
+  });
+
+  it("returns the winner when a concurrent retry saved first", async (t) => {
+    const winner = saved();
+    let lookups = 0;
+    t.mock.method(Message, "findOne", () =>
+      fakeQuery(lookups++ === 0 ? null : winner)
+    );
+    t.mock.method(DisappearingTimer, "findOne", () => fakeQuery(null));
+    t.mock.method(Message.prototype, "save", async () => {
+      throw Object.assign(new Error("E11000 duplicate key"), {
+        code: 11000,
+        keyPattern: { sender: 1, clientId: 1 },
+      });
+    });
+    const io = fakeIo();
+
+    const result = await dispatchPersonalMessage({
+      io,
+      activeUsers: new Map(),
+      messageData,
+    });
+
+    assert.equal(result.duplicate, true);
+    assert.equal(result.newMessage, winner);
+    assert.equal(io.emitted.length, 0);
+  });
+
+  it("rethrows other duplicate key errors", async (t) => {
+    t.mock.method(Message, "findOne", () => fakeQuery(null));
+    t.mock.method(DisappearingTimer, "findOne", () => fakeQuery(null));
+    t.mock.method(Message.prototype, "save", async () => {
+      throw Object.assign(new Error("E11000 duplicate key"), {
+        code: 11000,
+        keyPattern: { _id: 1 },
+      });
+    });
+
+    await assert.rejects(
+      dispatchPersonalMessage({
+        io: fakeIo(),
+        activeUsers: new Map(),
+        messageData,
+      }),
+      /duplicate key/
+    );
+  });
+});
+
+describe("POST /api/messages/personal with a clientId", () => {
+  const alice = fakeUser({ name: "Alice" });
+  const bob = fakeUser({ name: "Bob" });
+  let app;
+  before(async () => {
+    app = await startApp("/api/messages", router);
+  });
+  after(() => app.close());
+
+  it("answers a retry with the message already sent", async (t) => {
+    stubUsers(t, alice, bob);
+    const existing = new Message({
+      sender: alice._id,
+      receiver: bob._id,
+      message: "On my way",
+      clientId: "c-42",
+    });
+    const findOne = t.mock.method(Message, "findOne", () =>
+      fakeQuery(existing)
+    );
+    const save = t.mock.method(Message.prototype, "save");
+
+    const res = await app.request("POST", "/api/messages/personal", {
+      user: alice,
+      body: {
+        receiver: bob._id.toString(),
+        message: "On my way",
+        clientId: " c-42 ",
+      },
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.duplicate, true);
+    assert.equal(res.body.data._id, existing._id.toString());
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], {
+      sender: alice._id,
+      clientId: "c-42",
+    });
+    assert.equal(save.mock.callCount(), 0);
+    assert.equal(app.io.emitted.length, 0);
+  });
+
+  it("rejects overlong client ids", async (t) => {
+    stubUsers(t, alice, bob);
+    const res = await app.request("POST", "/api/messages/personal", {
+      user: alice,
+      body: {
+        receiver: bob._id.toString(),
+        message: "Hi",
+        clientId: "x".repeat(101),
+      },
+    });
+    assert.equal(res.status, 400);
+  });
+});
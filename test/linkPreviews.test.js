@@ -0,0 +1,211 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { objectId, fakeQuery, fakeIo } = require("./helpers");
+const Message = require("../models/Message");
+const {
+  extractFirstUrl,
+  isPrivateAddress,
+  parseMetadata,
+  getLinkPreview,
+  attachLinkPreview,
+  setLinkPreviewFetcher,
+} = require("../services/linkPreviewService");
+
+const PAGE = `<!doctype html><html><head>
+  <title>Fallback title</title>
+  <meta property="og:title" content="Quarterly report &amp; plans">
+  <meta name="description" content="Numbers for Q3">
+  <meta property="og:image" content="/cover.png">
+  <meta property="og:site_name" content="Intranet">
+</head><body>Hello</body></html>`;
+
+// Local HTTP stub counting the requests it serves
+function startStub() {
+  const stub = { requests: 0 };
+  stub.server = http.createServer((req, res) => {
+    stub.requests++;
+    res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+    res.end(PAGE);
+  });
+  return new Promise((resolve) => {
+    stub.server.listen(0, "127.0.0.1", () => {
+      stub.port = stub.server.address().port;
+      resolve(stub);
+    });
+  });
+}
+
+// Fetcher for tests: plain GET, no address checks
+function stubFetcher(url) {
+  return new Promise((resolve, reject) => {
+    http
+      .get(url, (res) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () =>
+          resolve({
+            url,
+            contentType: res.headers["content-type"],
+            body: Buffer.concat(chunks).toString("utf8"),
+          })
+        );
+      })
+      .on("error", reject);
+  });
+}
+
+describe("extractFirstUrl", () => {
+  it("finds the first http(s) URL without trailing punctuation", () => {
+    assert.equal(
+      extractFirstUrl("see https://example.com/a?b=1). and http://x.org"),
+      "https://example.com/a?b=1"
+    );
+    assert.equal(extractFirstUrl("ftp://example.com and no link"), null);
+    assert.equal(extractFirstUrl(""), null);
+  });
+});
+
+describe("parseMetadata", () => {
+  it("prefers OpenGraph tags and resolves the image URL", () => {
+    assert.deepEqual(parseMetadata(PAGE, "https://intra.example.com/q3"), {
+      title: "Quarterly report & plans",
+      description: "Numbers for Q3",
+      image: "https://intra.example.com/cover.png",
+      siteName: "Intranet",
+    });
+  });
+
+  it("drops non-http images", () => {
+    const html = '<meta property="og:image" content="javascript:alert(1)">';
+    assert.equal(parseMetadata(html, "https://example.com").image, null);
+  });
+});
+
+describe("isPrivateAddress", () => {
+  it("refuses internal IPv4 addresses", () => {
+    for (const ip of ["127.0.0.1", "10.2.3.4", "172.16.0.1", "192.168.1.1"]) {
+      assert.equal(isPrivateAddress(ip), true, ip);
+    }
+    for (const ip of ["169.254.169.254", "100.64.0.1", "0.0.0.0"]) {
+      assert.equal(isPrivateAddress(ip), true, ip);
+    }
+  });
+
+  it("refuses internal IPv6 addresses in any spelling", () => {
+    for (const ip of [
+      "::1",
+      "::",
+      "0:0:0:0:0:0:0:1",
+      "::ffff:127.0.0.1",
+      "::ffff:7f00:1", // How URL parsing writes ::ffff:127.0.0.1
+      "::ffff:a00:1",
+      "::7f00:1", // IPv4-compatible
+      "64:ff9b::a9fe:a9fe", // NAT64
+      "fd12:3456::1",
+      "fe80::1",
+      "ff02::1",
+    ]) {
+      assert.equal(isPrivateAddress(ip), true, ip);
+    }
+  });
+
+  it("allows public addresses", () => {
+    for (const ip of ["8.8.8.8", "172.32.0.1", "2606:4700:4700::1111"]) {
+      assert.equal(isPrivateAddress(ip), false, ip);
+    }
+  });
+
+  it("refuses anything that isn't an IP", () => {
+    assert.equal(isPrivateAddress("localhost"), true);
+  });
+});
+
+describe("getLinkPreview", () => {
+  let stub;
+  before(async () => {
+    stub = await startStub();
+  });
+  after(() => {
+    setLinkPreviewFetcher(null);
+    return new Promise((resolve) => stub.server.close(resolve));
+  });
+  beforeEach(() => {
+    stub.requests = 0;
+  });
+
+  it("fetches a local stub through a custom fetcher and caches it", async () => {
+    setLinkPreviewFetcher(stubFetcher);
+    const url = `http://127.0.0.1:${stub.port}/q3`;
+
+    const preview = await getLinkPreview(url);
+    assert.equal(preview.title, "Quarterly report & plans");
+    assert.equal(preview.image, `http://127.0.0.1:${stub.port}/cover.png`);
+
+    await Promise.all([getLinkPreview(url), getLinkPreview(url)]);
+    assert.equal(stub.requests, 1);
+  });
+
+  it("keeps the default fetcher away from internal addresses", async (t) => {
+    const log = t.mock.method(console, "log", () => {});
+    setLinkPreviewFetcher(null);
+    for (const host of [
+      "127.0.0.1",
+      "[::ffff:127.0.0.1]",
+      "[::ffff:7f00:1]",
+      "[::1]",
+      "localhost",
+    ]) {
+      assert.equal(
+        await getLinkPreview(`http://${host}:${stub.port}/`),
+        null,
+        host
+      );
+    }
+    assert.equal(stub.requests, 0);
+    assert.match(log.mock.calls[0].arguments[1], /internal address/);
+  });
+});
+
+describe("attachLinkPreview", () => {
+  after(() => setLinkPreviewFetcher(null));
+
+  it("stores the preview and tells the chat", async (t) => {
+    setLinkPreviewFetcher(async (url) => ({
+      url,
+      contentType: "text/html",
+      body: PAGE,
+    }));
+    const message = new Message({
+      sender: objectId(),
+      group: objectId(),
+      message: "Read https://intra.example.com/q3 before the call",
+    });
+    const update = t.mock.method(
+      Message,
+      "findOneAndUpdate",
+      (filter, change) =>
+        fakeQuery(Object.assign(new Message(message.toObject()), change.$set))
+    );
+    const io = fakeIo();
+
+    const preview = await attachLinkPreview({ io, message });
+
+    assert.equal(preview.title, "Quarterly report & plans");
+    const [filter] = update.mock.calls[0].arguments;
+    // Not attached if the message was edited or deleted meanwhile
+    assert.equal(filter.message, message.message);
+    assert.deepEqual(filter.isDeleted, { $ne: true });
+    assert.deepEqual(
+      io.emitted.map(({ rooms, event }) => [rooms, event]),
+      [[message.group.toString(), "message-link-preview"]]
+    );
+  });
+
+  it("skips messages without links", async (t) => {
+    const update = t.mock.method(Message, "findOneAndUpdate");
+    const message = new Message({ sender: objectId(), message: "no link" });
+    assert.equal(await attachLinkPreview({ io: fakeIo(), message }), null);
+    assert.equal(update.mock.callCount(), 0);
+  });
+});
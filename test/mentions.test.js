@@ -0,0 +1,112 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { objectId, fakeQuery, fakeIo } = require("./helpers");
+const Group = require("../models/Group");
+const User = require("../models/User");
+const {
+  extractMentionTokens,
+  resolveMentions,
+  notifyMentionedUsers,
+} = require("../services/mentionService");
+
+const ravi = { _id: objectId(), name: "Ravi Kumar", email: "rk@example.com" };
+const ravindra = {
+  _id: objectId(),
+  name: "Ravi Shah",
+  email: "rs@example.com",
+};
+const maya = { _id: objectId(), name: "Maya Lin", email: "maya@example.com" };
+const sam = { _id: objectId(), name: "Sam Ortiz", email: "sam@example.com" };
+
+describe("extractMentionTokens", () => {
+  it("finds @tokens without trailing punctuation or emails", () => {
+    assert.deepEqual(
+      [...extractMentionTokens("thanks @Ravi. cc @maya_lin, mail a@b.com @")],
+      ["ravi", "maya_lin"]
+    );
+    assert.equal(extractMentionTokens("").size, 0);
+  });
+});
+
+describe("resolveMentions", () => {
+  // Group of everyone above with Maya as the only admin
+  function stubGroup(t) {
+    t.mock.method(Group, "findById", () =>
+      fakeQuery({
+        members: [ravi, ravindra, maya, sam].map((user) => ({
+          user,
+          role: user === maya ? "admin" : "member",
+        })),
+      })
+    );
+  }
+  const inGroup = { sender: sam._id, group: objectId() };
+  const resolve = (text) => resolveMentions(text, inGroup);
+
+  it("matches full names, email names and unique first names", async (t) => {
+    stubGroup(t);
+    assert.deepEqual(await resolve("@RaviKumar @rs @maya"), [
+      ravi._id.toString(),
+      ravindra._id.toString(),
+      maya._id.toString(),
+    ]);
+    assert.deepEqual(await resolve(`@${ravi._id}`), [ravi._id.toString()]);
+  });
+
+  it("skips ambiguous first names and the sender", async (t) => {
+    stubGroup(t);
+    assert.deepEqual(await resolve("@ravi @sam"), []);
+  });
+
+  it("expands @all and @admins", async (t) => {
+    stubGroup(t);
+    assert.deepEqual(
+      (await resolve("@all")).sort(),
+      [ravi, ravindra, maya].map((user) => user._id.toString()).sort()
+    );
+    assert.deepEqual(await resolve("@admins"), [maya._id.toString()]);
+  });
+
+  it("only matches the receiver in a personal chat", async (t) => {
+    t.mock.method(User, "findById", () => fakeQuery(maya));
+    assert.deepEqual(
+      await resolveMentions("@maya @rs @admins", {
+        sender: sam._id,
+        receiver: maya._id,
+      }),
+      [maya._id.toString()]
+    );
+  });
+});
+
+describe("notifyMentionedUsers", () => {
+  it("emits a mention event to each mentioned user", () => {
+    const io = fakeIo();
+    const groupId = objectId();
+    const message = {
+      _id: objectId(),
+      sender: { _id: sam._id, name: "Sam Ortiz" },
+      group: groupId,
+      message: "@maya @rs ready?",
+      messageType: "text",
+      mentions: [maya._id, ravindra._id],
+    };
+    const activeUsers = new Map([
+      [maya._id.toString(), "socket"],
+      [ravindra._id.toString(), "socket"],
+    ]);
+
+    notifyMentionedUsers({ io, activeUsers, message, groupName: "Ops" });
+
+    assert.deepEqual(
+      io.emitted.map(({ rooms, event }) => [rooms, event]),
+      [
+        [maya._id.toString(), "mention"],
+        [ravindra._id.toString(), "mention"],
+      ]
+    );
+    assert.equal(io.emitted[0].data.groupId, groupId);
+    assert.equal(io.emitted[0].data.groupName, "Ops");
+    assert.equal(io.emitted[0].data.message, "@maya @rs ready?");
+  });
+});
@@ -0,0 +1,87 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { fakeQuery, fakeUser, stubUsers, startApp } = require("./helpers");
+const Message = require("../models/Message");
+const StarredMessage = require("../models/StarredMessage");
+const router = require("../routes/messages");
+
+describe("DELETE /api/messages/:id", () => {
+  const alice = fakeUser({ name: "Alice" });
+  const bob = fakeUser({ name: "Bob" });
+  let app;
+  before(async () => {
+    app = await startApp("/api/messages", router);
+  });
+  after(() => app.close());
+
+  function stubMessage(t, fields = {}) {
+    const msg = new Message({
+      sender: alice._id,
+      receiver: bob._id,
+      message: "Draft numbers",
+      ...fields,
+    });
+    t.mock.method(Message, "findById", () => fakeQuery(msg));
+    t.mock.method(StarredMessage, "deleteOne", async () => ({}));
+    t.mock.method(console, "error", () => {});
+    return msg;
+  }
+
+  it("hides a message for the caller only with mode=me", async (t) => {
+    stubUsers(t, alice, bob);
+    const msg = stubMessage(t);
+    const update = t.mock.method(Message, "updateOne", async () => ({}));
+    const save = t.mock.method(Message.prototype, "save");
+
+    const res = await app.request(
+      "DELETE",
+      `/api/messages/${msg._id}?mode=me`,
+      { user: bob }
+    );
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.message, "Deleted for you");
+    assert.deepEqual(update.mock.calls[0].arguments, [
+      { _id: msg._id },
+      { $addToSet: { hiddenFor: bob._id } },
+    ]);
+    assert.equal(save.mock.callCount(), 0);
+    assert.deepEqual(
+      app.io.emitted.map(({ rooms, event }) => [rooms, event]),
+      [[bob._id.toString(), "message-hidden"]]
+    );
+  });
+
+  it("only lets the sender delete a personal message for everyone", async (t) => {
+    stubUsers(t, alice, bob);
+    const msg = stubMessage(t);
+    const save = t.mock.method(Message.prototype, "save");
+
+    const res = await app.request("DELETE", `/api/messages/${msg._id}`, {
+      user: bob,
+    });
+
+    assert.equal(res.status, 403);
+    assert.equal(save.mock.callCount(), 0);
+  });
+
+  it("rejects unknown modes", async (t) => {
+    stubUsers(t, alice, bob);
+    const msg = stubMessage(t);
+    const res = await app.request(
+      "DELETE",
+      `/api/messages/${msg._id}?mode=nobody`,
+      { user: alice }
+    );
+    assert.equal(res.status, 400);
+  });
+
+  it("won't delete an already deleted message again", async (t) => {
+    stubUsers(t, alice, bob);
+    const msg = stubMessage(t, { isDeleted: true });
+    const res = await app.request("DELETE", `/api/messages/${msg._id}`, {
+      user: alice,
+    });
+    assert.equal(res.status, 400);
+  });
+});
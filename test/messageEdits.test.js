@@ -0,0 +1,155 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  objectId,
+  fakeQuery,
+  fakeUser,
+  stubUsers,
+  startApp,
+} = require("./helpers");
+const Counter = require("../models/Counter");
+const Group = require("../models/Group");
+const Message = require("../models/Message");
+const SyncEvent = require("../models/SyncEvent");
+const router = require("../routes/messages");
+
+describe("message edits", () => {
+  const alice = fakeUser({ name: "Alice" });
+  const bob = fakeUser({ name: "Bob" });
+  const carol = fakeUser({ name: "Carol" });
+  let app;
+  before(async () => {
+    app = await startApp("/api/messages", router);
+  });
+  after(() => app.close());
+
+  function stubMessage(t, fields = {}) {
+    stubUsers(t, alice, bob, carol);
+    const msg = new Message({
+      sender: alice._id,
+      receiver: bob._id,
+      message: "Meet at 3",
+      createdAt: new Date("2026-03-01T09:00:00Z"),
+      ...fields,
+    });
+    t.mock.method(Message, "findById", () => fakeQuery(msg));
+    t.mock.method(Counter, "next", async () => 1);
+    t.mock.method(SyncEvent, "create", async () => ({}));
+    t.mock.method(console, "error", () => {});
+    return {
+      msg,
+      save: t.mock.method(Message.prototype, "save", async () => {}),
+    };
+  }
+
+  it("keeps the replaced text as a revision", async (t) => {
+    const { msg, save } = stubMessage(t);
+
+    const res = await app.request("PUT", `/api/messages/${msg._id}`, {
+      user: alice,
+      body: { message: " Meet at 4 " },
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(save.mock.callCount(), 1);
+    assert.equal(msg.message, "Meet at 4");
+    assert.equal(msg.editHistory.length, 1);
+    assert.equal(msg.editHistory[0].message, "Meet at 3");
+    assert.equal(msg.editHistory[0].editedAt.getTime(), msg.editedAt.getTime());
+    assert.deepEqual(
+      app.io.emitted.map(({ rooms, event }) => [rooms, event]).pop(),
+      [bob._id.toString(), "receive-message"]
+    );
+  });
+
+  it("adds no revision when the text is unchanged", async (t) => {
+    const { msg, save } = stubMessage(t);
+    const res = await app.request("PUT", `/api/messages/${msg._id}`, {
+      user: alice,
+      body: { message: "Meet at 3" },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(save.mock.callCount(), 0);
+    assert.equal(msg.editHistory.length, 0);
+  });
+
+  it("only lets the sender edit text messages", async (t) => {
+    const { msg, save } = stubMessage(t);
+    const res = await app.request("PUT", `/api/messages/${msg._id}`, {
+      user: bob,
+      body: { message: "Meet never" },
+    });
+    assert.equal(res.status, 403);
+
+    msg.messageType = "poll";
+    const poll = await app.request("PUT", `/api/messages/${msg._id}`, {
+      user: alice,
+      body: { message: "Meet never" },
+    });
+    assert.equal(poll.status, 400);
+    assert.equal(save.mock.callCount(), 0);
+  });
+
+  it("lists revisions with the period each was shown", async (t) => {
+    const first = new Date("2026-03-01T09:05:00Z");
+    const second = new Date("2026-03-01T09:10:00Z");
+    const { msg } = stubMessage(t, {
+      message: "Meet at 5",
+      editedAt: second,
+      editHistory: [
+        { message: "Meet at 3", editedAt: first },
+        { message: "Meet at 4", editedAt: second },
+      ],
+    });
+
+    const res = await app.request("GET", `/api/messages/${msg._id}/revisions`, {
+      user: alice,
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.isEdited, true);
+    assert.deepEqual(res.body.current, {
+      message: "Meet at 5",
+      from: second.toISOString(),
+    });
+    assert.deepEqual(res.body.revisions, [
+      {
+        message: "Meet at 3",
+        from: msg.createdAt.toISOString(),
+        to: first.toISOString(),
+      },
+      {
+        message: "Meet at 4",
+        from: first.toISOString(),
+        to: second.toISOString(),
+      },
+    ]);
+  });
+
+  it("shows group revisions to the sender and group admins only", async (t) => {
+    const { msg } = stubMessage(t, { receiver: null, group: objectId() });
+    t.mock.method(Group, "findById", () =>
+      fakeQuery({
+        members: [
+          { user: alice._id, role: "member" },
+          { user: bob._id, role: "admin" },
+          { user: carol._id, role: "member" },
+        ],
+      })
+    );
+
+    const admin = await app.request(
+      "GET",
+      `/api/messages/${msg._id}/revisions`,
+      { user: bob }
+    );
+    const member = await app.request(
+      "GET",
+      `/api/messages/${msg._id}/revisions`,
+      { user: carol }
+    );
+
+    assert.equal(admin.status, 200);
+    assert.equal(member.status, 403);
+  });
+});
@@ -0,0 +1,238 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const cloudinary = require("cloudinary").v2;
+const { objectId, fakeQuery } = require("./helpers");
+const Group = require("../models/Group");
+const Message = require("../models/Message");
+const googleDriveService = require("../services/googleDrive");
+const {
+  getFileLocation,
+  isStoredFileUrl,
+  deleteMessageFile,
+} = require("../services/messageFiles");
+
+const GRIDFS_ID = "65f1c0ffee0000000000abcd";
+const CLOUDINARY_URL =
+  "https://res.cloudinary.com/demo/image/upload/v123/chat-messages/report.png";
+
+describe("getFileLocation", () => {
+  it("reads GridFS ids case-insensitively", () => {
+    const location = { provider: "gridfs", id: GRIDFS_ID };
+    assert.deepEqual(
+      getFileLocation({ fileUrl: `/api/messages/file/${GRIDFS_ID}` }),
+      location
+    );
+    assert.deepEqual(
+      getFileLocation({
+        fileUrl: `/api/messages/file/${GRIDFS_ID.toUpperCase()}`,
+      }),
+      location
+    );
+  });
+
+  it("only accepts local files in the form the upload route writes", () => {
+    const location = getFileLocation({
+      fileUrl: "/uploads/messages/message-1-2.pdf",
+    });
+    assert.equal(location.provider, "local");
+    assert.equal(location.id, "message-1-2.pdf");
+    for (const fileUrl of [
+      "/uploads/messages/./message-1-2.pdf",
+      "/uploads/messages/../../server.js",
+      "/uploads/messages/a/message-1-2.pdf",
+      "/uploads/messages/.env",
+    ]) {
+      assert.equal(getFileLocation({ fileUrl }), null, fileUrl);
+    }
+  });
+
+  it("uses only the stored Cloudinary public id", () => {
+    assert.deepEqual(getFileLocation({ fileUrl: CLOUDINARY_URL }), {
+      provider: "cloudinary",
+      id: null,
+      resourceType: "image",
+    });
+    assert.deepEqual(
+      getFileLocation({
+        fileUrl: CLOUDINARY_URL,
+        cloudinaryPublicId: "chat-messages/report",
+        cloudinaryResourceType: "raw",
+      }),
+      {
+        provider: "cloudinary",
+        id: "chat-messages/report",
+        resourceType: "raw",
+      }
+    );
+  });
+
+  it("uses the stored Google Drive id", () => {
+    assert.deepEqual(
+      getFileLocation({
+        fileUrl: "https://drive.google.com/uc?id=abc",
+        isGoogleDrive: true,
+        googleDriveId: "abc",
+      }),
+      { provider: "googleDrive", id: "abc" }
+    );
+    assert.equal(
+      getFileLocation({ fileUrl: "https://drive.google.com/uc?id=abc" }),
+      null
+    );
+  });
+
+  it("ignores other URLs", () => {
+    for (const fileUrl of [
+      "http://res.cloudinary.com/demo/image/upload/x.png",
+      "https://res.cloudinary.com.evil.test/x.png",
+      "http://169.254.169.254/latest/meta-data",
+      "",
+    ]) {
+      assert.equal(getFileLocation({ fileUrl }), null, fileUrl);
+    }
+  });
+});
+
+describe("isStoredFileUrl", () => {
+  const userId = objectId();
+  const groupId = objectId();
+
+  it("rejects URLs that aren't a stored file without a lookup", async (t) => {
+    const findOne = t.mock.method(Message, "findOne");
+    assert.equal(
+      await isStoredFileUrl("/uploads/messages/./x.pdf", userId),
+      false
+    );
+    assert.equal(
+      await isStoredFileUrl("https://example.com/x.png", userId),
+      false
+    );
+    assert.equal(await isStoredFileUrl(null, userId), false);
+    assert.equal(findOne.mock.callCount(), 0);
+  });
+
+  it("accepts a file sent in one of the user's chats", async (t) => {
+    t.mock.method(Group, "find", () => fakeQuery([{ _id: groupId }]));
+    const findOne = t.mock.method(Message, "findOne", () =>
+      fakeQuery({ fileUrl: CLOUDINARY_URL })
+    );
+    assert.equal(await isStoredFileUrl(CLOUDINARY_URL, userId), true);
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], {
+      fileUrl: CLOUDINARY_URL,
+      isDeleted: { $ne: true },
+      $or: [
+        { sender: userId },
+        { receiver: userId },
+        { group: { $in: [groupId] } },
+      ],
+    });
+  });
+
+  it("rejects files the user has no access to", async (t) => {
+    t.mock.method(Group, "find", () => fakeQuery([]));
+    t.mock.method(Message, "findOne", () => fakeQuery(null));
+    assert.equal(await isStoredFileUrl(CLOUDINARY_URL, userId), false);
+  });
+});
+
+describe("deleteMessageFile", () => {
+  const uploads = path.join(__dirname, "../uploads/messages");
+  const fileName = `message-test-${process.pid}.txt`;
+  const filePath = path.join(uploads, fileName);
+  before(() => {
+    fs.mkdirSync(uploads, { recursive: true });
+  });
+  after(() => {
+    fs.rmSync(filePath, { force: true });
+  });
+
+  it("keeps a file another message uses under any spelling", async (t) => {
+    const exists = t.mock.method(Message, "exists", async () => ({
+      _id: objectId(),
+    }));
+    t.mock.method(console, "log", () => {});
+    const msg = {
+      _id: objectId(),
+      fileUrl: `/api/messages/file/${GRIDFS_ID.toUpperCase()}`,
+    };
+
+    assert.equal(await deleteMessageFile(msg), false);
+    const filter = exists.mock.calls[0].arguments[0];
+    assert.deepEqual(filter._id, { $ne: msg._id });
+    const spelling = filter.$or[1].fileUrl;
+    assert.match(
+      `/api/messages/file/${GRIDFS_ID}`,
+      new RegExp(spelling.$regex, spelling.$options)
+    );
+  });
+
+  it("removes a local file nobody else uses", async (t) => {
+    fs.writeFileSync(filePath, "report");
+    t.mock.method(Message, "exists", async () => null);
+    t.mock.method(console, "log", () => {});
+
+    const msg = { _id: objectId(), fileUrl: `/uploads/messages/${fileName}` };
+    assert.equal(await deleteMessageFile(msg), true);
+    assert.equal(fs.existsSync(filePath), false);
+  });
+
+  it("never deletes Cloudinary files by an id parsed from the URL", async (t) => {
+    const exists = t.mock.method(Message, "exists", async () => null);
+    const destroy = t.mock.method(cloudinary.uploader, "destroy", async () => ({
+      result: "ok",
+    }));
+
+    assert.equal(
+      await deleteMessageFile({ _id: objectId(), fileUrl: CLOUDINARY_URL }),
+      false
+    );
+    assert.equal(exists.mock.callCount(), 0);
+    assert.equal(destroy.mock.callCount(), 0);
+  });
+
+  it("deletes Cloudinary files by their stored public id", async (t) => {
+    const exists = t.mock.method(Message, "exists", async () => null);
+    const destroy = t.mock.method(cloudinary.uploader, "destroy", async () => ({
+      result: "ok",
+    }));
+    t.mock.method(console, "log", () => {});
+    const msg = {
+      _id: objectId(),
+      fileUrl: CLOUDINARY_URL,
+      cloudinaryPublicId: "chat-messages/report",
+      cloudinaryResourceType: "image",
+    };
+
+    assert.equal(await deleteMessageFile(msg), true);
+    assert.deepEqual(destroy.mock.calls[0].arguments, [
+      "chat-messages/report",
+      { resource_type: "image" },
+    ]);
+    // Copies are found by public id as well as by URL
+    assert.deepEqual(exists.mock.calls[0].arguments[0].$or, [
+      { fileUrl: CLOUDINARY_URL },
+      { cloudinaryPublicId: "chat-messages/report" },
+    ]);
+  });
+
+  it("deletes Google Drive files by their stored id", async (t) => {
+    t.mock.method(Message, "exists", async () => null);
+    const remove = t.mock.method(
+      googleDriveService,
+      "deleteFile",
+      async () => {}
+    );
+    t.mock.method(console, "log", () => {});
+
+    const msg = {
+      _id: objectId(),
+      fileUrl: "https://drive.google.com/uc?id=abc",
+      isGoogleDrive: true,
+      googleDriveId: "abc",
+    };
+    assert.equal(await deleteMessageFile(msg), true);
+    assert.deepEqual(remove.mock.calls[0].arguments, ["abc"]);
+  });
+});
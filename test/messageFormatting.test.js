@@ -0,0 +1,82 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  MAX_MESSAGE_LENGTH,
+  containsHtml,
+  validateMessageText,
+} = require("../services/messageFormatting");
+
+describe("containsHtml", () => {
+  it("finds tags, comments and CDATA", () => {
+    for (const text of [
+      "<b>bold</b>",
+      "hi <br/>",
+      "<img src=x onerror=alert(1)>",
+      '<a href="https://example.com">link</a>',
+      "<custom-element>",
+      "<!-- hidden",
+      "<![CDATA[x]]>",
+    ]) {
+      assert.equal(containsHtml(text), true, text);
+    }
+  });
+
+  it("finds unsafe tags written loosely", () => {
+    assert.equal(containsHtml("< script>alert(1)"), true);
+    assert.equal(containsHtml("</ iframe"), true);
+  });
+
+  it("allows comparisons, arrows and code", () => {
+    for (const text of [
+      "a < b > c",
+      "I <3 this",
+      "x<y and y>z",
+      "-> and <-",
+      "use `<b>` for bold",
+      "```\n<div>example</div>\n```",
+    ]) {
+      assert.equal(containsHtml(text), false, text);
+    }
+    assert.equal(containsHtml(""), false);
+    assert.equal(containsHtml(null), false);
+  });
+
+  it("scans crafted input in linear time", () => {
+    const size = MAX_MESSAGE_LENGTH * 20;
+    for (const text of [
+      "<a " + "=".repeat(size),
+      "<a =" + " ".repeat(size),
+      "<" + " ".repeat(size),
+      "< ".repeat(size / 2),
+      "<a".repeat(size / 2),
+    ]) {
+      const start = Date.now();
+      containsHtml(text);
+      assert.ok(Date.now() - start < 500, `took ${Date.now() - start}ms`);
+    }
+  });
+});
+
+describe("validateMessageText", () => {
+  it("accepts plain and markdown text", () => {
+    assert.equal(validateMessageText("hello"), null);
+    assert.equal(validateMessageText("**hi**", "markdown"), null);
+    assert.equal(validateMessageText("hi", null), null);
+  });
+
+  it("rejects unknown formats", () => {
+    assert.match(validateMessageText("hi", "html"), /format must be one of/);
+  });
+
+  it("rejects HTML", () => {
+    assert.match(validateMessageText("<b>hi</b>"), /HTML is not allowed/);
+  });
+
+  it("rejects overlong text before scanning it", () => {
+    assert.match(
+      validateMessageText("<".repeat(MAX_MESSAGE_LENGTH + 1)),
+      /at most/
+    );
+    assert.equal(validateMessageText("a".repeat(MAX_MESSAGE_LENGTH)), null);
+  });
+});
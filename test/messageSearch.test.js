@@ -0,0 +1,151 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  objectId,
+  fakeQuery,
+  fakeUser,
+  stubUsers,
+  startApp,
+} = require("./helpers");
+const Group = require("../models/Group");
+const Message = require("../models/Message");
+const {
+  parseSearchTerms,
+  buildSnippet,
+  encodeCursor,
+  decodeCursor,
+} = require("../services/messageSearch");
+const router = require("../routes/messages");
+
+describe("parseSearchTerms", () => {
+  it("keeps plain terms and drops negations and noise", () => {
+    assert.deepEqual(parseSearchTerms('"budget plan" -draft a q3!'), [
+      "budget",
+      "plan",
+      "q3",
+    ]);
+    assert.deepEqual(parseSearchTerms(undefined), []);
+  });
+});
+
+describe("buildSnippet", () => {
+  it("marks word-prefix matches and escapes the text", () => {
+    assert.equal(
+      buildSnippet("<b>Invoices</b> for the invoice run", ["invoice"]),
+      "&lt;b&gt;<mark>Invoices</mark>&lt;/b&gt; for the <mark>invoice</mark> run"
+    );
+    assert.equal(buildSnippet("nothing here", ["invoice"]), null);
+    assert.equal(buildSnippet("", ["invoice"]), null);
+  });
+
+  it("cuts long texts around the first match", () => {
+    const text = `${"a ".repeat(100)}needle${" b".repeat(100)}`;
+    const snippet = buildSnippet(text, ["needle"]);
+    assert.ok(snippet.startsWith("…"));
+    assert.ok(snippet.endsWith("…"));
+    assert.match(snippet, /<mark>needle<\/mark>/);
+  });
+});
+
+describe("search cursors", () => {
+  it("round-trip createdAt and _id", () => {
+    const msg = { _id: objectId(), createdAt: new Date() };
+    assert.deepEqual(decodeCursor(encodeCursor(msg)), {
+      createdAt: msg.createdAt,
+      id: msg._id.toString(),
+    });
+  });
+
+  it("reject anything else", () => {
+    const bad = (value) =>
+      Buffer.from(JSON.stringify(value)).toString("base64url");
+    for (const cursor of [
+      "not-base64-json",
+      bad({ t: "yesterday", id: objectId().toString() }),
+      bad({ t: new Date().toISOString(), id: { $gt: "" } }),
+    ]) {
+      assert.equal(decodeCursor(cursor), null, cursor);
+    }
+  });
+});
+
+describe("GET /api/messages/search", () => {
+  const alice = fakeUser({ name: "Alice" });
+  const bob = fakeUser({ name: "Bob" });
+  let app;
+  before(async () => {
+    app = await startApp("/api/messages", router);
+  });
+  after(() => app.close());
+
+  it("searches only the caller's chats", async (t) => {
+    stubUsers(t, alice, bob);
+    const groupId = objectId();
+    t.mock.method(Group, "find", () =>
+      Object.assign(fakeQuery([]), { distinct: async () => [groupId] })
+    );
+    const msg = new Message({
+      sender: bob._id,
+      receiver: alice._id,
+      message: "The invoice is attached",
+    });
+    const find = t.mock.method(Message, "find", () => fakeQuery([msg]));
+
+    const res = await app.request("GET", "/api/messages/search?q=invoice", {
+      user: alice,
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(
+      res.body.results[0].highlight.snippet,
+      "The <mark>invoice</mark> is attached"
+    );
+    assert.equal(res.body.hasMore, false);
+    const filter = find.mock.calls[0].arguments[0];
+    assert.deepEqual(filter.$text, { $search: "invoice" });
+    assert.deepEqual(filter.$and[0].$or, [
+      { sender: alice._id, receiver: { $ne: null } },
+      { receiver: alice._id },
+      { group: { $in: [groupId] } },
+    ]);
+    assert.deepEqual(filter.$and[1], {
+      isDeleted: { $ne: true },
+      hiddenFor: { $ne: alice._id },
+    });
+  });
+
+  it("refuses groups the caller isn't in", async (t) => {
+    stubUsers(t, alice, bob);
+    const find = t.mock.method(Message, "find");
+    t.mock.method(Group, "findById", () =>
+      fakeQuery({
+        _id: objectId(),
+        isActive: true,
+        members: [{ user: bob._id }],
+      })
+    );
+
+    const res = await app.request(
+      "GET",
+      `/api/messages/search?q=invoice&chatType=group&chatId=${objectId()}`,
+      { user: alice }
+    );
+
+    assert.equal(res.status, 403);
+    assert.equal(find.mock.callCount(), 0);
+  });
+
+  it("rejects invalid cursors", async (t) => {
+    stubUsers(t, alice, bob);
+    t.mock.method(Group, "find", () =>
+      Object.assign(fakeQuery([]), { distinct: async () => [] })
+    );
+    const res = await app.request(
+      "GET",
+      "/api/messages/search?q=invoice&cursor=nope",
+      { user: alice }
+    );
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, "Invalid cursor");
+  });
+});
@@ -0,0 +1,159 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Message = require("../models/Message");
+const {
+  MAX_POLL_OPTIONS,
+  validatePoll,
+  validateVote,
+  openPollFilter,
+  replaceVotesUpdate,
+} = require("../services/pollService");
+
+function pollMessage(poll = {}) {
+  return new Message({
+    sender: new mongoose.Types.ObjectId(),
+    group: new mongoose.Types.ObjectId(),
+    messageType: "poll",
+    message: "Lunch?",
+    poll: {
+      question: "Lunch?",
+      options: [{ text: "Pizza" }, { text: "Salad" }, { text: "Curry" }],
+      ...poll,
+    },
+  });
+}
+
+describe("validatePoll", () => {
+  it("accepts a question with 2+ distinct options", () => {
+    assert.equal(validatePoll("Lunch?", ["Pizza", "Salad"]), null);
+  });
+
+  it("rejects bad questions and options", () => {
+    assert.match(validatePoll("", ["a", "b"]), /Question is required/);
+    assert.match(validatePoll("x".repeat(301), ["a", "b"]), /max 300/);
+    assert.match(validatePoll("Q", ["a"]), /between 2/);
+    const tooMany = Array.from(
+      { length: MAX_POLL_OPTIONS + 1 },
+      (_, i) => `o${i}`
+    );
+    assert.match(validatePoll("Q", tooMany), /between 2/);
+    assert.match(validatePoll("Q", ["a", ""]), /Options must be/);
+    assert.match(validatePoll("Q", ["a", "x".repeat(101)]), /Options must be/);
+    assert.equal(
+      validatePoll("Q", ["Yes", "yes"]),
+      "Poll options must be unique"
+    );
+  });
+});
+
+describe("validateVote", () => {
+  it("accepts a single valid option", () => {
+    const msg = pollMessage();
+    assert.equal(validateVote(msg, [msg.poll.options[1]._id.toString()]), null);
+  });
+
+  it("allows a retraction (no options)", () => {
+    assert.equal(validateVote(pollMessage(), []), null);
+  });
+
+  it("limits single-choice polls to one option", () => {
+    const msg = pollMessage();
+    const ids = msg.poll.options.map((option) => option._id.toString());
+    assert.equal(
+      validateVote(msg, ids.slice(0, 2)),
+      "This poll allows only one choice"
+    );
+
+    const multiple = pollMessage({ allowMultiple: true });
+    const multipleIds = multiple.poll.options.map((option) => option._id);
+    assert.equal(validateVote(multiple, multipleIds.slice(0, 2)), null);
+  });
+
+  it("rejects options from another poll", () => {
+    const msg = pollMessage();
+    assert.equal(
+      validateVote(msg, [new mongoose.Types.ObjectId().toString()]),
+      "Invalid poll option"
+    );
+  });
+
+  it("rejects votes on closed polls", () => {
+    const closed = pollMessage({ closedAt: new Date() });
+    const expired = pollMessage({ closesAt: new Date(Date.now() - 1000) });
+    for (const msg of [closed, expired]) {
+      assert.equal(
+        validateVote(msg, [msg.poll.options[0]._id]),
+        "This poll is closed"
+      );
+    }
+  });
+});
+
+describe("openPollFilter", () => {
+  it("only matches live, open polls", () => {
+    const messageId = new mongoose.Types.ObjectId();
+    const now = new Date();
+    assert.deepEqual(openPollFilter(messageId, now), {
+      _id: messageId,
+      isDeleted: { $ne: true },
+      "poll.closedAt": null,
+      $or: [{ "poll.closesAt": null }, { "poll.closesAt": { $gt: now } }],
+    });
+  });
+});
+
+describe("replaceVotesUpdate", () => {
+  // Apply the pipeline's $map/$filter/$concatArrays to a plain poll
+  function apply(update, options) {
+    const { in: option } = update[0].$set["poll.options"].$map;
+    const [, { votes }] = option.$mergeObjects;
+    const [{ $filter: keep }, { $cond: add }] = votes.$concatArrays;
+    const user = keep.cond.$ne[1];
+    const chosen = add[0].$in[1];
+    return options.map((o) => ({
+      ...o,
+      votes: [
+        ...o.votes.filter((vote) => !vote.user.equals(user)),
+        ...(chosen.some((id) => id.equals(o._id)) ? add[1] : add[2]),
+      ],
+    }));
+  }
+
+  const userId = new mongoose.Types.ObjectId();
+  const otherId = new mongoose.Types.ObjectId();
+  const options = [0, 1, 2].map(() => ({
+    _id: new mongoose.Types.ObjectId(),
+    votes: [{ user: userId }, { user: otherId }],
+  }));
+
+  it("replaces the user's votes in one update", () => {
+    const now = new Date();
+    const update = replaceVotesUpdate(
+      userId.toString(),
+      [options[2]._id.toString()],
+      now
+    );
+    assert.equal(update.length, 1);
+
+    const result = apply(update, options);
+    assert.deepEqual(
+      result.map((o) => o.votes.map((vote) => vote.user.toString())),
+      [
+        [otherId.toString()],
+        [otherId.toString()],
+        [otherId.toString(), userId.toString()],
+      ]
+    );
+    assert.equal(result[2].votes[1].votedAt, now);
+  });
+
+  it("removes all of the user's votes when retracting", () => {
+    const result = apply(replaceVotesUpdate(userId, []), options);
+    assert.ok(
+      result.every(
+        (o) => o.votes.length === 1 && o.votes[0].user.equals(otherId)
+      )
+    );
+  });
+});
@@ -0,0 +1,152 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { fakeQuery, fakeUser, stubUsers, startApp } = require("./helpers");
+const Message = require("../models/Message");
+const router = require("../routes/messages");
+
+describe("message reactions", () => {
+  const alice = fakeUser({ name: "Alice" });
+  const bob = fakeUser({ name: "Bob" });
+  let app;
+  before(async () => {
+    app = await startApp("/api/messages", router);
+  });
+  after(() => app.close());
+
+  function personalMessage(reactions = []) {
+    return new Message({
+      sender: alice._id,
+      receiver: bob._id,
+      message: "Lunch?",
+      reactions,
+    });
+  }
+
+  // Stub the message lookups; findOneAndUpdate answers with updated (or
+  // null when its filter wouldn't match)
+  function stubMessage(t, msg, updated) {
+    t.mock.method(Message, "findById", () => fakeQuery(msg));
+    t.mock.method(Message.prototype, "save", () => {
+      throw new Error("reactions must not be saved from a stale copy");
+    });
+    return t.mock.method(Message, "findOneAndUpdate", () => fakeQuery(updated));
+  }
+
+  it("adds a reaction with a conditional $push", async (t) => {
+    stubUsers(t, alice, bob);
+    const msg = personalMessage();
+    const updated = personalMessage([{ user: bob._id, emoji: "👍" }]);
+    updated._id = msg._id;
+    const update = stubMessage(t, msg, updated);
+
+    const res = await app.request(
+      "POST",
+      `/api/messages/${msg._id}/reactions`,
+      {
+        user: bob,
+        body: { emoji: "👍" },
+      }
+    );
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.reactions.map(({ emoji, count, reactedByMe }) => ({
+        emoji,
+        count,
+        reactedByMe,
+      })),
+      [{ emoji: "👍", count: 1, reactedByMe: true }]
+    );
+    const [filter, change] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter, {
+      _id: msg._id,
+      isDeleted: { $ne: true },
+      reactions: { $not: { $elemMatch: { user: bob._id, emoji: "👍" } } },
+    });
+    assert.equal(change.$push.reactions.emoji, "👍");
+    assert.equal(change.$push.reactions.user, bob._id);
+    assert.deepEqual(
+      app.io.emitted.filter((e) => e.event === "message-reaction").pop().data
+        .action,
+      "added"
+    );
+  });
+
+  it("doesn't announce a reaction the user already made", async (t) => {
+    stubUsers(t, alice, bob);
+    const msg = personalMessage([{ user: bob._id, emoji: "👍" }]);
+    stubMessage(t, msg, null);
+    const emitted = app.io.emitted.length;
+
+    const res = await app.request(
+      "POST",
+      `/api/messages/${msg._id}/reactions`,
+      {
+        user: bob,
+        body: { emoji: "👍" },
+      }
+    );
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.reactions[0].count, 1);
+    assert.equal(app.io.emitted.length, emitted);
+  });
+
+  it("removes only the user's reaction with $pull", async (t) => {
+    stubUsers(t, alice, bob);
+    const msg = personalMessage([
+      { user: bob._id, emoji: "🎉" },
+      { user: alice._id, emoji: "🎉" },
+    ]);
+    const updated = personalMessage([{ user: alice._id, emoji: "🎉" }]);
+    updated._id = msg._id;
+    const update = stubMessage(t, msg, updated);
+
+    const res = await app.request(
+      "DELETE",
+      `/api/messages/${msg._id}/reactions/${encodeURIComponent("🎉")}`,
+      { user: bob }
+    );
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.reactions[0].count, 1);
+    assert.equal(res.body.reactions[0].reactedByMe, false);
+    const [filter, change] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter, {
+      _id: msg._id,
+      reactions: { $elemMatch: { user: bob._id, emoji: "🎉" } },
+    });
+    assert.deepEqual(change, {
+      $pull: { reactions: { user: bob._id, emoji: "🎉" } },
+    });
+  });
+
+  it("rejects reactions from outside the chat", async (t) => {
+    const mallory = fakeUser({ name: "Mallory" });
+    stubUsers(t, alice, bob, mallory);
+    const msg = personalMessage();
+    const update = stubMessage(t, msg, msg);
+
+    const res = await app.request(
+      "POST",
+      `/api/messages/${msg._id}/reactions`,
+      {
+        user: mallory,
+        body: { emoji: "👍" },
+      }
+    );
+
+    assert.equal(res.status, 403);
+    assert.equal(update.mock.callCount(), 0);
+  });
+
+  it("validates the emoji", async (t) => {
+    stubUsers(t, alice, bob);
+    const res = await app.request(
+      "POST",
+      `/api/messages/${personalMessage()._id}/reactions`,
+      { user: bob, body: { emoji: "not an emoji" } }
+    );
+    assert.equal(res.status, 400);
+  });
+});
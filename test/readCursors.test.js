@@ -0,0 +1,143 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { objectId, fakeQuery } = require("./helpers");
+const Message = require("../models/Message");
+const Migration = require("../models/Migration");
+const ReadCursor = require("../models/ReadCursor");
+const {
+  advanceReadCursor,
+  getUnreadCounts,
+  countUnreadInChat,
+  migrateReadCursors,
+} = require("../services/readCursorService");
+
+const userId = objectId();
+const chatId = objectId();
+
+describe("advanceReadCursor", () => {
+  it("moves the cursor with $max, never back", async (t) => {
+    const update = t.mock.method(ReadCursor, "updateOne", async () => ({}));
+    const lastReadAt = new Date();
+
+    await advanceReadCursor({ userId, chatType: "group", chatId, lastReadAt });
+    await advanceReadCursor({ userId, chatType: "group", chatId });
+
+    assert.equal(update.mock.callCount(), 1);
+    assert.deepEqual(update.mock.calls[0].arguments, [
+      { user: userId, chatType: "group", chatId },
+      { $max: { lastReadAt } },
+      { upsert: true },
+    ]);
+  });
+
+  it("updates the cursor a concurrent upsert created", async (t) => {
+    let calls = 0;
+    const update = t.mock.method(ReadCursor, "updateOne", async () => {
+      if (calls++ === 0) throw Object.assign(new Error("dup"), { code: 11000 });
+      return {};
+    });
+
+    await advanceReadCursor({
+      userId,
+      chatType: "personal",
+      chatId,
+      lastReadAt: new Date(),
+    });
+
+    assert.equal(update.mock.callCount(), 2);
+    assert.equal(update.mock.calls[1].arguments[2], undefined);
+  });
+});
+
+describe("getUnreadCounts", () => {
+  it("counts messages after each cursor", async (t) => {
+    const lastReadAt = new Date("2026-03-01T09:00:00Z");
+    const [readGroup, newGroup] = [objectId(), objectId()];
+    t.mock.method(ReadCursor, "find", async () => [
+      { chatType: "personal", chatId, lastReadAt },
+      { chatType: "group", chatId: readGroup, lastReadAt },
+    ]);
+    const aggregate = t.mock.method(Message, "aggregate", async () => [
+      { _id: chatId, isGroup: false, count: 2 },
+      { _id: newGroup, isGroup: true, count: 5 },
+    ]);
+
+    const counts = await getUnreadCounts(userId, [readGroup, newGroup]);
+
+    assert.equal(counts.personal.get(chatId.toString()), 2);
+    assert.equal(counts.group.get(newGroup.toString()), 5);
+    const [{ $match }] = aggregate.mock.calls[0].arguments[0];
+    assert.deepEqual($match.hiddenFor, { $ne: userId });
+    assert.deepEqual($match.$or, [
+      { receiver: userId, sender: chatId, createdAt: { $gt: lastReadAt } },
+      // Chats never opened: everything received is unread
+      { receiver: userId, sender: { $nin: [chatId] } },
+      {
+        group: readGroup,
+        sender: { $ne: userId },
+        createdAt: { $gt: lastReadAt },
+      },
+      { group: newGroup, sender: { $ne: userId } },
+    ]);
+  });
+});
+
+describe("countUnreadInChat", () => {
+  it("counts others' messages after the cursor", async (t) => {
+    const lastReadAt = new Date("2026-03-01T09:00:00Z");
+    t.mock.method(ReadCursor, "findOne", () => fakeQuery({ lastReadAt }));
+    const count = t.mock.method(Message, "countDocuments", async () => 4);
+
+    assert.equal(await countUnreadInChat(userId, "group", chatId), 4);
+    assert.deepEqual(count.mock.calls[0].arguments[0], {
+      group: chatId,
+      sender: { $ne: userId },
+      createdAt: { $gt: lastReadAt },
+      hiddenFor: { $ne: userId },
+    });
+  });
+});
+
+describe("migrateReadCursors", () => {
+  // Message.aggregate(...).allowDiskUse(true) resolves to the next result
+  function stubAggregates(t, ...results) {
+    t.mock.method(Message, "aggregate", () => {
+      const rows = results.shift();
+      return { allowDiskUse: async () => rows };
+    });
+  }
+
+  it("runs only until it has finished once", async (t) => {
+    t.mock.method(Migration, "isDone", async () => true);
+    const aggregate = t.mock.method(Message, "aggregate");
+    assert.equal(await migrateReadCursors(), 0);
+    assert.equal(aggregate.mock.callCount(), 0);
+  });
+
+  it("upserts cursors from readBy data", async (t) => {
+    const reader = objectId();
+    const lastReadAt = new Date("2026-03-01T09:00:00Z");
+    t.mock.method(Migration, "isDone", async () => false);
+    const done = t.mock.method(Migration, "markDone", async () => {});
+    t.mock.method(console, "log", () => {});
+    stubAggregates(
+      t,
+      [{ _id: { user: reader, chatId }, lastReadAt }],
+      // Receipts of deleted users are skipped
+      [{ _id: { chatId }, lastReadAt }]
+    );
+    const write = t.mock.method(ReadCursor, "bulkWrite", async () => ({}));
+
+    assert.equal(await migrateReadCursors(), 1);
+    assert.deepEqual(write.mock.calls[0].arguments[0], [
+      {
+        updateOne: {
+          filter: { user: reader, chatType: "personal", chatId },
+          update: { $max: { lastReadAt } },
+          upsert: true,
+        },
+      },
+    ]);
+    assert.equal(done.mock.callCount(), 1);
+  });
+});
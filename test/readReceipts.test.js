@@ -0,0 +1,89 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  objectId,
+  fakeQuery,
+  fakeUser,
+  stubUsers,
+  startApp,
+} = require("./helpers");
+const Counter = require("../models/Counter");
+const Conversation = require("../models/Conversation");
+const Group = require("../models/Group");
+const Message = require("../models/Message");
+const ReadCursor = require("../models/ReadCursor");
+const SyncEvent = require("../models/SyncEvent");
+const router = require("../routes/messages");
+
+describe("PUT /api/messages/:messageId/read", () => {
+  const alice = fakeUser({ name: "Alice" });
+  const bob = fakeUser({ name: "Bob" });
+  const mallory = fakeUser({ name: "Mallory" });
+  let app;
+  before(async () => {
+    app = await startApp("/api/messages", router);
+  });
+  after(() => app.close());
+
+  // A group message from Alice in a group of Alice and Bob; returns the
+  // mocks for the receipt writes
+  function stubGroupMessage(t) {
+    stubUsers(t, alice, bob, mallory);
+    const msg = new Message({
+      sender: alice._id,
+      group: objectId(),
+      message: "Release at 5",
+      createdAt: new Date(),
+    });
+    t.mock.method(Message, "findById", () => fakeQuery(msg));
+    t.mock.method(Group, "findById", () =>
+      fakeQuery({
+        isActive: true,
+        members: [{ user: alice._id }, { user: bob._id }],
+      })
+    );
+    t.mock.method(ReadCursor, "findOne", () => fakeQuery(null));
+    t.mock.method(Message, "find", () =>
+      fakeQuery([{ _id: msg._id, sender: alice._id }])
+    );
+    t.mock.method(Counter, "next", async () => 1);
+    t.mock.method(SyncEvent, "create", async () => ({}));
+    t.mock.method(Conversation, "updateOne", async () => ({}));
+    t.mock.method(console, "error", () => {});
+    return {
+      msg,
+      cursor: t.mock.method(ReadCursor, "updateOne", async () => ({})),
+      receipts: t.mock.method(Message, "updateMany", async () => ({})),
+    };
+  }
+
+  it("records a group member's receipt", async (t) => {
+    const { msg, cursor, receipts } = stubGroupMessage(t);
+
+    const res = await app.request("PUT", `/api/messages/${msg._id}/read`, {
+      user: bob,
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(cursor.mock.calls[0].arguments[0].user, bob._id);
+    const [filter, change] = receipts.mock.calls[0].arguments;
+    assert.deepEqual(filter._id, { $in: [msg._id] });
+    assert.equal(change.$addToSet.readBy.user, bob._id);
+    assert.deepEqual(
+      app.io.emitted.map(({ rooms, event }) => [rooms, event]),
+      [[alice._id.toString(), "group-message-read"]]
+    );
+  });
+
+  it("refuses users outside the group", async (t) => {
+    const { msg, cursor, receipts } = stubGroupMessage(t);
+
+    const res = await app.request("PUT", `/api/messages/${msg._id}/read`, {
+      user: mallory,
+    });
+
+    assert.equal(res.status, 403);
+    assert.equal(cursor.mock.callCount(), 0);
+    assert.equal(receipts.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,124 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { objectId, fakeQuery, fakeIo } = require("./helpers");
+const Counter = require("../models/Counter");
+const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
+const ReadCursor = require("../models/ReadCursor");
+const SyncEvent = require("../models/SyncEvent");
+const {
+  markPersonalMessagesDelivered,
+  markPersonalMessagesRead,
+  emitWithDeliveryAck,
+} = require("../services/receiptService");
+
+describe("personal message receipts", () => {
+  const alice = objectId();
+  const bob = objectId();
+  beforeEach((t) => {
+    t.mock.method(Counter, "next", async () => 1);
+    t.mock.method(SyncEvent, "create", async () => ({}));
+    t.mock.method(Conversation, "updateOne", async () => ({}));
+    t.mock.method(console, "error", () => {});
+  });
+
+  it("moves sent messages to delivered and tells the sender", async (t) => {
+    const pending = [{ _id: objectId(), sender: alice }];
+    const find = t.mock.method(Message, "find", () => fakeQuery(pending));
+    const update = t.mock.method(Message, "updateMany", async () => ({}));
+    const io = fakeIo();
+
+    await markPersonalMessagesDelivered({ io, receiverId: bob });
+
+    assert.deepEqual(find.mock.calls[0].arguments[0], {
+      receiver: bob,
+      status: "sent",
+    });
+    const [filter, change] = update.mock.calls[0].arguments;
+    // Never moves a read message back to delivered
+    assert.equal(filter.status, "sent");
+    assert.equal(change.$set.status, "delivered");
+    assert.equal(io.emitted[0].rooms, alice.toString());
+    assert.equal(io.emitted[0].event, "message-status");
+    assert.deepEqual(io.emitted[0].data.messageIds, [pending[0]._id]);
+    assert.equal(io.emitted[0].data.status, "delivered");
+    assert.equal(io.emitted[0].data.chatId, bob.toString());
+  });
+
+  it("does nothing when there is nothing to deliver", async (t) => {
+    t.mock.method(Message, "find", () => fakeQuery([]));
+    const update = t.mock.method(Message, "updateMany");
+    const io = fakeIo();
+    assert.deepEqual(
+      await markPersonalMessagesDelivered({ io, receiverId: bob }),
+      []
+    );
+    assert.equal(update.mock.callCount(), 0);
+    assert.equal(io.emitted.length, 0);
+  });
+
+  it("reads messages after the cursor up to the one read", async (t) => {
+    const lastReadAt = new Date("2026-03-01T09:00:00Z");
+    const upTo = new Date("2026-03-01T10:00:00Z");
+    const unread = [{ _id: objectId(), sender: alice }];
+    t.mock.method(ReadCursor, "findOne", () => fakeQuery({ lastReadAt }));
+    const cursor = t.mock.method(ReadCursor, "updateOne", async () => ({}));
+    const find = t.mock.method(Message, "find", () => fakeQuery(unread));
+    const update = t.mock.method(Message, "updateMany", async () => ({}));
+    const io = fakeIo();
+
+    await markPersonalMessagesRead({
+      io,
+      readerId: bob,
+      senderId: alice,
+      upTo,
+    });
+
+    const filter = find.mock.calls[0].arguments[0];
+    assert.deepEqual(filter.createdAt, { $gt: lastReadAt, $lte: upTo });
+    assert.deepEqual(filter["readBy.user"], { $ne: bob });
+    assert.deepEqual(cursor.mock.calls[0].arguments[1], {
+      $max: { lastReadAt: upTo },
+    });
+    const [read, deliveredToo] = update.mock.calls.map((c) => c.arguments);
+    assert.equal(read[1].$set.status, "read");
+    // Read implies delivered
+    assert.deepEqual(deliveredToo[0].deliveredAt, null);
+    assert.equal(io.emitted[0].data.status, "read");
+  });
+});
+
+describe("emitWithDeliveryAck", () => {
+  // Emitter whose receive-message ack callback the test calls
+  function ackingEmitter() {
+    const emitter = { calls: [] };
+    emitter.to = (room) => ({
+      timeout: () => ({
+        emit: (event, payload, ack) =>
+          emitter.calls.push({ room, event, payload, ack }),
+      }),
+    });
+    return emitter;
+  }
+
+  it("marks the message delivered once a socket acks", async (t) => {
+    const bob = objectId();
+    const payload = { _id: objectId(), message: "Hi" };
+    const find = t.mock.method(Message, "find", () => fakeQuery([]));
+    const emitter = ackingEmitter();
+
+    emitWithDeliveryAck({ io: null, emitter, receiver: bob, payload });
+    assert.equal(emitter.calls[0].event, "receive-message");
+
+    emitter.calls[0].ack(new Error("timeout"), []);
+    assert.equal(find.mock.callCount(), 0);
+
+    emitter.calls[0].ack(null, ["ok"]);
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.deepEqual(find.mock.calls[0].arguments[0], {
+      receiver: bob,
+      status: "sent",
+      _id: { $in: [payload._id] },
+    });
+  });
+});
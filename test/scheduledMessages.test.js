@@ -0,0 +1,152 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  objectId,
+  fakeQuery,
+  fakeUser,
+  stubUsers,
+  startApp,
+} = require("./helpers");
+const Group = require("../models/Group");
+const Message = require("../models/Message");
+const ScheduledMessage = require("../models/ScheduledMessage");
+const router = require("../routes/scheduledMessages");
+
+const FILE_URL = "/uploads/messages/message-1700000000000-42.pdf";
+
+describe("POST /api/scheduled-messages", () => {
+  const alice = fakeUser({ name: "Alice" });
+  const bob = fakeUser({ name: "Bob" });
+  const inAnHour = () => new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  let app;
+  before(async () => {
+    app = await startApp("/api/scheduled-messages", router);
+  });
+  after(() => app.close());
+
+  // Stub the file lookup; returns the mocks for save and Message.findOne
+  function stubStorage(t, storedFile) {
+    stubUsers(t, alice, bob);
+    t.mock.method(Group, "find", () => fakeQuery([]));
+    const findOne = t.mock.method(Message, "findOne", () =>
+      fakeQuery(storedFile)
+    );
+    const save = t.mock.method(
+      ScheduledMessage.prototype,
+      "save",
+      async () => {}
+    );
+    return { findOne, save };
+  }
+
+  it("schedules a text message", async (t) => {
+    const { save } = stubStorage(t, null);
+    const scheduledFor = inAnHour();
+
+    const res = await app.request("POST", "/api/scheduled-messages", {
+      user: alice,
+      body: { receiver: bob._id.toString(), message: "Standup?", scheduledFor },
+    });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.message, "Standup?");
+    assert.equal(res.body.data.scheduledFor, scheduledFor);
+    assert.equal(res.body.data.status, "pending");
+    assert.equal(save.mock.callCount(), 1);
+  });
+
+  it("attaches a file with the details stored for it", async (t) => {
+    const { findOne } = stubStorage(t, {
+      fileUrl: FILE_URL,
+      fileName: "report.pdf",
+      fileSize: 2048,
+      fileType: "application/pdf",
+    });
+
+    const res = await app.request("POST", "/api/scheduled-messages", {
+      user: alice,
+      body: {
+        receiver: bob._id.toString(),
+        messageType: "file",
+        fileUrl: FILE_URL,
+        fileName: "renamed.exe",
+        fileSize: 1,
+        scheduledFor: inAnHour(),
+      },
+    });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.fileName, "report.pdf");
+    assert.equal(res.body.data.fileSize, 2048);
+    assert.equal(res.body.data.fileType, "application/pdf");
+    // Only a message in one of the sender's chats counts
+    const filter = findOne.mock.calls[0].arguments[0];
+    assert.equal(filter.fileUrl, FILE_URL);
+    assert.deepEqual(filter.$or.slice(0, 2), [
+      { sender: alice._id },
+      { receiver: alice._id },
+    ]);
+  });
+
+  it("rejects files from chats the sender isn't part of", async (t) => {
+    const { save } = stubStorage(t, null);
+    const res = await app.request("POST", "/api/scheduled-messages", {
+      user: alice,
+      body: {
+        receiver: bob._id.toString(),
+        fileUrl: FILE_URL,
+        scheduledFor: inAnHour(),
+      },
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, "Invalid file URL");
+    assert.equal(save.mock.callCount(), 0);
+  });
+
+  it("rejects other spellings of a stored file's URL", async (t) => {
+    const { findOne, save } = stubStorage(t, { fileUrl: FILE_URL });
+    for (const fileUrl of [
+      "/uploads/messages/./message-1700000000000-42.pdf",
+      "/uploads/messages/../../config.env",
+      "https://example.com/file.pdf",
+    ]) {
+      const res = await app.request("POST", "/api/scheduled-messages", {
+        user: alice,
+        body: {
+          receiver: bob._id.toString(),
+          fileUrl,
+          scheduledFor: inAnHour(),
+        },
+      });
+      assert.equal(res.status, 400, fileUrl);
+    }
+    assert.equal(findOne.mock.callCount(), 0);
+    assert.equal(save.mock.callCount(), 0);
+  });
+
+  it("validates the schedule time and the target", async (t) => {
+    stubStorage(t, null);
+    const past = await app.request("POST", "/api/scheduled-messages", {
+      user: alice,
+      body: {
+        receiver: bob._id.toString(),
+        message: "Late",
+        scheduledFor: new Date(Date.now() - 1000).toISOString(),
+      },
+    });
+    assert.equal(past.status, 400);
+    assert.equal(past.body.errors[0].msg, "scheduledFor must be in the future");
+
+    const both = await app.request("POST", "/api/scheduled-messages", {
+      user: alice,
+      body: {
+        receiver: bob._id.toString(),
+        group: objectId().toString(),
+        message: "Hi",
+        scheduledFor: inAnHour(),
+      },
+    });
+    assert.equal(both.status, 400);
+    assert.equal(both.body.message, "Provide either a receiver or a group");
+  });
+});
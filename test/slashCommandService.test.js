@@ -0,0 +1,57 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  registerCommand,
+  listCommands,
+  parseCommand,
+} = require("../services/slashCommandService");
+
+const handler = async () => ({ response: "ok" });
+registerCommand({
+  name: "Echo",
+  description: "Repeat the text",
+  usage: "/echo <text>",
+  handler,
+});
+
+describe("parseCommand", () => {
+  it("finds registered commands case-insensitively", () => {
+    const parsed = parseCommand("  /ECHO hello   there ");
+    assert.equal(parsed.command.name, "echo");
+    assert.equal(parsed.command.handler, handler);
+    assert.equal(parsed.args, "hello   there");
+  });
+
+  it("keeps multi-line arguments", () => {
+    assert.equal(parseCommand("/echo one\ntwo").args, "one\ntwo");
+  });
+
+  it("returns empty args for a bare command", () => {
+    assert.equal(parseCommand("/echo").args, "");
+  });
+
+  it("ignores text that isn't a registered command", () => {
+    assert.equal(parseCommand("/unknown hi"), null);
+    assert.equal(parseCommand("echo hi"), null);
+    assert.equal(parseCommand("/echoes hi"), null);
+    assert.equal(parseCommand("/ echo"), null);
+    assert.equal(parseCommand("path /echo"), null);
+    assert.equal(parseCommand(undefined), null);
+  });
+});
+
+describe("registerCommand", () => {
+  it("rejects duplicate names", () => {
+    assert.throws(
+      () => registerCommand({ name: "echo", handler }),
+      /already registered/
+    );
+  });
+
+  it("lists commands without their handlers", () => {
+    assert.deepEqual(
+      listCommands().find((command) => command.name === "echo"),
+      { name: "echo", description: "Repeat the text", usage: "/echo <text>" }
+    );
+  });
+});
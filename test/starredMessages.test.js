@@ -0,0 +1,115 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  objectId,
+  fakeQuery,
+  fakeUser,
+  stubUsers,
+  startApp,
+} = require("./helpers");
+const Group = require("../models/Group");
+const Message = require("../models/Message");
+const StarredMessage = require("../models/StarredMessage");
+const { decodeCursor, encodeCursor } = require("../services/messageSearch");
+const router = require("../routes/messages");
+
+describe("GET /api/messages/starred", () => {
+  const alice = fakeUser({ name: "Alice" });
+  const bob = fakeUser({ name: "Bob" });
+  const groupId = objectId();
+  let app;
+  before(async () => {
+    app = await startApp("/api/messages", router);
+  });
+  after(() => app.close());
+
+  // Stars of Bob's messages to Alice, all starred at the same moment so only
+  // the _id orders them. Returns the aggregate mock.
+  function stubStars(t, count) {
+    stubUsers(t, alice, bob);
+    const starredAt = new Date("2026-03-01T09:00:00Z");
+    const rows = Array.from({ length: count }, () => ({
+      _id: objectId(),
+      user: alice._id,
+      message: new Message({
+        sender: bob._id,
+        receiver: alice._id,
+        message: "Keep this",
+      }),
+      createdAt: starredAt,
+    })).sort((a, b) => b._id.toString().localeCompare(a._id.toString()));
+    t.mock.method(Group, "find", () =>
+      Object.assign(fakeQuery([]), { distinct: async () => [groupId] })
+    );
+    t.mock.method(StarredMessage, "populate", async (stars) => stars);
+    t.mock.method(Message, "aggregate", async () => []);
+    const aggregate = t.mock.method(StarredMessage, "aggregate", async () =>
+      rows.slice()
+    );
+    return { rows, aggregate };
+  }
+
+  it("checks visibility in the query, before the limit", async (t) => {
+    const { aggregate } = stubStars(t, 1);
+
+    const res = await app.request("GET", "/api/messages/starred?limit=20", {
+      user: alice,
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.starred.length, 1);
+    assert.equal(res.body.starred[0].chat.id, bob._id.toString());
+    assert.equal(res.body.hasMore, false);
+    assert.equal(res.body.nextCursor, null);
+
+    const pipeline = aggregate.mock.calls[0].arguments[0];
+    const stages = pipeline.map((stage) => Object.keys(stage)[0]);
+    assert.ok(stages.indexOf("$lookup") < stages.indexOf("$limit"));
+    assert.deepEqual(pipeline[stages.indexOf("$limit")], { $limit: 21 });
+    const visibility = pipeline[stages.indexOf("$lookup")].$lookup.pipeline[0];
+    assert.deepEqual(visibility.$match.isDeleted, { $ne: true });
+    assert.deepEqual(visibility.$match.hiddenFor, { $ne: alice._id });
+    assert.deepEqual(visibility.$match.$or[0], { group: { $in: [groupId] } });
+  });
+
+  it("pages on the star's createdAt and _id", async (t) => {
+    const { rows, aggregate } = stubStars(t, 3);
+
+    const res = await app.request("GET", "/api/messages/starred?limit=2", {
+      user: alice,
+    });
+
+    assert.equal(res.body.starred.length, 2);
+    assert.equal(res.body.hasMore, true);
+    const position = decodeCursor(res.body.nextCursor);
+    assert.equal(position.id, rows[1]._id.toString());
+    assert.equal(position.createdAt.getTime(), rows[1].createdAt.getTime());
+
+    await app.request(
+      "GET",
+      `/api/messages/starred?limit=2&cursor=${res.body.nextCursor}`,
+      { user: alice }
+    );
+    const [{ $match }] = aggregate.mock.calls[1].arguments[0];
+    assert.deepEqual($match.$or, [
+      { createdAt: { $lt: rows[1].createdAt } },
+      { createdAt: rows[1].createdAt, _id: { $lt: rows[1]._id } },
+    ]);
+  });
+
+  it("rejects invalid cursors", async (t) => {
+    const { aggregate } = stubStars(t, 0);
+    for (const cursor of [
+      "nope",
+      encodeCursor({ createdAt: new Date(), _id: "x" }),
+    ]) {
+      const res = await app.request(
+        "GET",
+        `/api/messages/starred?cursor=${cursor}`,
+        { user: alice }
+      );
+      assert.equal(res.status, 400, cursor);
+    }
+    assert.equal(aggregate.mock.callCount(), 0);
+  });
+});
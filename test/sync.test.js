@@ -0,0 +1,131 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  objectId,
+  fakeQuery,
+  fakeUser,
+  stubUsers,
+  startApp,
+} = require("./helpers");
+const Counter = require("../models/Counter");
+const Group = require("../models/Group");
+const SyncEvent = require("../models/SyncEvent");
+const { getChangesSince } = require("../services/syncService");
+const router = require("../routes/sync");
+
+const userId = objectId();
+const longAgo = new Date(Date.now() - 60 * 1000);
+
+function event(seq, fields = {}) {
+  return {
+    seq,
+    type: "message.status",
+    users: [userId],
+    data: { status: "read" },
+    createdAt: longAgo,
+    ...fields,
+  };
+}
+
+// Log of events in seq order with the counter at current. SyncEvent.find
+// answers the gap scan (no $or) and the user's events (with $or).
+function stubLog(t, { current, log, oldest = log[0] }) {
+  t.mock.method(Counter, "findById", () => fakeQuery({ seq: current }));
+  t.mock.method(SyncEvent, "findOne", () => fakeQuery(oldest || null));
+  t.mock.method(Group, "find", () => fakeQuery([]));
+  return t.mock.method(SyncEvent, "find", (filter) => {
+    const { $gt, $lte = Infinity } = filter.seq;
+    return fakeQuery(log.filter(({ seq }) => seq > $gt && seq <= $lte));
+  });
+}
+
+describe("getChangesSince", () => {
+  it("asks for a reset without a cursor", async (t) => {
+    stubLog(t, { current: 7, log: [event(7)] });
+    assert.deepEqual(await getChangesSince(userId, null), {
+      cursor: 7,
+      hasMore: false,
+      resetRequired: true,
+      changes: [],
+      messages: [],
+    });
+  });
+
+  it("asks for a reset when events after the cursor were dropped", async (t) => {
+    stubLog(t, { current: 9, log: [event(8), event(9)] });
+    assert.equal((await getChangesSince(userId, 5)).resetRequired, true);
+    // A cursor from the future (another database)
+    assert.equal((await getChangesSince(userId, 12)).resetRequired, true);
+  });
+
+  it("returns the user's events after the cursor", async (t) => {
+    const find = stubLog(t, {
+      current: 3,
+      log: [event(1), event(2), event(3)],
+    });
+
+    const result = await getChangesSince(userId, 1);
+
+    assert.equal(result.resetRequired, false);
+    assert.equal(result.cursor, 3);
+    assert.equal(result.hasMore, false);
+    assert.deepEqual(
+      result.changes.map(({ seq, type }) => [seq, type]),
+      [
+        [2, "message.status"],
+        [3, "message.status"],
+      ]
+    );
+    const userFilter = find.mock.calls[1].arguments[0];
+    assert.deepEqual(userFilter.$or[0], { users: userId });
+  });
+
+  it("holds the cursor before a seq that may still be written", async (t) => {
+    stubLog(t, {
+      current: 4,
+      log: [event(1), event(2), event(4, { createdAt: new Date() })],
+    });
+    const result = await getChangesSince(userId, 1);
+    assert.equal(result.cursor, 2);
+    assert.deepEqual(
+      result.changes.map(({ seq }) => seq),
+      [2]
+    );
+  });
+
+  it("skips a seq whose write failed long ago", async (t) => {
+    stubLog(t, { current: 4, log: [event(1), event(2), event(4)] });
+    const result = await getChangesSince(userId, 1);
+    assert.equal(result.cursor, 4);
+    assert.deepEqual(
+      result.changes.map(({ seq }) => seq),
+      [2, 4]
+    );
+  });
+});
+
+describe("GET /api/sync", () => {
+  const alice = fakeUser({ name: "Alice" });
+  let app;
+  before(async () => {
+    app = await startApp("/api/sync", router);
+  });
+  after(() => app.close());
+
+  it("returns the cursor as a string", async (t) => {
+    stubUsers(t, alice);
+    stubLog(t, { current: 7, log: [event(7)] });
+    const res = await app.request("GET", "/api/sync", { user: alice });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.cursor, "7");
+    assert.equal(res.body.resetRequired, true);
+  });
+
+  it("rejects cursors it didn't hand out", async (t) => {
+    stubUsers(t, alice);
+    const res = await app.request("GET", "/api/sync?since=-1", {
+      user: alice,
+    });
+    assert.equal(res.status, 400);
+  });
+});
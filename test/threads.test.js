@@ -0,0 +1,109 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { objectId, fakeQuery, fakeIo } = require("./helpers");
+const Group = require("../models/Group");
+const Message = require("../models/Message");
+const {
+  resolveThreadRoot,
+  notifyThreadParticipants,
+} = require("../services/threadService");
+
+const alice = objectId();
+const bob = objectId();
+const carol = objectId();
+
+// Message.findById finds only the given messages
+function stubMessages(t, ...messages) {
+  t.mock.method(Message, "findById", (id) =>
+    fakeQuery(messages.find((msg) => msg._id.toString() === String(id)) || null)
+  );
+}
+
+describe("resolveThreadRoot", () => {
+  it("attaches replies to a reply to the thread root", async (t) => {
+    const root = new Message({ sender: alice, receiver: bob, message: "Q?" });
+    const reply = new Message({
+      sender: bob,
+      receiver: alice,
+      message: "A",
+      replyTo: root._id,
+    });
+    stubMessages(t, root, reply);
+
+    const resolved = await resolveThreadRoot(reply._id, {
+      sender: alice,
+      receiver: bob,
+    });
+    assert.equal(resolved, root);
+    assert.equal(await resolveThreadRoot(null, { sender: alice }), null);
+  });
+
+  it("keeps replies in the parent's conversation", async (t) => {
+    const personal = new Message({ sender: alice, receiver: bob });
+    const inGroup = new Message({ sender: alice, group: objectId() });
+    stubMessages(t, personal, inGroup);
+
+    await assert.rejects(
+      resolveThreadRoot(personal._id, { sender: carol, receiver: bob }),
+      /same conversation/
+    );
+    await assert.rejects(
+      resolveThreadRoot(inGroup._id, { sender: bob, group: objectId() }),
+      /same conversation/
+    );
+    await assert.rejects(
+      resolveThreadRoot(personal._id, { sender: bob, group: inGroup.group }),
+      /same conversation/
+    );
+  });
+
+  it("refuses deleted or missing parents", async (t) => {
+    const deleted = new Message({
+      sender: alice,
+      receiver: bob,
+      isDeleted: true,
+    });
+    stubMessages(t, deleted);
+    for (const id of [deleted._id, objectId()]) {
+      await assert.rejects(
+        resolveThreadRoot(id, { sender: bob, receiver: alice }),
+        /not found/
+      );
+    }
+  });
+});
+
+describe("notifyThreadParticipants", () => {
+  it("tells the root author and repliers who are still members", async (t) => {
+    const dave = objectId(); // Replied, then left the group
+    const root = new Message({ sender: alice, group: objectId() });
+    const reply = new Message({
+      sender: bob,
+      group: root.group,
+      message: "Done",
+      replyTo: root._id,
+    });
+    t.mock.method(Message, "distinct", async () => [bob, carol, dave]);
+    t.mock.method(Message, "countDocuments", async () => 3);
+    t.mock.method(Group, "findById", () =>
+      fakeQuery({ members: [alice, bob, carol].map((user) => ({ user })) })
+    );
+    const io = fakeIo();
+    // Everyone is online, so nobody gets a push notification
+    const activeUsers = new Map(
+      [alice, bob, carol, dave].map((id) => [id.toString(), "socket"])
+    );
+
+    await notifyThreadParticipants({ io, activeUsers, root, reply });
+
+    assert.deepEqual(
+      io.emitted.map(({ rooms, event }) => [rooms, event]),
+      [
+        [alice.toString(), "thread-reply"],
+        [carol.toString(), "thread-reply"],
+      ]
+    );
+    assert.equal(io.emitted[0].data.replyCount, 3);
+    assert.equal(io.emitted[0].data.message.replyTo, root._id);
+  });
+});
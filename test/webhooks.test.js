@@ -0,0 +1,106 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { objectId } = require("./helpers");
+const GroupWebhook = require("../models/GroupWebhook");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const {
+  RATE_LIMIT,
+  INVALID_TOKEN_LIMIT,
+  deliverWebhook,
+} = require("../services/webhookService");
+
+const TOKEN = "a".repeat(64);
+
+describe("deliverWebhook", () => {
+  // A fresh webhook per test keeps the in-memory rate windows apart
+  function stubWebhook(t, fields = {}) {
+    const webhook = new GroupWebhook({
+      group: objectId(),
+      name: "CI",
+      botUser: objectId(),
+      tokenHash: crypto.createHash("sha256").update(TOKEN).digest("hex"),
+      createdBy: objectId(),
+      ...fields,
+    });
+    t.mock.method(GroupWebhook, "findById", async () => webhook);
+    const log = t.mock.method(WebhookDelivery, "create", async () => ({}));
+    return { webhook, log };
+  }
+
+  const deliver = (webhook, token, payload = { text: "Build passed" }) =>
+    deliverWebhook({
+      webhookId: webhook._id.toString(),
+      token,
+      payload,
+      request: { ip: "203.0.113.7", payloadSize: 24 },
+    });
+
+  it("returns 404 for unknown or malformed ids without logging", async (t) => {
+    const findById = t.mock.method(GroupWebhook, "findById", async () => null);
+    const log = t.mock.method(WebhookDelivery, "create", async () => ({}));
+
+    const malformed = await deliverWebhook({ webhookId: "nope", token: TOKEN });
+    assert.equal(malformed.statusCode, 404);
+    assert.equal(findById.mock.callCount(), 0);
+    const unknown = await deliverWebhook({
+      webhookId: objectId().toString(),
+      token: TOKEN,
+    });
+    assert.equal(unknown.statusCode, 404);
+    assert.equal(log.mock.callCount(), 0);
+  });
+
+  it("stops logging bad tokens once they pass the limit", async (t) => {
+    const { webhook, log } = stubWebhook(t);
+
+    for (let i = 0; i < INVALID_TOKEN_LIMIT; i++) {
+      const result = await deliver(webhook, `guess-${i}`);
+      assert.equal(result.statusCode, 401);
+    }
+    const flooded = await deliver(webhook, "guess-again");
+
+    assert.equal(flooded.statusCode, 429);
+    assert.ok(flooded.retryAfter > 0);
+    assert.equal(log.mock.callCount(), INVALID_TOKEN_LIMIT);
+    assert.equal(log.mock.calls[0].arguments[0].statusCode, 401);
+  });
+
+  it("keeps bad tokens from using up the integration's limit", async (t) => {
+    const { webhook } = stubWebhook(t);
+    for (let i = 0; i <= INVALID_TOKEN_LIMIT; i++) {
+      await deliver(webhook, "wrong");
+    }
+    const result = await deliver(webhook, TOKEN, {});
+    assert.equal(result.statusCode, 400);
+  });
+
+  it("rate limits calls with the right token", async (t) => {
+    const { webhook, log } = stubWebhook(t);
+    for (let i = 0; i < RATE_LIMIT; i++) {
+      const result = await deliver(webhook, TOKEN, { text: "" });
+      assert.equal(result.statusCode, 400);
+      assert.equal(result.error, "text is required");
+    }
+    const limited = await deliver(webhook, TOKEN);
+    assert.equal(limited.statusCode, 429);
+    assert.equal(log.mock.callCount(), RATE_LIMIT + 1);
+  });
+
+  it("rejects revoked webhooks and bad payloads", async (t) => {
+    const { webhook } = stubWebhook(t, { revokedAt: new Date() });
+    const revoked = await deliver(webhook, TOKEN);
+    assert.equal(revoked.statusCode, 410);
+
+    const active = stubWebhook(t).webhook;
+    for (const [payload, error] of [
+      [[], "Payload must be a JSON object"],
+      [{ text: "x".repeat(4001) }, "text must be at most 4000 characters"],
+      [{ text: "hi", id: 5 }, "id must be a string of at most 100 characters"],
+    ]) {
+      const result = await deliver(active, TOKEN, payload);
+      assert.equal(result.statusCode, 400);
+      assert.equal(result.error, error);
+    }
+  });
+});
@@ -0,0 +1,127 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const { Readable } = require("stream");
+const { ZipWriter, crc32 } = require("../services/zipWriter");
+
+// Entries of a zip file, read through its central directory
+function readZip(buffer) {
+  const end = buffer.length - 22;
+  assert.equal(buffer.readUInt32LE(end), 0x06054b50);
+  const count = buffer.readUInt16LE(end + 10);
+  let pos = buffer.readUInt32LE(end + 16);
+  assert.equal(pos + buffer.readUInt32LE(end + 12), end);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    assert.equal(buffer.readUInt32LE(pos), 0x02014b50);
+    const nameLength = buffer.readUInt16LE(pos + 28);
+    const name = buffer.toString("utf8", pos + 46, pos + 46 + nameLength);
+    const method = buffer.readUInt16LE(pos + 10);
+    const crc = buffer.readUInt32LE(pos + 16);
+    const compressedSize = buffer.readUInt32LE(pos + 20);
+    const size = buffer.readUInt32LE(pos + 24);
+    const offset = buffer.readUInt32LE(pos + 42);
+
+    // The local header must agree with the central directory
+    assert.equal(buffer.readUInt32LE(offset), 0x04034b50);
+    assert.equal(buffer.readUInt16LE(offset + 8), method);
+    assert.equal(buffer.readUInt32LE(offset + 14), crc);
+    assert.equal(buffer.readUInt32LE(offset + 18), compressedSize);
+    assert.equal(buffer.readUInt32LE(offset + 22), size);
+    const dataStart = offset + 30 + buffer.readUInt16LE(offset + 26);
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+    const data = method === 8 ? zlib.inflateRawSync(raw) : raw;
+    assert.equal(data.length, size);
+
+    entries.push({ name, method, crc, data });
+    pos += 46 + nameLength;
+  }
+  return entries;
+}
+
+describe("crc32", () => {
+  it("matches the standard check value", () => {
+    assert.equal(crc32(Buffer.from("123456789")), 0xcbf43926);
+    assert.equal(crc32(Buffer.alloc(0)), 0);
+  });
+
+  it("continues from a previous CRC", () => {
+    const data = Buffer.from("The quick brown fox jumps over the lazy dog");
+    assert.equal(
+      crc32(data.subarray(10), crc32(data.subarray(0, 10))),
+      crc32(data)
+    );
+  });
+});
+
+describe("ZipWriter", () => {
+  let dir;
+  before(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "zip-writer-"));
+  });
+  after(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  it("writes deflated, stored and streamed entries", async () => {
+    const text = "hello export\n".repeat(5000);
+    const random = crypto.randomBytes(200 * 1024);
+    const streamed = Buffer.from("streamed ".repeat(30000));
+    const filePath = path.join(dir, "export.zip");
+
+    const zip = new ZipWriter(filePath);
+    await zip.open();
+    await zip.addFile("chat.txt", text);
+    await zip.addFile("files/résumé.bin", random);
+    await zip.addFile(
+      "files/stream.txt",
+      Readable.from([streamed.subarray(0, 1000), streamed.subarray(1000)])
+    );
+    await zip.addFile("empty.txt", "");
+    const size = await zip.finalize();
+
+    const buffer = await fs.promises.readFile(filePath);
+    assert.equal(buffer.length, size);
+    const entries = readZip(buffer);
+    assert.deepEqual(
+      entries.map((entry) => [entry.name, entry.method]),
+      [
+        ["chat.txt", 8],
+        ["files/résumé.bin", 0], // Incompressible, stored
+        ["files/stream.txt", 8],
+        ["empty.txt", 0],
+      ]
+    );
+    for (const [entry, content] of [
+      [entries[0], Buffer.from(text)],
+      [entries[1], random],
+      [entries[2], streamed],
+      [entries[3], Buffer.alloc(0)],
+    ]) {
+      assert.ok(entry.data.equals(content), entry.name);
+      assert.equal(entry.crc, crc32(content), entry.name);
+    }
+  });
+
+  it("writes an empty archive", async () => {
+    const filePath = path.join(dir, "empty.zip");
+    const zip = new ZipWriter(filePath);
+    await zip.open();
+    assert.equal(await zip.finalize(), 22);
+    assert.deepEqual(readZip(await fs.promises.readFile(filePath)), []);
+  });
+
+  it("closes the file on abort", async () => {
+    const zip = new ZipWriter(path.join(dir, "aborted.zip"));
+    await zip.open();
+    await zip.addFile("a.txt", "a");
+    await zip.abort();
+    assert.equal(zip.handle, null);
+    await zip.abort(); // Safe to call twice
+  });
+});